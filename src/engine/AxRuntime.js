@@ -3,15 +3,9 @@
  *
  * ax-x86 is an in-browser x86-64 emulator (Rust → WASM via wasm-bindgen).
  * It parses an ELF binary, sets up memory and stack, then runs instructions
- * one at a time. Syscalls are intercepted via a before-Syscall hook so we
- * can implement write (stdout / stderr) and exit ourselves.
- *
- * Supported syscalls
- * ──────────────────
- *   1   write(fd, buf, len)   — fd 1 → onStdout, fd 2 → onStderr
- *   60  exit(code)            — stop execution, record exit code
- *   231 exit_group(code)      — same as exit for our purposes
- *   *   all others            — return ENOSYS and continue
+ * one at a time. Syscalls are intercepted via a before-Syscall hook and
+ * dispatched through a SyscallTable (syscallTable.js), which starts with
+ * the calls in linuxSyscalls.js; registerSyscall adds or replaces one.
  *
  * Execution model
  * ───────────────
@@ -19,10 +13,21 @@
  *   2. Axecutor.from_binary(elfBytes)       — parse ELF, map PT_LOAD
  *   3. ax.init_stack_program_start(...)     — System V ABI stack setup
  *   4. ax.hook_before_mnemonic(Syscall, fn) — intercept all syscall insns
- *   5. await ax.execute()                   — run until instance.stop()
+ *   5. await ax.step() in a loop            — until instance.stop() or an
+ *                                             instruction / time limit
+ *
+ * In the app it runs in a Web Worker (runWorker.js), driven from the main
+ * thread by WorkerRuntime, so a program that never exits cannot freeze
+ * the page and can be stopped.
  */
 
 import { initAx, Axecutor, Mnemonic, Register, axVersion } from './AxBridge.js';
+import { disassemble } from './disasm.js';
+import { PROGRAM_NAME, DEFAULT_ENV, resolvePath } from './runconfig.js';
+import { WORKSPACE_DIR } from './Preprocessor.js';
+import { SyscallTable, SyscallContext } from './syscallTable.js';
+import { LINUX_SYSCALLS } from './linuxSyscalls.js';
+import { SyscallLog, describeSyscall, describeFailure } from './strace.js';
 
 export class AxRuntime {
   constructor() {
@@ -33,22 +38,23 @@ export class AxRuntime {
     this.onStdout = null;
     /** @type {((text: string) => void) | null} */
     this.onStderr = null;
+    /** @type {import('./StdinBuffer.js').StdinBuffer | null} fd 0; none reads as empty */
+    this.stdin = null;
+    /** @type {((waiting: boolean) => void) | null} a read of stdin started / stopped waiting for input */
+    this.onStdinWait = null;
+    /** @type {((record: object) => void) | null} each syscall, as logged (see strace.js) */
+    this.onSyscall = null;
 
-    // File descriptor table: { fd: { path, offset } }
-    this._fds = new Map();
-    this._nextFd = 3;
+    /** @type {SyscallTable} the system calls programs can make */
+    this.syscalls = new SyscallTable(LINUX_SYSCALLS);
 
-    // Heap management (brk)
-    this._heapStart = 0x800000n; // Initial heap start
-    this._brk       = 0x800000n; // Current program break
-    this._heapMapped = false;
+    this._heapStart = 0x800000n; // Initial program break
 
     this._registerBaselineEnabled = Boolean(import.meta.env?.DEV);
     this._stdoutBuffer = '';
     this._stderrBuffer = '';
     this._traceEnabled = Boolean(import.meta.env?.DEV);
     this._traceMaxSteps = 64;
-    this._traceMaxSyscalls = 64;
   }
 
   setRegisterBaseline(enabled) {
@@ -59,6 +65,23 @@ export class AxRuntime {
     this._traceEnabled = Boolean(enabled);
   }
 
+  /**
+   * Add a system call, or replace the one with its number (see
+   * syscallTable.js for the entry format).
+   * @param {{ num: number, name: string, args?: object, ret?: string, impl: Function }} entry
+   */
+  registerSyscall(entry) {
+    this.syscalls.register(entry);
+  }
+
+  /**
+   * Remove a system call by number or name; programs then get ENOSYS.
+   * @param {number | string} numOrName
+   */
+  unregisterSyscall(numOrName) {
+    this.syscalls.unregister(numOrName);
+  }
+
   /**
    * Initialise the ax-x86 WASM module.
    * Must be awaited before calling run().
@@ -72,340 +95,88 @@ export class AxRuntime {
 
   /**
    * Execute an ELF binary.
+   *
+   * A program still running after maxInstructions instructions or
+   * timeLimitMs milliseconds is stopped with the stop reason
+   * 'time limit exceeded' and exit code 124, as timeout(1) gives. Time
+   * spent waiting for input on stdin does not count.
+   *
    * @param {Uint8Array} elfBytes
    * @param {Array} sourceMap
-   * @returns {{ exitCode: number, runtime: number, instrCount: number, registers: object }}
+   * @param {object} [opts]
+   * @param {string[]} [opts.argv] argv, from argv[0]
+   * @param {string[]} [opts.env] NAME=value strings
+   * @param {string} [opts.cwd] working directory, for relative paths
+   * @param {number} [opts.maxInstructions]
+   * @param {number} [opts.timeLimitMs]
+   * @returns {{ exitCode: number, runtime: number, instrCount: number, registers: object, stopReason: string, limit?: string, syscalls: object[], syscallsDropped: number }}
+   *   syscalls: the last SYSCALL_LOG_SIZE syscalls (see strace.js), and how
+   *   many earlier ones were dropped
    */
-  async run(elfBytes, sourceMap = []) {
+  async run(elfBytes, sourceMap = [], {
+    argv = [PROGRAM_NAME],
+    env = DEFAULT_ENV,
+    cwd = WORKSPACE_DIR,
+    maxInstructions = Infinity,
+    timeLimitMs = Infinity,
+  } = {}) {
     if (!this._initialized) throw new Error('AxRuntime not loaded — call load() first');
 
     const ax = Axecutor.from_binary(elfBytes);
 
     // Set up the System V ABI stack (argc/argv/envp)
-    // Most binaries expect at least some environment variables
     ax.init_stack_program_start(
       128n * 1024n,      // Increased stack to 128 KB for safety
-      ['/bin/program'],  // argv[0]
-      ['TERM=xterm-256color', 'PATH=/usr/bin:/bin', 'HOME=/root'],
+      argv,
+      env,
     );
 
     if (this._registerBaselineEnabled) {
       this._applyRegisterBaseline(ax);
     }
 
-    let exitCode = 0;
-    let stopReason = 'unknown';
+    // The process as its system calls see it: files, cwd, break, exit
+    const sys = new SyscallContext(this, { cwd: resolvePath(cwd), heapStart: this._heapStart });
+    let limit = null;
+    let pending = null; // { call, ret: Promise } of a syscall the program waits for
+    const syscallLog = new SyscallLog(); // every syscall, as strace shows it
     const rt = this;
     const trace = {
       enabled: this._traceEnabled,
       steps: [],
-      syscalls: [],
       stopReason: 'unknown',
     };
 
-    // Reset FD table and heap for each run
-    this._fds.clear();
-    this._nextFd = 3;
-    this._brk = this._heapStart;
-    this._heapMapped = false;
     this._stdoutBuffer = '';
     this._stderrBuffer = '';
 
     // Intercept every `syscall` instruction before it executes
     ax.hook_before_mnemonic(Mnemonic.Syscall, (instance) => {
+      sys.instance = instance;
+      let call = null;
       try {
-      const num = instance.reg_read_64(Register.RAX);
-      if (rt._traceEnabled && trace.syscalls.length < rt._traceMaxSyscalls) {
-        trace.syscalls.push({
-          idx: trace.syscalls.length,
-          rip: this._toHex(instance.reg_read_64(Register.RIP)),
-          num: Number(num),
-          rdi: this._toHex(instance.reg_read_64(Register.RDI)),
-          rsi: this._toHex(instance.reg_read_64(Register.RSI)),
-          rdx: this._toHex(instance.reg_read_64(Register.RDX)),
-        });
-      }
-
-      // ── HelixCore printf (custom syscall) ─────────────────────────────
-      // rdi = fmt (null-terminated), rsi = int arg (optional)
-      if (num === 1000n) {
-        const fmtPtr = instance.reg_read_64(Register.RDI);
-        const argVal = BigInt.asIntN(64, instance.reg_read_64(Register.RSI));
-        const fmt = rt._readCString(instance, fmtPtr);
-        const out = rt._formatPrintf(fmt, argVal);
-        rt._appendOutput(1n, out);
-        instance.reg_write_64(Register.RAX, BigInt(out.length));
-        return instance.commit();
-      }
-
-      // ── read(fd, buf, len) ─────────────────────────────────────────────
-      if (num === 0n) {
-        const fd  = Number(instance.reg_read_64(Register.RDI));
-        const ptr = instance.reg_read_64(Register.RSI);
-        const len = Number(instance.reg_read_64(Register.RDX));
-
-        const file = rt._fds.get(fd);
-        if (!file || !rt.vfs) {
-          instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -9n)); // EBADF
-          return instance.commit();
-        }
-
-        const data = rt.vfs.readSync(file.path);
-        if (!data) {
-          instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -5n)); // EIO
-          return instance.commit();
-        }
-
-        const remaining = data.length - file.offset;
-        const toRead = Math.min(len, remaining);
-
-        if (toRead > 0) {
-          const chunk = data.slice(file.offset, file.offset + toRead);
-          instance.mem_write_bytes(ptr, chunk);
-          file.offset += toRead;
-        }
-
-        instance.reg_write_64(Register.RAX, BigInt(toRead));
-        return instance.commit();
-      }
-
-      // ── write(fd, buf, len) ────────────────────────────────────────────
-      if (num === 1n) {
-        const fd  = instance.reg_read_64(Register.RDI);
-        const ptr = instance.reg_read_64(Register.RSI);
-        const len = instance.reg_read_64(Register.RDX);
-        const buf = instance.mem_read_bytes(ptr, len);
-
-        if (fd === 1n || fd === 2n) {
-          const text = new TextDecoder().decode(buf);
-          rt._appendOutput(fd, text);
-          instance.reg_write_64(Register.RAX, len);
-        } else {
-          // Write to virtual file
-          const file = rt._fds.get(Number(fd));
-          if (!file || !rt.vfs) {
-            instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -9n)); // EBADF
-          } else {
-            let writeOffset = file.offset;
-            if (file.append) {
-              const size = rt.vfs.getSizeSync(file.path);
-              writeOffset = size < 0 ? 0 : size;
-            }
-            const written = rt.vfs.writeAtSync(file.path, buf, writeOffset);
-            file.offset = writeOffset + written;
-            instance.reg_write_64(Register.RAX, BigInt(written));
-          }
-        }
-        return instance.commit();
-      }
-
-      // ── open(pathname, flags, mode) ────────────────────────────────────
-      if (num === 2n) {
-        const pathPtr = instance.reg_read_64(Register.RDI);
-        const flags = Number(instance.reg_read_64(Register.RSI));
-        // Read null-terminated string
-        let path = '';
-        let curr = pathPtr;
-        while (true) {
-          const b = instance.mem_read_bytes(curr++, 1n)[0];
-          if (b === 0) break;
-          path += String.fromCharCode(b);
-        }
-
-        if (!rt.vfs) {
-          instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -5n)); // EIO
-          return instance.commit();
-        }
-
-        const O_CREAT  = 0x40;
-        const O_TRUNC  = 0x200;
-        const O_APPEND = 0x400;
-
-        const data = rt.vfs.readSync(path);
-        if (data === null) {
-          if (flags & O_CREAT) {
-            rt.vfs.writeSync(path, new Uint8Array(0));
-          } else {
-            instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -2n)); // ENOENT
-            return instance.commit();
-          }
-        }
-
-        if ((flags & O_TRUNC) && !(flags & O_APPEND)) {
-          rt.vfs.truncateSync(path, 0);
-        }
-
-        const fd = rt._nextFd++;
-        const initialOffset = (flags & O_APPEND)
-          ? Math.max(0, rt.vfs.getSizeSync(path))
-          : 0;
-        rt._fds.set(fd, {
-          path,
-          offset: initialOffset,
-          append: Boolean(flags & O_APPEND),
-        });
-        instance.reg_write_64(Register.RAX, BigInt(fd));
-        return instance.commit();
-      }
-
-      // ── close(fd) ──────────────────────────────────────────────────────
-      if (num === 3n) {
-        const fd = Number(instance.reg_read_64(Register.RDI));
-        if (rt._fds.has(fd)) {
-          rt._fds.delete(fd);
-          instance.reg_write_64(Register.RAX, 0n);
-        } else {
-          instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -9n)); // EBADF
-        }
-        return instance.commit();
-      }
-
-      // ── stat(pathname, statbuf) ────────────────────────────────────────
-      if (num === 4n) {
-        const pathPtr = instance.reg_read_64(Register.RDI);
-        const statPtr = instance.reg_read_64(Register.RSI);
-        
-        let path = '';
-        let curr = pathPtr;
-        while (true) {
-          const b = instance.mem_read_bytes(curr++, 1n)[0];
-          if (b === 0) break;
-          path += String.fromCharCode(b);
-        }
-
-        if (!rt.vfs) {
-          instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -5n)); // EIO
-          return instance.commit();
-        }
-
-        const size = rt.vfs.getSizeSync(path);
-        if (size === -1) {
-          instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -2n)); // ENOENT
+        call = rt.syscalls.dispatch(sys);
+        const { ret } = call;
+        if (typeof ret?.then === 'function') {
+          // The step loop waits for it before the next instruction
+          pending = { call, ret };
           return instance.commit();
         }
-
-        // Fill a minimal struct stat (x86-64)
-        // Offset 48: st_size (8 bytes)
-        // Offset 24: st_nlink (8 bytes)
-        // Offset 0: st_dev (8 bytes)
-        // Offset 8: st_ino (8 bytes)
-        // Offset 16: st_mode (4 bytes)
-        instance.mem_write_64(statPtr + 48n, BigInt(size));
-        instance.mem_write_32(statPtr + 16n, 0x81edn); // -rw-r--r-- regular file
-        instance.reg_write_64(Register.RAX, 0n);
+        rt._logSyscall(syscallLog, describeSyscall(sys, call, ret));
+        if (sys.exited) return instance.stop(); // halt emulation cleanly
+        if (ret !== undefined) instance.reg_write_64(Register.RAX, BigInt.asUintN(64, BigInt(ret)));
         return instance.commit();
-      }
-
-      // ── fstat(fd, statbuf) ─────────────────────────────────────────────
-      if (num === 5n) {
-        const fd      = Number(instance.reg_read_64(Register.RDI));
-        const statPtr = instance.reg_read_64(Register.RSI);
-
-        const file = rt._fds.get(fd);
-        if (!file || !rt.vfs) {
-          instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -9n)); // EBADF
-          return instance.commit();
-        }
-
-        const size = rt.vfs.getSizeSync(file.path);
-        instance.mem_write_64(statPtr + 48n, BigInt(size));
-        instance.mem_write_32(statPtr + 16n, 0x81edn); 
-        instance.reg_write_64(Register.RAX, 0n);
-        return instance.commit();
-      }
-
-      // ── brk(addr) ──────────────────────────────────────────────────────
-      if (num === 12n) {
-        const addr = instance.reg_read_64(Register.RDI);
-        
-        if (addr === 0n) {
-          // If 0, return current break
-          instance.reg_write_64(Register.RAX, rt._brk);
-          return instance.commit();
-        }
-
-        // Simplistic heap expansion: we just allow it up to a limit (16 MB)
-        const limit = rt._heapStart + (16n * 1024n * 1024n);
-        if (addr >= rt._heapStart && addr < limit) {
-          if (!rt._heapMapped) {
-            // Lazy-init the first page if needed
-            instance.mem_init_zero_named(rt._heapStart, 4096n, 'heap');
-            rt._heapMapped = true;
-          }
-          
-          // If we need to resize the section (ax-x86 supports resizing sections)
-          if (addr > rt._brk) {
-            const currentSize = rt._brk - rt._heapStart;
-            const newSize     = addr - rt._heapStart;
-            // Pad to 4KB page
-            const paddedSize = (newSize + 4095n) & ~4095n;
-            if (paddedSize > currentSize) {
-              instance.mem_resize_section(rt._heapStart, paddedSize);
-            }
-          }
-
-          rt._brk = addr;
-          instance.reg_write_64(Register.RAX, rt._brk);
-        } else {
-          // Error or return current break
-          instance.reg_write_64(Register.RAX, rt._brk);
-        }
-        return instance.commit();
-      }
-
-      // ── mmap(addr, len, prot, flags, fd, offset) ───────────────────────
-      if (num === 9n) {
-        const addr  = instance.reg_read_64(Register.RDI);
-        const len   = instance.reg_read_64(Register.RSI);
-        const prot  = Number(instance.reg_read_64(Register.RDX));
-        const flags = Number(instance.reg_read_64(Register.R10));
-        const fd    = Number(instance.reg_read_64(Register.R8));
-
-        // Simplistic: only support anonymous mapping for now (MAP_ANONYMOUS = 0x20)
-        const MAP_ANON = 0x20;
-        if (flags & MAP_ANON) {
-          const v = instance.mem_init_zero_anywhere(len);
-          instance.mem_prot(v, prot);
-          instance.reg_write_64(Register.RAX, v);
-        } else {
-          instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -22n)); // EINVAL
-        }
-        return instance.commit();
-      }
-
-      // ── exit(code) / exit_group(code) ─────────────────────────────────
-      if (num === 60n || num === 231n) {
-        exitCode = Number(instance.reg_read_64(Register.RDI));
-        stopReason = `exit(${exitCode})`;
-        return instance.stop();   // halt emulation cleanly
-      }
-
-      // ── unknown syscall → ENOSYS ──────────────────────────────────────
-      instance.reg_write_64(Register.RAX, BigInt.asUintN(64, -38n));
-      return instance.commit();
       } catch (err) {
-        stopReason = 'hook-error';
+        sys.stopReason = 'hook-error';
         try {
-          if (this._traceEnabled && trace.syscalls.length < this._traceMaxSyscalls) {
-            let rip = '0x0000000000000000';
-            try {
-              rip = this._toHex(instance.reg_read_64(Register.RIP));
-            } catch {
-            }
-            trace.syscalls.push({
-              idx: trace.syscalls.length,
-              rip,
-              num: -1,
-              error: err?.message ?? String(err),
-            });
-          }
+          rt._logSyscall(syscallLog, describeFailure(sys, call, err));
         } catch {
         }
         try {
           rt.onStderr?.(`[AxRuntime Hook Error] ${err?.message ?? String(err)}`);
         } catch {
         }
-        exitCode = 1;
+        sys.exitCode = 1;
         try {
           return instance.stop();
         } catch {
@@ -416,6 +187,7 @@ export class AxRuntime {
 
     let instrCount = 0;
     const t0 = performance.now();
+    let waited = 0; // ms spent waiting for input, which the time limit leaves out
     
     // Read register helper (best-effort; ax may have stopped mid-run)
     const r64 = (reg) => {
@@ -442,12 +214,34 @@ export class AxRuntime {
         const keepRunning = await ax.step();
         instrCount++;
         if (!keepRunning) {
-          if (stopReason === 'unknown') stopReason = 'step-returned-stop';
+          if (!sys.exited) sys.stopReason = 'step-returned-stop';
+          break;
+        }
+        // exit() or a failed hook stopped the instance
+        if (sys.exited) break;
+
+        if (pending) {
+          // A syscall the program waits for, e.g. a read of stdin: it
+          // completes before the next instruction
+          const since = performance.now();
+          sys.instance = ax;
+          const ret = await pending.ret;
+          this._logSyscall(syscallLog, describeSyscall(sys, pending.call, ret));
+          pending = null;
+          waited += performance.now() - since;
+          if (ret !== undefined) ax.reg_write_64(Register.RAX, BigInt.asUintN(64, BigInt(ret)));
+        }
+
+        if (instrCount >= maxInstructions) limit = 'instructions';
+        else if ((instrCount & 0xfff) === 0 && performance.now() - t0 - waited >= timeLimitMs) limit = 'time';
+        if (limit) {
+          sys.stopReason = 'time limit exceeded';
+          sys.exitCode = 124;
           break;
         }
       }
     } catch (err) {
-      stopReason = 'error';
+      sys.stopReason = 'error';
       // Log the register state when an error occurs to help debug
       const ripVal = r64(Register.RIP);
       let debugMsg = `AX EXECUTION ERROR at RIP=${ripVal}: ${err.message}`;
@@ -466,8 +260,9 @@ export class AxRuntime {
           }
         }
 
-        if (bestMatch) {
-          debugMsg += ` (at source line ${bestMatch.line}, col ${bestMatch.col})`;
+        // Line 0: past the end of the mapped code, e.g. in the libc
+        if (bestMatch?.line) {
+          debugMsg += ` (at source line ${bestMatch.line}, col ${bestMatch.col}${bestMatch.file ? ` of ${bestMatch.file}` : ''})`;
         }
       }
 
@@ -477,7 +272,7 @@ export class AxRuntime {
       throw enhancedErr;
     }
 
-    trace.stopReason = stopReason;
+    trace.stopReason = sys.stopReason;
 
     this._flushOutputBuffers(true);
 
@@ -494,16 +289,25 @@ export class AxRuntime {
     };
 
     return {
-      exitCode,
+      exitCode:   sys.exitCode,
       runtime:    Math.round(performance.now() - t0),
       instrCount,
       registers,
+      stopReason: sys.stopReason,
+      ...(limit && { limit }),
+      syscalls: syscallLog.entries(),
+      syscallsDropped: syscallLog.dropped,
       trace,
       disassembly: this._buildDisassembly(elfBytes, sourceMap),
-      memory: await this._buildMemorySnapshot(ax, registers),
+      memory: await this._buildMemorySnapshot(ax, registers, sys.brk),
     };
   }
 
+  _logSyscall(log, record) {
+    log.push(record);
+    this.onSyscall?.(record);
+  }
+
   _toHex(value) {
     try {
       return '0x' + BigInt(value).toString(16).padStart(16, '0');
@@ -512,95 +316,15 @@ export class AxRuntime {
     }
   }
 
-  _readCString(instance, addr, maxLen = 4096) {
-    try {
-      let s = '';
-      let p = addr;
-      for (let i = 0; i < maxLen; i++) {
-        const b = instance.mem_read_bytes(p, 1n)[0];
-        if (b === 0) break;
-        s += String.fromCharCode(b);
-        p += 1n;
-      }
-      return s;
-    } catch {
-      return '';
-    }
-  }
-
-  _formatPrintf(fmt, intArg) {
-    if (!fmt) return '';
-    const val = Number(intArg);
-    // Minimal formatter: supports %d and %% only.
-    let out = '';
-    for (let i = 0; i < fmt.length; i++) {
-      const ch = fmt[i];
-      if (ch !== '%') {
-        out += ch;
-        continue;
-      }
-      const next = fmt[i + 1] ?? '';
-      if (next === '%') {
-        out += '%';
-        i++;
-        continue;
-      }
-      if (next === 'd') {
-        out += String(val);
-        i++;
-        continue;
-      }
-      // Unknown specifier: emit as-is
-      out += ch;
-    }
-    return out;
-  }
-
   _buildDisassembly(elfBytes, sourceMap = []) {
     try {
-      if (!elfBytes || elfBytes.length < 120) return [];
-
-      const view = new DataView(elfBytes.buffer, elfBytes.byteOffset, elfBytes.byteLength);
-      const entry = view.getBigUint64(24, true);
-      const phoff = Number(view.getBigUint64(32, true));
-      const pVaddr = view.getBigUint64(phoff + 16, true);
-      const pOffset = Number(view.getBigUint64(phoff + 8, true));
-      const pFileSz = Number(view.getBigUint64(phoff + 32, true));
-
-      const textOffset = 120;
-      const textSize = Math.max(0, Math.min(256, pFileSz - textOffset));
-      const textBytes = elfBytes.slice(textOffset, textOffset + textSize);
-      const lines = [];
-
-      const sourceByVa = new Map();
-      for (const s of sourceMap ?? []) sourceByVa.set(s.va, s);
-
-      const baseVa = pVaddr + BigInt(textOffset - pOffset);
-
-      for (let i = 0; i < textBytes.length; i += 8) {
-        const chunk = textBytes.slice(i, i + 8);
-        const va = baseVa + BigInt(i);
-        const vaHex = `0x${va.toString(16).padStart(16, '0')}`;
-        const hex = [...chunk].map(b => b.toString(16).padStart(2, '0')).join(' ');
-        const marker = va === entry ? '▶' : ' ';
-        const src = sourceByVa.get(vaHex);
-
-        lines.push({
-          va: vaHex,
-          marker,
-          bytes: hex,
-          text: 'db ' + [...chunk].map(b => `0x${b.toString(16).padStart(2, '0')}`).join(', '),
-          source: src ? `C:${src.line}:${src.col}` : '',
-        });
-      }
-
-      return lines;
+      return elfBytes ? disassemble(elfBytes, { sourceMap }) : [];
     } catch {
       return [];
     }
   }
 
-  async _buildMemorySnapshot(ax, registers) {
+  async _buildMemorySnapshot(ax, registers, brk) {
     const parseHex = (value) => {
       try { return BigInt(value); } catch { return 0n; }
     };
@@ -629,7 +353,6 @@ export class AxRuntime {
 
     const rip = parseHex(registers.rip);
     const rsp = parseHex(registers.rsp);
-    const brk = this._brk;
 
     return {
       rip: dump(rip, safeRead(rip, 64)),
@@ -657,19 +380,39 @@ export class AxRuntime {
     }
   }
 
-  _appendOutput(fd, text) {
-    if (fd === 1n) {
+  /**
+   * Output the program wrote to stdout (fd 1) or stderr (fd 2), passed on
+   * to onStdout / onStderr a line at a time.
+   * @param {number} fd
+   * @param {string} text
+   */
+  writeOutput(fd, text) {
+    if (fd === 1) {
       this._stdoutBuffer += text;
       this._drainOutputBuffer('_stdoutBuffer', this.onStdout);
       return;
     }
 
-    if (fd === 2n) {
+    if (fd === 2) {
       this._stderrBuffer += text;
       this._drainOutputBuffer('_stderrBuffer', this.onStderr);
     }
   }
 
+  /**
+   * Wait for input on stdin, for a read that found none.
+   * @param {number} len bytes to read at most
+   * @returns {Promise<Uint8Array>} the input, empty at end of file
+   */
+  async waitForStdin(len) {
+    this._flushOutputBuffers(true); // show the prompt
+    this.onStdinWait?.(true);
+    let data;
+    while ((data = this.stdin.read(len)) === null) await this.stdin.wait();
+    this.onStdinWait?.(false);
+    return data;
+  }
+
   _drainOutputBuffer(key, sink) {
     let idx = this[key].indexOf('\n');
     while (idx !== -1) {
@@ -1,134 +1,343 @@
 /**
  * Chibicc.js — Minimal C compiler (recursive descent) for x86-64
- * 
+ *
  * Ported from a tiny subset of rui314/chibicc's architecture.
- * This handles basic arithmetic, local variables, if/else, for/while,
- * and external function calls (like printf).
- * 
- * It produces GAS/AT&T x86-64 assembly.
+ * This handles arithmetic, local variables, the C statement set (if,
+ * loops, switch, goto), top-level function definitions with parameters
+ * and recursion, calls to other translation units (like the bundled libc's
+ * printf), variadic functions, and a real type system: (unsigned)
+ * char/short/int/long, float, double, pointers, arrays, structs, unions
+ * and enums (see ctypes.js).
+ * Source is run through a C preprocessor first (see Preprocessor.js).
+ *
+ * It produces GAS/AT&T x86-64 assembly in three stages: the parser builds
+ * an AST, ir.js lowers that to three-address code, and codegen.js
+ * generates the assembly from the IR.
+ *
+ * Calling convention (System V AMD64)
+ * ───────────────────────────────────
+ *   Integer/pointer arguments 1-6  → %rdi, %rsi, %rdx, %rcx, %r8, %r9
+ *   float/double arguments 1-8     → %xmm0-%xmm7
+ *   The rest       → on the stack in order, read at 16(%rbp), 24(%rbp), …
+ *   Return value   → %rax, or %xmm0 for float/double
+ *   %al holds the number of vector registers used by the call.
+ *   %rsp is 16-byte aligned at every `call`.
+ *
+ * A translation unit that defines `main` also gets a small crt0 `_start`
+ * that passes argc/argv/envp to `main` and hands its return value to the
+ * libc's exit, which runs atexit handlers and flushes stdio.
+ *
+ * With `optLevel: 1` the AST is first folded, pruned and register
+ * allocated (see optimize.js), and lowering and code generation take the
+ * -O1 shortcuts described in ir.js and codegen.js.
+ *
+ * Alongside the assembly, compile() returns the AST as JSON and the IR
+ * (see ast.js and ir.js) so each stage can be inspected.
  */
 
+import {
+  TY_VOID, TY_CHAR, TY_SHORT, TY_INT, TY_LONG, TY_UCHAR, TY_USHORT, TY_UINT, TY_ULONG, TY_FLOAT, TY_DOUBLE,
+  pointerTo, arrayOf, funcType, enumType, structType, layoutStruct,
+  isInteger, isFlonum, isNumeric, isAggregate, alignTo, typeName, commonType, addType,
+} from './ctypes.js';
+import { Preprocessor, WORKSPACE_DIR } from './Preprocessor.js';
+import { CompileError, diagnosticAt } from './diagnostics.js';
+import { foldConstants, eliminateDeadCode, allocateRegisters } from './optimize.js';
+import { astToJSON } from './ast.js';
+import { irType, lowerToIR } from './ir.js';
+import { CodeGenerator, classifyArgs, REG_SAVE_AREA, CALLEE_SAVED } from './codegen.js';
+
+const TYPE_KEYWORDS = new Set([
+  'void', 'char', 'short', 'int', 'long', 'float', 'double', 'signed', 'unsigned', 'struct', 'union', 'enum',
+  'typedef', 'static', 'extern',
+]);
+// Accepted for compatibility with real headers, otherwise ignored
+const QUALIFIERS = new Set(['const', 'volatile', 'restrict']);
+
+const COMPOUND_ASSIGN = new Set(['+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+// Operators that reject pointer operands
+const INTEGER_OPS = new Set(['*', '/', '%', '&', '|', '^']);
+// ...and of those, the ones that reject floating operands too
+const INTEGER_ONLY_OPS = new Set(['%', '&', '|', '^']);
+
+const FLOAT_CONSTANT = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?[fFlL]?$/;
+
+const ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, e: 27 };
+
+// Integer constants are Numbers while a Number holds them exactly and
+// BigInts past 2^53, so equal values always compare equal with ===
+const intConst = big => (big >= -Number.MAX_SAFE_INTEGER && big <= Number.MAX_SAFE_INTEGER ? Number(big) : big);
+
 export class Chibicc {
   constructor() {
     this.tokens = [];
     this.pos = 0;
-    this.locals = new Map();
-    this.stackOffset = 0;
     this.labelId = 0;
   }
 
-  compile(source) {
-    this.tokens = this._tokenize(source);
+  /**
+   * @param {string} source
+   * @param {object} [opts]
+   * @param {string} [opts.path]      absolute path of the source file
+   * @param {Function} [opts.readFile] (absPath) → string | null, for #include
+   * @param {number} [opts.optLevel]  0, or 1 for the -O1 passes (see optimize.js)
+   * @returns {object} { assembly, sourceMap, diagnostics, ast, ir, debug },
+   *   diagnostics holding warnings; errors are collected and thrown as one
+   *   CompileError. ast is the parsed tree as JSON (see ast.js), ir the
+   *   three-address code the assembly is generated from (see ir.js and
+   *   codegen.js), and debug the functions
+   *   and variables to describe in DWARF (see dwarf.js)
+   */
+  compile(source, { path = `${WORKSPACE_DIR}/main.c`, readFile = null, optLevel = 0 } = {}) {
+    this._path = path;
+    this._optimize = optLevel > 0;
+    this._diagnostics = [];
     this.pos = 0;
-    this.locals.clear();
-    this.stackOffset = 0;
     this.labelId = 0;
-    this._sourceMap = []; // [{ asmLine: number, srcLine: number, srcCol: number }]
-
-    let asm = '.data\n';
-    // We'll collect string literals here
-    const strings = [];
-    
-    // Quick scan for string literals to put in .data
-    // This is a bit hacky, but works for a minimal compiler
-    const stringRegex = /"([^"\\]*(?:\\.[^"\\]*)*)"/g;
-    let match;
-    let strId = 0;
-    const stringMap = new Map();
-    while ((match = stringRegex.exec(source)) !== null) {
-      if (!stringMap.has(match[0])) {
-        const label = `.L.str.${strId++}`;
-        stringMap.set(match[0], label);
-        // Replace \n with real newline or hex
-        const content = match[1].replace(/\\n/g, '\\n');
-        asm += `${label}: .ascii "${content}\\0"\n`;
-      }
-    }
-    // Store for use by _getStrLabel() during code generation
-    this._stringMap = stringMap;
-
-    asm += '.text\n.global _start\n_start:\n';
-    
-    // We'll wrap everything in a 'main' but the entry point is _start
-    // Actually, we'll just parse top-level statements for now
-    // and assume they form the body of _start.
-    
-    // Standard function prologue for _start
-    asm += '  pushq %rbp\n';
-    asm += '  movq %rsp, %rbp\n';
-    
-    // We need to know the total stack size for locals
-    // We'll parse first to find all locals, then emit the subq $N, %rsp
-    const nodes = [];
-    while (!this._atEnd()) {
-      nodes.push(this._stmt());
-    }
-    
-    // Padded to 16-byte alignment
-    const stackSize = (this.stackOffset + 15) & ~15;
-    if (stackSize > 0) {
-      asm += `  subq $${stackSize}, %rsp\n`;
-    }
+    this._strings = new Map();   // decoded literal → .rodata label
+    this._functions = new Map(); // name → func type, for prototypes and calls
+    this._globals = [];          // file-scope and static local variables, in order
+    this._scopes = [this._newScope()]; // file scope; functions and blocks nest inside
 
-    const currentAsmLine = () => asm.split('\n').length;
+    const preprocessor = new Preprocessor({ tokenize: (text, file) => this._tokenize(text, file), readFile });
+    const readSource = file => (file === path ? source : preprocessor.sources?.get(file) ?? null);
 
-    // Generate code for each statement
-    for (const node of nodes) {
-      if (node.line) {
-        this._sourceMap.push({ asmLine: currentAsmLine(), srcLine: node.line, srcCol: node.col });
+    // Parse the whole translation unit first so every function is known.
+    // A bad declaration is reported and skipped so later ones are still checked.
+    const functions = [];
+    try {
+      this.tokens = preprocessor.run(this._tokenize(source, path), path);
+      this._diagnostics.push(...preprocessor.diagnostics);
+      while (!this._atEnd()) {
+        const saved = this._saveState();
+        try {
+          const fn = this._topLevel();
+          if (fn) functions.push(fn);
+        } catch (err) {
+          this._recover(err, saved);
+          this._skipDeclaration(saved.pos);
+        }
       }
-      asm += this._gen(node);
-      // After each statement, we might have a value on the stack, pop it
-      if (node.type !== 'if' && node.type !== 'while' && node.type !== 'for' && node.type !== 'block' && node.type !== 'return' && node.type !== 'nop') {
-         asm += '  popq %rax\n';
+    } catch (err) {
+      this._recover(err);
+    }
+    if (this._diagnostics.some(d => d.severity === 'error')) throw new CompileError(this._diagnostics, readSource);
+
+    const ast = astToJSON({ functions, globals: this._globals });
+    if (this._optimize) {
+      for (const fn of functions) {
+        fn.body = eliminateDeadCode(foldConstants(fn.body, node => this._eval(node)));
+        fn.savedRegs = allocateRegisters(fn, CALLEE_SAVED);
       }
     }
 
-    // Standard epilogue and exit syscall (since we don't have crt0)
-    asm += '.L.exit:\n';
-    asm += '  movq %rbp, %rsp\n';
-    asm += '  popq %rbp\n';
-    asm += '  movq $60, %rax\n';
-    asm += '  xorq %rdi, %rdi\n';
-    asm += '  syscall\n';
+    // Lowering and code generation number their labels after the parser's
+    const newLabel = kind => `.L.${kind}.${this.labelId++}`;
+    const ir = lowerToIR({ functions, globals: this._globals, strings: this._strings }, { optimize: this._optimize, newLabel });
+    const { assembly, sourceMap } = new CodeGenerator({ path, optimize: this._optimize, newLabel }).generate(ir);
+    const debug = {
+      functions: functions.map(fn => ({
+        name: fn.name,
+        ty: fn.ty,
+        line: fn.file === path ? fn.line : null,
+        isStatic: fn.isStatic,
+        params: fn.params,
+        locals: fn.locals.filter(obj => obj.name && !fn.params.includes(obj) && obj !== fn.vaArea),
+      })),
+      globals: this._globals.filter(obj => obj.isDefinition),
+    };
+    return { assembly, sourceMap, diagnostics: this._diagnostics, ast, ir, debug };
+  }
+
+  // Returns the function defined here, if any
+  _topLevel() {
+    const attr = {};
+    const baseTy = this._declspec(attr);
+    if (attr.isTypedef) {
+      this._typedef(baseTy);
+      return null;
+    }
+    // A bare `struct tag { ... };` only declares the type
+    if (this._match(';')) return null;
+
+    const startTok = this._peek();
+    const { ty, nameTok } = this._declarator(baseTy);
+    if (!nameTok) throw this._error(null, `Expected identifier ${this._where()}`);
+    if (ty.kind === 'func') return this._function(ty, nameTok, attr, startTok);
+    this._globalVariable(baseTy, ty, nameTok, attr);
+    return null;
+  }
+
+  /* ── Error recovery ───────────────────────────────────────────────────── */
+
+  // Parser state a failed declaration or statement may have left half-changed
+  _saveState() {
+    return {
+      pos: this.pos,
+      scopes: this._scopes.length,
+      breakLabel: this._breakLabel,
+      continueLabel: this._continueLabel,
+      switch: this._switch,
+    };
+  }
+
+  // Record a CompileError's diagnostics and roll the parser state back.
+  // Anything else is a bug in the compiler and keeps propagating.
+  _recover(err, saved = null) {
+    if (!(err instanceof CompileError)) throw err;
+    for (const d of err.diagnostics) this._diagnostics.push({ ...d, file: d.file ?? this._currentFile() });
+    if (!saved) return;
+    this._scopes.length = saved.scopes;
+    this._breakLabel = saved.breakLabel;
+    this._continueLabel = saved.continueLabel;
+    this._switch = saved.switch;
+  }
+
+  // Skip the rest of a broken statement that began at token `start`: up to
+  // and including its ';', or a whole { ... } block. A '}' closing the
+  // enclosing block is left alone. Brackets the statement opened before
+  // failing, such as those of an initializer or a call, are closed first.
+  _skipStatement(start) {
+    let braces = 0;
+    let parens = 0;
+    const nest = val => {
+      if (val === '{') braces++;
+      else if (val === '}') braces = Math.max(braces - 1, 0);
+      else if (val === '(') parens++;
+      else if (val === ')') parens = Math.max(parens - 1, 0);
+    };
+    for (let i = start; i < this.pos; i++) nest(this.tokens[i].val);
+    // It may have failed only after reading its last token
+    if (braces === 0 && parens === 0 && this.pos > start && [';', '}'].includes(this._peek(-1)?.val)) return;
+    while (!this._atEnd()) {
+      const val = this._peek().val;
+      if (val === '}' && braces === 0) return;
+      this.pos++;
+      nest(val);
+      if (val === ';' && braces === 0 && parens === 0) return;
+      // The end of a block, or of an initializer and its ';'. A call
+      // around a compound literal goes on to its ')'.
+      if (val === '}' && braces === 0 && !(parens > 0 && this._peek()?.val === ')')) {
+        this._match(';');
+        return;
+      }
+    }
+  }
 
-    // Append the __printf helper (used by any printf call in user code)
-    asm += this._printfStub();
+  // The same at file scope, where a stray '}' is skipped too
+  _skipDeclaration(start) {
+    this._skipStatement(start);
+    if (this.pos === start && this._peek()?.val === '}') this.pos++;
+  }
 
-    return { assembly: asm, sourceMap: this._sourceMap };
+  // compound-body = stmt* "}", recovering from errors statement by statement
+  _blockBody() {
+    const stmts = [];
+    while (!this._match('}')) {
+      if (this._atEnd()) throw this._error(null, "Expected '}' at end of input");
+      const saved = this._saveState();
+      try {
+        stmts.push(this._stmt());
+      } catch (err) {
+        this._recover(err, saved);
+        this._skipStatement(saved.pos);
+      }
+    }
+    return stmts;
   }
 
   /* ── Tokenizer ────────────────────────────────────────────────────────── */
 
-  _tokenize(source) {
+  _tokenize(source, file = this._path) {
     const tokens = [];
-    const regex = /\s*(?:\/\/.*|\/\*[\s\S]*?\*\/|([a-zA-Z_]\w*)|(\d+)|(".*?")|(==|!=|<=|>=|&&|\|\||[{}()\[\],;=+\-*\/&!%<>\^|~.?:]))/g;
-    
-    let m;
-    while ((m = regex.exec(source)) !== null) {
-      const fullMatch = m[0];
-      const leadingWhitespace = fullMatch.match(/^\s*/)[0];
-      const index = m.index + leadingWhitespace.length;
-      
-      const textBefore = source.substring(0, index);
-      const matches = textBefore.match(/\n/g);
-      const line = matches ? matches.length + 1 : 1;
-      const lastNL = textBefore.lastIndexOf('\n');
-      const col = lastNL === -1 ? index : index - lastNL - 1;
-
-      const tokenData = { line, col };
+    // Whitespace, comments and backslash-newline continuations between tokens
+    const gap = /(?:[ \t\r\f\v]+|\\\r?\n|\n|\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))*/y;
+    const token = /([a-zA-Z_]\w*)|(\.?\d(?:[eEpP][+-]|[\w.])*)|("(?:[^"\\\n]|\\.)*")|('(?:[^'\\\n]|\\.)+')|(<<=|>>=|\.\.\.|==|!=|<=|>=|->|\+\+|--|\+=|-=|\*=|\/=|%=|&=|\|=|\^=|&&|\|\||<<|>>|##|[{}()\[\],;=+\-*\/&!%<>\^|~.?:#])/y;
+
+    let pos = 0;
+    let line = 1;
+    let lineStart = 0;
+    let bol = true;
+
+    while (pos < source.length) {
+      gap.lastIndex = pos;
+      const skipped = gap.exec(source)[0];
+      const space = skipped.length > 0 || pos === 0;
+      for (let i = 0; i < skipped.length; i++) {
+        if (skipped[i] !== '\n') continue;
+        line++;
+        lineStart = pos + i + 1;
+        // A backslash-newline joins lines for the preprocessor
+        if (skipped[i - 1] !== '\\' && skipped.slice(Math.max(0, i - 2), i) !== '\\\r') bol = true;
+      }
+      pos += skipped.length;
+      if (pos >= source.length) break;
+
+      token.lastIndex = pos;
+      const m = token.exec(source);
+      const tokenData = { text: m?.[0], line, col: pos - lineStart, file, bol, space };
+      if (!m) throw this._error({ ...tokenData, text: source[pos] }, `Invalid character '${source[pos]}'`);
       if (m[1]) tokens.push({ type: 'ident', val: m[1], ...tokenData });
-      else if (m[2]) tokens.push({ type: 'num', val: parseInt(m[2]), ...tokenData });
-      else if (m[3]) tokens.push({ type: 'str', val: m[3], ...tokenData });
-      else if (m[4]) tokens.push({ type: 'punct', val: m[4], ...tokenData });
+      else if (m[2]) tokens.push({ type: 'num', val: this._parseNumber(m[2], tokenData), ...tokenData });
+      else if (m[3]) tokens.push({ type: 'str', val: m[3], str: this._decodeEscapes(m[3].slice(1, -1)), ...tokenData });
+      else if (m[4]) tokens.push({ type: 'num', val: this._decodeEscapes(m[4].slice(1, -1)).charCodeAt(0) << 24 >> 24, ...tokenData });
+      else tokens.push({ type: 'punct', val: m[5], ...tokenData });
+      pos += m[0].length;
+      bol = false;
     }
     return tokens;
   }
 
+  // Integer constants: decimal, 0x hex and 0 octal, with optional u/l suffixes.
+  // Decimal floating constants have a '.' or an exponent and an optional f/l.
+  _parseNumber(text, tok) {
+    const digits = text.replace(/[uUlL]+$/, '');
+    let val;
+    if (/^0[xX][0-9a-fA-F]+$/.test(digits)) val = BigInt(digits);
+    else if (/^0[0-7]*$/.test(digits)) val = BigInt('0o' + (digits.slice(1) || '0'));
+    else if (/^[1-9]\d*$/.test(digits)) val = BigInt(digits);
+    else if (FLOAT_CONSTANT.test(text)) return parseFloat(text);
+    else throw this._error(tok, `Invalid numeric constant '${text}'`);
+    if (val > 0xffffffffffffffffn) throw this._error(tok, `Integer constant '${text}' is too large for any integer type`);
+    return intConst(val);
+  }
+
+  // Resolve C escape sequences into a "byte string" (one char per byte,
+  // non-ASCII source characters encoded as UTF-8).
+  _decodeEscapes(text) {
+    let out = '';
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch !== '\\') {
+        const code = ch.codePointAt(0);
+        if (code < 0x80) {
+          out += ch;
+        } else {
+          for (const b of new TextEncoder().encode(String.fromCodePoint(code))) out += String.fromCharCode(b);
+          if (code > 0xffff) i++;
+        }
+        continue;
+      }
+      const next = text[++i];
+      if (next >= '0' && next <= '7') {
+        let digits = next;
+        while (digits.length < 3 && text[i + 1] >= '0' && text[i + 1] <= '7') digits += text[++i];
+        out += String.fromCharCode(parseInt(digits, 8) & 0xff);
+      } else if (next === 'x') {
+        let digits = '';
+        while (/[0-9a-fA-F]/.test(text[i + 1] ?? '')) digits += text[++i];
+        out += String.fromCharCode(parseInt(digits || '0', 16) & 0xff);
+      } else {
+        out += ESCAPES[next] !== undefined ? String.fromCharCode(ESCAPES[next]) : next;
+      }
+    }
+    return out;
+  }
+
   /* ── Parser ───────────────────────────────────────────────────────────── */
 
   _atEnd() { return this.pos >= this.tokens.length; }
-  _peek() { return this.tokens[this.pos]; }
+  _peek(offset = 0) { return this.tokens[this.pos + offset]; }
   _consume() { return this.tokens[this.pos++]; }
   _match(val) {
     if (this._atEnd() || this._peek().val !== val) return false;
@@ -138,26 +347,478 @@ export class Chibicc {
   _expect(val) {
     if (val === 'ident') {
        if (!this._atEnd() && this._peek().type === 'ident') return this._consume();
-       throw new Error(`Expected identifier at token ${this.pos}`);
+       throw this._error(null, `Expected identifier ${this._where()}`);
     }
-    if (!this._match(val)) throw new Error(`Expected '${val}' at token ${this.pos}`);
+    if (this._match(val)) return;
+    // Like gcc, point just past the token after which `val` was due
+    const prev = this._peek(-1);
+    const at = prev && { ...prev, col: prev.col + (prev.text?.length ?? 1), text: ' ' };
+    throw this._error(at, `Expected '${val}' ${this._where()}`);
   }
 
-  _stmt() {
+  // "before 'x'", naming the token a parse error stopped at
+  _where() {
+    return this._atEnd() ? 'at end of input' : `before '${this._peek().text}'`;
+  }
+
+  // A CompileError at a token or AST node; without one, at the current token
+  _error(at, message) {
+    at ??= this._peek() ?? this.tokens.at(-1);
+    return new CompileError([diagnosticAt({ ...at, file: at?.file ?? this._currentFile() }, message)]);
+  }
+
+  // AST nodes carry no file; they belong to whatever was parsed last
+  _currentFile() {
+    return (this.tokens[this.pos - 1] ?? this.tokens[this.pos])?.file ?? this._path;
+  }
+
+  _isTypename(tok = this._peek()) {
+    if (tok?.type !== 'ident') return false;
+    return TYPE_KEYWORDS.has(tok.val) || QUALIFIERS.has(tok.val) || Boolean(this._findVar(tok.val)?.typedef);
+  }
+
+  // declspec = ("void" | "char" | "short" | "int" | "long" | "float" | "double"
+  //             | "signed" | "unsigned"
+  //             | "typedef" | "static" | "extern"
+  //             | struct-decl | union-decl | enum-specifier | typedef-name)+
+  // Keyword combinations are counted the same way chibicc does it so
+  // "long int", "short int", "long long" etc. all resolve correctly.
+  // `attr` is only passed where a storage class (typedef, static, extern)
+  // is allowed; it collects them as isTypedef / isStatic / isExtern.
+  _declspec(attr = null) {
+    const VOID = 1 << 0, CHAR = 1 << 2, SHORT = 1 << 4, INT = 1 << 6, LONG = 1 << 8, FLOAT = 1 << 10, DOUBLE = 1 << 11,
+      OTHER = 1 << 12, SIGNED = 1 << 13, UNSIGNED = 1 << 14;
+    const bits = {
+      void: VOID, char: CHAR, short: SHORT, int: INT, long: LONG, float: FLOAT, double: DOUBLE,
+      signed: SIGNED, unsigned: UNSIGNED,
+    };
+    const startTok = this._peek();
+    let counter = 0;
+    let ty = null;
+
+    while (this._isTypename()) {
+      const tok = this._peek();
+      if (tok.val === 'typedef' || tok.val === 'static' || tok.val === 'extern') {
+        if (!attr) throw this._error(tok, 'Storage class specifier is not allowed here');
+        this._consume();
+        if (tok.val === 'typedef') attr.isTypedef = true;
+        else if (tok.val === 'static') attr.isStatic = true;
+        else attr.isExtern = true;
+        if (Boolean(attr.isTypedef) + Boolean(attr.isStatic) + Boolean(attr.isExtern) > 1) {
+          throw this._error(tok, 'Multiple storage classes in declaration');
+        }
+        continue;
+      }
+
+      // struct, union, enum and typedef names are a complete type on their own
+      const typedef = this._findVar(tok.val)?.typedef;
+      if (tok.val === 'struct' || tok.val === 'union' || tok.val === 'enum' || typedef) {
+        if (counter) break;
+        this._consume();
+        if (tok.val === 'struct' || tok.val === 'union') ty = this._structDecl(tok.val);
+        else if (tok.val === 'enum') ty = this._enumSpecifier();
+        else ty = typedef;
+        counter += OTHER;
+        continue;
+      }
+
+      const kw = this._consume().val;
+      if (QUALIFIERS.has(kw)) continue;
+      counter += bits[kw];
+      switch (counter) {
+        case VOID: ty = TY_VOID; break;
+        case CHAR: case SIGNED + CHAR: ty = TY_CHAR; break;
+        case SHORT: case SHORT + INT: case SIGNED + SHORT: case SIGNED + SHORT + INT: ty = TY_SHORT; break;
+        case INT: case SIGNED: case SIGNED + INT: ty = TY_INT; break;
+        case LONG: case LONG + INT: case LONG + LONG: case LONG + LONG + INT:
+        case SIGNED + LONG: case SIGNED + LONG + INT: case SIGNED + LONG + LONG: case SIGNED + LONG + LONG + INT:
+          ty = TY_LONG; break;
+        case UNSIGNED + CHAR: ty = TY_UCHAR; break;
+        case UNSIGNED + SHORT: case UNSIGNED + SHORT + INT: ty = TY_USHORT; break;
+        case UNSIGNED: case UNSIGNED + INT: ty = TY_UINT; break;
+        case UNSIGNED + LONG: case UNSIGNED + LONG + INT: case UNSIGNED + LONG + LONG: case UNSIGNED + LONG + LONG + INT:
+          ty = TY_ULONG; break;
+        case FLOAT: ty = TY_FLOAT; break;
+        // There is no x87 code generation, so long double is just a double
+        case DOUBLE: case LONG + DOUBLE: ty = TY_DOUBLE; break;
+        default: throw this._error(startTok, 'Invalid type');
+      }
+    }
+    if (!ty) throw this._error(null, `Expected a type name ${this._where()}`);
+    return ty;
+  }
+
+  // struct-decl = ident? ("{" (declspec declarator ("," declarator)* ";")* "}")?
+  _structDecl(kind) {
     const startTok = this._peek();
-    // Skip #include directives
-    if (this._peek()?.val === '#') {
-       while(!this._atEnd() && this._consume().val !== ';'); // Simple skip until ; or newline? 
-       // Lexer doesn't handle # well. Let's fix tokenizer.
+    const tag = this._peek()?.type === 'ident' ? this._consume() : null;
+
+    if (tag && this._peek()?.val !== '{') {
+      // Reference to a tag, or a forward declaration of a new one
+      const found = this._findTag(tag.val);
+      if (found) {
+        if (found.kind !== kind) throw this._error(tag, `'${tag.val}' defined as the wrong kind of tag`);
+        return found;
+      }
+      const ty = structType(kind, tag.val);
+      this._scope().tags.set(tag.val, ty);
+      return ty;
+    }
+
+    this._expect('{');
+    const members = [];
+    while (!this._match('}')) {
+      const baseTy = this._declspec();
+      let first = true;
+      while (!this._match(';')) {
+        if (!first) this._expect(',');
+        first = false;
+        const { ty, nameTok } = this._declarator(baseTy);
+        if (!nameTok) throw this._error(startTok, 'Expected a member name');
+        if (ty.size < 0 || ty.kind === 'void' || ty.kind === 'func') {
+          throw this._error(nameTok, `Member '${nameTok.val}' has incomplete type`);
+        }
+        if (members.some(m => m.name === nameTok.val)) throw this._error(nameTok, `Duplicate member '${nameTok.val}'`);
+        members.push({ name: nameTok.val, ty });
+      }
+    }
+
+    // Complete a forward declaration from the same scope in place
+    const existing = tag && this._scope().tags.get(tag.val);
+    if (existing && existing.kind === kind && existing.size < 0) {
+      existing.members = members;
+      return layoutStruct(existing);
+    }
+    if (existing) throw this._error(tag, `Redefinition of '${kind} ${tag.val}'`);
+
+    const ty = structType(kind, tag?.val ?? null);
+    ty.members = members;
+    layoutStruct(ty);
+    if (tag) this._scope().tags.set(tag.val, ty);
+    return ty;
+  }
+
+  // enum-specifier = ident? "{" enum-list? "}" | ident
+  // enum-list      = ident ("=" const-expr)? ("," ident ("=" const-expr)?)* ","?
+  _enumSpecifier() {
+    const tag = this._peek()?.type === 'ident' ? this._consume() : null;
+
+    if (tag && this._peek()?.val !== '{') {
+      const found = this._findTag(tag.val);
+      if (!found) throw this._error(tag, `Unknown enum type '${tag.val}'`);
+      if (found.kind !== 'enum') throw this._error(tag, `'${tag.val}' is not an enum tag`);
+      return found;
+    }
+
+    this._expect('{');
+    const ty = enumType();
+    let val = 0;
+    let first = true;
+    while (!this._match('}')) {
+      if (!first) {
+        this._expect(',');
+        if (this._match('}')) break;
+      }
+      first = false;
+      const nameTok = this._expect('ident');
+      if (this._match('=')) val = this._constExpr();
+      this._scope().vars.set(nameTok.val, { enumVal: val, enumTy: ty });
+      val++;
+    }
+
+    if (tag) this._scope().tags.set(tag.val, ty);
+    return ty;
+  }
+
+  // typedef = declarator ("," declarator)* ";"   (after "typedef" declspec)
+  _typedef(baseTy) {
+    let first = true;
+    while (!this._match(';')) {
+      if (!first) this._expect(',');
+      first = false;
+      const { ty, nameTok } = this._declarator(baseTy);
+      if (!nameTok) throw this._error(this._peek(), 'Typedef name omitted');
+      this._scope().vars.set(nameTok.val, { typedef: ty });
+    }
+  }
+
+  // declarator = "*"* ("(" declarator ")" | ident?) type-suffix
+  // The identifier is optional so the same routine parses abstract
+  // declarators in casts and sizeof.
+  _declarator(ty) {
+    while (this._match('*')) {
+      ty = pointerTo(ty);
+      while (QUALIFIERS.has(this._peek()?.val)) this._consume();
+    }
+
+    if (this._peek()?.val === '(' && !this._isTypename(this._peek(1)) && this._peek(1)?.val !== ')') {
+      // Nested declarator, e.g. int (*p)[3]: parse the suffix first, then
+      // come back and apply the inner declarator to the resulting type.
+      this._consume();
+      const start = this.pos;
+      this._declarator(TY_INT);
+      this._expect(')');
+      ty = this._typeSuffix(ty);
+      const end = this.pos;
+      this.pos = start;
+      const result = this._declarator(ty);
+      this.pos = end;
+      return result;
+    }
+
+    let nameTok = null;
+    // A typedef name here is being redeclared, e.g. `typedef long T;` in an inner scope
+    const tok = this._peek();
+    if (tok?.type === 'ident' && !TYPE_KEYWORDS.has(tok.val) && !QUALIFIERS.has(tok.val)) nameTok = this._consume();
+    return { ty: this._typeSuffix(ty), nameTok };
+  }
+
+  // type-suffix = "(" func-params | "[" const-expr? "]" type-suffix | ε
+  _typeSuffix(ty) {
+    if (this._match('(')) return this._funcParams(ty);
+    if (this._match('[')) {
+      let len = -1;
+      if (!this._match(']')) {
+        const sizeTok = this._peek();
+        len = this._constExpr();
+        if (typeof len === 'bigint') throw this._error(sizeTok, 'Array is too large');
+        this._expect(']');
+      }
+      const base = this._typeSuffix(ty);
+      if (base.kind === 'array' && base.len < 0) throw this._error(null, 'Array has incomplete element type');
+      return arrayOf(base, len);
     }
-    if (this._peek()?.val === 'int' && this.tokens[this.pos+1]?.type === 'ident' && this.tokens[this.pos+2]?.val === '(') {
-       this._expect('int');
-       this._expect('ident'); // main
-       this._expect('(');
-       if (this._match('void')) {}
-       this._expect(')');
-       return this._stmt();
+    return ty;
+  }
+
+  _funcParams(returnType) {
+    if (isAggregate(returnType)) throw this._error(this._peek(-1), `Returning '${typeName(returnType)}' by value is not supported; return a pointer instead`);
+    if (this._peek()?.val === 'void' && this._peek(1)?.val === ')') {
+      this.pos += 2;
+      return funcType(returnType, []);
+    }
+
+    const params = [];
+    let isVariadic = false;
+    while (!this._match(')')) {
+      if (params.length) this._expect(',');
+      if (this._match('...')) {
+        isVariadic = true;
+        this._expect(')');
+        break;
+      }
+      let { ty, nameTok } = this._declarator(this._declspec());
+      // Array and function parameters decay to pointers
+      if (ty.kind === 'array') ty = pointerTo(ty.base);
+      if (ty.kind === 'func') ty = pointerTo(ty);
+      if (isAggregate(ty)) throw this._error(nameTok, `Passing '${typeName(ty)}' by value is not supported; pass a pointer instead`);
+      params.push({ name: nameTok?.val ?? null, ty, tok: nameTok });
+    }
+    return funcType(returnType, params, isVariadic);
+  }
+
+  // function = declspec declarator ("{" stmt* "}" | ";")
+  // Called once the declarator has turned out to be a function type.
+  // Returns null for prototypes, which only declare the name.
+  _function(ty, nameTok, attr, startTok) {
+    const name = nameTok.val;
+    this._functions.set(name, ty);
+    if (this._match(';')) return null;
+
+    // Fresh frame: parameters are the outermost scope of the body
+    this._locals = [];
+    this._scopes.push(this._newScope());
+    this._stackOffset = 0;
+    this._currentFn = { name, ty };
+    this._labels = new Set();
+    this._gotos = [];
+    this._breakLabel = this._continueLabel = this._switch = null;
+
+    const params = ty.params.map((param, i) => {
+      if (!param.name) throw this._error(nameTok, `Parameter ${i + 1} of '${name}' has no name`);
+      return this._declareLocal(param.name, param.ty, param.tok);
+    });
+
+    // Stack-passed parameters already live above the return address
+    classifyArgs(ty.params.map(param => irType(param.ty))).forEach((loc, i) => {
+      if (loc.stack !== undefined) params[i].offset = 16 + 8 * loc.stack;
+    });
+
+    // Variadic functions spill their argument registers into __va_area__,
+    // which <stdarg.h>'s va_start copies from (see codegen.js)
+    const vaArea = ty.isVariadic ? this._declareLocal('__va_area__', arrayOf(TY_CHAR, 24 + REG_SAVE_AREA)) : null;
+
+    this._expect('{');
+    const stmts = this._blockBody();
+
+    // The body parsed, so report each missing label and carry on
+    const missing = new Map(this._gotos.filter(tok => !this._labels.has(tok.val)).map(tok => [tok.val, tok]));
+    for (const tok of missing.values()) this._recover(this._error(tok, `Label '${tok.val}' used but not defined`));
+    this._scopes.pop();
+
+    return {
+      type: 'function',
+      name,
+      ty,
+      params,
+      locals: this._locals,
+      vaArea,
+      body: { type: 'block', stmts, line: startTok.line, col: startTok.col },
+      stackSize: alignTo(this._stackOffset, 16),
+      isStatic: Boolean(attr.isStatic),
+      line: startTok.line,
+      col: startTok.col,
+      file: startTok.file,
+    };
+  }
+
+  // global-variable = declarator ("=" initializer)? ("," declarator ("=" initializer)?)* ";"
+  // The first declarator has already been parsed by the caller.
+  _globalVariable(baseTy, ty, nameTok, attr) {
+    for (;;) {
+      if (ty.kind === 'void') throw this._error(nameTok, `Variable '${nameTok.val}' declared void`);
+      let init = null;
+      if (this._match('=')) {
+        // The name is in scope from the end of its declarator, so the
+        // initializer may take its address (`struct node head = { &head };`).
+        // Declaring it extern first binds it without defining it yet.
+        this._declareGlobal(nameTok, ty, { ...attr, isExtern: true }, null);
+        init = this._initializer(ty);
+      }
+      this._declareGlobal(nameTok, init ? init.ty : ty, attr, init);
+      if (!this._match(',')) break;
+      ({ ty, nameTok } = this._declarator(baseTy));
+      if (!nameTok) throw this._error(null, `Expected identifier ${this._where()}`);
+    }
+    this._expect(';');
+  }
+
+  // Declarations of the same name at file scope refer to one object. Only
+  // one of them may have an initializer; `extern` ones don't define it.
+  _declareGlobal(nameTok, ty, attr, init) {
+    const name = nameTok.val;
+    if (this._functions.has(name)) throw this._error(nameTok, `'${name}' redeclared as a different kind of symbol`);
+    let obj = this._scopes[0].vars.get(name)?.obj;
+    if (obj) {
+      if (obj.ty.kind === 'array' && obj.ty.len < 0) obj.ty = ty;
+      if (typeName(obj.ty) !== typeName(ty) && !(ty.kind === 'array' && ty.len < 0)) {
+        throw this._error(nameTok, `Conflicting types for '${name}'`);
+      }
+      if (init && obj.init) throw this._error(nameTok, `Redefinition of '${name}'`);
+    } else {
+      obj = { name, ty, isGlobal: true, label: name, isStatic: Boolean(attr.isStatic), isDefinition: false, init: null };
+      this._globals.push(obj);
+      this._scopes[0].vars.set(name, { obj });
+    }
+    if (!attr.isExtern || init) obj.isDefinition = true;
+    if (init) Object.assign(obj, { init: this._globalData(init), file: nameTok.file ?? this._path, line: nameTok.line, col: nameTok.col });
+    if (obj.isDefinition && obj.ty.size < 0) throw this._error(nameTok, `Variable '${name}' has incomplete type '${typeName(obj.ty)}'`);
+    return obj;
+  }
+
+  // A static local is a global with a unique name, visible only in its
+  // block. Its initializer, if any, follows and can already refer to it.
+  _declareStaticLocal(nameTok, ty) {
+    const obj = {
+      name: nameTok.val, ty, isGlobal: true, label: `${nameTok.val}.${this.labelId++}`,
+      isStatic: true, isDefinition: true, init: null,
+    };
+    this._scope().vars.set(obj.name, { obj });
+    if (this._match('=')) {
+      const init = this._initializer(ty);
+      obj.ty = init.ty;
+      obj.init = this._globalData(init);
+    }
+    if (obj.ty.kind === 'array' && obj.ty.len < 0) throw this._error(nameTok, `Array size missing for '${obj.name}'`);
+    if (obj.ty.size < 0) throw this._error(nameTok, `Variable '${obj.name}' has incomplete type '${typeName(obj.ty)}'`);
+    this._globals.push(obj);
+    return obj;
+  }
+
+  // Evaluate an initializer tree at compile time into the object's bytes.
+  // Pointer-sized leaves may refer to another global: those become relocations.
+  _globalData(init) {
+    const bytes = new Uint8Array(init.ty.size);
+    const relocs = []; // [{ offset, label, addend }]
+    const write = (node, offset) => {
+      if (node.children) {
+        node.children.forEach((child, i) => {
+          write(child, offset + (isAggregate(node.ty) ? node.ty.members[i].offset : i * node.ty.base.size));
+        });
+        return;
+      }
+      const box = { label: null };
+      const val = this._eval(this._cast(node.expr, node.ty), box);
+      if (box.label) {
+        if (node.ty.size !== 8) throw this._error(node.expr, 'Initializer element is not a compile-time constant');
+        relocs.push({ offset, label: box.label, addend: val });
+        return;
+      }
+      if (isFlonum(node.ty)) {
+        const view = new DataView(bytes.buffer);
+        if (node.ty.kind === 'float') view.setFloat32(offset, val, true);
+        else view.setFloat64(offset, val, true);
+        return;
+      }
+      let v = BigInt.asUintN(node.ty.size * 8, BigInt(val));
+      for (let i = 0; i < node.ty.size; i++, v >>= 8n) bytes[offset + i] = Number(v & 0xffn);
+    };
+    write(init, 0);
+    return { bytes, relocs };
+  }
+
+  // Allocate a stack slot in the current function and bind it in the
+  // innermost scope. Shadowing an outer name creates a new slot.
+  _declareLocal(name, ty, at = null) {
+    const local = this._bindLocal(name, ty);
+    this._allocLocal(local, at);
+    return local;
+  }
+
+  // Bind a local that gets its slot later, once its type is complete
+  _bindLocal(name, ty) {
+    const local = { name, ty, offset: 0 };
+    // Compiler temporaries have no name and are not visible to lookups
+    if (name) this._scope().vars.set(name, { obj: local });
+    return local;
+  }
+
+  _allocLocal(local, at) {
+    const { name, ty } = local;
+    if (ty.kind === 'array' && ty.len < 0) throw this._error(at, `Array size missing for '${name}'`);
+    if (ty.size < 0) throw this._error(at, `Variable '${name}' has incomplete type '${typeName(ty)}'`);
+    this._stackOffset = alignTo(this._stackOffset + ty.size, ty.align);
+    local.offset = -this._stackOffset;
+    this._locals.push(local);
+  }
+
+  /* ── Scopes ── */
+
+  // Ordinary identifiers (variables, typedefs, enum constants) and tags
+  // live in separate namespaces, as in C.
+  _newScope() { return { vars: new Map(), tags: new Map() }; }
+  _scope() { return this._scopes[this._scopes.length - 1]; }
+
+  // → { obj } | { typedef } | { enumVal, enumTy } | null, where obj is a
+  // local ({ offset }) or a global ({ isGlobal, label }) variable
+  _findVar(name) {
+    for (let i = this._scopes.length - 1; i >= 0; i--) {
+      const entry = this._scopes[i].vars.get(name);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  _findTag(name) {
+    for (let i = this._scopes.length - 1; i >= 0; i--) {
+      const ty = this._scopes[i].tags.get(name);
+      if (ty) return ty;
     }
+    return null;
+  }
+
+  _stmt() {
+    const startTok = this._peek();
 
     if (this._match('if')) {
       this._expect('(');
@@ -168,311 +829,837 @@ export class Chibicc {
       if (this._match('else')) els = this._stmt();
       return { type: 'if', cond, then, els, line: startTok.line, col: startTok.col };
     }
-    
+
+    if (this._match('for')) {
+      this._expect('(');
+      this._scopes.push(this._newScope());
+      const init = this._isTypename() ? this._declaration() : this._exprStmt();
+      const cond = this._peek()?.val === ';' ? null : this._expr();
+      this._expect(';');
+      const inc = this._peek()?.val === ')' ? null : this._expr();
+      this._expect(')');
+      const node = this._loop({ type: 'for', init, cond, inc, line: startTok.line, col: startTok.col });
+      this._scopes.pop();
+      return node;
+    }
+
+    // while (cond) body is a `for` without init and increment
     if (this._match('while')) {
       this._expect('(');
       const cond = this._expr();
       this._expect(')');
-      const body = this._stmt();
-      return { type: 'while', cond, body, line: startTok.line, col: startTok.col };
+      return this._loop({ type: 'for', init: null, cond, inc: null, line: startTok.line, col: startTok.col });
     }
 
-    if (this._match('{')) {
-      const stmts = [];
-      while (!this._match('}')) stmts.push(this._stmt());
-      return { type: 'block', stmts, line: startTok.line, col: startTok.col };
+    if (this._match('do')) {
+      const node = this._loop({ type: 'do', line: startTok.line, col: startTok.col });
+      this._expect('while');
+      this._expect('(');
+      node.cond = this._expr();
+      this._expect(')');
+      this._expect(';');
+      return node;
+    }
+
+    if (this._match('switch')) {
+      this._expect('(');
+      const cond = this._expr();
+      this._expect(')');
+      if (!isInteger(cond.ty)) throw this._error(startTok, 'Switch quantity is not an integer');
+
+      const node = { type: 'switch', cond, cases: [], defaultLabel: null, line: startTok.line, col: startTok.col };
+      const outer = { sw: this._switch, brk: this._breakLabel };
+      this._switch = node;
+      this._breakLabel = node.brk = `.L.break.${this.labelId++}`;
+      node.body = this._stmt();
+      this._switch = outer.sw;
+      this._breakLabel = outer.brk;
+      return node;
+    }
+
+    if (this._match('case')) {
+      if (!this._switch) throw this._error(startTok, `'case' outside of a switch`);
+      const val = this._constExpr();
+      this._expect(':');
+      if (this._switch.cases.some(c => c.val === val)) throw this._error(startTok, `Duplicate case value ${val}`);
+      const label = `.L.case.${this.labelId++}`;
+      this._switch.cases.push({ val, label });
+      return { type: 'label', label, body: this._stmt(), line: startTok.line, col: startTok.col };
+    }
+
+    if (this._match('default')) {
+      if (!this._switch) throw this._error(startTok, `'default' outside of a switch`);
+      if (this._switch.defaultLabel) throw this._error(startTok, 'Multiple default labels in one switch');
+      this._expect(':');
+      const label = this._switch.defaultLabel = `.L.default.${this.labelId++}`;
+      return { type: 'label', label, body: this._stmt(), line: startTok.line, col: startTok.col };
+    }
+
+    if (this._match('break')) {
+      if (!this._breakLabel) throw this._error(startTok, `'break' outside of a loop or switch`);
+      this._expect(';');
+      return { type: 'goto', label: this._breakLabel, line: startTok.line, col: startTok.col };
+    }
+
+    if (this._match('continue')) {
+      if (!this._continueLabel) throw this._error(startTok, `'continue' outside of a loop`);
+      this._expect(';');
+      return { type: 'goto', label: this._continueLabel, line: startTok.line, col: startTok.col };
     }
 
-    // Type declarations (minimal: int x = 5;)
-    if (this._match('int')) {
-      // Skip optional * for pointers (minimal support)
-      while(this._match('*'));
+    if (this._match('goto')) {
       const nameTok = this._expect('ident');
-      const name = nameTok.val;
-      if (!this.locals.has(name)) {
-        this.stackOffset += 8;
-        this.locals.set(name, -this.stackOffset);
-      }
-      if (this._match('=')) {
-        const val = this._expr();
-        this._expect(';');
-        return { type: 'assign', name, val, line: startTok.line, col: startTok.col };
-      }
       this._expect(';');
-      return { type: 'nop', line: startTok.line, col: startTok.col };
+      this._gotos.push(nameTok);
+      return { type: 'goto', label: this._userLabel(nameTok.val), line: startTok.line, col: startTok.col };
+    }
+
+    if (startTok?.type === 'ident' && this._peek(1)?.val === ':') {
+      this.pos += 2;
+      if (this._labels.has(startTok.val)) throw this._error(startTok, `Duplicate label '${startTok.val}'`);
+      this._labels.add(startTok.val);
+      return { type: 'label', label: this._userLabel(startTok.val), body: this._stmt(), line: startTok.line, col: startTok.col };
+    }
+
+    if (this._match('{')) {
+      this._scopes.push(this._newScope());
+      const stmts = this._blockBody();
+      this._scopes.pop();
+      return { type: 'block', stmts, line: startTok.line, col: startTok.col };
     }
 
+    if (this._isTypename()) return this._declaration();
+
     if (this._match('return')) {
-      const val = this._expr();
+      if (this._match(';')) return { type: 'return', val: null, line: startTok.line, col: startTok.col };
+      const val = this._cast(this._expr(), this._currentFn.ty.returnType);
       this._expect(';');
       return { type: 'return', val, line: startTok.line, col: startTok.col };
     }
 
-    const e = this._expr();
+    return this._exprStmt();
+  }
+
+  // expr-stmt = expr? ";"
+  _exprStmt() {
+    const startTok = this._peek();
+    if (this._match(';')) return { type: 'nop', line: startTok.line, col: startTok.col };
+
+    const expr = this._expr();
+    this._expect(';');
+    return { type: 'expr', expr, line: startTok.line, col: startTok.col };
+  }
+
+  // Parse a loop body with fresh break/continue targets
+  _loop(node) {
+    const outer = { brk: this._breakLabel, cont: this._continueLabel };
+    const id = this.labelId++;
+    this._breakLabel = node.brk = `.L.break.${id}`;
+    this._continueLabel = node.cont = `.L.continue.${id}`;
+    node.body = this._stmt();
+    this._breakLabel = outer.brk;
+    this._continueLabel = outer.cont;
+    return node;
+  }
+
+  // goto labels are function-scoped
+  _userLabel(name) {
+    return `.L.label.${this._currentFn.name}.${name}`;
+  }
+
+  // declaration = declspec (declarator ("=" initializer)?) ("," ...)* ";"
+  _declaration() {
+    const startTok = this._peek();
+    const attr = {};
+    const baseTy = this._declspec(attr);
+    if (attr.isTypedef) {
+      this._typedef(baseTy);
+      return { type: 'nop', line: startTok.line, col: startTok.col };
+    }
+    // `struct tag { ... };` declares only the type
+    if (this._match(';')) return { type: 'nop', line: startTok.line, col: startTok.col };
+    const stmts = [];
+
+    do {
+      const { ty, nameTok } = this._declarator(baseTy);
+      if (!nameTok) throw this._error(startTok, 'Expected variable name');
+      if (ty.kind === 'void') throw this._error(nameTok, `Variable '${nameTok.val}' declared void`);
+      const at = { line: nameTok.line, col: nameTok.col };
+
+      if (attr.isStatic) {
+        this._declareStaticLocal(nameTok, ty);
+        continue;
+      }
+      // A block-scope extern refers to the file-scope object
+      if (attr.isExtern) {
+        const obj = this._declareGlobal(nameTok, ty, attr, null);
+        this._scope().vars.set(nameTok.val, { obj });
+        continue;
+      }
+
+      if (!this._match('=')) {
+        this._declareLocal(nameTok.val, ty, nameTok);
+        continue;
+      }
+
+      // The name is in scope from the end of its declarator, so the
+      // initializer may use it (`void *p = &p;`). `int a[] = {…}` gets its
+      // slot once the initializer has set its length.
+      const unsized = ty.kind === 'array' && ty.len < 0;
+      const local = unsized ? this._bindLocal(nameTok.val, ty) : this._declareLocal(nameTok.val, ty, nameTok);
+      const init = this._initializer(ty);
+      if (unsized) {
+        local.ty = init.ty;
+        this._allocLocal(local, nameTok);
+      }
+      const target = addType({ type: 'var', name: nameTok.val, obj: local, ...at });
+      if (init.children) stmts.push({ type: 'memzero', local, ...at });
+      this._initStmts(init, target, stmts);
+    } while (this._match(','));
     this._expect(';');
-    return e;
+
+    if (!stmts.length) return { type: 'nop', line: startTok.line, col: startTok.col };
+    return { type: 'block', stmts, line: startTok.line, col: startTok.col };
+  }
+
+  // initializer = string-literal | "{" initializer ("," initializer)* ","? "}" | assign
+  // Returns a tree of { ty, expr } leaves and { ty, children } arrays and
+  // structs. A union initializer sets its first member.
+  _initializer(ty) {
+    if (ty.kind === 'array') {
+      if (this._peek()?.type === 'str' && ty.base.kind === 'char') {
+        const bytes = this._stringLiteral() + '\0';
+        const len = ty.len < 0 ? bytes.length : ty.len;
+        const children = [...bytes.slice(0, len)].map(ch => ({
+          ty: ty.base,
+          expr: addType({ type: 'num', val: ch.charCodeAt(0) << 24 >> 24 }),
+        }));
+        return { ty: arrayOf(ty.base, len), children };
+      }
+
+      this._expect('{');
+      const children = [];
+      while (!this._match('}')) {
+        if (children.length) {
+          this._expect(',');
+          if (this._match('}')) break;
+        }
+        children.push(this._initializer(ty.base));
+      }
+      const len = ty.len < 0 ? children.length : ty.len;
+      return { ty: arrayOf(ty.base, len), children: children.slice(0, len) };
+    }
+
+    // A struct can also be initialised from another struct value
+    if (isAggregate(ty) && this._match('{')) {
+      const limit = ty.kind === 'union' ? Math.min(1, ty.members.length) : ty.members.length;
+      const children = [];
+      while (!this._match('}')) {
+        if (children.length) {
+          this._expect(',');
+          if (this._match('}')) break;
+        }
+        if (children.length >= limit) throw this._error(this._peek(), `Excess elements in ${ty.kind} initializer`);
+        children.push(this._initializer(ty.members[children.length].ty));
+      }
+      return { ty, children };
+    }
+
+    if (this._match('{')) {
+      const init = { ty, expr: this._assign() };
+      this._match(',');
+      this._expect('}');
+      return init;
+    }
+    return { ty, expr: this._assign() };
   }
 
-  _expr() { return this._assign(); }
+  _initStmts(init, target, out) {
+    if (init.children) {
+      init.children.forEach((child, i) => {
+        if (isAggregate(init.ty)) {
+          this._initStmts(child, this._member(target, init.ty.members[i]), out);
+          return;
+        }
+        const index = addType({ type: 'num', val: i, line: target.line, col: target.col });
+        const elem = this._deref(this._add(target, index));
+        this._initStmts(child, elem, out);
+      });
+      return;
+    }
+    const expr = this._assignTo(target, init.expr);
+    out.push({ type: 'expr', expr, line: target.line, col: target.col });
+  }
 
+  // expr = assign ("," expr)?
+  _expr() {
+    const node = this._assign();
+    if (!this._match(',')) return node;
+    const right = this._expr();
+    return addType({ type: 'comma', left: node, right, line: node.line, col: node.col });
+  }
+
+  // assign = conditional (assign-op assign)?
+  // assign-op = "=" | "+=" | "-=" | "*=" | "/=" | "%=" | "&=" | "|=" | "^=" | "<<=" | ">>="
   _assign() {
-    const startTok = this._peek();
-    let node = this._equality();
-    if (this._match('=')) {
-      if (node.type !== 'var') throw new Error('Left side of assignment must be a variable');
-      node = { type: 'assign', name: node.name, val: this._assign(), line: startTok.line, col: startTok.col };
+    const node = this._conditional();
+    if (this._match('=')) return this._assignTo(node, this._assign());
+    const tok = this._peek();
+    if (tok?.type === 'punct' && COMPOUND_ASSIGN.has(tok.val)) {
+      this._consume();
+      return this._compoundAssign(tok.val.slice(0, -1), node, this._assign());
+    }
+    return node;
+  }
+
+  _assignTo(target, val) {
+    this._checkLvalue(target);
+    if (isAggregate(target.ty) && val.ty !== target.ty) {
+      throw this._error(target, `Incompatible types when assigning to '${typeName(target.ty)}'`);
     }
+    return addType({ type: 'assign', target, val: this._cast(val, target.ty), line: target.line, col: target.col });
+  }
+
+  _checkLvalue(node) {
+    if (node.type !== 'var' && node.type !== 'deref' && node.type !== 'member') {
+      throw this._error(node, 'Left side of assignment must be an lvalue');
+    }
+  }
+
+  // `A op= B` evaluates A once: it becomes `tmp = &A, *tmp = *tmp op B`.
+  // Plain variables have no side effects and skip the temporary.
+  _compoundAssign(op, target, val) {
+    this._checkLvalue(target);
+    if (target.type === 'var') return this._assignTo(target, this._arith(op, target, val));
+
+    const at = { line: target.line, col: target.col };
+    const tmp = this._declareLocal(null, pointerTo(target.ty));
+    const tmpVar = () => addType({ type: 'var', name: '', obj: tmp, ...at });
+    const addr = this._assignTo(tmpVar(), addType({ type: 'addr', operand: target, ...at }));
+    const update = this._assignTo(this._deref(tmpVar()), this._arith(op, this._deref(tmpVar()), val));
+    return addType({ type: 'comma', left: addr, right: update, ...at });
+  }
+
+  // `A++` is `(A += 1) - 1`, converted back to the type of A
+  _postIncDec(node, delta) {
+    const one = addType({ type: 'num', val: 1, line: node.line, col: node.col });
+    const updated = this._compoundAssign(delta > 0 ? '+' : '-', node, one);
+    return this._cast(delta > 0 ? this._sub(updated, one) : this._add(updated, one), node.ty);
+  }
+
+  _arith(op, left, right) {
+    switch (op) {
+      case '+': return this._add(left, right);
+      case '-': return this._sub(left, right);
+      case '<<': case '>>': return this._shift(op, left, right);
+      default: return this._binary(op, left, right);
+    }
+  }
+
+  // Array sizes and case labels must be compile-time constants
+  _constExpr() {
+    return this._eval(this._conditional());
+  }
+
+  // Constant expressions may also be the address of a global plus an
+  // offset, as in `int *p = &arr[2];`. Such a result is only accepted when
+  // the caller passes `box`: the label goes into box.label and the
+  // offset is returned.
+  _eval(node, box = null) {
+    switch (node.type) {
+      case 'num': return node.val;
+      case 'cast': {
+        const val = this._eval(node.expr, box);
+        if (node.ty.kind === 'float') return Math.fround(Number(val));
+        if (node.ty.kind === 'double') return Number(val);
+        if (box?.label || !isInteger(node.ty)) return val;
+        // Floating to integer conversion truncates toward zero
+        return this._wrap(isFlonum(node.expr.ty) ? Math.trunc(val) : val, node.ty);
+      }
+      case 'comma': return this._eval(node.right, box);
+      case 'addr': return this._evalAddress(node.operand, box);
+      case 'funcaddr':
+        if (!box) break;
+        box.label = node.name;
+        return 0;
+      case 'member':
+        // An array member decays to its address
+        if (node.ty.kind !== 'array') break;
+        return this._evalAddress(node, box);
+      case 'var':
+      case 'str':
+        if (node.ty.kind !== 'array') break;
+        return this._evalAddress(node, box);
+      case 'not': return Number(this._eval(node.operand) === 0);
+      case 'bitnot': return this._wrap(~BigInt(this._eval(node.operand)), node.ty);
+      case 'logand': return Number(this._eval(node.left) !== 0 && this._eval(node.right) !== 0);
+      case 'logor': return Number(this._eval(node.left) !== 0 || this._eval(node.right) !== 0);
+      case 'cond': return this._eval(node.cond) !== 0 ? this._eval(node.then) : this._eval(node.els);
+      case 'binary': {
+        // Only the left operand of + and - can be an address (see _add)
+        const l = this._eval(node.left, node.op === '+' || node.op === '-' ? box : null);
+        const r = this._eval(node.right);
+        if ((node.op === '/' || node.op === '%') && r === 0 && !isFlonum(node.ty)) break;
+        // Integer arithmetic is exact and wraps around like the CPU's;
+        // an address keeps its raw offset
+        const exact = op => {
+          const val = op(BigInt(l), BigInt(r));
+          return box?.label ? intConst(val) : this._wrap(val, node.ty);
+        };
+        if (isFlonum(node.ty)) {
+          const round = node.ty.kind === 'float' ? Math.fround : x => x;
+          switch (node.op) {
+            case '+': return round(l + r);
+            case '-': return round(l - r);
+            case '*': return round(l * r);
+            case '/': return round(l / r);
+          }
+        }
+        switch (node.op) {
+          case '+': return exact((a, b) => a + b);
+          case '-': return exact((a, b) => a - b);
+          case '*': return exact((a, b) => a * b);
+          case '/': return exact((a, b) => a / b);
+          case '%': return exact((a, b) => a % b);
+          case '&': return this._wrap(BigInt(l) & BigInt(r), node.ty);
+          case '|': return this._wrap(BigInt(l) | BigInt(r), node.ty);
+          case '^': return this._wrap(BigInt(l) ^ BigInt(r), node.ty);
+          case '<<': return this._wrap(BigInt(l) << BigInt(r), node.ty);
+          case '>>': return intConst(BigInt(l) >> BigInt(r));
+          case '==': return Number(l === r);
+          case '!=': return Number(l !== r);
+          case '<': return Number(l < r);
+          case '<=': return Number(l <= r);
+          case '>': return Number(l > r);
+          case '>=': return Number(l >= r);
+        }
+      }
+    }
+    throw this._error(node, 'Not a compile-time constant');
+  }
+
+  // Truncate a constant (Number or BigInt) to an integer type's width and signedness
+  _wrap(val, ty) {
+    const bits = BigInt(val);
+    return intConst(ty.isUnsigned ? BigInt.asUintN(ty.size * 8, bits) : BigInt.asIntN(ty.size * 8, bits));
+  }
+
+  _evalAddress(node, box) {
+    switch (node.type) {
+      case 'var':
+        if (!node.obj.isGlobal || !box) break;
+        box.label = node.obj.label;
+        return 0;
+      case 'str':
+        if (!box) break;
+        box.label = node.label;
+        return 0;
+      case 'deref':
+        return this._eval(node.operand, box);
+      case 'member':
+        return this._evalAddress(node.operand, box) + node.member.offset;
+    }
+    throw this._error(node, 'Not a compile-time constant');
+  }
+
+  // conditional = logor ("?" expr ":" conditional)?
+  _conditional() {
+    const cond = this._logor();
+    if (!this._match('?')) return cond;
+    let then = this._expr();
+    this._expect(':');
+    let els = this._conditional();
+
+    let ty;
+    if (then.ty.kind === 'void' || els.ty.kind === 'void') {
+      ty = TY_VOID;
+    } else if (isNumeric(then.ty) && isNumeric(els.ty)) {
+      ty = commonType(then.ty, els.ty);
+      then = this._cast(then, ty);
+      els = this._cast(els, ty);
+    } else {
+      ty = then.ty.base ? pointerTo(then.ty.base) : then.ty;
+    }
+    return { type: 'cond', cond, then, els, ty, line: cond.line, col: cond.col };
+  }
+
+  _logor() {
+    let node = this._logand();
+    while (this._match('||')) {
+      node = addType({ type: 'logor', left: node, right: this._logand(), line: node.line, col: node.col });
+    }
+    return node;
+  }
+
+  _logand() {
+    let node = this._bitor();
+    while (this._match('&&')) {
+      node = addType({ type: 'logand', left: node, right: this._bitor(), line: node.line, col: node.col });
+    }
+    return node;
+  }
+
+  _bitor() {
+    let node = this._bitxor();
+    while (this._match('|')) node = this._binary('|', node, this._bitxor());
+    return node;
+  }
+
+  _bitxor() {
+    let node = this._bitand();
+    while (this._match('^')) node = this._binary('^', node, this._bitand());
+    return node;
+  }
+
+  _bitand() {
+    let node = this._equality();
+    while (this._match('&')) node = this._binary('&', node, this._equality());
     return node;
   }
 
   _equality() {
     let node = this._relational();
     for (;;) {
-      if (this._match('==')) node = { type: 'binary', op: '==', left: node, right: this._relational(), line: node.line, col: node.col };
-      else if (this._match('!=')) node = { type: 'binary', op: '!=', left: node, right: this._relational(), line: node.line, col: node.col };
+      if (this._match('==')) node = this._binary('==', node, this._relational());
+      else if (this._match('!=')) node = this._binary('!=', node, this._relational());
       else return node;
     }
   }
 
   _relational() {
-    let node = this._add();
+    let node = this._shiftExpr();
     for (;;) {
-      if (this._match('<')) node = { type: 'binary', op: '<', left: node, right: this._add(), line: node.line, col: node.col };
-      else if (this._match('>')) node = { type: 'binary', op: '>', left: node, right: this._add(), line: node.line, col: node.col };
-      else if (this._match('<=')) node = { type: 'binary', op: '<=', left: node, right: this._add(), line: node.line, col: node.col };
-      else if (this._match('>=')) node = { type: 'binary', op: '>=', left: node, right: this._add(), line: node.line, col: node.col };
+      if (this._match('<')) node = this._binary('<', node, this._shiftExpr());
+      else if (this._match('>')) node = this._binary('>', node, this._shiftExpr());
+      else if (this._match('<=')) node = this._binary('<=', node, this._shiftExpr());
+      else if (this._match('>=')) node = this._binary('>=', node, this._shiftExpr());
       else return node;
     }
   }
 
-  _add() {
+  _shiftExpr() {
+    let node = this._additive();
+    for (;;) {
+      if (this._match('<<')) node = this._shift('<<', node, this._additive());
+      else if (this._match('>>')) node = this._shift('>>', node, this._additive());
+      else return node;
+    }
+  }
+
+  _additive() {
     let node = this._mul();
     for (;;) {
-      if (this._match('+')) node = { type: 'binary', op: '+', left: node, right: this._mul(), line: node.line, col: node.col };
-      else if (this._match('-')) node = { type: 'binary', op: '-', left: node, right: this._mul(), line: node.line, col: node.col };
+      if (this._match('+')) node = this._add(node, this._mul());
+      else if (this._match('-')) node = this._sub(node, this._mul());
       else return node;
     }
   }
 
   _mul() {
-    let node = this._unary();
+    let node = this._castExpr();
     for (;;) {
-      if (this._match('*')) node = { type: 'binary', op: '*', left: node, right: this._unary(), line: node.line, col: node.col };
-      else if (this._match('/')) node = { type: 'binary', op: '/', left: node, right: this._unary(), line: node.line, col: node.col };
+      if (this._match('*')) node = this._binary('*', node, this._castExpr());
+      else if (this._match('/')) node = this._binary('/', node, this._castExpr());
+      else if (this._match('%')) node = this._binary('%', node, this._castExpr());
       else return node;
     }
   }
 
+  // Arithmetic/comparison node after the usual arithmetic conversions
+  _binary(op, left, right) {
+    const intOnly = INTEGER_OPS.has(op);
+    const flonum = isFlonum(left.ty) || isFlonum(right.ty);
+    const valid = ty => (intOnly ? isNumeric(ty) : isNumeric(ty) || ty.base);
+    if (!valid(left.ty) || !valid(right.ty) || flonum && (INTEGER_ONLY_OPS.has(op) || left.ty.base || right.ty.base)) {
+      throw this._error(left, `Invalid operands to '${op}'`);
+    }
+    const ty = commonType(left.ty, right.ty);
+    return addType({
+      type: 'binary', op,
+      left: this._cast(left, ty), right: this._cast(right, ty),
+      line: left.line, col: left.col,
+    });
+  }
+
+  // Shifts take the promoted type of the left operand only
+  _shift(op, left, right) {
+    if (!isInteger(left.ty) || !isInteger(right.ty)) throw this._error(left, `Invalid operands to '${op}'`);
+    const ty = commonType(left.ty, TY_INT);
+    return addType({
+      type: 'binary', op,
+      left: this._cast(left, ty), right: this._cast(right, TY_INT),
+      line: left.line, col: left.col,
+    });
+  }
+
+  // In C, `p + n` advances p by n elements, not n bytes
+  _add(left, right) {
+    if (isNumeric(left.ty) && isNumeric(right.ty)) return this._binary('+', left, right);
+    if (left.ty.base && right.ty.base) throw this._error(left, `Invalid operands to '+'`);
+    if (!left.ty.base) [left, right] = [right, left];
+
+    const size = addType({ type: 'num', val: left.ty.base.size, ty: TY_LONG, line: right.line, col: right.col });
+    return addType({
+      type: 'binary', op: '+',
+      left, right: this._binary('*', right, size),
+      ty: pointerTo(left.ty.base),
+      line: left.line, col: left.col,
+    });
+  }
+
+  _sub(left, right) {
+    if (isNumeric(left.ty) && isNumeric(right.ty)) return this._binary('-', left, right);
+
+    // ptr - int
+    if (left.ty.base && isInteger(right.ty)) {
+      const size = addType({ type: 'num', val: left.ty.base.size, ty: TY_LONG, line: right.line, col: right.col });
+      return addType({
+        type: 'binary', op: '-',
+        left, right: this._binary('*', right, size),
+        ty: pointerTo(left.ty.base),
+        line: left.line, col: left.col,
+      });
+    }
+
+    // ptr - ptr: number of elements between the two
+    if (left.ty.base && right.ty.base) {
+      const diff = addType({ type: 'binary', op: '-', left, right, ty: TY_LONG, line: left.line, col: left.col });
+      const size = addType({ type: 'num', val: left.ty.base.size, ty: TY_LONG, line: left.line, col: left.col });
+      return addType({ type: 'binary', op: '/', left: diff, right: size, ty: TY_LONG, line: left.line, col: left.col });
+    }
+
+    throw this._error(left, `Invalid operands to '-'`);
+  }
+
+  _typeId(ty) {
+    if (ty.kind === 'void') return 'void';
+    if (ty.kind === 'float') return 'f32';
+    if (ty.kind === 'double') return 'f64';
+    if (ty.base || isAggregate(ty)) return 'u64';
+    return `${ty.isUnsigned ? 'u' : 'i'}${ty.size * 8}`;
+  }
+
+  _cast(expr, ty) {
+    if (ty.kind === 'void' || expr.ty === ty) return expr;
+    this._checkConversion(expr, expr.ty, ty);
+    if (this._typeId(expr.ty) === this._typeId(ty)) return expr;
+    return { type: 'cast', expr, ty, line: expr.line, col: expr.col };
+  }
+
+  // Floating values only convert to and from arithmetic types
+  _checkConversion(at, from, to) {
+    if (to.kind === 'void') return;
+    if (isFlonum(to) && !isNumeric(from) || isFlonum(from) && !isNumeric(to)) {
+      throw this._error(at, `Cannot convert '${typeName(from)}' to '${typeName(to)}'`);
+    }
+  }
+
+  _deref(operand) {
+    return addType({ type: 'deref', operand, line: operand.line, col: operand.col });
+  }
+
+  // cast = "(" type-name ")" cast | unary
+  _castExpr() {
+    if (this._peek()?.val === '(' && this._isTypename(this._peek(1))) {
+      const startTok = this._consume();
+      const ty = this._typeName();
+      this._expect(')');
+      const expr = this._castExpr();
+      this._checkConversion(startTok, expr.ty, ty);
+      // Explicit casts always get a node so the expression takes on the new type
+      return { type: 'cast', expr, ty, line: startTok.line, col: startTok.col };
+    }
+    return this._unary();
+  }
+
+  _typeName() {
+    const { ty, nameTok } = this._declarator(this._declspec());
+    if (nameTok) throw this._error(nameTok, `Unexpected identifier '${nameTok.val}' in type name`);
+    return ty;
+  }
+
   _unary() {
     const startTok = this._peek();
-    if (this._match('+')) return this._primary();
-    if (this._match('-')) return { type: 'binary', op: '-', left: { type: 'num', val: 0, line: startTok.line, col: startTok.col }, right: this._primary(), line: startTok.line, col: startTok.col };
-    return this._primary();
+    const at = { line: startTok?.line, col: startTok?.col };
+    if (this._match('+')) return this._castExpr();
+    if (this._match('-')) {
+      const operand = this._castExpr();
+      // 0.0 - 0.0 is +0.0, so floating negation multiplies by -1 instead
+      if (isFlonum(operand.ty)) return this._binary('*', operand, { type: 'num', val: -1, ty: operand.ty, ...at });
+      const zero = addType({ type: 'num', val: 0, ...at });
+      return this._binary('-', zero, operand);
+    }
+    if (this._match('&')) {
+      const operand = this._castExpr();
+      // &f is the same pointer as f itself
+      if (operand.type === 'funcaddr') return operand;
+      if (operand.type !== 'var' && operand.type !== 'deref' && operand.type !== 'member' && operand.type !== 'str') {
+        throw this._error(at, 'Cannot take the address of an rvalue');
+      }
+      return addType({ type: 'addr', operand, ...at });
+    }
+    if (this._match('*')) return { ...this._deref(this._castExpr()), ...at };
+    if (this._match('!')) {
+      const operand = this._castExpr();
+      if (!isNumeric(operand.ty) && !operand.ty.base) throw this._error(at, `Invalid operand to '!'`);
+      return addType({ type: 'not', operand, ...at });
+    }
+    if (this._match('~')) {
+      const operand = this._castExpr();
+      if (!isInteger(operand.ty)) throw this._error(at, `Invalid operand to '~'`);
+      return addType({ type: 'bitnot', operand: this._cast(operand, commonType(operand.ty, TY_INT)), ...at });
+    }
+    // ++A is A += 1
+    if (this._match('++')) return this._compoundAssign('+', this._unary(), addType({ type: 'num', val: 1, ...at }));
+    if (this._match('--')) return this._compoundAssign('-', this._unary(), addType({ type: 'num', val: 1, ...at }));
+    if (this._match('sizeof')) {
+      let ty;
+      if (this._peek()?.val === '(' && this._isTypename(this._peek(1))) {
+        this._consume();
+        ty = this._typeName();
+        this._expect(')');
+      } else {
+        ty = this._unary().ty;
+      }
+      if (ty.kind === 'array' && ty.len < 0) throw this._error(at, 'sizeof applied to an incomplete type');
+      return { type: 'num', val: ty.size, ty: TY_LONG, ...at };
+    }
+    return this._postfix();
+  }
+
+  // postfix = primary ("[" expr "]" | "." ident | "->" ident | "++" | "--")*
+  _postfix() {
+    let node = this._primary();
+    for (;;) {
+      if (this._match('[')) {
+        const index = this._expr();
+        this._expect(']');
+        node = { ...this._deref(this._add(node, index)), line: node.line, col: node.col };
+      } else if (this._match('.')) {
+        node = this._structRef(node, this._expect('ident'));
+      } else if (this._match('->')) {
+        // x->y is (*x).y
+        node = this._structRef({ ...this._deref(node), line: node.line, col: node.col }, this._expect('ident'));
+      } else if (this._match('++')) {
+        node = this._postIncDec(node, 1);
+      } else if (this._match('--')) {
+        node = this._postIncDec(node, -1);
+      } else if (this._match('(')) {
+        node = this._callPointer(node);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  _structRef(node, nameTok) {
+    if (!isAggregate(node.ty)) throw this._error(nameTok, `Request for member '${nameTok.val}' in something not a struct or union`);
+    if (node.ty.size < 0) throw this._error(nameTok, `Invalid use of incomplete type '${typeName(node.ty)}'`);
+    const member = node.ty.members.find(m => m.name === nameTok.val);
+    if (!member) throw this._error(nameTok, `'${typeName(node.ty)}' has no member named '${nameTok.val}'`);
+    return this._member(node, member);
+  }
+
+  _member(operand, member) {
+    return addType({ type: 'member', operand, member, line: operand.line, col: operand.col });
+  }
+
+  // Adjacent string literals are concatenated, as in "foo" "bar"
+  _stringLiteral() {
+    let bytes = this._consume().str;
+    while (this._peek()?.type === 'str') bytes += this._consume().str;
+    return bytes;
   }
 
   _primary() {
-    const t = this._consume();
+    const t = this._peek();
+    if (!t) throw this._error(null, 'Expected expression at end of input');
+    if (t.type === 'str') {
+      const bytes = this._stringLiteral();
+      if (!this._strings.has(bytes)) this._strings.set(bytes, `.L.str.${this._strings.size}`);
+      return { type: 'str', label: this._strings.get(bytes), ty: arrayOf(TY_CHAR, bytes.length + 1), line: t.line, col: t.col };
+    }
+
+    this._consume();
     if (t.val === '(') {
       const node = this._expr();
       this._expect(')');
       return node;
     }
-    if (t.type === 'num') return { type: 'num', val: t.val, line: t.line, col: t.col };
-    if (t.type === 'str') return { type: 'str', val: t.val, line: t.line, col: t.col };
+    if (t.type === 'num') return { type: 'num', val: t.val, ty: this._numType(t), line: t.line, col: t.col };
     if (t.type === 'ident') {
-      // Function call?
-      if (this._match('(')) {
-        const args = [];
-        if (!this._match(')')) {
-          args.push(this._expr());
-          while (this._match(',')) args.push(this._expr());
-          this._expect(')');
-        }
-        return { type: 'call', name: t.val, args, line: t.line, col: t.col };
-      }
-      // Variable
-      return { type: 'var', name: t.val, line: t.line, col: t.col };
+      if (t.val === '__builtin_va_arg') return this._vaArg(t);
+      const entry = this._findVar(t.val);
+      // Function call? A variable of that name is a function pointer
+      // instead, which _postfix calls.
+      if (!entry?.obj && this._match('(')) return this._call(t);
+      // Variable or enum constant
+      if (entry?.enumTy) return { type: 'num', val: entry.enumVal, ty: TY_INT, line: t.line, col: t.col };
+      if (entry?.obj) return addType({ type: 'var', name: t.val, obj: entry.obj, line: t.line, col: t.col });
+      // A function name on its own decays to a pointer to the function
+      const fnTy = this._functions.get(t.val);
+      if (fnTy) return { type: 'funcaddr', name: t.val, ty: pointerTo(fnTy), line: t.line, col: t.col };
+      throw this._error(t, `Undefined variable '${t.val}'`);
     }
-    throw new Error(`Unexpected token: ${t.val}`);
+    throw this._error(t, `Expected expression before '${t.text}'`);
   }
 
-  /* ── Code Generator ───────────────────────────────────────────────────── */
+  // The type of an integer constant is the first of int, unsigned int, long
+  // and unsigned long that holds its value, narrowed by the U and L
+  // suffixes. Decimal constants without a U never become unsigned.
+  // Floating constants are double unless suffixed with f.
+  _numType(tok) {
+    const text = tok.text ?? '';
+    if (!/^\.?\d/.test(text)) return TY_INT; // character constant
+    if (!/^0[xX]/.test(text) && /[.eE]/.test(text)) return /[fF]$/.test(text) ? TY_FLOAT : TY_DOUBLE;
+    const l = /[lL]/.test(text);
+    const u = /[uU]/.test(text);
+    const decimal = /^[1-9]/.test(text);
+    if (!l && !u && tok.val <= 0x7fffffff) return TY_INT;
+    if (!l && (u || !decimal) && tok.val <= 0xffffffff) return TY_UINT;
+    if (!u && tok.val < 2 ** 63) return TY_LONG;
+    return TY_ULONG;
+  }
 
-  _gen(node) {
-    let asm = '';
-    switch (node.type) {
-      case 'num':
-        asm += `  pushq $${node.val}\n`;
-        break;
-      case 'str':
-        asm += `  leaq ${this._getStrLabel(node.val)}(%rip), %rax\n`;
-        asm += '  pushq %rax\n';
-        break;
-      case 'var':
-        asm += `  movq ${this.locals.get(node.name)}(%rbp), %rax\n`;
-        asm += '  pushq %rax\n';
-        break;
-      case 'assign':
-        asm += this._gen(node.val);
-        asm += '  popq %rax\n';
-        asm += `  movq %rax, ${this.locals.get(node.name)}(%rbp)\n`;
-        asm += '  pushq %rax\n';
-        break;
-      case 'binary':
-        asm += this._gen(node.left);
-        asm += this._gen(node.right);
-        asm += '  popq %rdi\n';
-        asm += '  popq %rax\n';
-        switch (node.op) {
-          case '+': asm += '  addq %rdi, %rax\n'; break;
-          case '-': asm += '  subq %rdi, %rax\n'; break;
-          case '*': asm += '  imulq %rdi, %rax\n'; break;
-          case '/': asm += '  cqo\n  idivq %rdi\n'; break;
-          case '==': {
-            const cid = this.labelId++;
-            asm += '  cmpq %rdi, %rax\n';
-            asm += `  je .L.cmp.true.${cid}\n`;
-            asm += '  movq $0, %rax\n';
-            asm += `  jmp .L.cmp.end.${cid}\n`;
-            asm += `.L.cmp.true.${cid}:\n`;
-            asm += '  movq $1, %rax\n';
-            asm += `.L.cmp.end.${cid}:\n`;
-            break;
-          }
-          case '!=': {
-            const cid = this.labelId++;
-            asm += '  cmpq %rdi, %rax\n';
-            asm += `  jne .L.cmp.true.${cid}\n`;
-            asm += '  movq $0, %rax\n';
-            asm += `  jmp .L.cmp.end.${cid}\n`;
-            asm += `.L.cmp.true.${cid}:\n`;
-            asm += '  movq $1, %rax\n';
-            asm += `.L.cmp.end.${cid}:\n`;
-            break;
-          }
-          case '<': {
-            const cid = this.labelId++;
-            asm += '  cmpq %rdi, %rax\n';
-            asm += `  jl .L.cmp.true.${cid}\n`;
-            asm += '  movq $0, %rax\n';
-            asm += `  jmp .L.cmp.end.${cid}\n`;
-            asm += `.L.cmp.true.${cid}:\n`;
-            asm += '  movq $1, %rax\n';
-            asm += `.L.cmp.end.${cid}:\n`;
-            break;
-          }
-          case '<=': {
-            const cid = this.labelId++;
-            asm += '  cmpq %rdi, %rax\n';
-            asm += `  jle .L.cmp.true.${cid}\n`;
-            asm += '  movq $0, %rax\n';
-            asm += `  jmp .L.cmp.end.${cid}\n`;
-            asm += `.L.cmp.true.${cid}:\n`;
-            asm += '  movq $1, %rax\n';
-            asm += `.L.cmp.end.${cid}:\n`;
-            break;
-          }
-          case '>': {
-            const cid = this.labelId++;
-            asm += '  cmpq %rdi, %rax\n';
-            asm += `  jg .L.cmp.true.${cid}\n`;
-            asm += '  movq $0, %rax\n';
-            asm += `  jmp .L.cmp.end.${cid}\n`;
-            asm += `.L.cmp.true.${cid}:\n`;
-            asm += '  movq $1, %rax\n';
-            asm += `.L.cmp.end.${cid}:\n`;
-            break;
-          }
-          case '>=': {
-            const cid = this.labelId++;
-            asm += '  cmpq %rdi, %rax\n';
-            asm += `  jge .L.cmp.true.${cid}\n`;
-            asm += '  movq $0, %rax\n';
-            asm += `  jmp .L.cmp.end.${cid}\n`;
-            asm += `.L.cmp.true.${cid}:\n`;
-            asm += '  movq $1, %rax\n';
-            asm += `.L.cmp.end.${cid}:\n`;
-            break;
-          }
-        }
-        asm += '  pushq %rax\n';
-        break;
-      case 'call':
-        // We only support up to 6 args in registers (SysV ABI)
-        const regs = ['%rdi', '%rsi', '%rdx', '%rcx', '%r8', '%r9'];
-        for (let i = 0; i < node.args.length; i++) {
-          asm += this._gen(node.args[i]);
-        }
-        for (let i = node.args.length - 1; i >= 0; i--) {
-          asm += `  popq ${regs[i]}\n`;
-        }
-        // Handle printf specially if it's the only one
-        if (node.name === 'printf') {
-           asm += '  xorq %rax, %rax\n';
-           asm += '  call __printf\n';
-        } else {
-           asm += `  call ${node.name}\n`;
-        }
-        asm += '  pushq %rax\n';
-        break;
-      case 'if':
-        const id = this.labelId++;
-        asm += this._gen(node.cond);
-        asm += '  popq %rax\n';
-        asm += '  cmpq $0, %rax\n';
-        asm += `  je .L.else.${id}\n`;
-        asm += this._gen(node.then);
-        asm += `  jmp .L.end.${id}\n`;
-        asm += `.L.else.${id}:\n`;
-        if (node.els) asm += this._gen(node.els);
-        asm += `.L.end.${id}:\n`;
-        break;
-      case 'while':
-        const wid = this.labelId++;
-        asm += `.L.begin.${wid}:\n`;
-        asm += this._gen(node.cond);
-        asm += '  popq %rax\n';
-        asm += '  cmpq $0, %rax\n';
-        asm += `  je .L.end.${wid}\n`;
-        asm += this._gen(node.body);
-        asm += `  jmp .L.begin.${wid}\n`;
-        asm += `.L.end.${wid}:\n`;
-        break;
-      case 'block':
-        for (const s of node.stmts) {
-          asm += this._gen(s);
-          if (s.type !== 'if' && s.type !== 'while' && s.type !== 'for' && s.type !== 'block' && s.type !== 'return' && s.type !== 'nop') {
-            asm += '  popq %rax\n';
-          }
-        }
-        break;
-      case 'return':
-        asm += this._gen(node.val);
-        asm += '  popq %rax\n';
-        asm += '  jmp .L.exit\n';
-        break;
-      case 'nop':
-        break;
-    }
-    return asm;
+  // __builtin_va_arg(ap, type), what <stdarg.h>'s va_arg expands to
+  _vaArg(tok) {
+    this._expect('(');
+    const ap = this._assign();
+    this._expect(',');
+    const ty = this._typeName();
+    this._expect(')');
+    if (!ap.ty.base) throw this._error(tok, 'va_arg expects a va_list');
+    if (isAggregate(ty)) throw this._error(tok, `va_arg of type '${typeName(ty)}' is not supported`);
+    return { type: 'va_arg', ap, ty, line: tok.line, col: tok.col };
   }
 
-  // Return the .data label for a quoted string literal (e.g. '"Hello\n"' → '.L.str.0')
-  // Uses the same stringMap built during compile() so IDs are always consistent.
-  _getStrLabel(val) {
-    return this._stringMap?.get(val) ?? '.L.str.0';
+  // Calls to undeclared functions are implicitly `int name()`
+  _call(nameTok) {
+    const fnTy = this._functions.get(nameTok.val) ?? funcType(TY_INT, [], true);
+    const args = this._callArgs(fnTy);
+    return { type: 'call', name: nameTok.val, args, ty: fnTy.returnType, line: nameTok.line, col: nameTok.col };
   }
 
-  // Emit a minimal __printf subroutine that implements printf via write syscalls.
-  // Supports: literal characters and the %d conversion specifier.
-  // Calling convention: %rdi = fmt (null-terminated), %rsi = first integer arg.
-  _printfStub() {
-    return `
-__printf:
-  movq $1000, %rax
-  syscall
-  xorq %rax, %rax
-  ret
-`;
+  // Call through a function pointer; fp(x) and (*fp)(x) mean the same
+  _callPointer(fn) {
+    if (fn.type === 'deref' && fn.ty.kind === 'func') fn = fn.operand;
+    if (fn.ty.base?.kind !== 'func') throw this._error(fn, 'Called object is not a function');
+    const fnTy = fn.ty.base;
+    const args = this._callArgs(fnTy);
+    return { type: 'call', fn, args, ty: fnTy.returnType, line: fn.line, col: fn.col };
+  }
+
+  _callArgs(fnTy) {
+    const args = [];
+    while (!this._match(')')) {
+      if (args.length) this._expect(',');
+      let arg = this._assign();
+      const param = fnTy.params[args.length];
+      if (param) arg = this._cast(arg, param.ty);
+      // Default argument promotion: a float passed through `...` becomes a double
+      else if (arg.ty.kind === 'float') arg = this._cast(arg, TY_DOUBLE);
+      args.push(arg);
+    }
+    return args;
   }
 }
@@ -2,31 +2,34 @@
  * Compiler — in-browser compilation pipeline
  *
  * Phase 2: GAS/AT&T x86-64 assembly → ELF via @defasm/core
- * Phase 3: C → ELF (cosmocc / TCC — future)
+ * Phase 3: C → ELF via Chibicc, linked against the bundled libc
  *
- * ELF builder layout (single PT_LOAD)
- * ─────────────────────────────────────
- *   Offset 0x000  64 bytes   ELF header
- *   Offset 0x040  56 bytes   PT_LOAD program header
- *   Offset 0x078  N  bytes   .text (code)
- *   Offset 0x078+N M bytes   .data (initialised data)
- *   [in memory only]         .bss  (zero-initialised data)
+ * Every source is assembled on its own into a relocatable object (see
+ * objfile.js); the Linker then combines the objects, pulling in libc
+ * members for undefined symbols. A C project compiles each file into such
+ * an object (compileObject) and links them together (link, or
+ * compileProject for both steps), along with any .o and .a files built
+ * elsewhere. See Linker.js for the executable's layout.
  *
- *   Virtual load base: 0x400000
- *   Entry point:       0x400000 + 0x78 + offset_of(_start_in_text)
+ * Objects compiled from C carry DWARF line and debug info (see dwarf.js);
+ * the source map of an executable is read back from its .debug_line.
  */
 
 import { AssemblyState } from '@defasm/core';
 import { Chibicc }      from './Chibicc.js';
-
-const BASE_VA   = 0x400000n;
-const ELF_HSIZ  = 64;
-const PHDR_SIZ  = 56;
-const HEADER_SZ = ELF_HSIZ + PHDR_SIZ; // 120 = 0x78
+import { WORKSPACE_DIR } from './Preprocessor.js';
+import { LIBC_DIR, LIBC_SOURCES } from './libc/sources.js';
+import { CompileError, diagnosticAtOffset } from './diagnostics.js';
+import { Linker } from './Linker.js';
+import { objectFromAssembly, definedSymbols, isArchive, readArchive, readObject } from './objfile.js';
+import { addDebugInfo, readLineTable } from './dwarf.js';
 
 export class Compiler {
   constructor() {
     this._chibicc = new Chibicc();
+    this.vfs = null; // VirtualFS used to resolve #include "..."
+    this._linker = new Linker();
+    this._libc = new Map(); // optLevel → assembled libc members, built on first use
   }
 
   /* ── Public API ──────────────────────────────────────────────────────── */
@@ -42,206 +45,210 @@ export class Compiler {
    *   - RIP-relative addressing (leaq msg(%rip), %rsi)
    *   - Symbol resolution and relocation patching
    *
+   * Symbols the source leaves undefined are linked in from the bundled
+   * libc (see libc/sources.js).
+   *
+   * Errors are thrown as a CompileError whose `diagnostics` lists every
+   * problem found (see diagnostics.js).
+   *
    * @param {string} source  GAS/AT&T assembly source
-   * @returns {Uint8Array}   ELF binary ready for execution
+   * @param {object} [opts]
+   * @param {string} [opts.path] VFS path of the source, for diagnostics
+   * @param {number} [opts.optLevel] which build of the libc to link (see compileC)
+   * @param {boolean} [opts.keepLocals] list .L labels in the ELF's symbol table
+   * @returns {object}       { elf: Uint8Array, state, diagnostics: [] }
    */
-  assembleGas(source) {
-    const state = new AssemblyState(); // default = AT&T syntax
-    state.compile(source);
-
-    if (state.errors.length) {
-      const msg = state.errors.map(e => e.message).join('\n');
-      throw new Error(msg);
-    }
-
-    const elf = this._buildElf(state);
-    return { elf, state };
+  assembleGas(source, { path = null, optLevel = 0, keepLocals = false } = {}) {
+    const state = this._assemble(source, path);
+    const { elf } = this.link([objectFromAssembly(state, path, { keepLocals })], { optLevel });
+    return { elf, state, diagnostics: [] };
   }
 
   /**
    * Phase 3: C → ELF via chibicc (minimal JS implementation)
    *
    * @param {string} source C source code
-   * @returns {Promise<object>} { elf: Uint8Array, sourceMap: Array }
+   * @param {object} [opts]
+   * @param {string} [opts.path] absolute VFS path of the source, e.g. /home/user/main.c
+   * @param {number} [opts.optLevel] 0, or 1 for -O1; the libc is linked
+   *   from a build at the same level
+   * @param {boolean} [opts.keepLocals] list local labels (.L.return.main,
+   *   …) in the ELF's symbol table, as well as functions and variables
+   * @returns {Promise<object>} { elf: Uint8Array, sourceMap: Array, diagnostics: Array, ast, ir, assembly }
+   *   diagnostics holds warnings; errors are thrown as a CompileError. ast
+   *   and ir are the source's syntax tree and three-address IR as JSON
+   *   (see ast.js and ir.js) and assembly the GAS text generated from the
+   *   IR, for inspection.
    */
-  async compileC(source) {
-    // Generate x86-64 assembly using chibicc
-    const { assembly, sourceMap: cSourceMap } = this._chibicc.compile(source);
-
-    // Assemble the generated assembly into an ELF
-    try {
-      const { elf, state } = this.assembleGas(assembly);
+  async compileC(source, { path = `${WORKSPACE_DIR}/main.c`, optLevel = 0, keepLocals = false } = {}) {
+    const { elf, sourceMap, diagnostics, units: [{ ast, ir, assembly }] } = await this.compileProject([{ path, source }], { optLevel, keepLocals });
+    return { elf, sourceMap, diagnostics, ast, ir, assembly };
+  }
 
-      // Now we map the C source map (asm lines) to ELF virtual addresses
-      // state.statements is an array of all assembly statements
-      const finalSourceMap = [];
-      const asmStrings = assembly.split('\n');
-      
-      // We'll create a mapping from line index in assembly (0-based) 
-      // to index in state.statements.
-      const lineToStmtIdx = new Array(asmStrings.length).fill(-1);
-      let stmtIdx = 0;
-      for (let i = 0; i < asmStrings.length; i++) {
-        const line = asmStrings[i].trim();
-        // Basic heuristic: if it's not a directive, label or empty, it's a statement
-        if (line && !line.startsWith('.') && !line.endsWith(':')) {
-           lineToStmtIdx[i] = stmtIdx++;
-        }
+  /**
+   * Compile several C files separately and link them into one program, the
+   * way `cc a.c b.c` does. Each file is its own translation unit; `extern`
+   * functions and variables resolve to whichever file defines them.
+   * Every file is compiled even after one fails, so that all errors are
+   * reported at once, each under its own file. Link errors (a symbol
+   * defined twice, or referenced but never defined) name the file and,
+   * where known, the line.
+   *
+   * Prebuilt ELF relocatable objects (.o) are linked in as they are, and
+   * static archives (.a) are searched for the members that define symbols
+   * still undefined, before the libc.
+   *
+   * @param {Array<{ path: string, source: string }>} files
+   * @param {object} [opts]
+   * @param {number} [opts.optLevel] as for compileC
+   * @param {boolean} [opts.keepLocals] as for compileC
+   * @param {Array<{ path: string, bytes: Uint8Array }>} [opts.binaries]
+   *   .o and .a files to link with the sources
+   * @returns {Promise<object>} { elf, sourceMap, diagnostics, units }, units
+   *   holding { path, ast, ir, assembly } for each file in order
+   */
+  async compileProject(files, { optLevel = 0, keepLocals = false, binaries = [] } = {}) {
+    const compiled = [];
+    const objects = [];
+    const archives = [];
+    const failures = [];
+    for (const { path, source } of files) {
+      try {
+        compiled.push(this.compileObject(source, { path, optLevel, keepLocals }));
+      } catch (err) {
+        if (!(err instanceof CompileError)) throw err;
+        failures.push(err);
       }
-      
-      if (state && state.statements) {
-        for (const entry of cSourceMap) {
-          // Find the statement at the corresponding asmLine
-          // entry.asmLine is a 1-based index in the assembly string
-          let asmIdx = entry.asmLine - 1;
-          
-          // If the exact line isn't a statement, look forward for the next one
-          while (asmIdx < asmStrings.length && lineToStmtIdx[asmIdx] === -1) {
-            asmIdx++;
-          }
-
-          if (asmIdx < asmStrings.length) {
-            const sIdx = lineToStmtIdx[asmIdx];
-            if (sIdx !== -1 && sIdx < state.statements.length) {
-              const stmt = state.statements[sIdx];
-              if (stmt) {
-                // Find virtual address of this statement
-                // textVA is BASE_VA + HEADER_SZ
-                const textVA = BASE_VA + BigInt(HEADER_SZ);
-                const va = textVA + BigInt(stmt.address);
-                finalSourceMap.push({
-                  va: '0x' + va.toString(16).padStart(16, '0'),
-                  line: entry.srcLine,
-                  col: entry.srcCol
-                });
-              }
-            }
-          }
-        }
+    }
+    for (const { path, bytes } of binaries) {
+      try {
+        if (isArchive(bytes)) archives.push(readArchive(bytes, path));
+        else objects.push(readObject(bytes, path));
+      } catch (err) {
+        if (!(err instanceof CompileError)) throw err;
+        failures.push(err);
       }
-      
-      return { elf, sourceMap: finalSourceMap };
-    } catch (err) {
-      throw err;
     }
-  }
 
-  /* ── ELF builder ─────────────────────────────────────────────────────── */
+    // Quote lines from any of the files, or from what they #include
+    const readSource = file => files.find(f => f.path === file)?.source
+      ?? failures.map(err => err.readSource?.(file)).find(text => text != null)
+      ?? null;
+    const diagnostics = compiled.flatMap(unit => unit.diagnostics);
+    if (failures.length) throw new CompileError([...diagnostics, ...failures.flatMap(err => err.diagnostics)], readSource);
 
-  _buildElf(state) {
-    // ── Collect section bytes (copy to mutable Uint8Arrays) ──────────────
-    const secMap = new Map();
-    for (const sec of state.sections) {
-      secMap.set(sec.name, new Uint8Array(sec.head.dump()));
+    let linked;
+    try {
+      linked = this.link([...compiled.map(unit => unit.object), ...objects], { optLevel, archives });
+    } catch (err) {
+      if (err instanceof CompileError) throw new CompileError(err.diagnostics, readSource);
+      throw err;
     }
+    const units = compiled.map(({ object, ast, ir, assembly }) => ({ path: object.path, ast, ir, assembly }));
+    return { elf: linked.elf, sourceMap: linked.sourceMap, diagnostics, units };
+  }
 
-    const textBytes = secMap.get('.text') ?? new Uint8Array(0);
-    const dataBytes = secMap.get('.data') ?? new Uint8Array(0);
-    const bssBytes  = secMap.get('.bss')  ?? new Uint8Array(0);
-
-    if (textBytes.length === 0) throw new Error('Assembly produced no .text section');
-
-    // ── Compute virtual addresses ─────────────────────────────────────────
-    const textVA = BASE_VA + BigInt(HEADER_SZ);
-    const dataVA = textVA  + BigInt(textBytes.length);
-    const bssVA  = dataVA  + BigInt(dataBytes.length);
-
-    const secVA = { '.text': textVA, '.data': dataVA, '.bss': bssVA };
-
-    // ── Apply relocations ─────────────────────────────────────────────────
-    // defasm emits relocations for cross-section symbol references.
-    // We patch the assembled bytes with the final virtual addresses.
-    const mutableSecs = { '.text': textBytes, '.data': dataBytes };
-
-    state.iterate(stmt => {
-      if (!stmt.relocations?.length) return;
-
-      const srcName = stmt.section?.name;
-      const srcBuf  = mutableSecs[srcName];
-      const srcVA   = secVA[srcName];
-      if (!srcBuf || !srcVA) return;
-
-      const dv = new DataView(srcBuf.buffer, srcBuf.byteOffset, srcBuf.byteLength);
-
-      for (const reloc of stmt.relocations) {
-        const tgtName = reloc.value?.section?.name;
-        const tgtVA   = secVA[tgtName];
-        if (tgtVA === undefined) continue;
-
-        const patchAt  = stmt.address + reloc.offset; // byte index in section
-        const patchSz  = reloc.size / 8;              // bytes (4 or 8)
-        // defasm addend encodes: symbol_offset_in_target - stmt.address_in_source
-        const addend   = Number(reloc.value.addend ?? 0);
-
-        let patch;
-        if (reloc.pcRelative) {
-          // RIP-relative displacement:
-          //   disp = target_addr - (next_insn_addr)
-          //        = (tgtVA + sym_offset) - (srcVA + stmt.address + reloc.offset + patchSz)
-          //        = addend + (tgtVA - srcVA) - (reloc.offset + patchSz)
-          const delta = Number(tgtVA - srcVA);
-          patch = addend + delta - (reloc.offset + patchSz);
-        } else {
-          // Absolute address:
-          //   value = tgtVA + sym_offset_in_target
-          //         = tgtVA + (addend + stmt.address)
-          patch = Number(tgtVA) + addend + stmt.address;
-        }
-
-        if (patchSz === 4) dv.setInt32(patchAt, patch, true);
-        else if (patchSz === 8) dv.setBigInt64(patchAt, BigInt(patch), true);
-      }
+  /**
+   * Compile one C file into a relocatable object for link() (see
+   * objfile.js), with a source map from the offset of each instruction
+   * to its line of the generated assembly and of the C file, and the
+   * DWARF sections built from it. writeObject turns it into
+   * a .o file.
+   *
+   * @param {string} source C source code
+   * @param {object} [opts]
+   * @param {string} [opts.path] absolute VFS path of the source
+   * @param {number} [opts.optLevel] as for compileC
+   * @param {boolean} [opts.keepLocals] as for compileC
+   * @returns {object} { object, diagnostics, ast, ir, assembly }
+   */
+  compileObject(source, { path = `${WORKSPACE_DIR}/main.c`, optLevel = 0, keepLocals = false } = {}) {
+    const { assembly, sourceMap: asmMap, diagnostics, ast, ir, debug } = this._chibicc.compile(source, {
+      path,
+      readFile: p => this._readText(p),
+      optLevel,
     });
+    const state = this._assemble(assembly);
+
+    // Chibicc marks the assembly line where the code of each C statement
+    // starts, and of a loop's condition and increment, which are emitted
+    // apart from their statement, and where the data of each initialized
+    // global starts, for link errors; defasm reports the line every statement
+    // it placed bytes for came from. Each such statement belongs to the
+    // last mark at or above its line, so every instruction of a function
+    // maps to its own assembly line and the C it was compiled from.
+    const statements = [];
+    state.iterate((stmt, line) => {
+      if (stmt.length > 0) statements.push({ stmt, line });
+    });
+    statements.sort((a, b) => a.line - b.line);
+    const sourceMap = [];
+    let mark = -1;
+    for (const { stmt, line } of statements) {
+      while (mark + 1 < asmMap.length && asmMap[mark + 1].asmLine <= line) mark++;
+      if (mark < 0) continue; // before the first mark: string literals
+      const { srcLine, srcCol } = asmMap[mark];
+      if (srcLine === null) continue;
+      sourceMap.push({ section: stmt.section.name, offset: stmt.address, size: stmt.length, asmLine: line, line: srcLine, col: srcCol });
+    }
 
-    // ── Entry point (_start offset in .text) ─────────────────────────────
-    const startSym    = state.symbols?.get('_start');
-    const startOffset = startSym?.statement?.address ?? 0;
-    const entryVA     = textVA + BigInt(startOffset);
-
-    // ── Assemble the ELF file buffer ──────────────────────────────────────
-    const fileSize = HEADER_SZ + textBytes.length + dataBytes.length;
-    const memSize  = fileSize  + bssBytes.length;
+    const object = objectFromAssembly(state, path, { keepLocals });
+    object.sourceMap = sourceMap;
+    addDebugInfo(object, { path, ...debug });
+    return { object, diagnostics, ast, ir, assembly };
+  }
 
-    const elf = new Uint8Array(fileSize);
-    const dv  = new DataView(elf.buffer);
+  /**
+   * Link relocatable objects (from compileObject or readObject) into an
+   * executable, adding the members of the bundled libc they need.
+   *
+   * @param {object[]} objects
+   * @param {object} [opts]
+   * @param {number} [opts.optLevel] which build of the libc to link
+   * @param {object[]} [opts.archives] archives from readArchive, searched
+   *   before the libc
+   * @returns {object} { elf: Uint8Array, sourceMap: [{ va, file, line, col }] },
+   *   the source map being the executable's DWARF line table
+   */
+  link(objects, { optLevel = 0, archives = [] } = {}) {
+    const { elf } = this._linker.link(objects, { archives: [...archives.map(a => a.members), this._libcMembers(optLevel)] });
+    return { elf, sourceMap: readLineTable(elf) };
+  }
 
-    // ELF header (64 bytes)
-    elf.set([0x7f, 0x45, 0x4c, 0x46]); // magic: \x7fELF
-    elf[4]  = 2;   // EI_CLASS   = ELFCLASS64
-    elf[5]  = 1;   // EI_DATA    = ELFDATA2LSB
-    elf[6]  = 1;   // EI_VERSION = EV_CURRENT
-    elf[7]  = 0;   // EI_OSABI   = ELFOSABI_NONE
-    // bytes 8-15: padding (zero)
-    dv.setUint16(16, 2,      true); // e_type     = ET_EXEC
-    dv.setUint16(18, 0x3e,   true); // e_machine  = EM_X86_64
-    dv.setUint32(20, 1,      true); // e_version  = EV_CURRENT
-    dv.setBigUint64(24, entryVA,         true); // e_entry
-    dv.setBigUint64(32, BigInt(ELF_HSIZ),true); // e_phoff (program headers at offset 64)
-    dv.setBigUint64(40, 0n,              true); // e_shoff = 0 (no section headers)
-    dv.setUint32(48, 0,           true); // e_flags
-    dv.setUint16(52, ELF_HSIZ,    true); // e_ehsize
-    dv.setUint16(54, PHDR_SIZ,    true); // e_phentsize
-    dv.setUint16(56, 1,           true); // e_phnum = 1
-    dv.setUint16(58, 64,          true); // e_shentsize
-    dv.setUint16(60, 0,           true); // e_shnum = 0
-    dv.setUint16(62, 0,           true); // e_shstrndx = SHN_UNDEF
+  _readText(path) {
+    const bytes = this.vfs?.readSync(path);
+    return bytes ? new TextDecoder().decode(bytes) : null;
+  }
 
-    // PT_LOAD program header (56 bytes at offset 64)
-    const p = ELF_HSIZ;
-    dv.setUint32(p,      1, true); // p_type  = PT_LOAD
-    dv.setUint32(p + 4,  7, true); // p_flags = PF_R|PF_W|PF_X
-    dv.setBigUint64(p + 8,  0n,              true); // p_offset
-    dv.setBigUint64(p + 16, BASE_VA,         true); // p_vaddr
-    dv.setBigUint64(p + 24, BASE_VA,         true); // p_paddr
-    dv.setBigUint64(p + 32, BigInt(fileSize),true); // p_filesz
-    dv.setBigUint64(p + 40, BigInt(memSize), true); // p_memsz
-    dv.setBigUint64(p + 48, 0x1000n,         true); // p_align = 4096
+  _assemble(source, file = null) {
+    const state = new AssemblyState(); // default = AT&T syntax
+    state.compile(source);
 
-    // Section data
-    elf.set(textBytes, HEADER_SZ);
-    elf.set(dataBytes, HEADER_SZ + textBytes.length);
+    if (state.errors.length) {
+      const diagnostics = state.errors.map(e => diagnosticAtOffset(source, e.range.start, e.range.end, e.message, file));
+      throw new CompileError(diagnostics, path => (path === file ? source : null));
+    }
+    return state;
+  }
 
-    return elf;
+  /* ── Bundled libc ────────────────────────────────────────────────────── */
+
+  // The libc as archive members ({ name, path, object, defines })
+  _libcMembers(optLevel = 0) {
+    if (this._libc.has(optLevel)) return this._libc.get(optLevel);
+    const readFile = path => (path.startsWith(LIBC_DIR + '/') ? LIBC_SOURCES[path.slice(LIBC_DIR.length + 1)] ?? null : null);
+    const members = [];
+    for (const [name, source] of Object.entries(LIBC_SOURCES)) {
+      const path = `${LIBC_DIR}/${name}`;
+      let asm;
+      if (name.endsWith('.c')) asm = new Chibicc().compile(source, { path, readFile, optLevel }).assembly;
+      else if (name.endsWith('.s')) asm = source;
+      else continue;
+      const object = objectFromAssembly(this._assemble(asm, path), path);
+      members.push({ name, path, object, defines: definedSymbols(object) });
+    }
+    this._libc.set(optLevel, members);
+    return members;
   }
 
   /* ── ELF introspection (Phase 1, unchanged) ──────────────────────────── */
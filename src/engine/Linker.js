@@ -0,0 +1,470 @@
+/**
+ * Linker — static linker for x86-64 relocatable objects
+ *
+ * Combines objects (see objfile.js) into an executable, adding archive
+ * members for the symbols they leave undefined the way `ld` searches a
+ * `.a`: a member is linked when it defines a symbol still missing, and
+ * again for what that member needs.
+ *
+ * Executable layout
+ * ─────────────────
+ *   PT_LOAD R-X  offset 0       ELF header, program headers, code (.text)
+ *   PT_LOAD R--  next page      read-only data (.rodata, .eh_frame, …)
+ *   PT_LOAD RW-  next page      writable data (.data, then .got if any
+ *                               object needs one), then .bss and common
+ *                               symbols in memory only
+ *   PT_GNU_STACK RW-            the stack is not executable
+ *
+ * Each segment starts on a page boundary, at the same offset in the file
+ * as in memory, so a loader can map it with its own permissions; empty
+ * segments are left out. Input sections of the same name from every
+ * object form one output section (.text.* joins .text, and so on), each
+ * piece 16-aligned or more if the object asks. DWARF sections (.debug_*)
+ * follow the loaded image in the file only, each object's piece packed
+ * against the last so that a debugger reads them as one list of units;
+ * other sections that are not allocated (.comment, …) are left out.
+ *
+ *   Virtual load base: 0x400000
+ *   Entry point:       _start, or the start of the code
+ */
+
+import { CompileError, diagnosticAt } from './diagnostics.js';
+import {
+  SHT_PROGBITS, SHT_SYMTAB, SHT_STRTAB, SHT_NOBITS, SHF_ALLOC, SHF_WRITE, SHF_EXECINSTR,
+  SHN_UNDEF, SHN_ABS, STT_OBJECT, STT_SECTION, STT_FILE, SHDR_SIZE, SYM_SIZE, R_X86_64,
+  StringTable, encodeSymbols, writeSectionHeaders, definedSymbols, undefinedSymbols,
+} from './objfile.js';
+
+export const BASE_VA = 0x400000n;
+const ELF_HSIZ  = 64;
+const PHDR_SIZ  = 56;
+const PAGE      = 0x1000;
+
+const PT_LOAD = 1, PT_GNU_STACK = 0x6474e551;
+const PF_X = 0x1, PF_W = 0x2, PF_R = 0x4;
+
+// Relocations that go through a GOT slot holding the symbol's address
+const GOT_RELOCATIONS = new Set([R_X86_64.GOTPCREL, R_X86_64.GOTPCRELX, R_X86_64.REX_GOTPCRELX]);
+
+// Output sections, in the order they are laid out, and the segments
+// holding them
+const KINDS = ['code', 'rodata', 'data', 'bss', 'debug'];
+const SEGMENTS = [
+  { kinds: ['code'], flags: PF_R | PF_X },
+  { kinds: ['rodata'], flags: PF_R },
+  { kinds: ['data', 'bss'], flags: PF_R | PF_W },
+];
+
+function alignTo(n, align) {
+  return Math.ceil(n / align) * align;
+}
+
+function kindOf(sec) {
+  if (!(sec.flags & SHF_ALLOC)) return sec.name.startsWith('.debug_') ? 'debug' : null;
+  if (sec.type === SHT_NOBITS) return 'bss';
+  if (sec.flags & SHF_EXECINSTR) return 'code';
+  return sec.flags & SHF_WRITE ? 'data' : 'rodata';
+}
+
+// .text.foo goes in .text, .rodata.str1.1 in .rodata, …
+function outputName(name) {
+  return name.match(/^(\.text|\.rodata|\.data|\.bss)\./)?.[1] ?? name;
+}
+
+export class Linker {
+  /**
+   * Objects and members needed from the archives, in link order. Each
+   * archive is a list of members { name, object, defines }.
+   */
+  resolve(objects, archives = []) {
+    const members = archives.flat();
+    const linked = new Set();
+    let units = [...objects];
+    for (;;) {
+      const defined = new Set(units.flatMap(object => [...definedSymbols(object)]));
+      const missing = units.flatMap(object => undefinedSymbols(object)).filter(name => !defined.has(name));
+      const member = members.find(m => !linked.has(m) && missing.some(name => m.defines.has(name)));
+      if (!member) return units;
+      linked.add(member);
+      units = [...units, member.object];
+    }
+  }
+
+  /**
+   * @param {object[]} objects relocatable objects, all linked
+   * @param {object} [opts]
+   * @param {Array<object[]>} [opts.archives] member lists searched for undefined symbols
+   * @returns {object} { elf: Uint8Array }
+   */
+  link(objects, { archives = [] } = {}) {
+    // sectionVA is where each placed section is in memory (for a debug
+    // section, its offset in the output section), fileOffset where in the file
+    const units = this.resolve(objects, archives)
+      .map((object, index) => ({ object, index, sectionVA: new Map(), fileOffset: new Map() }));
+    const errors = [];
+
+    // Every symbol some relocation reaches through the GOT gets a slot
+    const got = new Map(); // key → { unit, sym, va }
+    for (const unit of units) {
+      for (const reloc of unit.object.relocations) {
+        if (!GOT_RELOCATIONS.has(reloc.type)) continue;
+        const key = this._gotKey(unit, reloc.symbol);
+        if (!got.has(key)) got.set(key, { unit, sym: unit.object.symbols[reloc.symbol] });
+      }
+    }
+
+    if (!units.some(unit => unit.object.sections.some(sec => kindOf(sec) === 'code' && sec.size))) {
+      throw new CompileError([diagnosticAt(null, 'Assembly produced no .text section')]);
+    }
+
+    // Common symbols (`.comm name, size, align`) with the same name are
+    // merged at the end of .bss, unless an object defines the name
+    const defined = new Set(units.flatMap(({ object }) => object.symbols
+      .filter(sym => sym.bind !== 'local' && sym.section !== 'UND' && sym.section !== 'COM')
+      .map(sym => sym.name)));
+    const commons = new Map(); // name → { size, align, va }
+    for (const unit of units) {
+      for (const sym of unit.object.symbols) {
+        if (sym.section !== 'COM' || defined.has(sym.name)) continue;
+        const prev = commons.get(sym.name);
+        commons.set(sym.name, { size: Math.max(prev?.size ?? 0, sym.size), align: Math.max(prev?.align ?? 1, Number(sym.value)) });
+      }
+    }
+
+    // ── Output sections ────────────────────────────────────────────────────
+    const outputs = []; // { name, kind, align, parts: [{ unit, i, sec }], va, size }
+    const output = (name, kind) => {
+      let out = outputs.find(o => o.name === name && o.kind === kind);
+      if (!out) outputs.push(out = { name, kind, align: 1, parts: [] });
+      return out;
+    };
+    for (const kind of KINDS) {
+      for (const unit of units) {
+        unit.object.sections.forEach((sec, i) => {
+          if (kindOf(sec) !== kind) return;
+          const out = output(outputName(sec.name), kind);
+          out.align = Math.max(out.align, sec.align);
+          out.parts.push({ unit, i, sec });
+        });
+      }
+    }
+    if (got.size) output('.got', 'data').align = 8;
+    if (commons.size) output('.bss', 'bss');
+    outputs.sort((a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind));
+
+    // ── Lay out segments ───────────────────────────────────────────────────
+    const loads = SEGMENTS
+      .map(({ kinds, flags }) => ({ flags, outputs: outputs.filter(out => kinds.includes(out.kind)) }))
+      .filter(seg => seg.outputs.length);
+    const segments = []; // { flags, offset, filesz, memsz }
+    let end = ELF_HSIZ + PHDR_SIZ * (loads.length + 1);
+    for (const { flags, outputs: outs } of loads) {
+      if (segments.length) end = alignTo(end, PAGE);
+      const offset = segments.length ? end : 0;
+      let fileEnd = end;
+      for (const out of outs) {
+        const start = end = alignTo(end, Math.max(16, out.align));
+        for (const { unit, i, sec } of out.parts) {
+          end = alignTo(end, Math.max(16, sec.align));
+          unit.sectionVA.set(i, BASE_VA + BigInt(end));
+          unit.fileOffset.set(i, end);
+          end += sec.size;
+        }
+        if (out.name === '.got') {
+          [...got.values()].forEach(entry => { entry.va = BASE_VA + BigInt(end); end += 8; });
+        }
+        if (out.kind === 'bss' && out.name === '.bss') {
+          for (const common of commons.values()) {
+            end = alignTo(end, common.align);
+            common.va = BASE_VA + BigInt(end);
+            end += common.size;
+          }
+        }
+        out.va = BASE_VA + BigInt(start);
+        out.size = end - start;
+        if (out.kind !== 'bss') fileEnd = end;
+      }
+      segments.push({ flags, offset, filesz: fileEnd - offset, memsz: end - offset });
+    }
+    const fileSize = Math.max(...segments.map(seg => seg.offset + seg.filesz));
+
+    // Debug sections are addressed by their offset in the output section
+    let debugEnd = fileSize;
+    for (const out of outputs.filter(o => o.kind === 'debug')) {
+      const start = debugEnd = alignTo(debugEnd, out.align);
+      for (const { unit, i, sec } of out.parts) {
+        debugEnd = alignTo(debugEnd, sec.align);
+        unit.sectionVA.set(i, BigInt(debugEnd - start));
+        unit.fileOffset.set(i, debugEnd);
+        debugEnd += sec.size;
+      }
+      out.offset = start;
+      out.size = debugEnd - start;
+    }
+
+    // ── Global symbols ─────────────────────────────────────────────────────
+    // Problems are collected across all units, so each duplicate or
+    // undefined symbol is reported once under the file it appears in. A
+    // duplicate is reported at the second definition, with a note at the
+    // first
+    const globals = new Map(); // name → { va, unit, weak }
+    for (const unit of units) {
+      for (const sym of unit.object.symbols) {
+        if (sym.bind === 'local' || sym.section === 'UND' || sym.section === 'COM') continue;
+        const va = this._symbolVA(sym, unit);
+        const weak = sym.bind === 'weak';
+        const prev = globals.get(sym.name);
+        if (prev && !prev.weak && !weak) {
+          // Chibicc gives every unit that defines main a _start, so a
+          // second main is reported once, as main
+          if (sym.name === '_start' && definedSymbols(unit.object).has('main')) continue;
+          errors.push(diagnosticAt(this._locate(unit, sym.section, Number(sym.value)), `Duplicate symbol '${sym.name}'`));
+          if (prev.unit.object.path) {
+            const first = this._locate(prev.unit, prev.sym.section, Number(prev.sym.value));
+            errors.push(diagnosticAt(first, `'${sym.name}' was first defined here`, 'note'));
+          }
+          continue;
+        }
+        if (!prev || (prev.weak && !weak)) globals.set(sym.name, { va, unit, weak, sym });
+      }
+    }
+    for (const [name, common] of commons) globals.set(name, { va: common.va, common });
+
+    for (const unit of units) {
+      const missing = new Map(); // name → first relocation using it
+      for (const reloc of unit.object.relocations) {
+        const sym = unit.object.symbols[reloc.symbol];
+        if (sym.section !== 'UND' || globals.has(sym.name) || sym.bind === 'weak' || missing.has(sym.name)) continue;
+        if (!unit.sectionVA.has(reloc.section)) continue;
+        missing.set(sym.name, reloc);
+      }
+      const uses = [...missing].sort((a, b) => a[1].offset - b[1].offset);
+      for (const [name, reloc] of uses) {
+        errors.push(diagnosticAt(this._locate(unit, reloc.section, reloc.offset), `Undefined reference to '${name}'`));
+      }
+    }
+    if (errors.length) throw new CompileError(errors);
+
+    // ── Image ──────────────────────────────────────────────────────────────
+    const table = this._sectionTable(units, outputs, globals, debugEnd);
+    const elf = new Uint8Array(table.end);
+    for (const unit of units) {
+      for (const [i, offset] of unit.fileOffset) {
+        const { bytes } = unit.object.sections[i];
+        if (bytes) elf.set(bytes, offset);
+      }
+    }
+
+    const resolve = (unit, sym) => {
+      if (sym.section === 'UND' || sym.section === 'COM') return globals.get(sym.name)?.va ?? 0n; // unresolved weak: 0
+      return this._symbolVA(sym, unit);
+    };
+    const dv = new DataView(elf.buffer);
+    for (const { unit, sym, va } of got.values()) {
+      dv.setBigUint64(Number(va - BASE_VA), BigInt.asUintN(64, resolve(unit, sym)), true);
+    }
+
+    // ── Apply relocations ──────────────────────────────────────────────────
+    for (const unit of units) {
+      for (const reloc of unit.object.relocations) {
+        const sectionVA = unit.sectionVA.get(reloc.section);
+        const sec = unit.object.sections[reloc.section];
+        if (sectionVA === undefined || !sec.bytes) continue;
+        const sym = unit.object.symbols[reloc.symbol];
+        const S = resolve(unit, sym);
+        const A = reloc.addend;
+        const P = sectionVA + BigInt(reloc.offset);
+        const at = unit.fileOffset.get(reloc.section) + reloc.offset;
+
+        const G = GOT_RELOCATIONS.has(reloc.type) ? got.get(this._gotKey(unit, reloc.symbol)).va : null;
+        const problem = this._patch(dv, at, reloc.type, { S, A, P, G });
+        if (problem) errors.push(diagnosticAt(this._locate(unit, reloc.section, reloc.offset), `${problem} against '${sym.name}'`));
+      }
+    }
+    if (errors.length) throw new CompileError(errors);
+
+    // ── Entry point ────────────────────────────────────────────────────────
+    const localStart = units[0].object.symbols.find(sym => sym.name === '_start' && sym.section !== 'UND');
+    const code = units.flatMap(unit => [...unit.sectionVA].filter(([i]) => kindOf(unit.object.sections[i]) === 'code').map(([, va]) => va));
+    const entryVA = globals.get('_start')?.va
+      ?? (localStart && this._symbolVA(localStart, units[0]))
+      ?? code[0];
+
+    for (const { offset, bytes } of table.contents) elf.set(bytes, offset);
+    writeSectionHeaders(dv, table.shoff, table.headers);
+    this._writeHeaders(dv, entryVA, segments, table);
+    return { elf };
+  }
+
+  // Section headers for the output sections, then .symtab, .strtab and
+  // .shstrtab, placed after the loaded image and debug sections. The
+  // symbol table has each object's file name and local symbols, then the
+  // global ones.
+  _sectionTable(units, outputs, globals, imageEnd) {
+    const placed = outputs.filter(out => out.size);
+    const shndx = new Map(); // `${unit.index}:${section}` → output section index
+    placed.forEach((out, k) => {
+      for (const { unit, i } of out.parts) shndx.set(`${unit.index}:${i}`, k + 1);
+    });
+    const indexOf = (unit, section) => (section === 'ABS' ? SHN_ABS : shndx.get(`${unit.index}:${section}`));
+
+    const symbols = [];
+    for (const unit of units) {
+      const locals = unit.object.symbols.filter(sym => sym.bind === 'local' && sym.type !== STT_SECTION && sym.type !== STT_FILE
+        && indexOf(unit, sym.section) !== undefined);
+      if (!locals.length) continue;
+      if (unit.object.path) symbols.push({ name: unit.object.path, bind: 'local', type: STT_FILE, shndx: SHN_ABS, value: 0n, size: 0 });
+      for (const sym of locals) {
+        symbols.push({ ...sym, shndx: indexOf(unit, sym.section), value: this._symbolVA(sym, unit) });
+      }
+    }
+    const firstGlobal = symbols.length + 1;
+    const bss = placed.findIndex(out => out.name === '.bss' && out.kind === 'bss') + 1;
+    for (const [name, { va, unit, weak, sym, common }] of globals) {
+      if (common) symbols.push({ name, bind: 'global', type: STT_OBJECT, shndx: bss, value: va, size: common.size });
+      else symbols.push({ name, bind: weak ? 'weak' : 'global', type: sym.type, shndx: indexOf(unit, sym.section) ?? SHN_ABS, value: va, size: sym.size });
+    }
+    // Undefined weak symbols stay in the table, at 0
+    const weakUndefined = new Set();
+    for (const { object } of units) {
+      for (const sym of object.symbols) {
+        if (sym.section === 'UND' && sym.bind === 'weak' && !globals.has(sym.name)) weakUndefined.add(sym.name);
+      }
+    }
+    for (const name of weakUndefined) symbols.push({ name, bind: 'weak', type: 0, shndx: SHN_UNDEF, value: 0n, size: 0 });
+
+    const strtab = new StringTable();
+    const shstrtab = new StringTable();
+    const symtab = encodeSymbols(symbols, strtab);
+    const headers = placed.map(out => (out.kind === 'debug'
+      ? { name: out.name, type: SHT_PROGBITS, flags: 0, addr: 0n, offset: out.offset, size: out.size, align: out.align }
+      : {
+        name: out.name,
+        type: out.kind === 'bss' ? SHT_NOBITS : SHT_PROGBITS,
+        flags: SHF_ALLOC | (out.kind === 'code' ? SHF_EXECINSTR : 0) | (out.kind === 'data' || out.kind === 'bss' ? SHF_WRITE : 0),
+        addr: out.va,
+        offset: Number(out.va - BASE_VA),
+        size: out.size,
+        align: out.align,
+      }));
+    const tables = [
+      { name: '.symtab', type: SHT_SYMTAB, bytes: symtab, align: 8, link: headers.length + 2, info: firstGlobal, entsize: SYM_SIZE },
+      { name: '.strtab', type: SHT_STRTAB, bytes: new Uint8Array(strtab.bytes), align: 1 },
+      { name: '.shstrtab', type: SHT_STRTAB, align: 1 },
+    ];
+    for (const header of [...headers, ...tables]) header.nameOffset = shstrtab.add(header.name);
+    tables[2].bytes = new Uint8Array(shstrtab.bytes);
+
+    let end = imageEnd;
+    const contents = [];
+    for (const table of tables) {
+      end = alignTo(end, table.align);
+      contents.push({ offset: end, bytes: table.bytes });
+      headers.push({ ...table, offset: end, size: table.bytes.length });
+      end += table.bytes.length;
+    }
+    const shoff = alignTo(end, 8);
+    return { headers, contents, shoff, shstrndx: headers.length, end: shoff + SHDR_SIZE * (headers.length + 1) };
+  }
+
+  // Global symbols share one GOT slot; local ones are per object
+  _gotKey(unit, index) {
+    const sym = unit.object.symbols[index];
+    return sym.bind === 'local' ? `${unit.index}:${index}` : sym.name;
+  }
+
+  // Write one relocation at `at`: S is the symbol's address, A the addend,
+  // P the place and G the symbol's GOT slot. Returns a message if the
+  // relocation cannot be applied.
+  _patch(dv, at, type, { S, A, P, G }) {
+    const fits = (value, bits, signed) => (signed
+      ? value >= -(1n << BigInt(bits - 1)) && value < 1n << BigInt(bits - 1)
+      : value >= 0n && value < 1n << BigInt(bits));
+    const put = (value, bits, signed) => {
+      if (!fits(value, bits, signed)) return `Relocation overflow (${bits}-bit)`;
+      if (bits === 64) dv.setBigUint64(at, BigInt.asUintN(64, value), true);
+      else if (bits === 32) dv.setUint32(at, Number(BigInt.asUintN(32, value)), true);
+      else if (bits === 16) dv.setUint16(at, Number(BigInt.asUintN(16, value)), true);
+      else dv.setUint8(at, Number(BigInt.asUintN(8, value)));
+      return null;
+    };
+
+    switch (type) {
+      case R_X86_64[64]:    return put(BigInt.asIntN(64, S + A), 64, true);
+      case R_X86_64.PC64:   return put(S + A - P, 64, true);
+      case R_X86_64.PC32:
+      case R_X86_64.PLT32:  return put(S + A - P, 32, true);
+      case R_X86_64[32]:    return put(S + A, 32, false);
+      case R_X86_64['32S']: return put(S + A, 32, true);
+      case R_X86_64[16]:    return put(S + A, 16, false);
+      case R_X86_64.PC16:   return put(S + A - P, 16, true);
+      case R_X86_64[8]:     return put(S + A, 8, false);
+      case R_X86_64.PC8:    return put(S + A - P, 8, true);
+    }
+    if (GOT_RELOCATIONS.has(type)) return put(G + A - P, 32, true);
+    return `Unsupported relocation type ${type}`;
+  }
+
+  // Virtual address of a symbol defined in `unit`
+  _symbolVA(sym, unit) {
+    if (sym.section === 'ABS') return sym.value;
+    return unit.sectionVA.get(sym.section) + sym.value;
+  }
+
+  // Where an offset into one of a unit's sections came from, for errors:
+  // the source line it was compiled from when the unit has a source map,
+  // else the file
+  _locate(unit, section, offset) {
+    const { path, sections, sourceMap } = unit.object;
+    let at = null;
+    for (const entry of sourceMap) {
+      if (entry.section !== sections[section]?.name || entry.offset > offset) continue;
+      if (!at || entry.offset >= at.offset) at = entry;
+    }
+    return at ? { file: path, line: at.line, col: at.col } : { file: path };
+  }
+
+  _writeHeaders(dv, entryVA, segments, { headers, shoff, shstrndx }) {
+    const phnum = segments.length + 1;
+
+    // ELF header (64 bytes)
+    new Uint8Array(dv.buffer).set([0x7f, 0x45, 0x4c, 0x46]); // magic: \x7fELF
+    dv.setUint8(4, 2);   // EI_CLASS   = ELFCLASS64
+    dv.setUint8(5, 1);   // EI_DATA    = ELFDATA2LSB
+    dv.setUint8(6, 1);   // EI_VERSION = EV_CURRENT
+    dv.setUint8(7, 0);   // EI_OSABI   = ELFOSABI_NONE
+    // bytes 8-15: padding (zero)
+    dv.setUint16(16, 2,      true); // e_type     = ET_EXEC
+    dv.setUint16(18, 0x3e,   true); // e_machine  = EM_X86_64
+    dv.setUint32(20, 1,      true); // e_version  = EV_CURRENT
+    dv.setBigUint64(24, entryVA,         true); // e_entry
+    dv.setBigUint64(32, BigInt(ELF_HSIZ),true); // e_phoff (program headers at offset 64)
+    dv.setBigUint64(40, BigInt(shoff),   true); // e_shoff (section headers after the image)
+    dv.setUint32(48, 0,           true); // e_flags
+    dv.setUint16(52, ELF_HSIZ,    true); // e_ehsize
+    dv.setUint16(54, PHDR_SIZ,    true); // e_phentsize
+    dv.setUint16(56, phnum,       true); // e_phnum
+    dv.setUint16(58, 64,          true); // e_shentsize
+    dv.setUint16(60, headers.length + 1, true); // e_shnum, with the null header
+    dv.setUint16(62, shstrndx,    true); // e_shstrndx
+
+    // Program headers (56 bytes each from offset 64): one PT_LOAD per
+    // segment, then PT_GNU_STACK
+    segments.forEach(({ flags, offset, filesz, memsz }, i) => {
+      const p = ELF_HSIZ + PHDR_SIZ * i;
+      const va = BASE_VA + BigInt(offset);
+      dv.setUint32(p,      PT_LOAD, true); // p_type
+      dv.setUint32(p + 4,  flags,   true); // p_flags
+      dv.setBigUint64(p + 8,  BigInt(offset), true); // p_offset
+      dv.setBigUint64(p + 16, va,             true); // p_vaddr
+      dv.setBigUint64(p + 24, va,             true); // p_paddr
+      dv.setBigUint64(p + 32, BigInt(filesz), true); // p_filesz
+      dv.setBigUint64(p + 40, BigInt(memsz),  true); // p_memsz
+      dv.setBigUint64(p + 48, BigInt(PAGE),   true); // p_align
+    });
+    const p = ELF_HSIZ + PHDR_SIZ * segments.length;
+    dv.setUint32(p,      PT_GNU_STACK, true); // p_type
+    dv.setUint32(p + 4,  PF_R | PF_W,  true); // p_flags: no PF_X
+    dv.setBigUint64(p + 48, 16n,       true); // p_align
+  }
+}
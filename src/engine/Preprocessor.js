@@ -0,0 +1,607 @@
+/**
+ * Preprocessor.js — C preprocessor for Chibicc
+ *
+ * A port of rui314/chibicc's preprocess.c. It takes the token list from
+ * Chibicc's tokenizer and returns a new token list with directives
+ * executed and macros expanded:
+ *
+ *   #define / #undef        object-like and function-like macros,
+ *                           `#` stringizing, `##` pasting, __VA_ARGS__
+ *   #if / #ifdef / #ifndef  conditional inclusion with #elif / #else / #endif
+ *   #include "file"         current directory, then the workspace
+ *   #include <file>         bundled system headers, then the workspace
+ *   #error / #pragma once / #line
+ *
+ * Macro expansion uses hidesets: every token produced by expanding macro
+ * M remembers M, and is never expanded by M again. This guarantees
+ * termination even for mutually recursive macros.
+ *
+ * The pending input is kept as a reversed array so that the next token is
+ * `pop()` and expansion results are pushed back in front of the rest.
+ */
+
+import { SYSTEM_INCLUDE_DIR, SYSTEM_HEADERS } from './libc/headers.js';
+import { CompileError, diagnosticAt } from './diagnostics.js';
+
+export const WORKSPACE_DIR = '/home/user';
+
+const MAX_INCLUDE_DEPTH = 200;
+
+const PREDEFINED = {
+  __STDC__: '1',
+  __STDC_VERSION__: '201112L',
+  __x86_64__: '1',
+  __x86_64: '1',
+  __LP64__: '1',
+  __linux__: '1',
+  __linux: '1',
+  __ELF__: '1',
+  __HELIXCORE__: '1',
+  __chibicc__: '1',
+};
+
+export class Preprocessor {
+  /**
+   * @param {object}   opts
+   * @param {Function} opts.tokenize  (text, file) → tokens; Chibicc's tokenizer
+   * @param {Function} [opts.readFile] (absPath) → string | null; workspace lookup
+   */
+  constructor({ tokenize, readFile = null }) {
+    this._tokenize = tokenize;
+    this._readFile = readFile;
+  }
+
+  /**
+   * @param {Array}  tokens  tokens of the main file
+   * @param {string} path    absolute path of the main file (for __FILE__ and "..." includes)
+   * @returns {Array}        expanded tokens, directives removed
+   */
+  run(tokens, path) {
+    this._macros = new Map();
+    this._conds = [];        // [{ ctx: 'then' | 'elif' | 'else', included, tok }]
+    this._pragmaOnce = new Set();
+    this._depth = new Map(); // file → include nesting, to stop runaway recursion
+    this.sources = new Map(); // included file → text, for quoting in diagnostics
+    this.diagnostics = [];    // warnings; errors are thrown
+    this._input = tokens.slice().reverse();
+    this._mainFile = path;
+
+    for (const [name, body] of Object.entries(PREDEFINED)) this.define(name, body);
+    this._macros.set('__FILE__', { builtin: tok => this._strToken(tok.file ?? path, tok) });
+    this._macros.set('__LINE__', { builtin: tok => ({ ...this._tmpl(tok), type: 'num', val: tok.line, text: String(tok.line) }) });
+
+    const out = [];
+    while (this._input.length) {
+      const tok = this._input.pop();
+      if (this._expandMacro(tok)) continue;
+      if (tok.bol && tok.val === '#' && tok.type === 'punct') {
+        this._directive(tok);
+        continue;
+      }
+      out.push(tok);
+    }
+
+    if (this._conds.length) throw this._error(this._conds.at(-1).tok, 'Unterminated conditional directive');
+    return out;
+  }
+
+  /** Define an object-like macro from source text, like `-DNAME=body`. */
+  define(name, body = '1') {
+    this._macros.set(name, { objlike: true, body: this._tokenize(body, '<built-in>') });
+  }
+
+  /* ── Directives ─────────────────────────────────────────────────────── */
+
+  _directive(hash) {
+    const next = this._input.at(-1);
+    // A lone `#` on a line is the null directive
+    if (!next || next.bol) return;
+    const tok = this._input.pop();
+
+    switch (tok.val) {
+      case 'include': return this._include(tok);
+      case 'define':  return this._define(tok);
+      case 'undef': {
+        const line = this._readLine();
+        if (line[0]?.type !== 'ident') throw this._error(tok, 'Macro name must be an identifier');
+        this._macros.delete(line[0].val);
+        return;
+      }
+      case 'if':
+        return this._pushCond(tok, this._evalConstExpr(tok, this._readLine()) !== 0);
+      case 'ifdef':
+      case 'ifndef': {
+        const line = this._readLine();
+        if (line[0]?.type !== 'ident') throw this._error(tok, 'Macro name must be an identifier');
+        const defined = this._macros.has(line[0].val);
+        return this._pushCond(tok, tok.val === 'ifdef' ? defined : !defined);
+      }
+      case 'elif': {
+        const cond = this._conds.at(-1);
+        if (!cond || cond.ctx === 'else') throw this._error(tok, 'Stray #elif');
+        cond.ctx = 'elif';
+        const line = this._readLine();
+        if (!cond.included && this._evalConstExpr(tok, line) !== 0) cond.included = true;
+        else this._skipCond();
+        return;
+      }
+      case 'else': {
+        const cond = this._conds.at(-1);
+        if (!cond || cond.ctx === 'else') throw this._error(tok, 'Stray #else');
+        cond.ctx = 'else';
+        this._readLine();
+        if (cond.included) this._skipCond();
+        return;
+      }
+      case 'endif':
+        if (!this._conds.length) throw this._error(tok, 'Stray #endif');
+        this._conds.pop();
+        this._readLine();
+        return;
+      case 'error':
+        throw this._error(tok, `#error ${this._joinTokens(this._readLine())}`.trimEnd());
+      case 'warning':
+        this.diagnostics.push(diagnosticAt(this._located(tok), `#warning ${this._joinTokens(this._readLine())}`.trimEnd(), 'warning'));
+        return;
+      case 'line':
+        this._readLine();
+        return;
+      case 'pragma': {
+        const line = this._readLine();
+        if (line.length === 1 && line[0].val === 'once') this._pragmaOnce.add(tok.file);
+        return;
+      }
+    }
+
+    throw this._error(tok, `Invalid preprocessor directive '${tok.val ?? tok.text}'`);
+  }
+
+  // Pop the rest of the current logical line
+  _readLine() {
+    const line = [];
+    while (this._input.length && !this._input.at(-1).bol) line.push(this._input.pop());
+    return line;
+  }
+
+  _pushCond(tok, included) {
+    this._conds.push({ ctx: 'then', included, tok });
+    if (!included) this._skipCond();
+  }
+
+  // Skip tokens up to the #elif / #else / #endif that closes the current
+  // group, stepping over nested conditionals. The closing directive is
+  // left in the input so the main loop executes it.
+  _skipCond() {
+    let nest = 0;
+    while (this._input.length) {
+      const tok = this._input.pop();
+      if (!(tok.bol && tok.val === '#')) continue;
+      const name = this._input.at(-1);
+      if (!name || name.bol) continue;
+
+      if (name.val === 'if' || name.val === 'ifdef' || name.val === 'ifndef') {
+        nest++;
+      } else if (name.val === 'endif') {
+        if (nest-- === 0) { this._input.push(tok); return; }
+      } else if ((name.val === 'elif' || name.val === 'else') && nest === 0) {
+        this._input.push(tok);
+        return;
+      }
+    }
+    throw this._error(this._conds.at(-1).tok, 'Unterminated conditional directive');
+  }
+
+  /* ── #include ───────────────────────────────────────────────────────── */
+
+  _include(tok) {
+    let line = this._readLine();
+    // `#include MACRO` — expand the line and read the name from the result
+    if (line[0] && line[0].type !== 'str' && line[0].val !== '<') line = this._expandAll(line);
+
+    let name, quoted;
+    if (line[0]?.type === 'str') {
+      name = line[0].str;
+      quoted = true;
+    } else if (line[0]?.val === '<') {
+      const end = line.findIndex(t => t.val === '>');
+      if (end < 0) throw this._error(tok, "Expected '>' after #include <...");
+      name = this._joinTokens(line.slice(1, end));
+      quoted = false;
+    } else {
+      throw this._error(tok, 'Expected "FILENAME" or <FILENAME>');
+    }
+
+    const found = this._findInclude(name, quoted, tok.file ?? this._mainFile);
+    if (!found) throw this._error(tok, `'${name}' file not found`);
+    if (this._pragmaOnce.has(found.path)) return;
+
+    const depth = this._depth.get(found.path) ?? 0;
+    if (depth >= MAX_INCLUDE_DEPTH) throw this._error(tok, `#include nested too deeply ('${name}')`);
+
+    this.sources.set(found.path, found.text);
+    const tokens = this._tokenize(found.text, found.path);
+    // Sentinel so the depth is released when the included file is done
+    this._input.push({ type: 'eof-include', path: found.path, bol: true });
+    this._depth.set(found.path, depth + 1);
+    for (let i = tokens.length - 1; i >= 0; i--) this._input.push(tokens[i]);
+  }
+
+  // "file": directory of the including file, then the workspace, then system.
+  // <file>: system headers, then the workspace.
+  _findInclude(name, quoted, from) {
+    const candidates = [];
+    if (name.startsWith('/')) {
+      candidates.push(name);
+    } else {
+      if (quoted) candidates.push(joinPath(dirname(from), name), joinPath(WORKSPACE_DIR, name));
+      candidates.push(joinPath(SYSTEM_INCLUDE_DIR, name));
+      if (!quoted) candidates.push(joinPath(WORKSPACE_DIR, name));
+    }
+
+    for (const path of candidates) {
+      const text = this._read(path);
+      if (text != null) return { path, text };
+    }
+    return null;
+  }
+
+  _read(path) {
+    if (path.startsWith(SYSTEM_INCLUDE_DIR + '/')) {
+      const header = SYSTEM_HEADERS[path.slice(SYSTEM_INCLUDE_DIR.length + 1)];
+      if (header != null) return header;
+    }
+    return this._readFile?.(path) ?? null;
+  }
+
+  /* ── #define ────────────────────────────────────────────────────────── */
+
+  _define(directive) {
+    const line = this._readLine();
+    const nameTok = line[0];
+    if (nameTok?.type !== 'ident') throw this._error(directive, 'Macro name must be an identifier');
+
+    // Function-like only when "(" follows the name with no space in between
+    if (line[1]?.val === '(' && !line[1].space) {
+      const params = [];
+      let variadic = false;
+      let i = 2;
+      while (line[i]?.val !== ')') {
+        if (params.length || variadic) {
+          if (line[i]?.val !== ',') throw this._error(nameTok, "Expected ',' in macro parameter list");
+          i++;
+        }
+        if (line[i]?.val === '...') {
+          variadic = true;
+          i++;
+          if (line[i]?.val !== ')') throw this._error(nameTok, "Expected ')' after '...'");
+          break;
+        }
+        if (line[i]?.type !== 'ident') throw this._error(nameTok, 'Expected a parameter name');
+        params.push(line[i++].val);
+      }
+      this._macros.set(nameTok.val, { objlike: false, params, variadic, body: line.slice(i + 1) });
+      return;
+    }
+
+    this._macros.set(nameTok.val, { objlike: true, body: line.slice(1) });
+  }
+
+  /* ── Macro expansion ────────────────────────────────────────────────── */
+
+  // If `tok` names a macro, push its expansion onto the input and return true
+  _expandMacro(tok) {
+    if (tok.type === 'eof-include') {
+      this._depth.set(tok.path, this._depth.get(tok.path) - 1);
+      return true;
+    }
+    if (tok.type !== 'ident' || tok.hideset?.has(tok.val)) return false;
+    const macro = this._macros.get(tok.val);
+    if (!macro) return false;
+
+    if (macro.builtin) {
+      this._input.push(macro.builtin(tok));
+      return true;
+    }
+
+    if (macro.objlike) {
+      const hideset = new Set(tok.hideset ?? []).add(tok.val);
+      this._pushExpansion(macro.body, hideset, tok);
+      return true;
+    }
+
+    // A function-like macro name not followed by "(" is an ordinary identifier
+    if (this._input.at(-1)?.val !== '(') return false;
+    this._input.pop();
+    const { args, rparen } = this._readMacroArgs(tok, macro);
+
+    // Only names hidden by both the macro name and the closing paren survive
+    const hideset = new Set([...(tok.hideset ?? [])].filter(n => rparen.hideset?.has(n))).add(tok.val);
+    this._pushExpansion(this._subst(macro, args), hideset, tok);
+    return true;
+  }
+
+  // Expanded tokens take the invoking token's position so diagnostics and
+  // the source map point at the macro use.
+  _pushExpansion(body, hideset, at) {
+    for (let i = body.length - 1; i >= 0; i--) {
+      const t = body[i];
+      this._input.push({
+        ...t, line: at.line, col: at.col, file: at.file, bol: false,
+        space: i === 0 ? at.space : t.space,
+        hideset: t.hideset ? new Set([...t.hideset, ...hideset]) : hideset,
+      });
+    }
+  }
+
+  _readMacroArgs(nameTok, macro) {
+    const args = [];
+    let cur = [];
+    let depth = 0;
+
+    for (;;) {
+      const tok = this._input.pop();
+      if (!tok || tok.type === 'eof-include') throw this._error(nameTok, `Unterminated argument list invoking macro '${nameTok.val}'`);
+
+      if (depth === 0 && tok.val === ')') {
+        if (cur.length || args.length) args.push(cur);
+        const named = macro.params.length;
+        if (macro.variadic) {
+          // Everything past the named parameters, commas included, is __VA_ARGS__
+          while (args.length < named + 1) args.push([]);
+        } else if (args.length === 0 && named === 1) {
+          args.push([]);
+        }
+        if (args.length !== named + (macro.variadic ? 1 : 0)) {
+          throw this._error(nameTok, `Macro '${nameTok.val}' expects ${named} argument${named === 1 ? '' : 's'}, got ${args.length}`);
+        }
+        return { args, rparen: tok };
+      }
+
+      if (depth === 0 && tok.val === ',' && !(macro.variadic && args.length === macro.params.length)) {
+        args.push(cur);
+        cur = [];
+        continue;
+      }
+      if (tok.val === '(') depth++;
+      else if (tok.val === ')') depth--;
+      cur.push(tok);
+    }
+  }
+
+  // Replace parameters in the macro body with the actual arguments
+  _subst(macro, args) {
+    const body = macro.body;
+    const argOf = tok => {
+      if (tok?.type !== 'ident') return null;
+      if (macro.variadic && tok.val === '__VA_ARGS__') return { tokens: args[macro.params.length], va: true };
+      const idx = macro.params.indexOf(tok.val);
+      return idx >= 0 ? { tokens: args[idx], va: false } : null;
+    };
+    const out = [];
+
+    for (let i = 0; i < body.length; i++) {
+      const tok = body[i];
+
+      // "#" followed by a parameter is replaced with the stringized argument
+      if (tok.val === '#' && tok.type === 'punct') {
+        const arg = argOf(body[i + 1]);
+        if (!arg) throw this._error(tok, "'#' is not followed by a macro parameter");
+        out.push(this._strToken(this._joinTokens(arg.tokens), tok));
+        i++;
+        continue;
+      }
+
+      // [GNU] `,##__VA_ARGS__` drops the comma when __VA_ARGS__ is empty
+      if (tok.val === ',' && body[i + 1]?.val === '##') {
+        const arg = argOf(body[i + 2]);
+        if (arg?.va) {
+          if (arg.tokens.length) { out.push(tok); i++; }
+          else i += 2;
+          continue;
+        }
+      }
+
+      if (tok.val === '##' && tok.type === 'punct') {
+        if (!out.length) throw this._error(tok, "'##' cannot appear at start of macro expansion");
+        if (i + 1 >= body.length) throw this._error(tok, "'##' cannot appear at end of macro expansion");
+        const arg = argOf(body[i + 1]);
+        const rhs = arg ? arg.tokens : [body[i + 1]];
+        if (rhs.length) {
+          out.push(this._paste(out.pop(), rhs[0]));
+          out.push(...rhs.slice(1));
+        }
+        i++;
+        continue;
+      }
+
+      const arg = argOf(tok);
+
+      // A parameter that is an operand of ## is substituted unexpanded
+      if (arg && body[i + 1]?.val === '##') {
+        if (arg.tokens.length === 0) {
+          const rhs = argOf(body[i + 2]);
+          out.push(...(rhs ? rhs.tokens : [body[i + 2]]));
+          i += 2;
+        } else {
+          out.push(...arg.tokens);
+        }
+        continue;
+      }
+
+      // Other arguments are fully macro-expanded before substitution
+      if (arg) {
+        const expanded = this._expandAll(arg.tokens);
+        if (expanded.length) expanded[0] = { ...expanded[0], space: tok.space };
+        out.push(...expanded);
+        continue;
+      }
+
+      out.push(tok);
+    }
+    return out;
+  }
+
+  // Macro-expand a token list in isolation (macro arguments, #if, #include)
+  _expandAll(tokens) {
+    const saved = this._input;
+    this._input = tokens.slice().reverse();
+    const out = [];
+    while (this._input.length) {
+      const tok = this._input.pop();
+      if (!this._expandMacro(tok)) out.push(tok);
+    }
+    this._input = saved;
+    return out;
+  }
+
+  // Concatenate two tokens and retokenize the result; it must be one token
+  _paste(lhs, rhs) {
+    const text = lhs.text + rhs.text;
+    let tokens;
+    try {
+      tokens = this._tokenize(text, lhs.file);
+    } catch {
+      tokens = [];
+    }
+    if (tokens.length !== 1) throw this._error(lhs, `Pasting forms '${text}', an invalid token`);
+    return { ...tokens[0], line: lhs.line, col: lhs.col, space: lhs.space, hideset: lhs.hideset };
+  }
+
+  // Source text of a token run; a single space stands in for any whitespace
+  _joinTokens(tokens) {
+    return tokens.map((t, i) => (i > 0 && t.space ? ' ' : '') + t.text).join('');
+  }
+
+  _strToken(text, at) {
+    const quoted = '"' + text.replace(/[\\"]/g, c => '\\' + c) + '"';
+    return { ...this._tokenize(quoted, at.file)[0], ...this._tmpl(at) };
+  }
+
+  _tmpl(at) {
+    return { line: at.line, col: at.col, file: at.file, bol: false, space: at.space };
+  }
+
+  /* ── #if expressions ────────────────────────────────────────────────── */
+
+  _evalConstExpr(directive, line) {
+    // `defined X` and `defined(X)` are resolved before macro expansion
+    const resolved = [];
+    for (let i = 0; i < line.length; i++) {
+      if (line[i].val !== 'defined' || line[i].type !== 'ident') { resolved.push(line[i]); continue; }
+      const paren = line[i + 1]?.val === '(';
+      const name = line[i + (paren ? 2 : 1)];
+      if (name?.type !== 'ident') throw this._error(directive, 'Macro name must be an identifier');
+      if (paren && line[i + 3]?.val !== ')') throw this._error(directive, "Expected ')' after 'defined'");
+      resolved.push({ ...this._tmpl(line[i]), type: 'num', val: this._macros.has(name.val) ? 1 : 0 });
+      i += paren ? 3 : 1;
+    }
+
+    // Identifiers left after expansion evaluate to 0
+    const tokens = this._expandAll(resolved).map(t => t.type === 'ident' ? { ...t, type: 'num', val: 0 } : t);
+    if (!tokens.length) throw this._error(directive, `#${directive.val} with no expression`);
+    if (tokens.some(t => t.type === 'str')) throw this._error(directive, `Invalid token in #${directive.val} expression`);
+
+    this._expr = { tokens, pos: 0, directive };
+    const val = this._condExpr();
+    if (this._expr.pos < tokens.length) throw this._error(directive, `Extra tokens in #${directive.val} expression`);
+    return val;
+  }
+
+  _condExpr() {
+    const cond = this._binaryExpr(0);
+    if (!this._exprMatch('?')) return cond;
+    const then = this._condExpr();
+    if (!this._exprMatch(':')) throw this._error(this._expr.directive, "Expected ':' in #if expression");
+    const otherwise = this._condExpr();
+    return cond !== 0 ? then : otherwise;
+  }
+
+  // Precedence climbing over the binary operators, lowest first
+  _binaryExpr(level) {
+    if (level === IF_BINARY_OPS.length) return this._unaryExpr();
+    let lhs = this._binaryExpr(level + 1);
+    for (;;) {
+      const op = this._expr.tokens[this._expr.pos]?.val;
+      if (!IF_BINARY_OPS[level].includes(op)) return lhs;
+      this._expr.pos++;
+      const rhs = this._binaryExpr(level + 1);
+      lhs = this._applyBinary(op, lhs, rhs);
+    }
+  }
+
+  _applyBinary(op, a, b) {
+    switch (op) {
+      case '||': return (a !== 0 || b !== 0) ? 1 : 0;
+      case '&&': return (a !== 0 && b !== 0) ? 1 : 0;
+      case '|':  return Number(BigInt.asIntN(64, BigInt(a) | BigInt(b)));
+      case '^':  return Number(BigInt.asIntN(64, BigInt(a) ^ BigInt(b)));
+      case '&':  return Number(BigInt.asIntN(64, BigInt(a) & BigInt(b)));
+      case '==': return a === b ? 1 : 0;
+      case '!=': return a !== b ? 1 : 0;
+      case '<':  return a < b ? 1 : 0;
+      case '<=': return a <= b ? 1 : 0;
+      case '>':  return a > b ? 1 : 0;
+      case '>=': return a >= b ? 1 : 0;
+      case '<<': return Number(BigInt.asIntN(64, BigInt(a) << BigInt(b)));
+      case '>>': return Number(BigInt(a) >> BigInt(b));
+      case '+':  return a + b;
+      case '-':  return a - b;
+      case '*':  return a * b;
+    }
+    if (b === 0) throw this._error(this._expr.directive, `Division by zero in #${this._expr.directive.val} expression`);
+    return op === '/' ? Math.trunc(a / b) : a % b;
+  }
+
+  _unaryExpr() {
+    if (this._exprMatch('+')) return this._unaryExpr();
+    if (this._exprMatch('-')) return -this._unaryExpr();
+    if (this._exprMatch('!')) return this._unaryExpr() === 0 ? 1 : 0;
+    if (this._exprMatch('~')) return ~this._unaryExpr();
+    if (this._exprMatch('(')) {
+      const val = this._condExpr();
+      if (!this._exprMatch(')')) throw this._error(this._expr.directive, "Expected ')' in #if expression");
+      return val;
+    }
+    const tok = this._expr.tokens[this._expr.pos++];
+    if (tok?.type !== 'num') throw this._error(this._expr.directive, `Invalid token in #${this._expr.directive.val} expression`);
+    // The arithmetic here is on Numbers; constants past 2^53 come as BigInts
+    return Number(tok.val);
+  }
+
+  _exprMatch(val) {
+    const tok = this._expr.tokens[this._expr.pos];
+    if (tok?.type !== 'punct' || tok.val !== val) return false;
+    this._expr.pos++;
+    return true;
+  }
+
+  _error(tok, message) {
+    return new CompileError([diagnosticAt(this._located(tok), message)]);
+  }
+
+  _located(tok) {
+    return { ...tok, file: tok.file ?? this._mainFile };
+  }
+}
+
+const IF_BINARY_OPS = [
+  ['||'], ['&&'], ['|'], ['^'], ['&'],
+  ['==', '!='], ['<', '<=', '>', '>='], ['<<', '>>'],
+  ['+', '-'], ['*', '/', '%'],
+];
+
+function dirname(path) {
+  const idx = path.lastIndexOf('/');
+  return idx <= 0 ? (idx === 0 ? '/' : WORKSPACE_DIR) : path.slice(0, idx);
+}
+
+// Join and normalise `.` / `..` segments
+function joinPath(dir, name) {
+  const parts = [];
+  for (const part of `${dir}/${name}`.split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..') parts.pop();
+    else parts.push(part);
+  }
+  return '/' + parts.join('/');
+}
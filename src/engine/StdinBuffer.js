@@ -0,0 +1,66 @@
+/**
+ * StdinBuffer — input waiting on a program's standard input
+ *
+ * Input arrives in chunks — a line typed in the Terminal, a key in raw
+ * mode, a whole file — and AxRuntime reads it back for read(0, …). Like a
+ * terminal, a read returns at most one chunk, so a program reading a line
+ * at a time gets each line as it is entered.
+ *
+ * eof() is Ctrl+D: the read that reaches it returns 0, and later reads
+ * wait for input again. close() ends the input for good, as at the end of
+ * a file redirected to stdin.
+ */
+
+export class StdinBuffer {
+  constructor() {
+    this._chunks = []; // Uint8Array, or null for an end of file from eof()
+    this._closed = false;
+    this._waiters = [];
+  }
+
+  push(bytes) {
+    if (!bytes.length) return;
+    this._chunks.push(bytes);
+    this._wake();
+  }
+
+  eof() {
+    this._chunks.push(null);
+    this._wake();
+  }
+
+  close() {
+    this._closed = true;
+    this._wake();
+  }
+
+  /**
+   * Take up to len bytes of input.
+   * @param {number} len
+   * @returns {Uint8Array | null} the bytes, empty at the end of input, or
+   *   null when there are none yet and the read has to wait (see wait)
+   */
+  read(len) {
+    if (!this._chunks.length) return this._closed ? new Uint8Array(0) : null;
+    const chunk = this._chunks[0];
+    if (chunk === null) {
+      this._chunks.shift();
+      return new Uint8Array(0);
+    }
+    if (len >= chunk.length) {
+      this._chunks.shift();
+      return chunk;
+    }
+    this._chunks[0] = chunk.subarray(len);
+    return chunk.subarray(0, len);
+  }
+
+  // Resolves once there is input, an end of file or the end of input
+  wait() {
+    return new Promise(resolve => this._waiters.push(resolve));
+  }
+
+  _wake() {
+    for (const resolve of this._waiters.splice(0)) resolve();
+  }
+}
@@ -99,6 +99,17 @@ export class VirtualFS {
         this._queuePut(path, out);
     }
 
+    // Every file as [path, bytes], to hand the run worker a copy of the
+    // filesystem (see WorkerRuntime.js)
+    snapshot() {
+        return [...this._mem];
+    }
+
+    // Replace the in-memory files with a snapshot, without touching IndexedDB
+    restore(entries) {
+        this._mem = new Map(entries);
+    }
+
     async read(path) {
         if (this._mem.has(path)) return this._mem.get(path);
         const val = await this._dbGet(path);
@@ -0,0 +1,270 @@
+/**
+ * WorkerRuntime — runs programs in a Web Worker
+ *
+ * The main-thread face of runWorker.js, with the same interface as
+ * AxRuntime (load, run, onStdout / onStderr, vfs, register baseline and
+ * trace switches) plus stop(). The page stays responsive while a program
+ * runs, and a program that never exits ends one of three ways:
+ *
+ *   - its instruction or time limit runs out inside the worker
+ *     (stopReason 'time limit exceeded', exit code 124)
+ *   - it is still running a second after its time limit, e.g. stuck in
+ *     one long instruction: the worker is terminated, with the same result
+ *     (time spent waiting for input on stdin does not count)
+ *   - stop() is called (the STOP button): the worker is terminated
+ *     (stopReason 'stopped', exit code 137, as for SIGKILL)
+ *
+ * A terminated worker is replaced on the next run. The program sees a copy
+ * of the workspace; the files it writes are copied back when it exits, so
+ * a program that is stopped or times out leaves the workspace unchanged.
+ * Its syscall log comes over in batches as it runs, and a terminated run
+ * reports the calls up to the last batch.
+ */
+
+import { disassemble } from './disasm.js';
+import { SyscallLog } from './strace.js';
+
+// Default limits for a run; the sidebar can change them
+export const DEFAULT_LIMITS = {
+  maxInstructions: 100_000_000,
+  timeLimitMs: 10_000,
+};
+
+// How long past its time limit a run may go before the worker is terminated
+const GRACE_MS = 1000;
+
+export class WorkerRuntime {
+  /**
+   * @param {() => Worker} [createWorker] starts a runWorker.js worker
+   */
+  constructor(createWorker = () => new Worker(new URL('./runWorker.js', import.meta.url), { type: 'module' })) {
+    this._createWorker = createWorker;
+    this._worker = null;
+    this._loading = null; // Promise of the version, while a worker starts
+    this._run = null;     // { resolve, reject, stopped, waiting, syscalls } of the run in progress
+    this._syscallModules = []; // URLs of modules of extra system calls
+    this._loadedModules = 0;   // how many of them the worker has
+    this._initialized = false;
+    /** @type {import('./VirtualFS.js').VirtualFS | null} */
+    this.vfs = null;
+    /** @type {((text: string) => void) | null} */
+    this.onStdout = null;
+    /** @type {((text: string) => void) | null} */
+    this.onStderr = null;
+    /** @type {((waiting: boolean) => void) | null} the program started / stopped waiting for input */
+    this.onStdinWait = null;
+
+    this._registerBaselineEnabled = Boolean(import.meta.env?.DEV);
+    this._traceEnabled = Boolean(import.meta.env?.DEV);
+  }
+
+  setRegisterBaseline(enabled) {
+    this._registerBaselineEnabled = Boolean(enabled);
+  }
+
+  setTraceLogging(enabled) {
+    this._traceEnabled = Boolean(enabled);
+  }
+
+  get running() {
+    return this._run !== null;
+  }
+
+  /**
+   * Add the system calls of a module to the worker's AxRuntime (see
+   * AxRuntime.registerSyscall). The module's default export is a syscall
+   * entry or an array of them; runs from the next one on have them.
+   * @param {string | URL} url
+   */
+  useSyscalls(url) {
+    this._syscallModules.push(String(url));
+  }
+
+  /**
+   * Start the worker and initialise ax-x86 in it.
+   * @returns {Promise<string>} ax-x86 version string
+   */
+  async load() {
+    const version = await this._spawn();
+    this._initialized = true;
+    return version;
+  }
+
+  /**
+   * Execute an ELF binary in the worker.
+   * @param {Uint8Array} elfBytes
+   * @param {Array} sourceMap
+   * @param {object} [opts]
+   * @param {string[]} [opts.argv] as for AxRuntime.run
+   * @param {string[]} [opts.env] likewise
+   * @param {string} [opts.cwd] likewise
+   * @param {number} [opts.maxInstructions] as for AxRuntime.run;
+   *   DEFAULT_LIMITS where not given
+   * @param {number} [opts.timeLimitMs] likewise
+   * @param {Uint8Array | null} [opts.stdin] the program's whole input, or
+   *   null to give it what writeStdin() sends as it comes
+   * @returns {Promise<object>} the result of AxRuntime.run
+   */
+  async run(elfBytes, sourceMap = [], { stdin = null, argv, env, cwd, ...limits } = {}) {
+    if (!this._initialized) throw new Error('WorkerRuntime not loaded — call load() first');
+    if (this._run) throw new Error('A program is already running');
+    const { maxInstructions, timeLimitMs } = { ...DEFAULT_LIMITS, ...limits };
+
+    // A worker started before useSyscalls is replaced
+    if (this._loadedModules !== this._syscallModules.length) this._terminate();
+    await this._spawn();
+    const t0 = performance.now();
+    const syscallLog = new SyscallLog();
+    return new Promise((resolve, reject) => {
+      // Results for a run the worker could not finish
+      const killed = (stopReason, exitCode, extra = {}) => ({
+        exitCode,
+        runtime: Math.round(performance.now() - t0),
+        instrCount: null,
+        registers: null,
+        stopReason,
+        ...extra,
+        syscalls: syscallLog.entries(),
+        syscallsDropped: syscallLog.dropped,
+        trace: null,
+        disassembly: disassemble(elfBytes, { sourceMap }),
+        memory: null,
+      });
+
+      // The watchdog is paused while the program waits for input, which
+      // does not count towards its time limit
+      let watchdog = null;
+      let left = timeLimitMs + GRACE_MS;
+      let since = 0;
+      const pause = () => {
+        if (watchdog === null) return;
+        clearTimeout(watchdog);
+        watchdog = null;
+        left -= performance.now() - since;
+      };
+      const resume = () => {
+        if (watchdog !== null) return;
+        since = performance.now();
+        watchdog = setTimeout(() => {
+          this._terminate();
+          this._run = null;
+          resolve(killed('time limit exceeded', 124, { limit: 'time' }));
+        }, Math.max(0, left));
+      };
+      resume();
+
+      this._run = {
+        resolve: result => {
+          pause();
+          this._run = null;
+          resolve(result);
+        },
+        reject: err => {
+          pause();
+          this._run = null;
+          reject(err);
+        },
+        stopped: () => killed('stopped', 137),
+        waiting: waiting => (waiting ? pause() : resume()),
+        syscalls: records => records.forEach(record => syscallLog.push(record)),
+      };
+
+      this._worker.postMessage({
+        type: 'run',
+        elf: elfBytes,
+        sourceMap,
+        files: this.vfs?.snapshot() ?? [],
+        options: {
+          registerBaseline: this._registerBaselineEnabled,
+          trace: this._traceEnabled,
+          argv,
+          env,
+          cwd,
+          maxInstructions,
+          timeLimitMs,
+          stdin,
+        },
+      });
+    });
+  }
+
+  /**
+   * Send input to the running program's stdin.
+   * @param {string | Uint8Array} data
+   */
+  writeStdin(data) {
+    if (!this._run) return;
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    this._worker.postMessage({ type: 'stdin', data: bytes });
+  }
+
+  // End of input for the running program's stdin, as Ctrl+D gives
+  endStdin() {
+    if (this._run) this._worker.postMessage({ type: 'stdin-eof' });
+  }
+
+  /**
+   * Terminate the running program, whose run() then resolves with the
+   * stop reason 'stopped'. Does nothing when no program is running.
+   */
+  stop() {
+    const run = this._run;
+    if (!run) return;
+    this._terminate();
+    run.resolve(run.stopped());
+  }
+
+  /* ── Worker lifecycle ────────────────────────────────────────────────── */
+
+  // Start a worker unless one is running, resolving to the ax-x86 version
+  _spawn() {
+    if (this._loading) return this._loading;
+    const worker = this._createWorker();
+    this._worker = worker;
+    this._loading = new Promise((resolve, reject) => {
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'loaded') resolve(data.version);
+        else if (data.type === 'error' && !this._run) reject(new Error(data.message));
+        else this._onMessage(data);
+      };
+      worker.onerror = event => {
+        event.preventDefault?.();
+        const err = new Error(event.message || 'The run worker failed to start');
+        this._terminate();
+        reject(err);
+        this._run?.reject(err);
+      };
+    });
+    this._loadedModules = this._syscallModules.length;
+    worker.postMessage({ type: 'load', syscalls: this._syscallModules.slice() });
+    return this._loading;
+  }
+
+  _onMessage(data) {
+    if (data.type === 'stdout') this.onStdout?.(data.text);
+    else if (data.type === 'stderr') this.onStderr?.(data.text);
+    else if (data.type === 'stdin-wait') {
+      this._run?.waiting(data.waiting);
+      this.onStdinWait?.(data.waiting);
+    }
+    else if (data.type === 'syscalls') this._run?.syscalls(data.records);
+    else if (data.type === 'exit') this._finish(data);
+    else if (data.type === 'error') this._run?.reject(new Error(data.message));
+  }
+
+  // Copy the program's file changes back to the workspace, then report
+  async _finish({ result, written, deleted }) {
+    const run = this._run;
+    if (this.vfs) {
+      for (const [path, bytes] of written) await this.vfs.write(path, bytes).catch(() => {});
+      for (const path of deleted) await this.vfs.delete(path).catch(() => {});
+    }
+    run?.resolve(result);
+  }
+
+  _terminate() {
+    this._worker?.terminate();
+    this._worker = null;
+    this._loading = null;
+  }
+}
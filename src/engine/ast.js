@@ -0,0 +1,61 @@
+/**
+ * ast.js — Chibicc's syntax tree as plain JSON, for the AST / IR view
+ *
+ * Parser nodes link to shared objects (a variable's declaration, a struct
+ * member's layout) and may share subtrees, so they are copied here into a
+ * tree of { type, ...fields, ty, line, col } objects: types become their C
+ * spelling, variables their name, and non-finite numbers a string.
+ */
+
+import { typeName } from './ctypes.js';
+
+// Links back into the parser's tables, replaced or dropped below
+const SKIPPED = new Set(['obj', 'member', 'local', 'file', 'ty', 'vaArea', 'locals', 'savedRegs', 'stackSize']);
+
+function value(val) {
+  if (Array.isArray(val)) return val.map(value);
+  if (val?.type && typeof val.type === 'string') return node(val);
+  if (typeof val === 'number' && !Number.isFinite(val)) return String(val);
+  if (val && typeof val === 'object') {
+    return Object.fromEntries(Object.entries(val).map(([key, v]) => [key, value(v)]));
+  }
+  return val;
+}
+
+function node(n) {
+  const out = { type: n.type };
+  for (const [key, val] of Object.entries(n)) {
+    if (key === 'type' || SKIPPED.has(key) || val === undefined) continue;
+    out[key] = key === 'params' ? val.map(param => param.name) : value(val);
+  }
+  if (n.type === 'var') {
+    out.name = n.obj.name || '(temp)';
+    if (n.obj.isGlobal) out.global = true;
+  }
+  if (n.type === 'member') out.member = { name: n.member.name, offset: n.member.offset };
+  if (n.type === 'memzero') out.local = n.local.name;
+  if (n.ty) out.ty = typeName(n.ty);
+  return out;
+}
+
+/**
+ * @param {object} unit
+ * @param {Array}  unit.functions function nodes from Chibicc's parser
+ * @param {Array}  unit.globals   global objects ({ name, label, ty, isDefinition, isStatic })
+ * @returns {object} { type: 'unit', globals, functions }
+ */
+export function astToJSON({ functions, globals }) {
+  return {
+    type: 'unit',
+    globals: globals.filter(obj => obj.isDefinition).map(obj => ({
+      name: obj.name,
+      label: obj.label,
+      ty: typeName(obj.ty),
+      ...(obj.isStatic && { static: true }),
+    })),
+    functions: functions.map(fn => ({
+      ...node(fn),
+      locals: fn.locals.map(obj => ({ name: obj.name || '(temp)', ty: typeName(obj.ty), offset: obj.offset })),
+    })),
+  };
+}
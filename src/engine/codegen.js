@@ -0,0 +1,971 @@
+/**
+ * codegen.js — x86-64 code generation from Chibicc's IR
+ *
+ * Turns the three-address IR of a translation unit (see ir.js) into
+ * GAS/AT&T assembly: string literals and initialised globals first, then
+ * the crt0 when the unit defines main, then each function, block by block.
+ *
+ * Frame layout
+ * ────────────
+ *   16(%rbp), 24(%rbp), …   arguments passed on the stack
+ *   8(%rbp)                 return address
+ *   0(%rbp)                 the caller's %rbp
+ *   below                   locals at the offsets the parser gave them, then
+ *                           the callee-saved registers the function uses
+ *                           (-O1), then 8-byte slots for temporaries
+ *   %rsp                    16-byte aligned from the prologue on; a call
+ *                           reserves room below it for its stack arguments
+ *
+ * Temporaries that are live at the same time get different slots; the
+ * others share them. Values follow Chibicc's representation: char, short
+ * and int values sit in %eax sign- or zero-extended from their own width
+ * and are operated on with 32-bit instructions, long and pointer values
+ * fill %rax, and float and double values live in %xmm0.
+ *
+ * Each instruction loads its operands into %rax and %rdi (%xmm0 and %xmm1
+ * for float and double), computes its result in %rax (%xmm0) and stores
+ * that to the temporary's slot or the variable. At -O1:
+ *   - a temporary used only by the next instruction stays in %rax (%xmm0)
+ *   - an integer comparison that feeds a br becomes cmp and a jcc
+ *   - constants, registers and same-width slots are used as operands
+ *     directly, and the addresses of globals and locals as memory operands
+ *   - variables allocated to callee-saved registers (see optimize.js) are
+ *     compared and updated in place
+ */
+
+import { isRegister } from '@defasm/core';
+import { alignTo } from './ctypes.js';
+
+export const ARG_REGS = ['%rdi', '%rsi', '%rdx', '%rcx', '%r8', '%r9'];
+export const FP_ARG_REGS = 8; // %xmm0-%xmm7
+// A variadic function's register save area: the six argument registers,
+// then %xmm0-%xmm7 at 16 bytes each
+export const REG_SAVE_AREA = 8 * ARG_REGS.length + 16 * FP_ARG_REGS;
+// -O1 keeps locals in these; a function saves the ones it uses
+export const CALLEE_SAVED = ['%rbx', '%r12', '%r13', '%r14', '%r15'];
+
+// Each register's name at 8, 4, 2 and 1 bytes
+const REGS = Object.fromEntries([
+  ['%rax', '%eax', '%ax', '%al'], ['%rbx', '%ebx', '%bx', '%bl'], ['%rcx', '%ecx', '%cx', '%cl'],
+  ['%rdx', '%edx', '%dx', '%dl'], ['%rsi', '%esi', '%si', '%sil'], ['%rdi', '%edi', '%di', '%dil'],
+  ...[8, 9, 10, 11, 12, 13, 14, 15].map(n => [`%r${n}`, `%r${n}d`, `%r${n}w`, `%r${n}b`]),
+].map(names => [names[0], { 8: names[0], 4: names[1], 2: names[2], 1: names[3] }]));
+const sub = (reg, size) => REGS[reg]?.[size] ?? reg;
+
+// Condition codes for each comparison, and their negations
+const SIGNED_CC   = { eq: 'e', ne: 'ne', lt: 'l', le: 'le', gt: 'g', ge: 'ge' };
+const UNSIGNED_CC = { eq: 'e', ne: 'ne', lt: 'b', le: 'be', gt: 'a', ge: 'ae' };
+const NEGATED_CC  = { e: 'ne', ne: 'e', l: 'ge', le: 'g', g: 'le', ge: 'l', b: 'ae', be: 'a', a: 'be', ae: 'b' };
+// A comparison with its operands swapped: a < b is b > a
+const SWAPPED = { eq: 'eq', ne: 'ne', lt: 'gt', le: 'ge', gt: 'lt', ge: 'le' };
+const COMMUTATIVE = new Set(['add', 'mul', 'and', 'or', 'xor']);
+// Operators -O1 applies to a register variable in place (x = x op y)
+const IN_PLACE = new Set(['add', 'sub', 'mul', 'and', 'or', 'xor', 'shl', 'shr']);
+
+const isFloat = type => type === 'f32' || type === 'f64';
+const isWide = type => type === 'ptr' || type === 'i64' || type === 'u64';
+const isUnsigned = type => type[0] === 'u' || type === 'ptr';
+const sizeOf = type => (type === 'ptr' ? 8 : Number(type.slice(1)) / 8);
+const sse = type => (type === 'f32' ? 'ss' : 'sd');
+
+// A symbol as an instruction operand. defasm reads an operand that starts
+// with a register name (gs, rax, …) as a register missing its %, so those
+// go in parentheses: `call (rax)`, `leaq (gs)(%rip), %rax`.
+const symbolRef = name => (isRegister(name, 64) ? `(${name})` : name);
+
+// An integer constant as a 64-bit immediate; unsigned values past 2^63
+// have the same bits as a negative one
+const imm = val => BigInt.asIntN(64, BigInt(val));
+const fitsInt32 = val => val >= -2147483648n && val <= 2147483647n;
+
+const FLOAT_VALUES = { inf: Infinity, '-inf': -Infinity, nan: NaN, '-0': -0 };
+
+// The bits of a float or double constant, as a signed integer
+function floatBits({ val, type }) {
+  const bits = new DataView(new ArrayBuffer(8));
+  const num = FLOAT_VALUES[val] ?? Number(val);
+  if (type === 'f32') {
+    bits.setFloat32(0, num, true);
+    return bits.getInt32(0, true);
+  }
+  bits.setFloat64(0, num, true);
+  return bits.getBigInt64(0, true);
+}
+
+function escapeAscii(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const b = bytes.charCodeAt(i);
+    if (b === 0x22 || b === 0x5c) out += '\\' + bytes[i];
+    else if (b >= 0x20 && b < 0x7f) out += bytes[i];
+    else out += '\\' + b.toString(8).padStart(3, '0');
+  }
+  return out;
+}
+
+/**
+ * Where each argument of a call goes, as { gp }, { fp } or { stack }
+ * indices: the first six integer arguments and the first eight floating
+ * ones are passed in registers, the rest on the stack in order.
+ *
+ * @param {string[]} types IR types of the arguments
+ */
+export function classifyArgs(types) {
+  let gp = 0;
+  let fp = 0;
+  let stack = 0;
+  return types.map(type => {
+    if (isFloat(type)) return fp < FP_ARG_REGS ? { fp: fp++ } : { stack: stack++ };
+    return gp < ARG_REGS.length ? { gp: gp++ } : { stack: stack++ };
+  });
+}
+
+export class CodeGenerator {
+  /**
+   * @param {object} opts
+   * @param {string} opts.path       the main file; code from others (headers) gets no source lines
+   * @param {boolean} [opts.optimize] generate code as for -O1
+   * @param {Function} opts.newLabel (kind) → a fresh assembly label, `.L.<kind>.<n>`
+   */
+  constructor({ path, optimize = false, newLabel }) {
+    this._path = path;
+    this._optimize = optimize;
+    this._newLabel = newLabel;
+  }
+
+  /**
+   * @param {object} ir a translation unit from lowerToIR
+   * @returns {object} { assembly, sourceMap }, the source map marking each
+   *   { asmLine, srcLine, srcCol } where the code of a source position starts
+   */
+  generate(ir) {
+    this._lines = [];
+    this._sourceMap = [];
+    this._emitData(ir);
+    this._emit('.text');
+    if (ir.functions.some(fn => fn.name === 'main')) this._emitCrt0();
+    for (const fn of ir.functions) this._genFunction(fn);
+    return { assembly: this._lines.join('\n') + '\n', sourceMap: this._sourceMap };
+  }
+
+  _emit(line) { this._lines.push(line); }
+
+  // Map the code emitted from here on to a line and column, or to none
+  _mark(line, col) {
+    this._sourceMap.push({ asmLine: this._lines.length + 1, srcLine: line, srcCol: col });
+  }
+
+  /* ── Data ── */
+
+  // String literals go to .rodata, read-only once linked. Initialised
+  // globals go to .data, padded by hand to each object's alignment;
+  // zero-initialised globals become .comm symbols, which the linker
+  // places in .bss.
+  _emitData({ globals, strings }) {
+    if (strings.length) this._emit('.section .rodata');
+    for (const { name, text } of strings) this._emit(`${name}: .ascii "${escapeAscii(text)}\\0"`);
+
+    if (globals.some(obj => obj.init)) this._emit('.data');
+    let offset = 0;
+    for (const obj of globals) {
+      if (!obj.init) continue;
+      const pad = alignTo(offset, obj.align) - offset;
+      if (pad) this._emit(`  .byte ${new Array(pad).fill(0).join(', ')}`);
+      offset += pad + obj.size;
+
+      // The linker reports a second definition of the global at this line
+      const mapped = obj.file === this._path;
+      this._mark(mapped ? obj.line : null, mapped ? obj.col : null);
+      if (!obj.static) this._emit(`.global ${obj.name}`);
+      this._emit(`.type ${obj.name}, @object`);
+      this._emit(`.size ${obj.name}, ${obj.size}`);
+      this._emit(`${obj.name}:`);
+      const { bytes, relocs } = obj.init;
+      let pos = 0;
+      const flush = end => {
+        for (; pos < end; pos += 16) this._emit(`  .byte ${bytes.slice(pos, Math.min(pos + 16, end)).join(', ')}`);
+        pos = end;
+      };
+      for (const reloc of relocs) {
+        flush(reloc.offset);
+        const addend = reloc.addend ? (reloc.addend > 0 ? `+${reloc.addend}` : `${reloc.addend}`) : '';
+        this._emit(`  .quad ${symbolRef(reloc.label)}${addend}`);
+        pos += 8;
+      }
+      flush(bytes.length);
+    }
+    // crt0, which follows, has no line
+    if (offset) this._mark(null, null);
+
+    for (const obj of globals) {
+      if (obj.init) continue;
+      if (obj.static) this._emit(`.local ${obj.name}`);
+      this._emit(`.comm ${obj.name}, ${obj.size}, ${obj.align}`);
+    }
+  }
+
+  // crt0: the kernel leaves argc at (%rsp), argv right above it and envp
+  // after argv's NULL terminator. main's return value goes to exit().
+  _emitCrt0() {
+    this._emit('.global _start');
+    this._emit('.type _start, @function');
+    this._emit('_start:');
+    this._emit('  xorq %rbp, %rbp');
+    this._emit('  movq (%rsp), %rdi');
+    this._emit('  leaq 8(%rsp), %rsi');
+    this._emit('  leaq 8(%rsi,%rdi,8), %rdx');
+    this._emit('  movq %rdx, environ(%rip)');
+    this._emit('  andq $-16, %rsp');
+    this._emit('  call main');
+    this._emit('  movq %rax, %rdi');
+    this._emit('  call exit');
+  }
+
+  /* ── Functions ── */
+
+  _genFunction(fn) {
+    this._fn = fn;
+    this._locals = new Map(fn.locals.map(local => [local.name, local]));
+    // The source map covers the main file only; included headers have no
+    // editor view, so a function from one starts an entry with no line
+    this._mapSource = fn.file === this._path;
+    this._mark(this._mapSource ? fn.line : null, this._mapSource ? fn.col : null);
+    this._at = { line: fn.line, col: fn.col };
+
+    // Callee-saved registers that hold locals (-O1) are saved below the
+    // locals, and temporaries below those
+    const saved = fn.savedRegs.map((reg, i) => [reg, `${-(fn.stackSize + 8 * (i + 1))}(%rbp)`]);
+    const slots = this._allocateTemps(fn, fn.stackSize + 8 * saved.length);
+    const frameSize = alignTo(fn.stackSize + 8 * (saved.length + slots), 16);
+
+    if (!fn.static) this._emit(`.global ${fn.name}`);
+    this._emit(`.type ${fn.name}, @function`);
+    this._emit(`${fn.name}:`);
+    this._emit('  pushq %rbp');
+    this._emit('  movq %rsp, %rbp');
+    if (frameSize > 0) this._emit(`  subq $${frameSize}, %rsp`);
+    for (const [reg, slot] of saved) this._emit(`  movq ${reg}, ${slot}`);
+    this._genParams(fn);
+
+    fn.blocks.forEach((block, i) => {
+      // The entry block starts right after the prologue
+      if (i > 0) this._emit(`${block.label}:`);
+      this._nextLabel = fn.blocks[i + 1]?.label;
+      const lastBlock = i === fn.blocks.length - 1;
+      block.instrs.forEach((instr, j) => {
+        this._markInstr(instr);
+        this._genInstr(instr, lastBlock && j === block.instrs.length - 1);
+      });
+    });
+
+    this._emit(`.L.return.${fn.name}:`);
+    for (const [reg, slot] of saved) this._emit(`  movq ${slot}, ${reg}`);
+    this._emit('  movq %rbp, %rsp');
+    this._emit('  popq %rbp');
+    this._emit('  ret');
+    this._emit(`.size ${fn.name}, .-${fn.name}`);
+  }
+
+  // Spill register arguments into their stack slots, or move them into
+  // the register allocated to them
+  _genParams(fn) {
+    const params = fn.params.map(name => this._locals.get(name));
+    classifyArgs(params.map(param => param.type)).forEach((loc, i) => {
+      const param = params[i];
+      const size = sizeOf(param.type);
+      if (param.reg) {
+        if (loc.gp === undefined) this._loadMem(param.type, `${param.offset}(%rbp)`, param.reg);
+        else if (size >= 4) this._emit(`  movq ${ARG_REGS[loc.gp]}, ${param.reg}`);
+        else {
+          const ext = isUnsigned(param.type) ? 'z' : 's';
+          this._emit(`  mov${ext}${size === 1 ? 'b' : 'w'}l ${sub(ARG_REGS[loc.gp], size)}, ${sub(param.reg, 4)}`);
+        }
+      } else if (loc.fp !== undefined) {
+        this._emit(`  mov${sse(param.type)} %xmm${loc.fp}, ${param.offset}(%rbp)`);
+      } else if (loc.gp !== undefined) {
+        this._emit(`  mov ${sub(ARG_REGS[loc.gp], size)}, ${param.offset}(%rbp)`);
+      }
+    });
+    if (fn.variadic) this._genVaArea(this._locals.get(fn.vaArea).offset, params);
+  }
+
+  // __va_area__ starts with the va_list header va_start copies:
+  //   +0  gp_offset          offset of the next unnamed integer register argument
+  //   +4  fp_offset          offset of the next unnamed %xmm argument (48 onwards)
+  //   +8  overflow_arg_area  next stack-passed argument
+  //   +16 reg_save_area      = __va_area__ + 24, where %rdi…%r9 and then
+  //                          %xmm0…%xmm7 (16 bytes apart) are saved
+  _genVaArea(off, params) {
+    const locs = classifyArgs(params.map(param => param.type));
+    const gp = locs.filter(loc => loc.gp !== undefined).length;
+    const fp = locs.filter(loc => loc.fp !== undefined).length;
+    const stack = locs.length - gp - fp;
+    this._emit(`  movl $${gp * 8}, ${off}(%rbp)`);
+    this._emit(`  movl $${8 * ARG_REGS.length + fp * 16}, ${off + 4}(%rbp)`);
+    this._emit(`  leaq ${16 + 8 * stack}(%rbp), %rax`);
+    this._emit(`  movq %rax, ${off + 8}(%rbp)`);
+    this._emit(`  leaq ${off + 24}(%rbp), %rax`);
+    this._emit(`  movq %rax, ${off + 16}(%rbp)`);
+    ARG_REGS.forEach((reg, i) => this._emit(`  movq ${reg}, ${off + 24 + 8 * i}(%rbp)`));
+    for (let i = 0; i < FP_ARG_REGS; i++) this._emit(`  movsd %xmm${i}, ${off + 24 + 8 * ARG_REGS.length + 16 * i}(%rbp)`);
+  }
+
+  // Map the code of an instruction to its statement, where that changes.
+  // Statements are marked as they start, and so are the condition and
+  // increment of a loop, whose code is apart from the rest.
+  _markInstr({ line, col }) {
+    if (line === null || (line === this._at.line && col === this._at.col)) return;
+    this._at = { line, col };
+    if (this._mapSource) this._mark(line, col);
+  }
+
+  /* ── Temporaries ── */
+
+  // Decide where each temporary lives: at -O1 one that only the next
+  // instruction uses stays where it was computed (in %rax or %xmm0, or as
+  // a local's address that becomes a memory operand), the others get a
+  // slot below `base`. Slots are shared by temporaries whose lifetimes,
+  // from their first definition to their last use, don't overlap. Returns
+  // the number of slots.
+  _allocateTemps(fn, base) {
+    const temps = new Map(); // id → { defs, uses, start, end, defAt, useAt }
+    const instrs = fn.blocks.flatMap(block => block.instrs);
+    const temp = (op, pos) => {
+      if (!temps.has(op.id)) temps.set(op.id, { defs: 0, uses: 0, start: pos, end: pos });
+      const t = temps.get(op.id);
+      t.end = pos;
+      return t;
+    };
+    instrs.forEach((instr, pos) => {
+      for (const arg of instr.args) {
+        if (arg?.kind !== 'temp') continue;
+        const t = temp(arg, pos);
+        t.uses++;
+        t.useAt = pos;
+      }
+      if (instr.dst?.kind === 'temp') {
+        const t = temp(instr.dst, pos);
+        t.defs++;
+        t.defAt = pos;
+      }
+    });
+
+    for (const t of temps.values()) {
+      if (!this._optimize || t.defs !== 1 || t.uses !== 1 || t.useAt !== t.defAt + 1) continue;
+      const def = instrs[t.defAt];
+      const use = instrs[t.useAt];
+      if (def.op === 'addr' && (use.op === 'load' || use.op === 'store') && use.args[0] === def.dst) {
+        t.folded = `${this._locals.get(def.args[0].name).offset}(%rbp)`;
+      } else {
+        t.resident = true;
+        t.fused = SIGNED_CC[def.op] !== undefined && !isFloat(def.type) && use.op === 'br';
+      }
+    }
+
+    // Linear scan over the lifetimes, in order of their start
+    const free = [];
+    let active = [];
+    let slots = 0;
+    for (const t of [...temps.values()].sort((a, b) => a.start - b.start)) {
+      if (t.resident || t.folded || !t.uses) continue;
+      for (const done of active.filter(a => a.end <= t.start)) free.push(done.slot);
+      active = active.filter(a => a.end > t.start);
+      t.slot = free.length ? free.pop() : slots++;
+      t.home = `${-(base + 8 * (t.slot + 1))}(%rbp)`;
+      active.push(t);
+    }
+    this._temps = temps;
+    return slots;
+  }
+
+  _isResident(op) {
+    return op?.kind === 'temp' && Boolean(this._temps.get(op.id).resident);
+  }
+
+  _local(op) {
+    return this._locals.get(op.name);
+  }
+
+  // The callee-saved register a variable operand lives in, if any
+  _regOf(op) {
+    return op?.kind === 'var' ? this._local(op).reg : undefined;
+  }
+
+  /* ── Operands ── */
+
+  // Load an operand into a general register (given by its 64-bit name) or
+  // an %xmm register. Integer values narrower than 64 bits fill the 32-bit
+  // register, extended from their own width.
+  _load(op, dst = isFloat(op.type) ? '%xmm0' : '%rax') {
+    switch (op.kind) {
+      case 'const':
+        if (!isFloat(op.type)) {
+          this._emit(`  movq $${imm(op.val)}, ${dst}`);
+        } else if (op.type === 'f32') {
+          // SSE has no immediate operands: move the bit pattern over from %rax
+          this._emit(`  movl $${floatBits(op)}, %eax`);
+          this._emit(`  movd %eax, ${dst}`);
+        } else {
+          this._emit(`  movq $${floatBits(op)}, %rax`);
+          this._emit(`  movq %rax, ${dst}`);
+        }
+        return;
+      case 'global':
+        this._emit(`  leaq ${symbolRef(op.name)}(%rip), ${dst}`);
+        return;
+      case 'var': {
+        const local = this._local(op);
+        if (!local.reg) this._loadMem(op.type, `${local.offset}(%rbp)`, dst);
+        else if (local.reg !== dst) this._emit(`  movq ${local.reg}, ${dst}`);
+        return;
+      }
+    }
+    const t = this._temps.get(op.id);
+    if (t.folded) {
+      this._emit(`  leaq ${t.folded}, ${dst}`);
+    } else if (t.resident) {
+      const home = isFloat(op.type) ? '%xmm0' : '%rax';
+      if (dst !== home) this._emit(isFloat(op.type) ? `  movsd %xmm0, ${dst}` : `  movq %rax, ${dst}`);
+    } else if (isFloat(op.type)) {
+      this._emit(`  mov${sse(op.type)} ${t.home}, ${dst}`);
+    } else {
+      this._emit(isWide(op.type) ? `  movq ${t.home}, ${dst}` : `  movl ${t.home}, ${sub(dst, 4)}`);
+    }
+  }
+
+  // Load the value of a type at memory operand `src` into `dst`
+  _loadMem(type, src, dst = isFloat(type) ? '%xmm0' : '%rax') {
+    if (isFloat(type)) return this._emit(`  mov${sse(type)} ${src}, ${dst}`);
+    const ext = isUnsigned(type) ? 'z' : 's';
+    switch (sizeOf(type)) {
+      case 1: this._emit(`  mov${ext}bl ${src}, ${sub(dst, 4)}`); return;
+      case 2: this._emit(`  mov${ext}wl ${src}, ${sub(dst, 4)}`); return;
+      case 4: this._emit(isUnsigned(type) ? `  movl ${src}, ${sub(dst, 4)}` : `  movslq ${src}, ${dst}`); return;
+      default: this._emit(`  movq ${src}, ${dst}`);
+    }
+  }
+
+  // Store the value of a type from register `src` to memory operand `dst`
+  _storeMem(type, src, dst) {
+    if (isFloat(type)) return this._emit(`  mov${sse(type)} ${src}, ${dst}`);
+    const size = sizeOf(type);
+    this._emit(`  mov${{ 1: 'b', 2: 'w', 4: 'l', 8: 'q' }[size]} ${sub(src, size)}, ${dst}`);
+  }
+
+  // Store an instruction's result, in %rax or %xmm0, to its destination
+  _define(dst) {
+    if (!dst) return;
+    const src = isFloat(dst.type) ? '%xmm0' : '%rax';
+    if (dst.kind === 'var') {
+      const local = this._local(dst);
+      if (local.reg) this._emit(`  movq %rax, ${local.reg}`);
+      else this._storeMem(dst.type, src, `${local.offset}(%rbp)`);
+      return;
+    }
+    const t = this._temps.get(dst.id);
+    if (t.resident || !t.uses) return;
+    if (isFloat(dst.type)) this._emit(`  mov${sse(dst.type)} %xmm0, ${t.home}`);
+    else this._emit(isWide(dst.type) ? `  movq %rax, ${t.home}` : `  movl %eax, ${t.home}`);
+  }
+
+  // At -O1, an integer operand as an instruction would take it without
+  // loading it first: an int32 constant, a register, or a memory operand
+  // of `size` bytes
+  _direct(op, size) {
+    if (!this._optimize || isFloat(op.type)) return null;
+    switch (op.kind) {
+      case 'const': {
+        const val = imm(op.val);
+        return fitsInt32(val) ? `$${val}` : null;
+      }
+      case 'var': {
+        const local = this._local(op);
+        if (local.reg) return sub(local.reg, size);
+        return sizeOf(op.type) === size ? `${local.offset}(%rbp)` : null;
+      }
+      case 'temp': {
+        const t = this._temps.get(op.id);
+        return t.home ?? null;
+      }
+    }
+    return null;
+  }
+
+  // A memory operand for the address `op` holds, which goes in `reg`
+  // unless -O1 can use it as it is
+  _address(op, reg) {
+    if (this._optimize) {
+      if (op.kind === 'global') return `${symbolRef(op.name)}(%rip)`;
+      if (op.kind === 'temp' && this._temps.get(op.id).folded) return this._temps.get(op.id).folded;
+      if (this._regOf(op)) return `(${this._regOf(op)})`;
+    }
+    this._load(op, reg);
+    return `(${reg})`;
+  }
+
+  /* ── Instructions ── */
+
+  _genInstr(instr, last) {
+    switch (instr.op) {
+      case 'copy':
+        this._genCopy(instr);
+        return;
+      case 'add': case 'sub': case 'mul': case 'div': case 'mod':
+      case 'and': case 'or': case 'xor': case 'shl': case 'shr':
+      case 'eq': case 'ne': case 'lt': case 'le': case 'gt': case 'ge':
+        if (isFloat(instr.type)) this._genFloatBinary(instr);
+        else this._genBinary(instr);
+        return;
+      case 'bitnot':
+        this._load(instr.args[0]);
+        this._emit(isWide(instr.type) ? '  notq %rax' : '  notl %eax');
+        this._define(instr.dst);
+        return;
+      case 'conv': {
+        const [from, to] = instr.type.split('.');
+        this._load(instr.args[0]);
+        this._genConv(from, to);
+        this._define(instr.dst);
+        return;
+      }
+      case 'addr':
+        if (this._temps.get(instr.dst.id)?.folded) return;
+        this._emit(`  leaq ${this._local(instr.args[0]).offset}(%rbp), %rax`);
+        this._define(instr.dst);
+        return;
+      case 'load':
+        this._loadMem(instr.type, this._address(instr.args[0], '%rax'));
+        this._define(instr.dst);
+        return;
+      case 'store':
+        this._genStore(instr);
+        return;
+      case 'copymem': {
+        // Byte by byte, from the address in %rax to the one in %rdi
+        const [dst, src, { val: size }] = instr.args;
+        if (this._isResident(dst)) this._emit('  movq %rax, %rdi');
+        else this._load(dst, '%rdi');
+        this._load(src, '%rax');
+        for (let i = 0; i < size; i++) {
+          this._emit(`  movb ${i}(%rax), %r8b`);
+          this._emit(`  movb %r8b, ${i}(%rdi)`);
+        }
+        return;
+      }
+      case 'zero': {
+        const [dst, { val: size }] = instr.args;
+        this._load(dst, '%rdi');
+        this._emit(`  movq $${size}, %rcx`);
+        this._emit('  xorl %eax, %eax');
+        this._emit('  rep stosb');
+        return;
+      }
+      case 'call':
+        this._genCall(instr);
+        return;
+      case 'va_arg':
+        this._genVaArg(instr);
+        return;
+      case 'jmp':
+        this._jump(instr.args[0]);
+        return;
+      case 'br':
+        this._genBranch(instr);
+        return;
+      case 'switch':
+        this._genSwitch(instr);
+        return;
+      case 'ret': {
+        const [val] = instr.args;
+        if (val) this._load(val);
+        // The last block falls through into the epilogue
+        if (!last) this._emit(`  jmp .L.return.${this._fn.name}`);
+        return;
+      }
+    }
+    throw new Error(`Invalid instruction: ${instr.op}`);
+  }
+
+  _jump(label) {
+    if (label !== this._nextLabel) this._emit(`  jmp ${label}`);
+  }
+
+  // Jump to ifTrue when condition code `cc` holds and to ifFalse
+  // otherwise, falling through to whichever is the next block
+  _jumpIf(cc, ifTrue, ifFalse) {
+    if (ifTrue === this._nextLabel) {
+      this._emit(`  j${NEGATED_CC[cc]} ${ifFalse}`);
+      return;
+    }
+    this._emit(`  j${cc} ${ifTrue}`);
+    this._jump(ifFalse);
+  }
+
+  _genCopy({ dst, args: [val] }) {
+    if (this._optimize && dst.kind === 'var' && !isFloat(dst.type)) {
+      const local = this._local(dst);
+      const src = val.kind === 'const' || this._regOf(val) ? this._direct(val, 8) : null;
+      if (src && local.reg) {
+        this._emit(`  movq ${src}, ${local.reg}`);
+        return;
+      }
+      if (src?.startsWith('$')) {
+        const size = sizeOf(dst.type);
+        this._emit(`  mov${{ 1: 'b', 2: 'w', 4: 'l', 8: 'q' }[size]} ${src}, ${local.offset}(%rbp)`);
+        return;
+      }
+    }
+    this._load(val);
+    this._define(dst);
+  }
+
+  // Integer arithmetic and comparisons: the left operand in %rax, the
+  // right one in %rdi or (-O1) as it stands
+  _genBinary(instr) {
+    let { op, dst, args: [a, b] } = instr;
+    const wide = isWide(instr.type);
+    const size = wide ? 8 : 4;
+    const sfx = wide ? 'q' : 'l';
+    const compare = SWAPPED[op] !== undefined;
+
+    // Swap so that the variable being updated, the value still in %rax or
+    // a constant is on the side it is best used from
+    const inPlace = this._optimize && IN_PLACE.has(op) && Boolean(this._regOf(dst));
+    if ((COMMUTATIVE.has(op) || compare) && !(inPlace && this._sameVar(dst, a))) {
+      if ((inPlace && this._sameVar(dst, b)) || this._isResident(b) || (a.kind === 'const' && b.kind !== 'const')) {
+        [a, b] = [b, a];
+        if (compare) op = SWAPPED[op];
+      }
+    }
+
+    // At -O1 a register variable is compared, or updated, where it is
+    let left = '%rax';
+    if (this._optimize && compare && this._regOf(a) && !this._isResident(b)) left = this._regOf(a);
+    if (inPlace && this._sameVar(dst, a)) left = this._regOf(dst);
+
+    let src;
+    if (op === 'shl' || op === 'shr') {
+      // The count is a constant or in %cl; the CPU masks it to the width
+      if (b.kind === 'const' && this._optimize) src = `$${imm(b.val) & (wide ? 63n : 31n)}`;
+      else if (this._isResident(b)) this._emit('  movq %rax, %rcx');
+      if (left === '%rax') this._load(a, '%rax');
+      if (!src && !this._isResident(b)) this._load(b, '%rcx');
+      src ??= '%cl';
+    } else {
+      if (this._isResident(b)) {
+        if (left === '%rax') this._emit('  movq %rax, %rdi');
+        src = left === '%rax' ? '%rdi' : '%rax';
+      } else {
+        src = this._direct(b, size);
+        // div takes no immediate
+        if ((op === 'div' || op === 'mod') && src?.startsWith('$')) src = null;
+      }
+      if (left === '%rax') this._load(a, '%rax');
+      if (!src) {
+        this._load(b, '%rdi');
+        src = '%rdi';
+      }
+      src = sub(src, size);
+    }
+    const target = sub(left, size);
+
+    if (compare) {
+      const cc = (isUnsigned(instr.type) ? UNSIGNED_CC : SIGNED_CC)[op];
+      this._emit(`  cmp${sfx} ${src}, ${target}`);
+      if (this._temps.get(dst.id)?.fused) {
+        this._cc = cc;
+        return;
+      }
+      this._emit(`  set${cc} %al`);
+      this._emit('  movzbl %al, %eax');
+      this._define(dst);
+      return;
+    }
+
+    switch (op) {
+      case 'add': case 'sub': case 'and': case 'or': case 'xor':
+        this._emit(`  ${op}${sfx} ${src}, ${target}`);
+        break;
+      case 'mul': {
+        const k = src.startsWith('$') ? BigInt(src.slice(1)) : null;
+        if (k === null) this._emit(`  imul${sfx} ${src}, ${target}`);
+        else if (k > 0n && (k & (k - 1n)) === 0n) this._emit(`  shl${sfx} $${k.toString(2).length - 1}, ${target}`);
+        else this._emit(`  imul${sfx} ${src}, ${target}, ${target}`);
+        break;
+      }
+      case 'div':
+      case 'mod':
+        if (isUnsigned(instr.type)) {
+          this._emit('  xorl %edx, %edx');
+          this._emit(`  div${sfx} ${src}`);
+        } else {
+          this._emit(wide ? '  cqto' : '  cltd');
+          this._emit(`  idiv${sfx} ${src}`);
+        }
+        if (op === 'mod') this._emit(wide ? '  movq %rdx, %rax' : '  movl %edx, %eax');
+        break;
+      case 'shl':
+      case 'shr': {
+        const shift = op === 'shl' ? 'shl' : isUnsigned(instr.type) ? 'shr' : 'sar';
+        this._emit(`  ${shift}${sfx} ${src}, ${target}`);
+        break;
+      }
+    }
+    if (left === '%rax') this._define(dst);
+  }
+
+  _sameVar(a, b) {
+    return a?.kind === 'var' && b?.kind === 'var' && a.name === b.name;
+  }
+
+  // %xmm0 = %xmm0 <op> %xmm1. Comparisons leave an int in %eax.
+  _genFloatBinary(instr) {
+    let { op, type, dst, args: [a, b] } = instr;
+    const compare = SWAPPED[op] !== undefined;
+    if (this._isResident(b)) {
+      if (op === 'add' || op === 'mul' || compare) {
+        [a, b] = [b, a];
+        if (compare) op = SWAPPED[op];
+      } else {
+        this._emit('  movsd %xmm0, %xmm1');
+      }
+    }
+    this._load(a, '%xmm0');
+    if (!this._isResident(b)) this._load(b, '%xmm1');
+
+    const s = sse(type);
+    if (!compare) {
+      this._emit(`  ${op}${s} %xmm1, %xmm0`);
+      this._define(dst);
+      return;
+    }
+    // ucomis* sets the flags like an unsigned compare, plus PF for an
+    // unordered (NaN) operand: then only != holds. a < b is tested as
+    // b > a so that NaN (CF set) comes out false.
+    switch (op) {
+      case 'eq':
+        this._emit(`  ucomi${s} %xmm1, %xmm0`);
+        this._emit('  sete %al');
+        this._emit('  setnp %dl');
+        this._emit('  andb %dl, %al');
+        break;
+      case 'ne':
+        this._emit(`  ucomi${s} %xmm1, %xmm0`);
+        this._emit('  setne %al');
+        this._emit('  setp %dl');
+        this._emit('  orb %dl, %al');
+        break;
+      case 'lt':
+      case 'le':
+        this._emit(`  ucomi${s} %xmm0, %xmm1`);
+        this._emit(op === 'lt' ? '  seta %al' : '  setae %al');
+        break;
+      default:
+        this._emit(`  ucomi${s} %xmm1, %xmm0`);
+        this._emit(op === 'gt' ? '  seta %al' : '  setae %al');
+    }
+    this._emit('  movzbl %al, %eax');
+    this._define(dst);
+  }
+
+  _genStore({ type, args: [addr, val] }) {
+    let dst;
+    if (this._isResident(addr)) {
+      this._emit('  movq %rax, %rdi');
+      dst = '(%rdi)';
+    } else {
+      dst = this._address(addr, '%rdi');
+    }
+    const src = this._optimize && !isFloat(type) && (val.kind === 'const' || this._regOf(val)) ? this._direct(val, sizeOf(type)) : null;
+    if (src?.startsWith('$')) {
+      this._emit(`  mov${{ 1: 'b', 2: 'w', 4: 'l', 8: 'q' }[sizeOf(type)]} ${src}, ${dst}`);
+      return;
+    }
+    if (this._regOf(val) && this._optimize) {
+      this._storeMem(type, this._regOf(val), dst);
+      return;
+    }
+    this._load(val);
+    this._storeMem(type, isFloat(type) ? '%xmm0' : '%rax', dst);
+  }
+
+  // Reserve an aligned area for the stack arguments, move the arguments
+  // into place and set %al to the number of vector registers used, which a
+  // variadic callee needs
+  _genCall({ dst, args: [callee, ...args] }) {
+    const locs = classifyArgs(args.map(arg => arg.type));
+    const area = alignTo(8 * locs.filter(loc => loc.stack !== undefined).length, 16);
+    const home = loc => (loc.gp !== undefined ? ARG_REGS[loc.gp] : loc.fp !== undefined ? `%xmm${loc.fp}` : `${8 * loc.stack}(%rsp)`);
+    if (area) this._emit(`  subq $${area}, %rsp`);
+
+    // The previous instruction's result, still in %rax or %xmm0, goes first
+    if (this._isResident(callee)) this._emit('  movq %rax, %r10');
+    args.forEach((arg, i) => {
+      if (!this._isResident(arg)) return;
+      const to = home(locs[i]);
+      if (!isFloat(arg.type)) this._emit(`  movq %rax, ${to}`);
+      else if (to !== '%xmm0') this._emit(`  movsd %xmm0, ${to}`);
+    });
+    // Stack arguments go through %rax, or %xmm8, which no argument uses
+    args.forEach((arg, i) => {
+      if (locs[i].stack === undefined || this._isResident(arg)) return;
+      const reg = isFloat(arg.type) ? '%xmm8' : '%rax';
+      this._load(arg, reg);
+      this._emit(`  mov${isFloat(arg.type) ? 'sd' : 'q'} ${reg}, ${home(locs[i])}`);
+    });
+    args.forEach((arg, i) => {
+      if (locs[i].stack === undefined && !this._isResident(arg)) this._load(arg, home(locs[i]));
+    });
+    if (callee.kind !== 'global' && !this._isResident(callee)) this._load(callee, '%r10');
+
+    const vectorRegs = locs.filter(loc => loc.fp !== undefined).length;
+    this._emit(vectorRegs ? `  movl $${vectorRegs}, %eax` : '  xorq %rax, %rax');
+    this._emit(callee.kind === 'global' ? `  call ${symbolRef(callee.name)}` : '  call *%r10');
+    if (area) this._emit(`  addq $${area}, %rsp`);
+    this._define(dst);
+  }
+
+  // Take the next register argument while gp_offset < 48 (fp_offset < 176
+  // for doubles), then continue with the stack-passed ones
+  _genVaArg({ type, dst, args: [ap] }) {
+    const [els, end] = this._labels('else', 'end');
+    const [field, limit, step] = isFloat(type) ? [4, REG_SAVE_AREA, 16] : [0, 8 * ARG_REGS.length, 8];
+    this._load(ap, '%rcx');
+    this._emit(`  movl ${field}(%rcx), %edx`);
+    this._emit(`  cmpl $${limit}, %edx`);
+    this._emit(`  jae ${els}`);
+    this._emit('  movq 16(%rcx), %rax');
+    this._emit('  addq %rdx, %rax');
+    this._emit(`  addl $${step}, ${field}(%rcx)`);
+    this._emit(`  jmp ${end}`);
+    this._emit(`${els}:`);
+    this._emit('  movq 8(%rcx), %rax');
+    this._emit('  addq $8, 8(%rcx)');
+    this._emit(`${end}:`);
+    this._loadMem(type, '(%rax)');
+    this._define(dst);
+  }
+
+  _genBranch({ args: [cond, ifTrue, ifFalse] }) {
+    if (this._temps.get(cond.id)?.fused) {
+      this._jumpIf(this._cc, ifTrue, ifFalse);
+      return;
+    }
+    const size = isWide(cond.type) ? 8 : 4;
+    let reg = this._optimize ? this._regOf(cond) : undefined;
+    if (!reg) {
+      this._load(cond);
+      reg = '%rax';
+    }
+    this._emit(`  cmp${size === 8 ? 'q' : 'l'} $0, ${sub(reg, size)}`);
+    this._jumpIf('ne', ifTrue, ifFalse);
+  }
+
+  // A compare and jump for each case, then to the default
+  _genSwitch({ args: [val, dflt], cases }) {
+    const wide = isWide(val.type);
+    this._load(val);
+    for (const [k, label] of cases) {
+      if (wide && !fitsInt32(imm(k))) {
+        this._emit(`  movq $${imm(k)}, %rdi`);
+        this._emit('  cmpq %rdi, %rax');
+      } else {
+        this._emit(wide ? `  cmpq $${k}, %rax` : `  cmpl $${k}, %eax`);
+      }
+      this._emit(`  je ${label}`);
+    }
+    this._jump(dflt);
+  }
+
+  _labels(...kinds) {
+    const [first, ...rest] = kinds;
+    const label = this._newLabel(first);
+    const id = label.slice(label.lastIndexOf('.') + 1);
+    return [label, ...rest.map(kind => `.L.${kind}.${id}`)];
+  }
+
+  /* ── Conversions ── */
+
+  // Convert %rax (%xmm0) from one type to another. Values narrower than
+  // 64 bits live in %eax, sign- or zero-extended from their own width.
+  _genConv(from, to) {
+    const [src, dst] = [from, to].map(type => (type === 'ptr' ? 'u64' : type));
+    if (src === dst) return;
+    if (isFloat(src) || isFloat(dst)) {
+      this._genFloatConv(src, dst);
+      if (!isFloat(dst) && sizeOf(dst) < 4) this._genConv('i32', dst);
+      return;
+    }
+    switch (dst) {
+      case 'i8':  this._emit('  movsbl %al, %eax'); return;
+      case 'u8':  this._emit('  movzbl %al, %eax'); return;
+      case 'i16': this._emit('  movswl %ax, %eax'); return;
+      case 'u16': this._emit('  movzwl %ax, %eax'); return;
+      case 'i64':
+      case 'u64':
+        if (src === 'u32') this._emit('  movl %eax, %eax');
+        else if (!isWide(src)) this._emit('  movslq %eax, %rax');
+    }
+  }
+
+  // Conversions to or from float/double, between %rax/%eax and %xmm0.
+  // Narrow integer results are left in %eax as an int.
+  _genFloatConv(src, dst) {
+    if (isFloat(src) && isFloat(dst)) {
+      this._emit(`  cvt${sse(src)}2${sse(dst)} %xmm0, %xmm0`);
+      return;
+    }
+
+    if (isFloat(dst)) {
+      if (src === 'u64') {
+        // cvtsi2sd is signed only: halve values with the top bit set
+        // (keeping the low bit for correct rounding), convert, then double
+        const [els, end] = this._labels('else', 'end');
+        this._emit('  testq %rax, %rax');
+        this._emit(`  js ${els}`);
+        this._emit(`  cvtsi2${sse(dst)}q %rax, %xmm0`);
+        this._emit(`  jmp ${end}`);
+        this._emit(`${els}:`);
+        this._emit('  movq %rax, %rdi');
+        this._emit('  andl $1, %eax');
+        this._emit('  shrq %rdi');
+        this._emit('  orq %rax, %rdi');
+        this._emit(`  cvtsi2${sse(dst)}q %rdi, %xmm0`);
+        this._emit(`  add${sse(dst)} %xmm0, %xmm0`);
+        this._emit(`${end}:`);
+      } else if (src === 'u32') {
+        this._emit('  movl %eax, %eax');
+        this._emit(`  cvtsi2${sse(dst)}q %rax, %xmm0`);
+      } else {
+        this._emit(src === 'i64' ? `  cvtsi2${sse(dst)}q %rax, %xmm0` : `  cvtsi2${sse(dst)}l %eax, %xmm0`);
+      }
+      return;
+    }
+
+    if (dst === 'u64') {
+      // Values from 2^63 up don't fit cvttsd2si: subtract 2^63 first and
+      // put the top bit back afterwards
+      const [els, end] = this._labels('else', 'end');
+      if (src === 'f32') {
+        this._emit('  movl $1593835520, %edi'); // 2^63 as a float
+        this._emit('  movd %edi, %xmm1');
+      } else {
+        this._emit('  movq $4890909195324358656, %rdi'); // 2^63 as a double
+        this._emit('  movq %rdi, %xmm1');
+      }
+      this._emit(`  ucomi${sse(src)} %xmm1, %xmm0`);
+      this._emit(`  jae ${els}`);
+      this._emit(`  cvtt${sse(src)}2siq %xmm0, %rax`);
+      this._emit(`  jmp ${end}`);
+      this._emit(`${els}:`);
+      this._emit(`  sub${sse(src)} %xmm1, %xmm0`);
+      this._emit(`  cvtt${sse(src)}2siq %xmm0, %rax`);
+      this._emit('  btcq $63, %rax');
+      this._emit(`${end}:`);
+      return;
+    }
+    // u32 values above INT_MAX need the 64-bit conversion
+    if (dst === 'i64' || dst === 'u32') this._emit(`  cvtt${sse(src)}2siq %xmm0, %rax`);
+    else this._emit(`  cvtt${sse(src)}2sil %xmm0, %eax`);
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * ctypes.js — C type system used by Chibicc
+ *
+ * Mirrors rui314/chibicc's type.c: every expression node gets a `ty`
+ * describing its size, alignment and (for pointers/arrays) its base type.
+ *
+ *   Kind     Size  Align   Notes
+ *   ───────────────────────────────────────────────
+ *   void       1     1     only valid behind a pointer
+ *   char       1     1     signed
+ *   short      2     2
+ *   int        4     4
+ *   long       8     8
+ *                           each of the above also comes `isUnsigned`
+ *   float      4     4     IEEE 754 single precision
+ *   double     8     8     IEEE 754 double; `long double` is the same
+ *   ptr        8     8     { base }
+ *   array   n*sz  base     { base, len }  len = -1 while incomplete
+ *   enum       4     4     an int with named constants
+ *   struct     —   max     { tag, members }  size = -1 while incomplete
+ *   union      —   max     { tag, members }  every member at offset 0
+ *   func       —     —     { returnType, params, isVariadic }
+ *
+ * Struct and union types are mutable so that a forward declaration
+ * (`struct node;`) can be completed in place once its body is seen.
+ */
+
+import { CompileError, diagnosticAt } from './diagnostics.js';
+
+export const TY_VOID  = Object.freeze({ kind: 'void',  size: 1, align: 1 });
+export const TY_CHAR  = Object.freeze({ kind: 'char',  size: 1, align: 1 });
+export const TY_SHORT = Object.freeze({ kind: 'short', size: 2, align: 2 });
+export const TY_INT   = Object.freeze({ kind: 'int',   size: 4, align: 4 });
+export const TY_LONG  = Object.freeze({ kind: 'long',  size: 8, align: 8 });
+
+export const TY_UCHAR  = Object.freeze({ kind: 'char',  size: 1, align: 1, isUnsigned: true });
+export const TY_USHORT = Object.freeze({ kind: 'short', size: 2, align: 2, isUnsigned: true });
+export const TY_UINT   = Object.freeze({ kind: 'int',   size: 4, align: 4, isUnsigned: true });
+export const TY_ULONG  = Object.freeze({ kind: 'long',  size: 8, align: 8, isUnsigned: true });
+
+export const TY_FLOAT  = Object.freeze({ kind: 'float',  size: 4, align: 4 });
+export const TY_DOUBLE = Object.freeze({ kind: 'double', size: 8, align: 8 });
+
+export function pointerTo(base) {
+  return { kind: 'ptr', size: 8, align: 8, base };
+}
+
+export function arrayOf(base, len) {
+  return { kind: 'array', size: base.size * Math.max(len, 0), align: base.align, base, len };
+}
+
+export function enumType() {
+  return { kind: 'enum', size: 4, align: 4 };
+}
+
+// members: [{ name, ty }]; call layoutStruct() once they are known
+export function structType(kind, tag = null) {
+  return { kind, size: -1, align: 1, tag, members: [] };
+}
+
+// Assign member offsets and compute size/alignment, as chibicc's struct_decl
+// and union_decl do. Members are aligned to their natural alignment and the
+// total size is padded to a multiple of the largest one.
+export function layoutStruct(ty) {
+  let offset = 0;
+  let size = 0;
+  ty.align = 1;
+  for (const mem of ty.members) {
+    if (ty.kind === 'struct') {
+      offset = alignTo(offset, mem.ty.align);
+      mem.offset = offset;
+      offset += mem.ty.size;
+      size = offset;
+    } else {
+      mem.offset = 0;
+      size = Math.max(size, mem.ty.size);
+    }
+    ty.align = Math.max(ty.align, mem.ty.align);
+  }
+  ty.size = alignTo(size, ty.align);
+  return ty;
+}
+
+export function isAggregate(ty) {
+  return ty.kind === 'struct' || ty.kind === 'union';
+}
+
+export function funcType(returnType, params = [], isVariadic = false) {
+  return { kind: 'func', size: 1, align: 1, returnType, params, isVariadic };
+}
+
+export function isInteger(ty) {
+  return ty.kind === 'char' || ty.kind === 'short' || ty.kind === 'int' || ty.kind === 'long' || ty.kind === 'enum';
+}
+
+export function isFlonum(ty) {
+  return ty.kind === 'float' || ty.kind === 'double';
+}
+
+// Integer and floating types take part in the usual arithmetic conversions
+export function isNumeric(ty) {
+  return isInteger(ty) || isFlonum(ty);
+}
+
+// Pointers and arrays both have a base type and take part in pointer arithmetic
+export function isPointerLike(ty) {
+  return ty.base !== undefined;
+}
+
+// Round `n` up to the nearest multiple of `align`: alignTo(5, 8) === 8
+export function alignTo(n, align) {
+  return Math.ceil(n / align) * align;
+}
+
+export function typeName(ty) {
+  switch (ty.kind) {
+    case 'ptr':   return `${typeName(ty.base)} *`;
+    case 'array': return `${typeName(ty.base)}[${ty.len < 0 ? '' : ty.len}]`;
+    case 'func':  return `${typeName(ty.returnType)}(${ty.params.map(p => typeName(p.ty)).join(', ')})`;
+    case 'struct':
+    case 'union':
+      return `${ty.kind} ${ty.tag ?? '<anonymous>'}`;
+    default:      return ty.isUnsigned ? `unsigned ${ty.kind}` : ty.kind;
+  }
+}
+
+// Integer promotion + usual arithmetic conversion: both operands of a
+// binary operator end up as (unsigned) int or long. Between two types of
+// the same size the unsigned one wins. A floating operand makes the
+// result floating, double over float.
+export function commonType(a, b) {
+  if (a.base) return pointerTo(a.base);
+  if (a.kind === 'double' || b.kind === 'double') return TY_DOUBLE;
+  if (a.kind === 'float' || b.kind === 'float') return TY_FLOAT;
+  const promote = ty => (ty.size < 4 || ty.kind === 'enum' ? TY_INT : ty);
+  a = promote(a);
+  b = promote(b);
+  if (a.size !== b.size) return a.size < b.size ? b : a;
+  return b.isUnsigned ? b : a;
+}
+
+/**
+ * Annotate a freshly built expression node with `ty`. Its operands are
+ * expected to be typed already; nodes that carry a type are left untouched.
+ * Returns the node so parser code can write `return addType({ ... })`.
+ */
+export function addType(node) {
+  if (node.ty) return node;
+
+  switch (node.type) {
+    case 'num':
+      node.ty = (node.val > 2147483647 || node.val < -2147483648) ? TY_LONG : TY_INT;
+      return node;
+    case 'not':
+    case 'logand':
+    case 'logor':
+      node.ty = TY_INT;
+      return node;
+    case 'bitnot':
+      node.ty = node.operand.ty;
+      return node;
+    case 'comma':
+      node.ty = node.right.ty;
+      return node;
+    case 'binary':
+      if (['==', '!=', '<', '<=', '>', '>='].includes(node.op)) node.ty = TY_INT;
+      else node.ty = node.left.ty;
+      return node;
+    case 'assign':
+      if (node.target.ty.kind === 'array') throw new CompileError([diagnosticAt(node, 'Cannot assign to an array')]);
+      node.ty = node.target.ty;
+      return node;
+    case 'var':
+      node.ty = node.obj.ty;
+      return node;
+    case 'member':
+      node.ty = node.member.ty;
+      return node;
+    case 'addr':
+      node.ty = node.operand.ty.kind === 'array'
+        ? pointerTo(node.operand.ty.base)
+        : pointerTo(node.operand.ty);
+      return node;
+    case 'deref':
+      if (!node.operand.ty.base) throw new CompileError([diagnosticAt(node, 'Invalid pointer dereference')]);
+      if (node.operand.ty.base.kind === 'void') throw new CompileError([diagnosticAt(node, 'Dereferencing a void pointer')]);
+      node.ty = node.operand.ty.base;
+      return node;
+  }
+  return node;
+}
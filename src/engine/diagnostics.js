@@ -0,0 +1,91 @@
+/**
+ * diagnostics.js — structured compiler and assembler diagnostics
+ *
+ * A diagnostic is a plain object:
+ *
+ *   { severity: 'error' | 'warning' | 'note', message,
+ *     file, line, col,
+ *     range: { start: { line, col }, end: { line, col } } }
+ *
+ * Lines and columns are 1-based and `range.end` is exclusive. A link error
+ * in code with no source map, such as hand-written assembly, has no source
+ * location, so its file, line, col and range are null.
+ */
+
+export class CompileError extends Error {
+  /**
+   * @param {object[]} diagnostics
+   * @param {Function} [readSource] (file) → source text, to quote the offending line
+   */
+  constructor(diagnostics, readSource = null) {
+    super(formatDiagnostics(diagnostics, readSource));
+    this.name = 'CompileError';
+    this.diagnostics = diagnostics;
+    this.readSource = readSource;
+  }
+}
+
+/**
+ * A diagnostic covering a token. Tokenizer columns are 0-based, so `at.col`
+ * is too; the span is the token's text.
+ */
+export function diagnosticAt(at, message, severity = 'error') {
+  if (at?.line == null) return { severity, message, file: at?.file ?? null, line: null, col: null, range: null };
+  const col = (at.col ?? 0) + 1;
+  const end = col + Math.max(1, at.text?.length ?? 1);
+  return {
+    severity,
+    message,
+    file: at.file ?? null,
+    line: at.line,
+    col,
+    range: { start: { line: at.line, col }, end: { line: at.line, col: end } },
+  };
+}
+
+// A diagnostic covering source[start, end)
+export function diagnosticAtOffset(source, start, end, message, file = null, severity = 'error') {
+  const from = offsetToPosition(source, start);
+  const to = offsetToPosition(source, Math.max(end, start + 1));
+  return { severity, message, file, line: from.line, col: from.col, range: { start: from, end: to } };
+}
+
+function offsetToPosition(source, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < offset && i < source.length; i++) {
+    if (source[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { line, col: offset - lineStart + 1 };
+}
+
+/**
+ * Render diagnostics the way gcc does:
+ *
+ *   main.c:3:12: error: Expected ';' before 'return'
+ *       3 |   int x = 1
+ *         |            ^
+ */
+export function formatDiagnostics(diagnostics, readSource = null) {
+  const out = [];
+  for (const d of diagnostics) {
+    // Source given without a file, such as assembleGas's, still has lines
+    const where = [d.file, d.line != null ? `${d.line}:${d.col}` : null].filter(part => part != null).join(':');
+    out.push(`${where ? `${where}: ` : ''}${d.severity}: ${d.message}`);
+
+    const text = d.line != null ? readSource?.(d.file) : null;
+    const lineText = text?.split('\n')[d.line - 1]?.replace(/\r$/, '');
+    if (lineText == null) continue;
+
+    const gutter = String(d.line).padStart(5);
+    // Keep tabs so the caret lines up however the terminal renders them
+    const indent = lineText.slice(0, d.col - 1).replace(/[^\t]/g, ' ');
+    const span = d.range && d.range.end.line === d.line ? d.range.end.col - d.col : 1;
+    out.push(`${gutter} | ${lineText}`);
+    out.push(`${' '.repeat(gutter.length)} | ${indent}^${'~'.repeat(Math.max(0, span - 1))}`);
+  }
+  return out.join('\n');
+}
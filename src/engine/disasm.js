@@ -0,0 +1,614 @@
+/**
+ * disasm.js — x86-64 disassembler for the Disassembly tab
+ *
+ * decode() reads one instruction: legacy and REX prefixes, the one-byte
+ * and 0F opcode maps (general-purpose, string, SSE/SSE2 scalar and packed
+ * moves and arithmetic) and ModRM/SIB addressing, RIP-relative included.
+ * Opcodes outside those maps (x87, AVX, …) decode as "(bad)", one byte
+ * long, so disassembly carries on after them.
+ *
+ * formatInstruction() prints an instruction the way objdump does, in
+ * AT&T syntax (`movl $0x0,-0x4(%rbp)`) or Intel syntax
+ * (`mov DWORD PTR [rbp-0x4],0x0`), with branch targets and RIP-relative
+ * addresses named after the nearest symbol (`call 401136 <main>`).
+ *
+ * disassemble() lists the executable sections of an ELF file (or its
+ * executable segments, when it has no section headers) as rows for the
+ * Disassembly tab: one per instruction, with the symbol that starts there
+ * and the C line it was compiled from (see dwarf.js).
+ */
+
+import { SHT_NOBITS, SHF_ALLOC, SHF_EXECINSTR, readSymbols } from './objfile.js';
+
+/* ── Registers ── */
+
+const GPR = {
+  64: ['rax', 'rcx', 'rdx', 'rbx', 'rsp', 'rbp', 'rsi', 'rdi', 'r8', 'r9', 'r10', 'r11', 'r12', 'r13', 'r14', 'r15'],
+  32: ['eax', 'ecx', 'edx', 'ebx', 'esp', 'ebp', 'esi', 'edi', 'r8d', 'r9d', 'r10d', 'r11d', 'r12d', 'r13d', 'r14d', 'r15d'],
+  16: ['ax', 'cx', 'dx', 'bx', 'sp', 'bp', 'si', 'di', 'r8w', 'r9w', 'r10w', 'r11w', 'r12w', 'r13w', 'r14w', 'r15w'],
+  8: ['al', 'cl', 'dl', 'bl', 'spl', 'bpl', 'sil', 'dil', 'r8b', 'r9b', 'r10b', 'r11b', 'r12b', 'r13b', 'r14b', 'r15b'],
+};
+// Without a REX prefix, byte registers 4–7 are the high halves of ax…bx
+const HIGH_BYTE = ['ah', 'ch', 'dh', 'bh'];
+const SEGMENT = ['es', 'cs', 'ss', 'ds', 'fs', 'gs'];
+const SEGMENT_PREFIX = { 0x26: 'es', 0x2e: 'cs', 0x36: 'ss', 0x3e: 'ds', 0x64: 'fs', 0x65: 'gs' };
+
+const SUFFIX = { 8: 'b', 16: 'w', 32: 'l', 64: 'q' };
+const PTR = { 8: 'BYTE', 16: 'WORD', 32: 'DWORD', 64: 'QWORD', 128: 'XMMWORD' };
+
+/* ── Opcode maps ── */
+
+// An entry is 'mnemonic operand,operand' with operands in Intel order,
+// named as in the Intel manual's opcode maps:
+//   E  ModRM register or memory    G  ModRM reg field      M  memory only
+//   V  xmm (reg field)             W  xmm or memory        U  xmm (rm field)
+//   I  immediate (Ibs: sign-extended to the operand size)  J  relative branch
+//   Z  register in the opcode's low bits                     A  the accumulator
+//   X/Y  string source ds:(%rsi) / destination es:(%rdi)  CL, 1  as written
+//   S  segment register (reg field)
+// followed by a size: b 8, w 16, d 32, q 64, v 16/32/64 by operand size,
+// z 16/32, y 32/64 (REX.W), x 128, ss/sd a scalar float, ps/pd packed.
+// Flags after the operands: d64 (64-bit by default: push, pop, near
+// branches through a register), nosuffix (never an AT&T size suffix),
+// '*' (AT&T indirect branch).
+function op(spec) {
+  const [name, operands = '', ...flags] = spec.split(' ');
+  return { name, operands: operands ? operands.split(',') : [], flags: new Set(flags) };
+}
+
+const ALU = ['add', 'or', 'adc', 'sbb', 'and', 'sub', 'xor', 'cmp'];
+const SHIFT = ['rol', 'ror', 'rcl', 'rcr', 'shl', 'shr', 'shl', 'sar'];
+const CC = ['o', 'no', 'b', 'ae', 'e', 'ne', 'be', 'a', 's', 'ns', 'p', 'np', 'l', 'ge', 'le', 'g'];
+
+const ONE_BYTE = new Map();
+const group = (operands, names, flags = '') => ({ group: names.map(name => name && op(`${name} ${operands} ${flags}`.trim())) });
+
+ALU.forEach((name, i) => {
+  const base = i * 8;
+  ['Eb,Gb', 'Ev,Gv', 'Gb,Eb', 'Gv,Ev', 'Ab,Ib', 'Av,Iz'].forEach((operands, j) => ONE_BYTE.set(base + j, op(`${name} ${operands}`)));
+});
+for (let r = 0; r < 8; r++) {
+  ONE_BYTE.set(0x50 + r, op('push Zv d64'));
+  ONE_BYTE.set(0x58 + r, op('pop Zv d64'));
+  ONE_BYTE.set(0x90 + r, op('xchg Zv,Av'));
+  ONE_BYTE.set(0xb0 + r, op('mov Zb,Ib'));
+  ONE_BYTE.set(0xb8 + r, op('mov Zv,Iv'));
+}
+CC.forEach((cc, i) => ONE_BYTE.set(0x70 + i, op(`j${cc} Jb`)));
+for (const [code, spec] of Object.entries({
+  0x63: 'movsxd Gv,Ed', 0x68: 'push Iz d64', 0x69: 'imul Gv,Ev,Iz', 0x6a: 'push Ibs d64', 0x6b: 'imul Gv,Ev,Ibs',
+  0x84: 'test Eb,Gb', 0x85: 'test Ev,Gv', 0x86: 'xchg Eb,Gb', 0x87: 'xchg Ev,Gv',
+  0x88: 'mov Eb,Gb', 0x89: 'mov Ev,Gv', 0x8a: 'mov Gb,Eb', 0x8b: 'mov Gv,Ev', 0x8c: 'mov Ev,Sw', 0x8d: 'lea Gv,M',
+  0x8e: 'mov Sw,Ew', 0x98: 'cwtl', 0x99: 'cltd', 0x9c: 'pushf d64', 0x9d: 'popf d64', 0x9e: 'sahf', 0x9f: 'lahf',
+  0xa0: 'movabs Ab,Ob', 0xa1: 'movabs Av,Ov', 0xa2: 'movabs Ob,Ab', 0xa3: 'movabs Ov,Av',
+  0xa4: 'movs Yb,Xb', 0xa5: 'movs Yv,Xv', 0xa6: 'cmps Xb,Yb', 0xa7: 'cmps Xv,Yv', 0xa8: 'test Ab,Ib', 0xa9: 'test Av,Iz',
+  0xaa: 'stos Yb,Ab', 0xab: 'stos Yv,Av', 0xac: 'lods Ab,Xb', 0xad: 'lods Av,Xv', 0xae: 'scas Ab,Yb', 0xaf: 'scas Av,Yv',
+  0xc2: 'ret Iw nosuffix', 0xc3: 'ret nosuffix', 0xc8: 'enter Iw,Ib', 0xc9: 'leave', 0xcc: 'int3', 0xcd: 'int Ib',
+  0xe0: 'loopne Jb', 0xe1: 'loope Jb', 0xe2: 'loop Jb', 0xe3: 'jrcxz Jb', 0xe8: 'call Jz', 0xe9: 'jmp Jz', 0xeb: 'jmp Jb',
+  0xf4: 'hlt', 0xf5: 'cmc', 0xf8: 'clc', 0xf9: 'stc', 0xfa: 'cli', 0xfb: 'sti', 0xfc: 'cld', 0xfd: 'std',
+})) ONE_BYTE.set(Number(code), op(spec));
+ONE_BYTE.set(0x80, group('Eb,Ib', ALU));
+ONE_BYTE.set(0x81, group('Ev,Iz', ALU));
+ONE_BYTE.set(0x83, group('Ev,Ibs', ALU));
+ONE_BYTE.set(0x8f, group('Ev', ['pop'], 'd64 nosuffix'));
+ONE_BYTE.set(0xc0, group('Eb,Ib', SHIFT));
+ONE_BYTE.set(0xc1, group('Ev,Ib', SHIFT));
+ONE_BYTE.set(0xc6, group('Eb,Ib', ['mov']));
+ONE_BYTE.set(0xc7, group('Ev,Iz', ['mov']));
+ONE_BYTE.set(0xd0, group('Eb,1', SHIFT));
+ONE_BYTE.set(0xd1, group('Ev,1', SHIFT));
+ONE_BYTE.set(0xd2, group('Eb,CL', SHIFT));
+ONE_BYTE.set(0xd3, group('Ev,CL', SHIFT));
+ONE_BYTE.set(0xf6, { group: [op('test Eb,Ib'), op('test Eb,Ib'), ...['not', 'neg', 'mul', 'imul', 'div', 'idiv'].map(name => op(`${name} Eb`))] });
+ONE_BYTE.set(0xf7, { group: [op('test Ev,Iz'), op('test Ev,Iz'), ...['not', 'neg', 'mul', 'imul', 'div', 'idiv'].map(name => op(`${name} Ev`))] });
+ONE_BYTE.set(0xfe, group('Eb', ['inc', 'dec']));
+ONE_BYTE.set(0xff, { group: [op('inc Ev'), op('dec Ev'), op('call Ev d64 nosuffix *'), null, op('jmp Ev d64 nosuffix *'), null, op('push Ev d64 nosuffix')] });
+
+const TWO_BYTE = new Map();
+CC.forEach((cc, i) => {
+  TWO_BYTE.set(0x40 + i, op(`cmov${cc} Gv,Ev`));
+  TWO_BYTE.set(0x80 + i, op(`j${cc} Jz`));
+  TWO_BYTE.set(0x90 + i, op(`set${cc} Eb nosuffix`));
+});
+for (let r = 0; r < 8; r++) TWO_BYTE.set(0xc8 + r, op('bswap Zv'));
+for (const [code, spec] of Object.entries({
+  0x05: 'syscall', 0x0b: 'ud2', 0x31: 'rdtsc', 0xa2: 'cpuid',
+  0xa3: 'bt Ev,Gv', 0xa4: 'shld Ev,Gv,Ib', 0xa5: 'shld Ev,Gv,CL', 0xab: 'bts Ev,Gv', 0xac: 'shrd Ev,Gv,Ib', 0xad: 'shrd Ev,Gv,CL',
+  0xaf: 'imul Gv,Ev', 0xb0: 'cmpxchg Eb,Gb', 0xb1: 'cmpxchg Ev,Gv', 0xb3: 'btr Ev,Gv',
+  0xb6: 'movzx Gv,Eb', 0xb7: 'movzx Gv,Ew', 0xbb: 'btc Ev,Gv', 0xbc: 'bsf Gv,Ev', 0xbd: 'bsr Gv,Ev',
+  0xbe: 'movsx Gv,Eb', 0xbf: 'movsx Gv,Ew', 0xc0: 'xadd Eb,Gb', 0xc1: 'xadd Ev,Gv',
+})) TWO_BYTE.set(Number(code), op(spec));
+TWO_BYTE.set(0x1f, group('Ev', ['nop']));
+TWO_BYTE.set(0xba, group('Ev,Ib', [null, null, null, null, 'bt', 'bts', 'btr', 'btc']));
+
+// 0F opcodes whose meaning depends on a 66, F3 or F2 prefix:
+// [no prefix, 66, F3, F2]
+const SSE = new Map();
+const sse = (code, specs) => SSE.set(code, specs.map(spec => spec && op(spec)));
+const arith = name => [`${name}ps Vx,Wps`, `${name}pd Vx,Wpd`, `${name}ss Vx,Wss`, `${name}sd Vx,Wsd`];
+sse(0x10, ['movups Vx,Wps', 'movupd Vx,Wpd', 'movss Vx,Wss', 'movsd Vx,Wsd']);
+sse(0x11, ['movups Wps,Vx', 'movupd Wpd,Vx', 'movss Wss,Vx', 'movsd Wsd,Vx']);
+sse(0x14, ['unpcklps Vx,Wps', 'unpcklpd Vx,Wpd']);
+sse(0x15, ['unpckhps Vx,Wps', 'unpckhpd Vx,Wpd']);
+sse(0x28, ['movaps Vx,Wps', 'movapd Vx,Wpd']);
+sse(0x29, ['movaps Wps,Vx', 'movapd Wpd,Vx']);
+sse(0x2a, [null, null, 'cvtsi2ss Vx,Ey', 'cvtsi2sd Vx,Ey']);
+sse(0x2c, [null, null, 'cvttss2si Gy,Wss', 'cvttsd2si Gy,Wsd']);
+sse(0x2d, [null, null, 'cvtss2si Gy,Wss', 'cvtsd2si Gy,Wsd']);
+sse(0x2e, ['ucomiss Vx,Wss', 'ucomisd Vx,Wsd']);
+sse(0x2f, ['comiss Vx,Wss', 'comisd Vx,Wsd']);
+sse(0x51, arith('sqrt'));
+sse(0x54, ['andps Vx,Wps', 'andpd Vx,Wpd']);
+sse(0x55, ['andnps Vx,Wps', 'andnpd Vx,Wpd']);
+sse(0x56, ['orps Vx,Wps', 'orpd Vx,Wpd']);
+sse(0x57, ['xorps Vx,Wps', 'xorpd Vx,Wpd']);
+sse(0x58, arith('add'));
+sse(0x59, arith('mul'));
+sse(0x5a, ['cvtps2pd Vx,Wps', 'cvtpd2ps Vx,Wpd', 'cvtss2sd Vx,Wss', 'cvtsd2ss Vx,Wsd']);
+sse(0x5b, ['cvtdq2ps Vx,Wx', 'cvtps2dq Vx,Wx', 'cvttps2dq Vx,Wx']);
+sse(0x5c, arith('sub'));
+sse(0x5d, arith('min'));
+sse(0x5e, arith('div'));
+sse(0x5f, arith('max'));
+sse(0x6e, [null, 'movd Vx,Ey']);
+sse(0x6f, [null, 'movdqa Vx,Wx', 'movdqu Vx,Wx']);
+sse(0x7e, [null, 'movd Ey,Vx', 'movq Vx,Wq']);
+sse(0x7f, [null, 'movdqa Wx,Vx', 'movdqu Wx,Vx']);
+sse(0xc6, ['shufps Vx,Wps,Ib', 'shufpd Vx,Wpd,Ib']);
+sse(0xd4, [null, 'paddq Vx,Wx']);
+sse(0xd6, [null, 'movq Wq,Vx']);
+sse(0xef, [null, 'pxor Vx,Wx']);
+sse(0xfe, [null, 'paddd Vx,Wx']);
+sse(0xfb, [null, 'psubq Vx,Wx']);
+
+/* ── Decoding ── */
+
+const BAD = op('(bad)');
+
+/**
+ * Decode the instruction at bytes[at], which is at address va.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} at
+ * @param {bigint} va
+ * @returns {object} { va, length, bytes, name, operands, prefix, flags },
+ *   operands in Intel order: { kind: 'reg', name, size, gp }, { kind: 'imm',
+ *   value, size }, { kind: 'mem', size, gp, seg, base, index, scale, disp,
+ *   rip }, { kind: 'rel', target } or { kind: 'one' }
+ */
+export function decode(bytes, at, va) {
+  try {
+    return decodeAt(bytes, at, va);
+  } catch (err) {
+    if (!(err instanceof RangeError)) throw err;
+    // The instruction runs past the end of the code
+    return { va, length: 1, bytes: bytes.subarray(at, at + 1), ...BAD, operands: [], prefix: null };
+  }
+}
+
+function decodeAt(bytes, start, va) {
+  let at = start;
+  const byte = () => {
+    if (at >= bytes.length) throw new RangeError('truncated instruction');
+    return bytes[at++];
+  };
+  const signed = (size) => {
+    let value = 0n;
+    for (let i = 0; i < size / 8; i++) value |= BigInt(byte()) << BigInt(8 * i);
+    return BigInt.asIntN(size, value);
+  };
+
+  // Legacy prefixes, then REX
+  let opsize = false, adsize = false, rep = null, lock = false, seg = null;
+  for (;;) {
+    const b = bytes[at];
+    if (b === 0x66) opsize = true;
+    else if (b === 0x67) adsize = true;
+    else if (b === 0xf2 || b === 0xf3) rep = b;
+    else if (b === 0xf0) lock = true;
+    else if (b in SEGMENT_PREFIX) seg = SEGMENT_PREFIX[b];
+    else break;
+    at++;
+  }
+  let rex = 0;
+  if (bytes[at] >= 0x40 && bytes[at] <= 0x4f) rex = byte();
+  const W = rex & 8, R = rex & 4 ? 8 : 0, X = rex & 2 ? 8 : 0, B = rex & 1 ? 8 : 0;
+
+  let code = byte();
+  let entry;
+  let prefix = null;
+  let modrm = null;
+  const readModrm = () => {
+    if (!modrm) {
+      const b = byte();
+      modrm = { mod: b >> 6, reg: (b >> 3) & 7, rm: b & 7 };
+    }
+    return modrm;
+  };
+
+  if (code === 0x0f) {
+    code = byte();
+    if (SSE.has(code)) {
+      const which = rep === 0xf3 ? 2 : rep === 0xf2 ? 3 : opsize ? 1 : 0;
+      entry = SSE.get(code)[which];
+      // The prefix selected the instruction, so it is not a rep or operand-size prefix
+      if (which >= 2) rep = null;
+      if (which === 1) opsize = false;
+    } else if (code === 0x1e && rep === 0xf3 && bytes[at] === 0xfa) {
+      at++;
+      entry = op('endbr64');
+      rep = null;
+    } else {
+      entry = TWO_BYTE.get(code);
+    }
+    const counts = { 0xb8: 'popcnt', 0xbc: 'tzcnt', 0xbd: 'lzcnt' };
+    if (code in counts && rep === 0xf3) {
+      entry = op(`${counts[code]} Gv,Ev`);
+      rep = null;
+    }
+  } else if (code === 0x90 && !B && !opsize) {
+    entry = op(rep === 0xf3 ? 'pause' : 'nop');
+    if (rep === 0xf3) rep = null;
+  } else {
+    entry = ONE_BYTE.get(code);
+  }
+  if (entry?.group) entry = entry.group[readModrm().reg];
+  if (!entry) return { va, length: at - start, bytes: bytes.subarray(start, at), ...BAD, operands: [], prefix: null };
+
+  const osize = entry.flags.has('d64') ? (opsize ? 16 : 64) : W ? 64 : opsize ? 16 : 32;
+  const asize = adsize ? 32 : 64;
+  const sizeOf = letter => ({
+    b: 8, w: 16, d: 32, q: 64, v: osize, z: osize === 16 ? 16 : 32, y: W ? 64 : 32,
+    x: 128, ps: 128, pd: 128, ss: 32, sd: 64,
+  })[letter];
+  const gpr = (n, size) => ({
+    kind: 'reg', size, gp: true,
+    name: size === 8 && !rex && n >= 4 && n < 8 ? HIGH_BYTE[n - 4] : GPR[size][n],
+  });
+  const xmm = n => ({ kind: 'reg', size: 128, gp: false, name: `xmm${n}` });
+
+  // The memory operand of a ModRM byte (mod != 3)
+  const memory = (size, gp) => {
+    const { mod, rm } = readModrm();
+    const mem = { kind: 'mem', size, gp, seg, base: null, index: null, scale: 1, disp: 0n, rip: false, hasDisp: mod !== 0 };
+    if (rm === 4) {
+      const sib = byte();
+      const index = ((sib >> 3) & 7) | X;
+      const base = (sib & 7) | B;
+      if (index !== 4) {
+        mem.index = GPR[asize][index];
+        mem.scale = 1 << (sib >> 6);
+      }
+      if ((sib & 7) === 5 && mod === 0) {
+        mem.disp = signed(32);
+        mem.hasDisp = true;
+      } else {
+        mem.base = GPR[asize][base];
+      }
+    } else if (rm === 5 && mod === 0) {
+      mem.rip = true;
+      mem.hasDisp = true;
+      mem.disp = signed(32);
+    } else {
+      mem.base = GPR[asize][rm | B];
+    }
+    if (mod === 1) mem.disp = signed(8);
+    if (mod === 2) mem.disp = signed(32);
+    return mem;
+  };
+
+  const operands = [];
+  let relative = null; // a J operand, resolved once the length is known
+  for (const spec of entry.operands) {
+    const kind = spec[0];
+    const size = sizeOf(spec.slice(1));
+    switch (kind) {
+      case 'E': case 'M': {
+        const { mod, rm } = readModrm();
+        if (mod === 3) operands.push(kind === 'M' ? null : gpr(rm | B, size));
+        else operands.push(memory(kind === 'M' ? null : size, true));
+        break;
+      }
+      case 'W': case 'U': {
+        const { mod, rm } = readModrm();
+        operands.push(mod === 3 ? xmm(rm | B) : memory(size, false));
+        break;
+      }
+      case 'G': operands.push(gpr(readModrm().reg | R, size)); break;
+      case 'V': operands.push(xmm(readModrm().reg | R)); break;
+      case 'S': operands.push({ kind: 'reg', size: 16, gp: true, name: SEGMENT[readModrm().reg] ?? '?' }); break;
+      case 'Z': operands.push(gpr((code & 7) | B, size)); break;
+      case 'A': operands.push(gpr(0, size)); break;
+      case 'C': operands.push({ ...gpr(1, 8), gp: false }); break; // CL does not give the size
+      case '1': operands.push({ kind: 'one' }); break;
+      case 'X': case 'Y': {
+        const reg = kind === 'X' ? 'rsi' : 'rdi';
+        operands.push({ kind: 'mem', size, gp: true, seg: kind === 'X' ? seg ?? 'ds' : 'es', base: adsize ? `e${reg.slice(1)}` : reg, index: null, scale: 1, disp: 0n, rip: false, hasDisp: false });
+        break;
+      }
+      case 'O': {
+        // movabs: a 64-bit absolute address
+        operands.push({ kind: 'mem', size, gp: true, seg, base: null, index: null, scale: 1, disp: BigInt.asUintN(64, signed(64)), rip: false, hasDisp: true, absolute: true });
+        break;
+      }
+      case 'I': {
+        const letter = spec.slice(1);
+        if (letter === 'bs') {
+          operands.push({ kind: 'imm', size: osize, value: BigInt.asUintN(osize, signed(8)) });
+        } else if (letter === 'z') {
+          const immSize = osize === 16 ? 16 : 32;
+          operands.push({ kind: 'imm', size: osize, value: BigInt.asUintN(osize, signed(immSize)) });
+        } else {
+          const immSize = letter === 'v' ? osize : size;
+          operands.push({ kind: 'imm', size: immSize, value: BigInt.asUintN(immSize, signed(immSize)) });
+        }
+        break;
+      }
+      case 'J': {
+        relative = { kind: 'rel', disp: signed(spec[1] === 'b' ? 8 : 32), target: 0n };
+        operands.push(relative);
+        break;
+      }
+    }
+  }
+  if (operands.includes(null)) {
+    // A memory-only operand with a register encoding
+    return { va, length: at - start, bytes: bytes.subarray(start, at), ...BAD, operands: [], prefix: null };
+  }
+
+  const length = at - start;
+  if (relative) relative.target = BigInt.asUintN(64, va + BigInt(length) + relative.disp);
+  for (const operand of operands) {
+    if (operand.rip) operand.target = BigInt.asUintN(64, va + BigInt(length) + operand.disp);
+  }
+
+  // Names that depend on the operand size
+  let name = entry.name;
+  if (code === 0x98 && entry === ONE_BYTE.get(0x98)) name = { 16: 'cbtw', 32: 'cwtl', 64: 'cltq' }[osize];
+  if (code === 0x99 && entry === ONE_BYTE.get(0x99)) name = { 16: 'cwtd', 32: 'cltd', 64: 'cqto' }[osize];
+  if (entry.name === 'movd' && W) name = 'movq';
+  if (entry.name === 'mov' && code >= 0xb8 && code <= 0xbf && osize === 64) name = 'movabs';
+
+  if (lock) prefix = 'lock';
+  else if (rep && ['movs', 'stos', 'lods', 'ins', 'outs'].includes(entry.name)) prefix = 'rep';
+  else if (rep && ['cmps', 'scas'].includes(entry.name)) prefix = rep === 0xf3 ? 'repz' : 'repnz';
+
+  return { va, length, bytes: bytes.subarray(start, at), name, operands, prefix, flags: entry.flags };
+}
+
+/* ── Formatting ── */
+
+const hex = value => '0x' + value.toString(16);
+
+// AT&T names: movzx/movsx/movsxd spell out both sizes, and the string
+// moves and compares carry a suffix even with a register operand
+const INTEL_NAMES = { cbtw: 'cbw', cwtl: 'cwde', cltq: 'cdqe', cwtd: 'cwd', cltd: 'cdq', cqto: 'cqo' };
+
+/**
+ * One instruction as text.
+ *
+ * @param {object} insn from decode()
+ * @param {object} [opts]
+ * @param {string} [opts.syntax] 'att' (default) or 'intel'
+ * @param {Function} [opts.symbolize] address → 'name' or 'name+0x10', or null
+ * @returns {string}
+ */
+export function formatInstruction(insn, { syntax = 'att', symbolize = () => null } = {}) {
+  const intel = syntax === 'intel';
+  const operands = insn.operands;
+  let name = insn.name;
+
+  if (name === 'movzx' || name === 'movsx' || name === 'movsxd') {
+    if (!intel) {
+      const [dst, src] = operands;
+      name = `mov${name === 'movzx' ? 'z' : 's'}${SUFFIX[src.size]}${SUFFIX[dst.size]}`;
+    }
+  } else if (intel) {
+    name = INTEL_NAMES[name] ?? name;
+  } else if (!insn.flags?.has('nosuffix')) {
+    // AT&T marks the size when no register operand gives it
+    const mem = operands.find(o => o.kind === 'mem' && o.gp && o.size);
+    if (mem && !operands.some(o => o.kind === 'reg' && o.gp)) name += SUFFIX[mem.size];
+  }
+
+  const named = target => {
+    const symbol = symbolize(target);
+    return symbol ? ` <${symbol}>` : '';
+  };
+  // AT&T marks a branch through a register or memory with '*'
+  const star = !intel && insn.flags?.has('*') ? '*' : '';
+  let comment = '';
+  const text = (intel ? operands : [...operands].reverse()).filter(o => intel || o.kind !== 'one').map(o => {
+    switch (o.kind) {
+      case 'reg': return star + (intel ? o.name : `%${o.name}`);
+      case 'imm': return intel ? hex(o.value) : `$${hex(o.value)}`;
+      case 'one': return '1';
+      case 'rel': return `${o.target.toString(16)}${named(o.target)}`;
+      case 'mem':
+        if (o.rip) comment = `        # ${o.target.toString(16)}${named(o.target)}`;
+        return star + (intel ? intelMemory(o, insn.name !== 'lea') : attMemory(o));
+    }
+    return '';
+  }).join(',');
+
+  const mnemonic = insn.prefix ? `${insn.prefix} ${name}` : name;
+  return text ? `${mnemonic.padEnd(6)} ${text}${comment}` : mnemonic;
+}
+
+function signedHex(value) {
+  return value < 0n ? `-${hex(-value)}` : hex(value);
+}
+
+function attMemory(mem) {
+  const seg = mem.seg ? `%${mem.seg}:` : '';
+  if (mem.rip) return `${seg}${signedHex(mem.disp)}(%rip)`;
+  const disp = mem.absolute ? hex(mem.disp) : mem.hasDisp || (!mem.base && !mem.index) ? signedHex(mem.disp) : '';
+  if (!mem.base && !mem.index) return `${seg}${disp}`;
+  const regs = mem.index ? `${mem.base ? `%${mem.base}` : ''},%${mem.index},${mem.scale}` : `%${mem.base}`;
+  return `${seg}${disp}(${regs})`;
+}
+
+function intelMemory(mem, sized) {
+  const size = sized && mem.size ? `${PTR[mem.size]} PTR ` : '';
+  const seg = mem.seg ? `${mem.seg}:` : '';
+  if (mem.rip) return `${size}${seg}[rip${mem.disp < 0n ? '-' : '+'}${hex(mem.disp < 0n ? -mem.disp : mem.disp)}]`;
+  if (!mem.base && !mem.index) return `${size}${seg || 'ds:'}${hex(BigInt.asUintN(64, mem.disp))}`;
+  let inner = [mem.base, mem.index && `${mem.index}*${mem.scale}`].filter(Boolean).join('+');
+  if (mem.hasDisp) inner += `${mem.disp < 0n ? '-' : '+'}${hex(mem.disp < 0n ? -mem.disp : mem.disp)}`;
+  return `${size}${seg}[${inner}]`;
+}
+
+/* ── Whole programs ── */
+
+const STT_FUNC = 2;
+
+/**
+ * Disassemble the code of an ELF file into rows for the Disassembly tab.
+ *
+ * @param {Uint8Array} elf
+ * @param {object} [opts]
+ * @param {Array} [opts.sourceMap] { va, file, line, col } rows (see
+ *   readLineTable in dwarf.js)
+ * @returns {Array<object>} { va, marker, label, bytes, text, intel, source }
+ *   per instruction: marker '▶' at the entry point, label the symbol
+ *   starting there, text and intel the instruction in each syntax, source
+ *   'file.c:line' where the C line changes
+ */
+export function disassemble(elf, { sourceMap = [] } = {}) {
+  const dv = new DataView(elf.buffer, elf.byteOffset, elf.byteLength);
+  if (elf.length < 64 || dv.getUint32(0) !== 0x7f454c46) return [];
+  const entry = dv.getBigUint64(24, true);
+
+  let sections = [];
+  let symbols = [];
+  try {
+    ({ sections, symbols } = readSymbols(elf));
+  } catch {
+    // no usable section headers
+  }
+
+  // What to decode: executable sections, else executable segments
+  let ranges = sections
+    .filter(sec => sec.flags & SHF_EXECINSTR && sec.type !== SHT_NOBITS && sec.size)
+    .map(sec => ({ section: sec.name, offset: sec.offset, size: sec.size, va: sec.addr }));
+  if (!ranges.length) ranges = executableSegments(elf, dv);
+
+  // Each section's labels by address, preferring functions and then
+  // global symbols where several share one (null: every section's)
+  const labels = new Map();
+  const labelsOf = section => {
+    if (labels.has(section)) return labels.get(section);
+    const starts = new Map();
+    for (const sym of symbols) {
+      if (!sym.name || sym.type > STT_FUNC || ['UND', 'ABS', 'COM'].includes(sym.section)) continue;
+      if (section !== null && sym.section !== section) continue;
+      const prev = starts.get(sym.value);
+      if (!prev || (sym.type === STT_FUNC && prev.type !== STT_FUNC) || (prev.bind === 'local' && sym.bind !== 'local' && sym.type === prev.type)) {
+        starts.set(sym.value, sym);
+      }
+    }
+    const ordered = [...starts.values()].sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+    labels.set(section, { starts, ordered });
+    return labels.get(section);
+  };
+
+  // The symbol an address is in, looked up in the section holding it (in
+  // an object file, where every section starts at 0, the one being listed)
+  const symbolize = (address, range) => {
+    const holding = sections.filter(sec => sec.flags & SHF_ALLOC && address >= sec.addr && address < sec.addr + BigInt(sec.size));
+    const section = range.section === null ? null
+      : holding.some(sec => sec.name === range.section) || !holding.length ? range.section : holding[0].name;
+    const { ordered } = labelsOf(section);
+    let lo = 0, hi = ordered.length - 1, found = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (ordered[mid].value <= address) {
+        found = ordered[mid];
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    if (!found) return null;
+    const offset = address - found.value;
+    if (found.type === STT_FUNC && found.size && offset >= BigInt(found.size)) return null;
+    return offset ? `${found.name}+${hex(offset)}` : found.name;
+  };
+
+  // Source rows by address, for the nearest one at or below an instruction
+  const lines = sourceMap.map(row => ({ va: BigInt(row.va), row })).sort((a, b) => (a.va < b.va ? -1 : a.va > b.va ? 1 : 0));
+  let next = 0;
+  let current = null;
+  let shown = '';
+
+  const rows = [];
+  for (const range of ranges) {
+    const code = elf.subarray(range.offset, range.offset + range.size);
+    const { starts, ordered } = labelsOf(range.section);
+    const symbolizeHere = address => symbolize(address, range);
+    // Instructions do not run across the start of a symbol
+    const boundaries = ordered
+      .map(sym => Number(sym.value - range.va))
+      .filter(offset => offset > 0 && offset < code.length);
+    boundaries.push(code.length);
+    let boundary = 0;
+    let at = 0;
+    while (at < code.length) {
+      while (boundaries[boundary] <= at) boundary++;
+      const end = boundaries[boundary];
+      const va = range.va + BigInt(at);
+      const label = starts.get(va)?.name ?? null;
+
+      // Zero fill up to the next symbol is shown as one .zero row
+      if (!label && code.subarray(at, end).every(b => b === 0)) {
+        const text = `.zero  ${end - at}`;
+        rows.push({ va: vaString(va), marker: ' ', label: null, bytes: '00 …', text, intel: text, source: '' });
+        at = end;
+        continue;
+      }
+
+      const insn = decode(code.subarray(0, end), at, va);
+      while (next < lines.length && lines[next].va <= va) current = lines[next++].row;
+      // Line 0 is code with no source (see readLineTable)
+      const source = current?.line ? `${current.file?.split('/').pop() ?? '?'}:${current.line}` : '';
+      rows.push({
+        va: vaString(va),
+        marker: va === entry ? '▶' : ' ',
+        label,
+        bytes: [...insn.bytes].map(b => b.toString(16).padStart(2, '0')).join(' '),
+        text: formatInstruction(insn, { symbolize: symbolizeHere }),
+        intel: formatInstruction(insn, { syntax: 'intel', symbolize: symbolizeHere }),
+        source: source !== shown || label ? source : '',
+      });
+      shown = source;
+      at += insn.length;
+    }
+  }
+  return rows;
+}
+
+function vaString(va) {
+  return '0x' + va.toString(16).padStart(16, '0');
+}
+
+// PF_X PT_LOAD segments, less the ELF and program headers at their start
+function executableSegments(elf, dv) {
+  const phoff = Number(dv.getBigUint64(32, true));
+  const phnum = dv.getUint16(56, true);
+  const headersEnd = phoff + 56 * phnum;
+  const ranges = [];
+  for (let i = 0; i < phnum; i++) {
+    const at = phoff + 56 * i;
+    if (at + 56 > elf.length) break;
+    if (dv.getUint32(at, true) !== 1 || !(dv.getUint32(at + 4, true) & 1)) continue;
+    let offset = Number(dv.getBigUint64(at + 8, true));
+    let va = dv.getBigUint64(at + 16, true);
+    const end = Math.min(elf.length, offset + Number(dv.getBigUint64(at + 32, true)));
+    if (offset < headersEnd && headersEnd < end) {
+      va += BigInt(headersEnd - offset);
+      offset = headersEnd;
+    }
+    if (end > offset) ranges.push({ section: null, offset, size: end - offset, va });
+  }
+  return ranges;
+}
@@ -0,0 +1,605 @@
+/**
+ * dwarf.js — DWARF debug information for compiled C
+ *
+ * addDebugInfo() gives an object compiled from C (see objfile.js) the
+ * sections a debugger reads to map addresses to source and to find
+ * variables:
+ *
+ *   .debug_line    DWARF 4 line-number program, a row for each entry of
+ *                  the object's source map (.text offset → line, column)
+ *   .debug_info    one compile unit: the file's functions (address range,
+ *                  %rbp as frame base) with their parameters and locals (a
+ *                  stack slot, or a register at -O1), the file's variables,
+ *                  and the C types they use
+ *   .debug_abbrev  the abbreviations .debug_info is written with
+ *
+ * Addresses and offsets into other sections are relocations, fixed up by
+ * the linker like any other. readLineTable() decodes the line programs of
+ * a linked executable (DWARF 2 to 5, so gcc's as well) into the
+ * { va, file, line, col } rows HelixCore uses as its source map.
+ */
+
+import { typeName } from './ctypes.js';
+import { SHT_PROGBITS, STT_SECTION, R_X86_64, readSymbols } from './objfile.js';
+
+const DW_TAG = {
+  array_type: 0x01, formal_parameter: 0x05, member: 0x0d, pointer_type: 0x0f, compile_unit: 0x11,
+  structure_type: 0x13, subroutine_type: 0x15, union_type: 0x17, subrange_type: 0x21, base_type: 0x24,
+  subprogram: 0x2e, variable: 0x34,
+};
+const DW_AT = {
+  location: 0x02, name: 0x03, byte_size: 0x0b, stmt_list: 0x10, low_pc: 0x11, high_pc: 0x12, language: 0x13,
+  comp_dir: 0x1b, producer: 0x25, prototyped: 0x27, count: 0x37, data_member_location: 0x38, decl_file: 0x3a,
+  decl_line: 0x3b, declaration: 0x3c, encoding: 0x3e, external: 0x3f, frame_base: 0x40, type: 0x49,
+};
+const DW_FORM = {
+  addr: 0x01, block: 0x09, data2: 0x05, data4: 0x06, data8: 0x07, string: 0x08, data1: 0x0b, strp: 0x0e,
+  udata: 0x0f, ref4: 0x13, sec_offset: 0x17, exprloc: 0x18, flag_present: 0x19, data16: 0x1e, line_strp: 0x1f,
+};
+const DW_ATE = { float: 0x04, signed: 0x05, signed_char: 0x06, unsigned: 0x08, unsigned_char: 0x08 };
+const DW_OP_addr = 0x03, DW_OP_reg0 = 0x50, DW_OP_fbreg = 0x91;
+const DW_LANG_C99 = 0x0c;
+
+// DWARF numbers of the x86-64 registers Chibicc keeps variables in
+const DWARF_REG = { '%rbx': 3, '%rbp': 6, '%r12': 12, '%r13': 13, '%r14': 14, '%r15': 15 };
+
+// Line program opcodes
+const DW_LNS_copy = 1, DW_LNS_advance_pc = 2, DW_LNS_advance_line = 3, DW_LNS_set_file = 4, DW_LNS_set_column = 5;
+const DW_LNS_const_add_pc = 8, DW_LNS_fixed_advance_pc = 9, DW_LNS_set_isa = 12;
+const DW_LNE_end_sequence = 1, DW_LNE_set_address = 2;
+const DW_LNCT_path = 1, DW_LNCT_directory_index = 2;
+
+// Line program header constants for the programs written here
+const LINE_BASE = -5, LINE_RANGE = 14, OPCODE_BASE = 13;
+const STANDARD_OPCODE_LENGTHS = [0, 1, 1, 1, 1, 0, 0, 0, 1, 0, 0, 1];
+
+function uleb(value) {
+  const bytes = [];
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value) byte |= 0x80;
+    bytes.push(byte);
+  } while (value);
+  return bytes;
+}
+
+function sleb(value) {
+  const bytes = [];
+  for (;;) {
+    const byte = value & 0x7f;
+    value >>= 7;
+    const done = (value === 0 && !(byte & 0x40)) || (value === -1 && byte & 0x40);
+    bytes.push(done ? byte : byte | 0x80);
+    if (done) return bytes;
+  }
+}
+
+/* ── Writing ── */
+
+// Little-endian bytes plus the relocations the linker must apply to them
+class Writer {
+  constructor() {
+    this.bytes = [];
+    this.relocations = []; // { offset, type, symbol, addend }
+  }
+
+  get offset() { return this.bytes.length; }
+
+  u8(value) { this.bytes.push(value & 0xff); }
+  u16(value) { this.u8(value); this.u8(value >> 8); }
+  u32(value) { for (let i = 0; i < 4; i++) this.u8(value >>> (8 * i)); }
+  u64(value) { this.u32(value % 2 ** 32); this.u32(Math.floor(value / 2 ** 32)); }
+  uleb(value) { this.bytes.push(...uleb(value)); }
+  sleb(value) { this.bytes.push(...sleb(value)); }
+  string(text) { this.bytes.push(...new TextEncoder().encode(text), 0); }
+
+  patch32(at, value) {
+    for (let i = 0; i < 4; i++) this.bytes[at + i] = (value >>> (8 * i)) & 0xff;
+  }
+
+  // A field the linker fills in with the symbol's address (or offset) plus addend
+  reloc(type, { symbol, addend = 0 }) {
+    this.relocations.push({ offset: this.offset, type, symbol, addend: BigInt(addend) });
+    if (type === R_X86_64[64]) this.u64(0);
+    else this.u32(0);
+  }
+}
+
+/**
+ * Add .debug_abbrev, .debug_info and .debug_line to an object compiled
+ * from C, from its source map and symbols.
+ *
+ * @param {object} object from objectFromAssembly, with its sourceMap
+ * @param {object} unit
+ * @param {string} unit.path      the C file
+ * @param {Array}  unit.functions { name, ty, line, isStatic, params, locals }
+ *   from Chibicc, params and locals being { name, ty, offset, reg? }
+ * @param {Array}  unit.globals   variables defined in the file ({ name, label, ty, isStatic })
+ */
+export function addDebugInfo(object, { path, functions, globals }) {
+  const text = object.sections.findIndex(sec => sec.name === '.text');
+  if (text < 0) return;
+  const sectionSymbol = i => object.symbols.findIndex(sym => sym.type === STT_SECTION && sym.section === i);
+  const defined = name => object.symbols.find(sym => sym.name === name && sym.type !== STT_SECTION && sym.section !== 'UND');
+  const textSymbol = sectionSymbol(text);
+
+  // The new sections and their section symbols come first, so that
+  // relocations can refer to them
+  const debug = {};
+  for (const name of ['.debug_abbrev', '.debug_info', '.debug_line']) {
+    const index = object.sections.length;
+    object.sections.push({ name, type: SHT_PROGBITS, flags: 0, align: 1, size: 0, bytes: null });
+    debug[name] = { index, symbol: object.symbols.length };
+    object.symbols.push({ name, bind: 'local', type: STT_SECTION, section: index, value: 0n, size: 0 });
+  }
+  // An address in .text, relocated against the section
+  const textAddress = offset => ({ symbol: textSymbol, addend: offset });
+  // An address anywhere, relocated against the symbol's section (or the
+  // symbol itself when it is undefined here, such as a .comm)
+  const address = sym => (typeof sym.section === 'number'
+    ? { symbol: sectionSymbol(sym.section), addend: Number(sym.value) }
+    : { symbol: object.symbols.indexOf(sym), addend: 0 });
+
+  const slash = path.lastIndexOf('/');
+  const dir = slash > 0 ? path.slice(0, slash) : '/';
+  const lines = lineProgram({
+    dir,
+    file: path.slice(slash + 1),
+    rows: object.sourceMap.filter(entry => entry.section === '.text'),
+    start: textAddress,
+  });
+
+  const types = new TypeDies();
+  const cu = die(DW_TAG.compile_unit, [
+    [DW_AT.producer, DW_FORM.string, 'HelixCore chibicc'],
+    [DW_AT.language, DW_FORM.data1, DW_LANG_C99],
+    [DW_AT.name, DW_FORM.string, path],
+    [DW_AT.comp_dir, DW_FORM.string, dir],
+    [DW_AT.low_pc, DW_FORM.addr, textAddress(0)],
+    [DW_AT.high_pc, DW_FORM.data8, object.sections[text].size],
+    [DW_AT.stmt_list, DW_FORM.sec_offset, { symbol: debug['.debug_line'].symbol }],
+  ], []);
+
+  for (const obj of globals) {
+    const sym = defined(obj.label);
+    if (!sym) continue;
+    cu.children.push(die(DW_TAG.variable, [
+      [DW_AT.name, DW_FORM.string, obj.name],
+      ...types.attr(obj.ty),
+      ...(!obj.isStatic ? [[DW_AT.external, DW_FORM.flag_present]] : []),
+      [DW_AT.location, DW_FORM.exprloc, [DW_OP_addr, address(sym)]],
+    ]));
+  }
+
+  for (const fn of functions) {
+    const sym = defined(fn.name);
+    if (!sym || sym.section !== text) continue;
+    const variable = (tag, obj) => die(tag, [
+      [DW_AT.name, DW_FORM.string, obj.name],
+      ...types.attr(obj.ty),
+      [DW_AT.location, DW_FORM.exprloc, obj.reg ? [DW_OP_reg0 + DWARF_REG[obj.reg]] : [DW_OP_fbreg, ...sleb(obj.offset)]],
+    ]);
+    cu.children.push(die(DW_TAG.subprogram, [
+      ...(!fn.isStatic ? [[DW_AT.external, DW_FORM.flag_present]] : []),
+      [DW_AT.name, DW_FORM.string, fn.name],
+      ...(fn.line ? [[DW_AT.decl_file, DW_FORM.data1, 1], [DW_AT.decl_line, DW_FORM.data4, fn.line]] : []),
+      [DW_AT.prototyped, DW_FORM.flag_present],
+      ...types.attr(fn.ty.returnType),
+      [DW_AT.low_pc, DW_FORM.addr, textAddress(Number(sym.value))],
+      [DW_AT.high_pc, DW_FORM.data8, sym.size],
+      [DW_AT.frame_base, DW_FORM.exprloc, [DW_OP_reg0 + DWARF_REG['%rbp']]],
+    ], fn.params.length || fn.locals.length ? [
+      ...fn.params.map(obj => variable(DW_TAG.formal_parameter, obj)),
+      ...fn.locals.map(obj => variable(DW_TAG.variable, obj)),
+    ] : null));
+  }
+  cu.children.push(...types.dies);
+
+  const { info, abbrev } = writeUnit(cu, { symbol: debug['.debug_abbrev'].symbol });
+  for (const [name, writer] of [['.debug_abbrev', abbrev], ['.debug_info', info], ['.debug_line', lines]]) {
+    const { index } = debug[name];
+    object.sections[index].bytes = new Uint8Array(writer.bytes);
+    object.sections[index].size = writer.bytes.length;
+    for (const reloc of writer.relocations) object.relocations.push({ section: index, ...reloc });
+  }
+}
+
+function die(tag, attrs, children = null) {
+  return { tag, attrs, children };
+}
+
+// Type DIEs, made once per type as they are first used
+class TypeDies {
+  constructor() {
+    this.dies = [];
+    this.byKey = new Map();
+  }
+
+  // DW_AT_type for a variable or function of type ty (none for void)
+  attr(ty) {
+    const type = this.get(ty);
+    return type ? [[DW_AT.type, DW_FORM.ref4, type]] : [];
+  }
+
+  get(ty) {
+    if (ty.kind === 'void') return null;
+    // Structs are told apart by identity, other types by their spelling
+    const key = ty.kind === 'struct' || ty.kind === 'union' ? ty : typeName(ty);
+    if (this.byKey.has(key)) return this.byKey.get(key);
+    const entry = die(0, []);
+    this.byKey.set(key, entry);
+    this.dies.push(entry);
+    Object.assign(entry, this._describe(ty));
+    return entry;
+  }
+
+  _describe(ty) {
+    switch (ty.kind) {
+      case 'ptr':
+        return die(DW_TAG.pointer_type, [[DW_AT.byte_size, DW_FORM.data1, 8], ...this.attr(ty.base)]);
+      case 'array':
+        return die(DW_TAG.array_type, this.attr(ty.base), [
+          die(DW_TAG.subrange_type, ty.len >= 0 ? [[DW_AT.count, DW_FORM.data4, ty.len]] : []),
+        ]);
+      case 'struct':
+      case 'union':
+        return die(ty.kind === 'struct' ? DW_TAG.structure_type : DW_TAG.union_type, [
+          ...(ty.tag ? [[DW_AT.name, DW_FORM.string, ty.tag]] : []),
+          ty.size < 0 ? [DW_AT.declaration, DW_FORM.flag_present] : [DW_AT.byte_size, DW_FORM.data4, ty.size],
+        ], ty.members.map(member => die(DW_TAG.member, [
+          [DW_AT.name, DW_FORM.string, member.name ?? ''],
+          ...this.attr(member.ty),
+          [DW_AT.data_member_location, DW_FORM.data4, member.offset],
+        ])));
+      case 'func':
+        return die(DW_TAG.subroutine_type, [[DW_AT.prototyped, DW_FORM.flag_present], ...this.attr(ty.returnType)]);
+      default: {
+        const name = ty.kind === 'enum' ? 'int' : typeName(ty);
+        let encoding = ty.isUnsigned ? DW_ATE.unsigned : DW_ATE.signed;
+        if (ty.kind === 'char') encoding = ty.isUnsigned ? DW_ATE.unsigned_char : DW_ATE.signed_char;
+        if (ty.kind === 'float' || ty.kind === 'double') encoding = DW_ATE.float;
+        return die(DW_TAG.base_type, [
+          [DW_AT.name, DW_FORM.string, name],
+          [DW_AT.encoding, DW_FORM.data1, encoding],
+          [DW_AT.byte_size, DW_FORM.data1, ty.size],
+        ]);
+      }
+    }
+  }
+}
+
+// .debug_info (a DWARF 4 unit header, then the DIE tree) and the
+// .debug_abbrev table it uses
+function writeUnit(root, abbrevOffset) {
+  const codes = new Map(); // abbreviation → code
+  const abbrev = new Writer();
+  const codeOf = entry => {
+    const key = [entry.tag, entry.children ? 1 : 0, ...entry.attrs.flatMap(([at, form]) => [at, form])].join(',');
+    if (!codes.has(key)) {
+      codes.set(key, codes.size + 1);
+      abbrev.uleb(codes.size);
+      abbrev.uleb(entry.tag);
+      abbrev.u8(entry.children ? 1 : 0);
+      for (const [at, form] of entry.attrs) {
+        abbrev.uleb(at);
+        abbrev.uleb(form);
+      }
+      abbrev.u16(0);
+    }
+    return codes.get(key);
+  };
+
+  const info = new Writer();
+  info.u32(0); // unit_length, patched below
+  info.u16(4); // version
+  info.reloc(R_X86_64[32], abbrevOffset);
+  info.u8(8);  // address_size
+
+  // References are CU-relative offsets, filled in once every DIE is placed
+  const refs = [];
+  const write = entry => {
+    entry.offset = info.offset;
+    info.uleb(codeOf(entry));
+    for (const [, form, value] of entry.attrs) {
+      switch (form) {
+        case DW_FORM.string:       info.string(value); break;
+        case DW_FORM.data1:        info.u8(value); break;
+        case DW_FORM.data4:        info.u32(value); break;
+        case DW_FORM.data8:        info.u64(value); break;
+        case DW_FORM.flag_present: break;
+        case DW_FORM.addr:         info.reloc(R_X86_64[64], value); break;
+        case DW_FORM.sec_offset:   info.reloc(R_X86_64[32], value); break;
+        case DW_FORM.ref4:         refs.push({ at: info.offset, target: value }); info.u32(0); break;
+        case DW_FORM.exprloc: {
+          // Operation bytes, with a relocated address for DW_OP_addr
+          info.uleb(value.reduce((n, op) => n + (typeof op === 'number' ? 1 : 8), 0));
+          for (const op of value) {
+            if (typeof op === 'number') info.u8(op);
+            else info.reloc(R_X86_64[64], op);
+          }
+          break;
+        }
+      }
+    }
+    if (entry.children) {
+      for (const child of entry.children) write(child);
+      info.u8(0);
+    }
+  };
+  write(root);
+  abbrev.u8(0);
+  for (const { at, target } of refs) info.patch32(at, target.offset);
+  info.patch32(0, info.offset - 4);
+  return { info, abbrev };
+}
+
+// A DWARF 4 line program for one file's .text rows, { offset, size,
+// line, col } for each instruction. Each run of adjacent instructions is
+// a sequence, so code between runs (crt0, functions from headers) maps to
+// no line.
+function lineProgram({ dir, file, rows, start }) {
+  const w = new Writer();
+  w.u32(0); // unit_length, patched below
+  w.u16(4); // version
+  const headerLengthAt = w.offset;
+  w.u32(0);
+  w.u8(1); // minimum_instruction_length
+  w.u8(1); // maximum_operations_per_instruction
+  w.u8(1); // default_is_stmt
+  w.u8(LINE_BASE);
+  w.u8(LINE_RANGE);
+  w.u8(OPCODE_BASE);
+  for (const length of STANDARD_OPCODE_LENGTHS) w.u8(length);
+  w.string(dir);
+  w.u8(0);
+  w.string(file);
+  w.uleb(1); // directory
+  w.uleb(0); // mtime
+  w.uleb(0); // length
+  w.u8(0);
+  w.patch32(headerLengthAt, w.offset - headerLengthAt - 4);
+
+  let pc = 0;
+  let line = 1;
+  let col = 0;
+  let next = null; // where the sequence's next instruction starts, null between sequences
+  const advance = to => {
+    if (to > pc) {
+      w.u8(DW_LNS_advance_pc);
+      w.uleb(to - pc);
+      pc = to;
+    }
+  };
+  const endSequence = () => {
+    advance(next);
+    w.u8(0);
+    w.uleb(1);
+    w.u8(DW_LNE_end_sequence);
+    next = null;
+  };
+  for (const row of [...rows].sort((a, b) => a.offset - b.offset)) {
+    if (next !== null && row.offset !== next) endSequence();
+    if (next === null) {
+      w.u8(0);
+      w.uleb(9);
+      w.u8(DW_LNE_set_address);
+      w.reloc(R_X86_64[64], start(row.offset));
+      [pc, line, col] = [row.offset, 1, 0];
+    }
+    next = row.offset + row.size;
+    // A row is only needed where the line or column changes
+    if (pc !== row.offset && row.line === line && row.col === col) continue;
+    advance(row.offset);
+    if (row.line !== line) {
+      w.u8(DW_LNS_advance_line);
+      w.sleb(row.line - line);
+      line = row.line;
+    }
+    if (row.col !== col) {
+      w.u8(DW_LNS_set_column);
+      w.uleb(row.col);
+      col = row.col;
+    }
+    w.u8(DW_LNS_copy);
+  }
+  if (next !== null) endSequence();
+  w.patch32(0, w.offset - 4);
+  return w;
+}
+
+/* ── Reading ── */
+
+class Reader {
+  constructor(bytes, at) {
+    this.bytes = bytes;
+    this.dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.at = at;
+  }
+
+  u8() { return this.bytes[this.at++]; }
+  s8() { return this.dv.getInt8(this.at++); }
+  u16() { this.at += 2; return this.dv.getUint16(this.at - 2, true); }
+  u32() { this.at += 4; return this.dv.getUint32(this.at - 4, true); }
+  u64() { this.at += 8; return this.dv.getBigUint64(this.at - 8, true); }
+
+  uleb() {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      byte = this.u8();
+      value += (byte & 0x7f) * scale;
+      scale *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  sleb() {
+    let value = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+      byte = this.u8();
+      value |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+    } while (byte & 0x80);
+    if (byte & 0x40) value -= 1n << shift;
+    return Number(value);
+  }
+
+  cString() {
+    const end = this.bytes.indexOf(0, this.at);
+    const text = new TextDecoder().decode(this.bytes.subarray(this.at, end));
+    this.at = end + 1;
+    return text;
+  }
+}
+
+/**
+ * The line table of an ELF file's .debug_line, as source map rows sorted
+ * by address. Where a sequence ends, a row with line 0 (and no file)
+ * says that the addresses from there on have no source, until the next
+ * row.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Array<{ va: string, file: string|null, line: number, col: number }>}
+ */
+export function readLineTable(bytes) {
+  const { sections } = readSymbols(bytes);
+  const section = name => sections.find(sec => sec.name === name);
+  const debugLine = section('.debug_line');
+  if (!debugLine) return [];
+  // Strings that DWARF 5 headers point into
+  const stringAt = (sec, offset) => (sec ? new Reader(bytes, sec.offset + offset).cString() : '');
+  const lineStr = section('.debug_line_str');
+  const str = section('.debug_str');
+
+  const rows = [];
+  const r = new Reader(bytes, debugLine.offset);
+  while (r.at < debugLine.offset + debugLine.size) {
+    let length = r.u32();
+    let offsetSize = 4;
+    if (length === 0xffffffff) {
+      length = Number(r.u64());
+      offsetSize = 8;
+    }
+    const end = r.at + length;
+    const version = r.u16();
+    if (version < 2 || version > 5) {
+      r.at = end;
+      continue;
+    }
+    if (version >= 5) r.at += 2; // address_size, segment_selector_size
+    const headerLength = offsetSize === 8 ? Number(r.u64()) : r.u32();
+    const programStart = r.at + headerLength;
+    const minInstLength = r.u8();
+    if (version >= 4) r.u8(); // maximum_operations_per_instruction
+    r.u8(); // default_is_stmt
+    const lineBase = r.s8();
+    const lineRange = r.u8();
+    const opcodeBase = r.u8();
+    const opcodeLengths = Array.from({ length: opcodeBase - 1 }, () => r.u8());
+
+    // Directories and files; before DWARF 5, file 0 and directory 0 are
+    // the compilation unit's own and not listed
+    let dirs = [''];
+    let files = [null];
+    if (version < 5) {
+      for (let dir = r.cString(); dir; dir = r.cString()) dirs.push(dir);
+      for (let name = r.cString(); name; name = r.cString()) {
+        const dir = r.uleb();
+        r.uleb();
+        r.uleb();
+        files.push({ name, dir });
+      }
+    } else {
+      const readForm = form => {
+        switch (form) {
+          case DW_FORM.string:    return r.cString();
+          case DW_FORM.line_strp: return stringAt(lineStr, offsetSize === 8 ? Number(r.u64()) : r.u32());
+          case DW_FORM.strp:      return stringAt(str, offsetSize === 8 ? Number(r.u64()) : r.u32());
+          case DW_FORM.udata:     return r.uleb();
+          case DW_FORM.data1:     return r.u8();
+          case DW_FORM.data2:     return r.u16();
+          case DW_FORM.data4:     return r.u32();
+          case DW_FORM.data8:     return r.u64();
+          case DW_FORM.data16:    r.at += 16; return null;
+          case DW_FORM.block:     r.at += r.uleb(); return null;
+          default: throw new Error(`Unsupported DWARF form ${form} in .debug_line`);
+        }
+      };
+      const entries = () => {
+        const formats = Array.from({ length: r.u8() }, () => [r.uleb(), r.uleb()]);
+        return Array.from({ length: r.uleb() }, () => {
+          const entry = { name: '', dir: 0 };
+          for (const [content, form] of formats) {
+            const value = readForm(form);
+            if (content === DW_LNCT_path) entry.name = value;
+            if (content === DW_LNCT_directory_index) entry.dir = value;
+          }
+          return entry;
+        });
+      };
+      dirs = entries().map(entry => entry.name);
+      files = entries();
+    }
+    const fileName = index => {
+      const entry = files[index];
+      if (!entry) return null;
+      const dir = dirs[entry.dir];
+      return entry.name.startsWith('/') || !dir ? entry.name : `${dir}/${entry.name}`;
+    };
+
+    // The line number state machine
+    r.at = programStart;
+    let address = 0n;
+    let file = 1;
+    let line = 1;
+    let col = 0;
+    const row = (path, line, col) => ({ va: '0x' + address.toString(16).padStart(16, '0'), file: path, line, col });
+    const emit = () => rows.push(row(fileName(file), line, col));
+    while (r.at < end) {
+      const opcode = r.u8();
+      if (opcode >= opcodeBase) {
+        const adjusted = opcode - opcodeBase;
+        address += BigInt(Math.floor(adjusted / lineRange) * minInstLength);
+        line += lineBase + (adjusted % lineRange);
+        emit();
+        continue;
+      }
+      switch (opcode) {
+        case 0: {
+          const size = r.uleb();
+          const next = r.at + size;
+          const sub = r.u8();
+          if (sub === DW_LNE_end_sequence) {
+            rows.push(row(null, 0, 0));
+            address = 0n;
+            file = 1;
+            line = 1;
+            col = 0;
+          } else if (sub === DW_LNE_set_address) {
+            address = r.u64();
+          }
+          r.at = next;
+          break;
+        }
+        case DW_LNS_copy:             emit(); break;
+        case DW_LNS_advance_pc:       address += BigInt(r.uleb() * minInstLength); break;
+        case DW_LNS_advance_line:     line += r.sleb(); break;
+        case DW_LNS_set_file:         file = r.uleb(); break;
+        case DW_LNS_set_column:       col = r.uleb(); break;
+        case DW_LNS_const_add_pc:     address += BigInt(Math.floor((255 - opcodeBase) / lineRange) * minInstLength); break;
+        case DW_LNS_fixed_advance_pc: address += BigInt(r.u16()); break;
+        case DW_LNS_set_isa:          r.uleb(); break;
+        default:
+          // negate_stmt, basic_block, prologue_end, … and unknown opcodes
+          for (let i = 0; i < opcodeLengths[opcode - 1]; i++) r.uleb();
+      }
+    }
+    r.at = end;
+  }
+  // The end of one sequence comes before a row at the same address
+  return rows.sort((a, b) => (a.va < b.va ? -1 : a.va > b.va ? 1 : Boolean(b.line) - Boolean(a.line)));
+}
@@ -0,0 +1,551 @@
+/**
+ * ir.js — three-address intermediate representation of a translation unit
+ *
+ * Chibicc lowers each function's AST (after the -O1 passes, when enabled)
+ * into three-address code, and the x86-64 backend (see codegen.js)
+ * generates assembly from this alone. Every instruction does one thing to
+ * at most two operands and names its result. Instructions are grouped into
+ * basic blocks, and every block ends in a terminator (jmp, br, switch or
+ * ret), so the blocks and their jumps form the control-flow graph. Blocks
+ * are labelled with the assembly labels they become (.L.else.3, the
+ * .L.break.N a `break` jumps to, …); the first one is `entry`.
+ *
+ * Operands carry their IR type:
+ *   t3         { kind: 'temp', id: 3, type }  a temporary, assigned once
+ *                                             (except the result of &&, ||
+ *                                             and ?:, assigned in each branch)
+ *   x          { kind: 'var', name, type }    a scalar local or parameter,
+ *                                             read when the instruction runs;
+ *                                             shadowed names get a .N suffix
+ *   42, 1.5    { kind: 'const', val, type }   val is a string for integers
+ *                                             past 2^53 and for 'inf', '-inf',
+ *                                             'nan' and '-0'
+ *   @name      { kind: 'global', name, type } address of a global, string
+ *                                             literal or function
+ *
+ * Instructions ({ op, type, dst, args, line, col })
+ * ───────────────────────────────────────────────
+ *   d = copy a                 d gets a
+ *   d = add.T a, b             also sub mul div mod and or xor shl shr
+ *   d = eq.T a, b              also ne lt le gt ge; d is an i32 0 or 1
+ *   d = bitnot.T a
+ *   d = conv.S.T a             convert a from type S to type T
+ *   d = addr x                 address of local x
+ *   d = load.T a               read a T from address a
+ *   store.T a, b               write b to address a
+ *   copymem a, b, n            copy n bytes from address b to address a
+ *   zero a, n                  clear n bytes at address a
+ *   d = call.T f, a1, a2, …    f is @name or a function pointer; no d for void
+ *   d = va_arg.T ap
+ *   jmp L                      terminators: jump to block L,
+ *   br a, L1, L2               to L1 if a is nonzero else L2,
+ *   switch a, k: L, …, default: L   to the block of the case equal to a,
+ *   ret a                      or return (a is omitted for void)
+ *
+ * Types T are i8…i64, u8…u64, f32, f64 and ptr; arithmetic runs on
+ * i32/u32 or wider after C's integer promotions. line and col are the
+ * source position of the statement (or loop condition and increment) the
+ * instruction was lowered from.
+ *
+ * At -O1 loops test their condition at the bottom, branches on a constant
+ * become jumps, and blocks nothing jumps to are dropped.
+ */
+
+import { isAggregate, isFlonum, typeName } from './ctypes.js';
+
+// IR type of a C type. Arrays, functions, structs and unions are handled
+// through their address.
+export function irType(ty) {
+  if (ty.kind === 'void') return 'void';
+  if (ty.kind === 'float') return 'f32';
+  if (ty.kind === 'double') return 'f64';
+  if (ty.base || ty.kind === 'func' || isAggregate(ty)) return 'ptr';
+  return `${ty.isUnsigned ? 'u' : 'i'}${ty.size * 8}`;
+}
+
+const BINARY_OPS = {
+  '+': 'add', '-': 'sub', '*': 'mul', '/': 'div', '%': 'mod', '&': 'and', '|': 'or', '^': 'xor',
+  '<<': 'shl', '>>': 'shr', '==': 'eq', '!=': 'ne', '<': 'lt', '<=': 'le', '>': 'gt', '>=': 'ge',
+};
+
+export const TERMINATORS = new Set(['jmp', 'br', 'switch', 'ret']);
+
+// Conversions that leave the bits as they are
+const SAME_BITS = [new Set(['ptr', 'i64', 'u64'])];
+
+function constant(val, type) {
+  if (typeof val === 'bigint') return { kind: 'const', val: String(val), type };
+  if (Object.is(val, -0)) return { kind: 'const', val: '-0', type };
+  if (Number.isFinite(val)) return { kind: 'const', val, type };
+  return { kind: 'const', val: Number.isNaN(val) ? 'nan' : val > 0 ? 'inf' : '-inf', type };
+}
+
+const global = name => ({ kind: 'global', name, type: 'ptr' });
+
+// The block labels a terminator can jump to
+export function successors(instr) {
+  switch (instr.op) {
+    case 'jmp': return [instr.args[0]];
+    case 'br': return instr.args.slice(1);
+    case 'switch': return [...instr.cases.map(([, label]) => label), instr.args[1]];
+  }
+  return [];
+}
+
+/**
+ * @param {object} unit
+ * @param {Array}  unit.functions function nodes from Chibicc's parser
+ * @param {Array}  unit.globals   global objects ({ label, ty, init, isDefinition, isStatic, file, line, col })
+ * @param {Map}    unit.strings   decoded literal → label
+ * @param {object} opts
+ * @param {boolean} [opts.optimize] lower as for -O1
+ * @param {Function} opts.newLabel (kind) → a fresh assembly label, `.L.<kind>.<n>`
+ * @returns {object} { globals, strings, functions: [{ name, type, params, locals, blocks, … }] }
+ */
+export function lowerToIR({ functions, globals, strings }, { optimize = false, newLabel }) {
+  return {
+    globals: globals.filter(obj => obj.isDefinition).map(obj => ({
+      name: obj.label,
+      type: typeName(obj.ty),
+      size: obj.ty.size,
+      align: obj.ty.align,
+      section: obj.init ? '.data' : '.bss',
+      ...(obj.isStatic && { static: true }),
+      ...(obj.init && {
+        init: {
+          bytes: Array.from(obj.init.bytes),
+          relocs: obj.init.relocs.map(({ offset, label, addend }) => ({ offset, label, addend: Number(addend) })),
+        },
+      }),
+      file: obj.file,
+      line: obj.line,
+      col: obj.col,
+    })),
+    strings: [...strings].map(([text, label]) => ({ name: label, text })),
+    functions: functions.map(fn => new FunctionLowering(fn, { optimize, newLabel }).run()),
+  };
+}
+
+class FunctionLowering {
+  constructor(fn, { optimize, newLabel }) {
+    this.fn = fn;
+    this.optimize = optimize;
+    this.newLabel = newLabel;
+    this.temps = 0;
+    this.blocks = [];
+    this.names = new Map(); // local → unique name
+    this.at = fn;           // statement the instructions come from
+  }
+
+  run() {
+    const { fn } = this;
+    const taken = new Set();
+    for (const obj of fn.locals) {
+      let name = obj.name ?? 'tmp';
+      for (let n = 1; taken.has(name); n++) name = `${obj.name ?? 'tmp'}.${n}`;
+      taken.add(name);
+      this.names.set(obj, name);
+    }
+
+    this._startBlock('entry');
+    this._stmt(fn.body);
+    if (!this._terminated()) {
+      // C99: falling off the end of main returns 0
+      if (fn.name === 'main') this._emit({ op: 'ret', args: [constant(0, 'i32')] });
+      else this._emit({ op: 'ret', args: [] });
+    }
+    if (this.optimize) this._dropUnreachable();
+
+    return {
+      name: fn.name,
+      type: typeName(fn.ty),
+      ...(fn.isStatic && { static: true }),
+      ...(fn.ty.isVariadic && { variadic: true, vaArea: this.names.get(fn.vaArea) }),
+      params: fn.params.map(obj => this.names.get(obj)),
+      locals: fn.locals.map(obj => ({
+        name: this.names.get(obj),
+        type: irType(obj.ty),
+        ctype: typeName(obj.ty),
+        offset: obj.offset,
+        ...(obj.reg && { reg: obj.reg }),
+      })),
+      stackSize: fn.stackSize,
+      savedRegs: fn.savedRegs ?? [],
+      file: fn.file,
+      line: fn.line,
+      col: fn.col,
+      blocks: this.blocks,
+    };
+  }
+
+  /* ── Blocks ── */
+
+  _startBlock(label) {
+    this.blocks.push({ label, instrs: [] });
+  }
+
+  _terminated() {
+    return TERMINATORS.has(this.blocks.at(-1).instrs.at(-1)?.op);
+  }
+
+  // Begin block `label`, falling through into it from the current one
+  _place(label) {
+    if (!this._terminated()) this._emit({ op: 'jmp', args: [label] });
+    this._startBlock(label);
+  }
+
+  _emit(instr) {
+    // Whatever follows a terminator is unreachable, but still gets a block
+    if (this._terminated()) this._startBlock(this.newLabel('dead'));
+    this.blocks.at(-1).instrs.push({ ...instr, line: this.at.line ?? null, col: this.at.col ?? null });
+    return instr.dst;
+  }
+
+  _temp(type) {
+    return { kind: 'temp', id: ++this.temps, type };
+  }
+
+  _op(op, type, args, resultType = type) {
+    return this._emit({ op, type, dst: this._temp(resultType), args });
+  }
+
+  // Blocks no jump reaches from the entry, such as the code after a return
+  _dropUnreachable() {
+    const byLabel = new Map(this.blocks.map(block => [block.label, block]));
+    const reached = new Set(['entry']);
+    const work = ['entry'];
+    while (work.length) {
+      for (const label of successors(byLabel.get(work.pop()).instrs.at(-1))) {
+        if (!reached.has(label)) {
+          reached.add(label);
+          work.push(label);
+        }
+      }
+    }
+    this.blocks = this.blocks.filter(block => reached.has(block.label));
+  }
+
+  /* ── Statements ── */
+
+  _stmt(node) {
+    if (node.line && node.type !== 'block') this.at = node;
+    switch (node.type) {
+      case 'if': {
+        const [then, els, end] = this._labels('then', 'else', 'end');
+        this._branch(node.cond, then, node.els ? els : end);
+        this._startBlock(then);
+        this._stmt(node.then);
+        if (node.els) {
+          if (!this._terminated()) this._emit({ op: 'jmp', args: [end] });
+          this._startBlock(els);
+          this._stmt(node.els);
+        }
+        this._place(end);
+        return;
+      }
+      case 'for': {
+        const [begin, body, cond] = this._labels('begin', 'body', 'cond');
+        if (node.init) this._stmt(node.init);
+        if (this.optimize) {
+          // Test at the bottom: one jump per iteration instead of two
+          this.at = node;
+          this._emit({ op: 'jmp', args: [node.cond ? cond : begin] });
+          this._startBlock(begin);
+          this._stmt(node.body);
+          this._loopStep(node);
+          if (node.cond) {
+            this._at(node.cond, node);
+            this._place(cond);
+            this._branch(node.cond, begin, node.brk);
+          } else {
+            this._emit({ op: 'jmp', args: [begin] });
+          }
+          this._startBlock(node.brk);
+          return;
+        }
+        this._place(begin);
+        if (node.cond) {
+          this._at(node.cond, node);
+          this._branch(node.cond, body, node.brk);
+          this._startBlock(body);
+        }
+        this._stmt(node.body);
+        this._loopStep(node);
+        this._emit({ op: 'jmp', args: [begin] });
+        this._startBlock(node.brk);
+        return;
+      }
+      case 'do': {
+        const [begin] = this._labels('begin');
+        this._place(begin);
+        this._stmt(node.body);
+        this._at(node.cond, node);
+        this._place(node.cont);
+        this._branch(node.cond, begin, node.brk);
+        this._startBlock(node.brk);
+        return;
+      }
+      case 'switch': {
+        const val = this._expr(node.cond);
+        this._emit({
+          op: 'switch',
+          args: [val, node.defaultLabel ?? node.brk],
+          cases: node.cases.map(({ val: k, label }) => [constant(k, val.type).val, label]),
+        });
+        this._stmt(node.body);
+        this._place(node.brk);
+        return;
+      }
+      case 'goto':
+        this._emit({ op: 'jmp', args: [node.label] });
+        return;
+      case 'label':
+        this._place(node.label);
+        this._stmt(node.body);
+        return;
+      case 'block':
+        for (const stmt of node.stmts) this._stmt(stmt);
+        return;
+      case 'return': {
+        if (!node.val) {
+          this._emit({ op: 'ret', args: [] });
+          return;
+        }
+        const val = this._expr(node.val);
+        this._emit({ op: 'ret', args: node.val.ty.kind === 'void' ? [] : [val] });
+        return;
+      }
+      case 'expr':
+        this._expr(node.expr);
+        return;
+      case 'memzero':
+        this._emit({ op: 'zero', args: [this._op('addr', null, [this._var(node.local)], 'ptr'), constant(node.local.ty.size, 'i64')] });
+        return;
+      case 'nop':
+        return;
+    }
+    throw new Error(`Invalid statement: ${node.type}`);
+  }
+
+  _labels(...kinds) {
+    const [first, ...rest] = kinds;
+    const label = this.newLabel(first);
+    const id = label.slice(label.lastIndexOf('.') + 1);
+    return [label, ...rest.map(kind => `.L.${kind}.${id}`)];
+  }
+
+  // Instructions from here on come from `node`, or the loop it belongs to
+  // if it has no position of its own
+  _at(node, loop) {
+    this.at = node?.line ? node : loop;
+  }
+
+  // The continue label and a for loop's increment
+  _loopStep(node) {
+    this._at(node.inc, node);
+    this._place(node.cont);
+    if (node.inc) this._expr(node.inc);
+  }
+
+  // Jump to ifTrue when `cond` is nonzero and to ifFalse otherwise. !, &&
+  // and || become jumps of their own; a floating condition is compared
+  // with zero first, which a NaN is not equal to.
+  _branch(cond, ifTrue, ifFalse) {
+    switch (cond.type) {
+      case 'not':
+        this._branch(cond.operand, ifFalse, ifTrue);
+        return;
+      case 'logand':
+      case 'logor': {
+        const right = this.newLabel('right');
+        if (cond.type === 'logand') this._branch(cond.left, right, ifFalse);
+        else this._branch(cond.left, ifTrue, right);
+        this._startBlock(right);
+        this._branch(cond.right, ifTrue, ifFalse);
+        return;
+      }
+      case 'num':
+        if (this.optimize) {
+          this._emit({ op: 'jmp', args: [cond.val !== 0 ? ifTrue : ifFalse] });
+          return;
+        }
+    }
+    let val = this._expr(cond);
+    if (isFlonum(cond.ty)) val = this._op('ne', val.type, [val, constant(0, val.type)], 'i32');
+    this._emit({ op: 'br', args: [val, ifTrue, ifFalse] });
+  }
+
+  /* ── Expressions ── */
+
+  _var(obj) {
+    return { kind: 'var', name: this.names.get(obj), type: irType(obj.ty) };
+  }
+
+  // An operand holding the value of `node`
+  _expr(node) {
+    switch (node.type) {
+      case 'num':
+        return constant(node.val, irType(node.ty));
+      case 'var':
+        if (!node.obj.isGlobal && this._isScalar(node.ty)) return this._var(node.obj);
+        return this._load(node.ty, this._addr(node));
+      case 'str':
+      case 'member':
+        return this._load(node.ty, this._addr(node));
+      case 'deref':
+        return this._load(node.ty, this._expr(node.operand));
+      case 'addr':
+        return this._addr(node.operand);
+      case 'funcaddr':
+        return global(node.name);
+      case 'assign': {
+        const { target } = node;
+        const type = irType(node.ty);
+        if (target.type === 'var' && !target.obj.isGlobal && this._isScalar(target.ty)) {
+          const dst = this._var(target.obj);
+          const val = this._expr(node.val);
+          // A value just computed for this assignment goes straight to the variable
+          const last = this.blocks.at(-1).instrs.at(-1);
+          if (val.kind === 'temp' && last?.dst === val && val.id === this.temps) last.dst = dst;
+          else this._emit({ op: 'copy', type, dst, args: [val] });
+          return dst;
+        }
+        const addr = this._addr(target);
+        const val = this._expr(node.val);
+        if (isAggregate(node.ty)) {
+          this._emit({ op: 'copymem', args: [addr, val, constant(node.ty.size, 'i64')] });
+          return addr;
+        }
+        this._emit({ op: 'store', type, args: [addr, val] });
+        return val;
+      }
+      case 'cast': {
+        const val = this._expr(node.expr);
+        const [from, to] = [irType(node.expr.ty), irType(node.ty)];
+        if (to === 'void' || from === to || SAME_BITS.some(set => set.has(from) && set.has(to))) return val;
+        return this._op('conv', `${from}.${to}`, [val], to);
+      }
+      case 'comma':
+        this._expr(node.left);
+        return this._expr(node.right);
+      case 'not': {
+        const val = this._expr(node.operand);
+        return this._op('eq', val.type, [val, constant(0, val.type)], 'i32');
+      }
+      case 'bitnot':
+        return this._op('bitnot', irType(node.ty), [this._expr(node.operand)]);
+      case 'logand':
+      case 'logor':
+      case 'cond': {
+        // result is set in each branch, and && and || only evaluate their
+        // right operand when the left one doesn't decide
+        const type = node.type === 'cond' ? irType(node.ty) : 'i32';
+        const result = type === 'void' ? null : this._temp(type);
+        const [then, els, end] = this._labels('then', 'else', 'end');
+        this._branch(node.type === 'cond' ? node.cond : node, then, els);
+        const arm = (label, val) => {
+          this._startBlock(label);
+          const a = typeof val === 'number' ? constant(val, 'i32') : this._expr(val);
+          if (result) this._emit({ op: 'copy', type, dst: result, args: [a] });
+        };
+        arm(then, node.type === 'cond' ? node.then : 1);
+        this._emit({ op: 'jmp', args: [end] });
+        arm(els, node.type === 'cond' ? node.els : 0);
+        this._place(end);
+        return result ?? constant(0, 'i32');
+      }
+      case 'binary': {
+        const left = this._expr(node.left);
+        const right = this._expr(node.right);
+        const op = BINARY_OPS[node.op];
+        const isCompare = ['eq', 'ne', 'lt', 'le', 'gt', 'ge'].includes(op);
+        return this._op(op, irType(node.left.ty), [left, right], isCompare ? 'i32' : irType(node.ty));
+      }
+      case 'call': {
+        const callee = node.fn ? this._expr(node.fn) : global(node.name);
+        const args = node.args.map(arg => this._expr(arg));
+        const type = irType(node.ty);
+        if (type === 'void') {
+          this._emit({ op: 'call', type, args: [callee, ...args] });
+          return constant(0, 'i32');
+        }
+        return this._op('call', type, [callee, ...args]);
+      }
+      case 'va_arg':
+        return this._op('va_arg', irType(node.ty), [this._expr(node.ap)]);
+    }
+    throw new Error(`Invalid expression: ${node.type}`);
+  }
+
+  // An operand holding the address of an lvalue
+  _addr(node) {
+    switch (node.type) {
+      case 'var':
+        return node.obj.isGlobal ? global(node.obj.label) : this._op('addr', null, [this._var(node.obj)], 'ptr');
+      case 'str':
+        return global(node.label);
+      case 'deref':
+        return this._expr(node.operand);
+      case 'member': {
+        const base = this._addr(node.operand);
+        return node.member.offset ? this._op('add', 'ptr', [base, constant(node.member.offset, 'i64')]) : base;
+      }
+    }
+    throw new Error(`Not an lvalue: ${node.type}`);
+  }
+
+  // Arrays, functions and aggregates evaluate to their address
+  _load(ty, addr) {
+    return this._isScalar(ty) ? this._op('load', irType(ty), [addr]) : addr;
+  }
+
+  _isScalar(ty) {
+    return ty.kind !== 'array' && ty.kind !== 'func' && !isAggregate(ty);
+  }
+}
+
+/* ── Text form ── */
+
+function operand(op) {
+  if (typeof op === 'string') return op; // block label
+  switch (op.kind) {
+    case 'temp': return `t${op.id}`;
+    case 'var': return op.name;
+    case 'const': return String(op.val);
+    case 'global': return `@${op.name}`;
+  }
+  return '?';
+}
+
+const UNTYPED = new Set(['copy', 'addr', 'copymem', 'zero', 'jmp', 'br', 'switch', 'ret']);
+
+export function formatInstr(instr) {
+  const op = instr.type && instr.type !== 'void' && !UNTYPED.has(instr.op) ? `${instr.op}.${instr.type}` : instr.op;
+  const args = instr.args.map(operand);
+  if (instr.op === 'switch') {
+    const [val, dflt] = args;
+    args.splice(0, 2, val, ...instr.cases.map(([k, label]) => `${k}: ${label}`), `default: ${dflt}`);
+  }
+  const text = `${op} ${args.join(', ')}`.trimEnd();
+  return instr.dst ? `${operand(instr.dst)} = ${text}` : text;
+}
+
+// The IR as assembly-like text, one function after another
+export function formatIR(ir) {
+  const lines = [];
+  for (const g of ir.globals) lines.push(`global @${g.name}: ${g.type} (${g.section})${g.static ? ' static' : ''}`);
+  for (const s of ir.strings) lines.push(`string @${s.name} = ${JSON.stringify(s.text)}`);
+  for (const fn of ir.functions) {
+    if (lines.length) lines.push('');
+    lines.push(`func ${fn.static ? 'static ' : ''}${fn.name}: ${fn.type}`);
+    for (const local of fn.locals) {
+      const where = local.reg ?? `${local.offset}(%rbp)`;
+      lines.push(`  ${fn.params.includes(local.name) ? 'param' : 'local'} ${local.name}: ${local.ctype}  ; ${where}`);
+    }
+    for (const block of fn.blocks) {
+      lines.push(`${block.label}:`);
+      for (const instr of block.instrs) lines.push(`  ${formatInstr(instr)}`);
+    }
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,33 @@
+/**
+ * ctype.js — <ctype.h> classification functions for the bundled libc
+ *
+ * Plain ASCII ("C" locale); each function is its own member.
+ */
+
+// name → expression over the argument `c`
+const CLASSES = {
+  isdigit: "c >= '0' && c <= '9'",
+  isupper: "c >= 'A' && c <= 'Z'",
+  islower: "c >= 'a' && c <= 'z'",
+  isalpha: "(c | 32) >= 'a' && (c | 32) <= 'z'",
+  isalnum: "(c >= '0' && c <= '9') || ((c | 32) >= 'a' && (c | 32) <= 'z')",
+  isxdigit: "(c >= '0' && c <= '9') || ((c | 32) >= 'a' && (c | 32) <= 'f')",
+  isspace: "c == ' ' || (c >= '\\t' && c <= '\\r')",
+  isblank: "c == ' ' || c == '\\t'",
+  iscntrl: "(c >= 0 && c < 32) || c == 127",
+  isprint: "c >= 32 && c < 127",
+  isgraph: "c > 32 && c < 127",
+  ispunct: "c > 32 && c < 127 && !((c >= '0' && c <= '9') || ((c | 32) >= 'a' && (c | 32) <= 'z'))",
+  tolower: "c >= 'A' && c <= 'Z' ? c | 32 : c",
+  toupper: "c >= 'a' && c <= 'z' ? c & ~32 : c",
+};
+
+export const CTYPE_SOURCES = {};
+
+for (const [name, expr] of Object.entries(CLASSES)) {
+  CTYPE_SOURCES[`${name}.c`] = `
+int ${name}(int c) {
+  return ${expr};
+}
+`;
+}
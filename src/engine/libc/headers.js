@@ -0,0 +1,386 @@
+/**
+ * headers.js — bundled system headers for Chibicc
+ *
+ * `#include <name.h>` is resolved against SYSTEM_INCLUDE_DIR, and files
+ * under that directory are served from this table instead of the
+ * VirtualFS. Only declarations the compiler can already parse belong here.
+ */
+
+export const SYSTEM_INCLUDE_DIR = '/usr/include';
+
+export const SYSTEM_HEADERS = {
+  'stddef.h': `
+#ifndef __STDDEF_H
+#define __STDDEF_H
+#define NULL ((void *)0)
+typedef unsigned long size_t;
+typedef long ptrdiff_t;
+#define offsetof(T, m) ((size_t)&((T *)0)->m)
+#endif
+`,
+
+  // va_arg is a compiler builtin; va_start copies the header of the
+  // __va_area__ every variadic function sets up in its prologue
+  'stdarg.h': `
+#ifndef __STDARG_H
+#define __STDARG_H
+typedef struct {
+  unsigned int gp_offset;
+  unsigned int fp_offset;
+  void *overflow_arg_area;
+  void *reg_save_area;
+} __va_elem;
+typedef __va_elem va_list[1];
+#define va_start(ap, last) do { *(ap) = *(__va_elem *)__va_area__; } while (0)
+#define va_arg(ap, ty) __builtin_va_arg(ap, ty)
+#define va_copy(dest, src) ((dest)[0] = (src)[0])
+#define va_end(ap)
+#endif
+`,
+
+  // FILE is buffered over read/write. A stream holds either read-ahead
+  // (buf[rpos..rend]) or pending output (buf[0..wpos]), never both.
+  'stdio.h': `
+#ifndef __STDIO_H
+#define __STDIO_H
+#include <stddef.h>
+#include <stdarg.h>
+#define EOF (-1)
+#define BUFSIZ 1024
+#define SEEK_SET 0
+#define SEEK_CUR 1
+#define SEEK_END 2
+#define __F_READ    1
+#define __F_WRITE   2
+#define __F_LINEBUF 4
+#define __F_UNBUF   8
+#define __F_EOF     16
+#define __F_ERR     32
+#define __F_UNGET   64
+typedef struct __FILE FILE;
+struct __FILE {
+  int fd;
+  int flags;
+  char *buf;
+  int size;
+  int rpos;
+  int rend;
+  int wpos;
+  int unget;
+  FILE *next;
+};
+extern FILE *stdin;
+extern FILE *stdout;
+extern FILE *stderr;
+FILE *fopen(const char *path, const char *mode);
+int fclose(FILE *f);
+int fflush(FILE *f);
+int fputc(int c, FILE *f);
+int fputs(const char *s, FILE *f);
+int fgetc(FILE *f);
+char *fgets(char *s, int n, FILE *f);
+int ungetc(int c, FILE *f);
+size_t fread(void *ptr, size_t size, size_t n, FILE *f);
+size_t fwrite(const void *ptr, size_t size, size_t n, FILE *f);
+int fseek(FILE *f, long offset, int whence);
+long ftell(FILE *f);
+void rewind(FILE *f);
+int feof(FILE *f);
+int ferror(FILE *f);
+void clearerr(FILE *f);
+int fileno(FILE *f);
+#define putc(c, f) fputc(c, f)
+#define getc(f) fgetc(f)
+int printf(const char *fmt, ...);
+int fprintf(FILE *f, const char *fmt, ...);
+int sprintf(char *buf, const char *fmt, ...);
+int snprintf(char *buf, size_t size, const char *fmt, ...);
+int vprintf(const char *fmt, va_list ap);
+int vfprintf(FILE *f, const char *fmt, va_list ap);
+int vsprintf(char *buf, const char *fmt, va_list ap);
+int vsnprintf(char *buf, size_t size, const char *fmt, va_list ap);
+int scanf(const char *fmt, ...);
+int fscanf(FILE *f, const char *fmt, ...);
+int sscanf(const char *s, const char *fmt, ...);
+int vscanf(const char *fmt, va_list ap);
+int vfscanf(FILE *f, const char *fmt, va_list ap);
+int vsscanf(const char *s, const char *fmt, va_list ap);
+int puts(const char *s);
+int putchar(int c);
+int getchar(void);
+void perror(const char *s);
+#endif
+`,
+
+  'stdlib.h': `
+#ifndef __STDLIB_H
+#define __STDLIB_H
+#include <stddef.h>
+#define EXIT_SUCCESS 0
+#define EXIT_FAILURE 1
+#define RAND_MAX 2147483647
+void *malloc(size_t size);
+void *calloc(size_t n, size_t size);
+void *realloc(void *p, size_t size);
+void free(void *p);
+void exit(int status);
+int atexit(void (*fn)(void));
+void abort(void);
+int atoi(const char *s);
+long atol(const char *s);
+long strtol(const char *s, char **end, int base);
+unsigned long strtoul(const char *s, char **end, int base);
+double strtod(const char *s, char **end);
+double atof(const char *s);
+int abs(int n);
+long labs(long n);
+int rand(void);
+void srand(unsigned int seed);
+void qsort(void *base, size_t n, size_t size, int (*cmp)(const void *, const void *));
+char *getenv(const char *name);
+#endif
+`,
+
+  'string.h': `
+#ifndef __STRING_H
+#define __STRING_H
+#include <stddef.h>
+void *memcpy(void *dst, const void *src, size_t n);
+void *memmove(void *dst, const void *src, size_t n);
+void *memset(void *dst, int c, size_t n);
+int memcmp(const void *a, const void *b, size_t n);
+void *memchr(const void *s, int c, size_t n);
+size_t strlen(const char *s);
+char *strcpy(char *dst, const char *src);
+char *strncpy(char *dst, const char *src, size_t n);
+char *strcat(char *dst, const char *src);
+char *strncat(char *dst, const char *src, size_t n);
+int strcmp(const char *a, const char *b);
+int strncmp(const char *a, const char *b, size_t n);
+char *strchr(const char *s, int c);
+char *strrchr(const char *s, int c);
+char *strstr(const char *s, const char *needle);
+char *strdup(const char *s);
+char *strerror(int err);
+#endif
+`,
+
+  // isnan and isinf are macros, so they work for float and double alike
+  'math.h': `
+#ifndef __MATH_H
+#define __MATH_H
+#define HUGE_VAL (1.0 / 0.0)
+#define INFINITY (1.0f / 0.0f)
+#define NAN (0.0f / 0.0f)
+#define M_E 2.71828182845904523536
+#define M_LN2 0.69314718055994530942
+#define M_LN10 2.30258509299404568402
+#define M_PI 3.14159265358979323846
+#define M_PI_2 1.57079632679489661923
+#define M_PI_4 0.78539816339744830962
+#define M_SQRT2 1.41421356237309504880
+#define isnan(x) ((x) != (x))
+#define isinf(x) (!isnan(x) && isnan((x) - (x)))
+#define isfinite(x) (!isnan((x) - (x)))
+double sqrt(double x);
+double fabs(double x);
+double trunc(double x);
+double floor(double x);
+double ceil(double x);
+double round(double x);
+double fmod(double x, double y);
+double frexp(double x, int *e);
+double ldexp(double x, int n);
+double exp(double x);
+double log(double x);
+double log10(double x);
+double log2(double x);
+double pow(double x, double y);
+double sin(double x);
+double cos(double x);
+double tan(double x);
+double asin(double x);
+double acos(double x);
+double atan(double x);
+double atan2(double y, double x);
+#endif
+`,
+
+  'float.h': `
+#ifndef __FLOAT_H
+#define __FLOAT_H
+#define FLT_RADIX 2
+#define FLT_MANT_DIG 24
+#define DBL_MANT_DIG 53
+#define FLT_DIG 6
+#define DBL_DIG 15
+#define FLT_EPSILON 1.19209290e-7F
+#define DBL_EPSILON 2.2204460492503131e-16
+#define FLT_MIN 1.17549435e-38F
+#define DBL_MIN 2.2250738585072014e-308
+#define FLT_MAX 3.40282347e+38F
+#define DBL_MAX 1.7976931348623157e+308
+#endif
+`,
+
+  'ctype.h': `
+#ifndef __CTYPE_H
+#define __CTYPE_H
+int isalnum(int c);
+int isalpha(int c);
+int isblank(int c);
+int iscntrl(int c);
+int isdigit(int c);
+int isgraph(int c);
+int islower(int c);
+int isprint(int c);
+int ispunct(int c);
+int isspace(int c);
+int isupper(int c);
+int isxdigit(int c);
+int tolower(int c);
+int toupper(int c);
+#endif
+`,
+
+  'errno.h': `
+#ifndef __ERRNO_H
+#define __ERRNO_H
+extern int errno;
+#define EPERM   1
+#define ENOENT  2
+#define EINTR   4
+#define EIO     5
+#define EBADF   9
+#define EAGAIN  11
+#define ENOMEM  12
+#define EACCES  13
+#define EFAULT  14
+#define EEXIST  17
+#define ENOTDIR 20
+#define EISDIR  21
+#define EINVAL  22
+#define EMFILE  24
+#define ENOSPC  28
+#define ESPIPE  29
+#define EROFS   30
+#define EPIPE   32
+#define EDOM    33
+#define ERANGE  34
+#define ENOSYS  38
+#endif
+`,
+
+  'fcntl.h': `
+#ifndef __FCNTL_H
+#define __FCNTL_H
+#define O_RDONLY  0
+#define O_WRONLY  1
+#define O_RDWR    2
+#define O_ACCMODE 3
+#define O_CREAT   0100
+#define O_EXCL    0200
+#define O_TRUNC   01000
+#define O_APPEND  02000
+int open(const char *path, int flags, ...);
+#endif
+`,
+
+  'sys/mman.h': `
+#ifndef __SYS_MMAN_H
+#define __SYS_MMAN_H
+#include <stddef.h>
+#define PROT_NONE  0
+#define PROT_READ  1
+#define PROT_WRITE 2
+#define PROT_EXEC  4
+#define MAP_SHARED    1
+#define MAP_PRIVATE   2
+#define MAP_FIXED     0x10
+#define MAP_ANONYMOUS 0x20
+#define MAP_FAILED ((void *)-1)
+void *mmap(void *addr, size_t len, int prot, int flags, int fd, long offset);
+int munmap(void *addr, size_t len);
+#endif
+`,
+
+  // Same layout as the x86-64 kernel's struct stat, which AxRuntime's
+  // stat/fstat handlers fill in
+  'sys/stat.h': `
+#ifndef __SYS_STAT_H
+#define __SYS_STAT_H
+struct timespec { long tv_sec; long tv_nsec; };
+struct stat {
+  long st_dev;
+  long st_ino;
+  long st_nlink;
+  int st_mode;
+  int st_uid;
+  int st_gid;
+  int __pad0;
+  long st_rdev;
+  long st_size;
+  long st_blksize;
+  long st_blocks;
+  struct timespec st_atim;
+  struct timespec st_mtim;
+  struct timespec st_ctim;
+  long __unused[3];
+};
+#define S_IFMT   0170000
+#define S_IFDIR  0040000
+#define S_IFCHR  0020000
+#define S_IFREG  0100000
+#define S_ISDIR(m) (((m) & S_IFMT) == S_IFDIR)
+#define S_ISCHR(m) (((m) & S_IFMT) == S_IFCHR)
+#define S_ISREG(m) (((m) & S_IFMT) == S_IFREG)
+int stat(const char *path, struct stat *st);
+int fstat(int fd, struct stat *st);
+#endif
+`,
+
+  // System calls return -1 and set errno on failure
+  'unistd.h': `
+#ifndef __UNISTD_H
+#define __UNISTD_H
+#include <stddef.h>
+#define STDIN_FILENO  0
+#define STDOUT_FILENO 1
+#define STDERR_FILENO 2
+#define SEEK_SET 0
+#define SEEK_CUR 1
+#define SEEK_END 2
+long read(int fd, void *buf, size_t count);
+long write(int fd, const void *buf, size_t count);
+int close(int fd);
+long lseek(int fd, long offset, int whence);
+int brk(void *addr);
+void *sbrk(long incr);
+void _exit(int status);
+char *getcwd(char *buf, size_t size);
+int chdir(const char *path);
+extern char **environ;
+#endif
+`,
+
+  'limits.h': `
+#ifndef __LIMITS_H
+#define __LIMITS_H
+#define CHAR_BIT 8
+#define SCHAR_MIN (-128)
+#define SCHAR_MAX 127
+#define CHAR_MIN SCHAR_MIN
+#define CHAR_MAX SCHAR_MAX
+#define SHRT_MIN (-32768)
+#define SHRT_MAX 32767
+#define INT_MIN (-2147483647 - 1)
+#define INT_MAX 2147483647
+#define UCHAR_MAX 255
+#define USHRT_MAX 65535
+#define UINT_MAX 4294967295U
+#define ULONG_MAX (~0UL)
+#define LONG_MAX ((long)(ULONG_MAX >> 1))
+#define LONG_MIN (-LONG_MAX - 1)
+#endif
+`,
+};
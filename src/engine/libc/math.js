@@ -0,0 +1,303 @@
+/**
+ * math.js — <math.h> for the bundled libc
+ *
+ * sqrt and fabs are single SSE2 instructions; the transcendental
+ * functions reduce their argument to a small interval and sum a Taylor
+ * series there. They are accurate to a few units in the last place, which
+ * is plenty for teaching numerical methods but not a replacement for a
+ * real libm.
+ */
+
+export const MATH_SOURCES = {
+  'sqrt.s': `
+.text
+.global sqrt
+sqrt:
+  sqrtsd %xmm0, %xmm0
+  ret
+`,
+
+  // Clear the sign bit
+  'fabs.s': `
+.text
+.global fabs
+fabs:
+  movq %xmm0, %rax
+  btrq $63, %rax
+  movq %rax, %xmm0
+  ret
+`,
+
+  'floor.c': `
+#include <math.h>
+
+// Doubles from 2^52 up have no fraction bits
+double trunc(double x) {
+  if (!(fabs(x) < 4503599627370496.0)) return x;
+  return (long)x;
+}
+
+double floor(double x) {
+  double t = trunc(x);
+  return t > x ? t - 1 : t;
+}
+
+double ceil(double x) {
+  double t = trunc(x);
+  return t < x ? t + 1 : t;
+}
+
+// Halfway cases round away from zero
+double round(double x) {
+  double t = trunc(x);
+  if (fabs(x - t) >= 0.5) t = x < 0 ? t - 1 : t + 1;
+  return t;
+}
+`,
+
+  'fmod.c': `
+#include <math.h>
+
+double fmod(double x, double y) {
+  if (y == 0 || isnan(x) || isnan(y) || isinf(x)) return NAN;
+  if (isinf(y)) return x;
+  return x - trunc(x / y) * y;
+}
+`,
+
+  // x = m * 2^e with m in [0.5, 1), straight from the bit pattern
+  'frexp.c': `
+#include <math.h>
+
+double frexp(double x, int *e) {
+  unsigned long bits = *(unsigned long *)&x;
+  int ex = (bits >> 52) & 0x7ff;
+  if (ex == 0x7ff || x == 0) {
+    *e = 0;
+    return x;
+  }
+  if (ex == 0) {
+    // Subnormal: scale by 2^54 into the normal range first
+    x = x * 18014398509481984.0;
+    bits = *(unsigned long *)&x;
+    ex = ((bits >> 52) & 0x7ff) - 54;
+  }
+  *e = ex - 1022;
+  bits = (bits & ~(0x7ffUL << 52)) | (1022UL << 52);
+  return *(double *)&bits;
+}
+
+// 2^n for -1022 <= n <= 1023
+static double pow2(int n) {
+  unsigned long bits = (unsigned long)(n + 1023) << 52;
+  return *(double *)&bits;
+}
+
+double ldexp(double x, int n) {
+  while (n > 1023 && !isinf(x)) {
+    x = x * pow2(1023);
+    n = n - 1023;
+  }
+  while (n < -1022 && x != 0) {
+    x = x * pow2(-1022);
+    n = n + 1022;
+  }
+  if (n > 1023 || n < -1022) return x;
+  return x * pow2(n);
+}
+`,
+
+  // ln 2 split in two so that k * LN2_HI is exact for the k that occur
+  'exp.c': `
+#include <math.h>
+
+#define LN2_HI 6.93147180369123816490e-01
+#define LN2_LO 1.90821492927058770002e-10
+
+// e^x = 2^k * e^r with x = k ln 2 + r, |r| <= ln 2 / 2
+double exp(double x) {
+  if (isnan(x)) return x;
+  if (x > 709.782712893384) return HUGE_VAL;
+  if (x < -745.1332191019412) return 0;
+  double kf = x * 1.4426950408889634;
+  int k = kf < 0 ? kf - 0.5 : kf + 0.5;
+  double r = (x - k * LN2_HI) - k * LN2_LO;
+  double term = 1;
+  double sum = 1;
+  for (int i = 1; i < 18; i++) {
+    term = term * r / i;
+    sum = sum + term;
+  }
+  return ldexp(sum, k);
+}
+`,
+
+  'log.c': `
+#include <math.h>
+
+#define LN2_HI 6.93147180369123816490e-01
+#define LN2_LO 1.90821492927058770002e-10
+
+// ln x = e ln 2 + ln m with m in [sqrt(1/2), sqrt(2)), and
+// ln m = 2 atanh(f) = 2 (f + f^3/3 + f^5/5 + ...) for f = (m - 1) / (m + 1)
+double log(double x) {
+  if (isnan(x) || x < 0) return NAN;
+  if (x == 0) return -HUGE_VAL;
+  if (isinf(x)) return x;
+  int e;
+  double m = frexp(x, &e);
+  if (m < 0.7071067811865476) {
+    m = m * 2;
+    e--;
+  }
+  double f = (m - 1) / (m + 1);
+  double f2 = f * f;
+  double term = f;
+  double sum = 0;
+  for (int i = 1; i < 40; i = i + 2) {
+    sum = sum + term / i;
+    term = term * f2;
+  }
+  return e * LN2_HI + (2 * sum + e * LN2_LO);
+}
+
+double log10(double x) {
+  return log(x) * 0.43429448190325182765;
+}
+
+double log2(double x) {
+  return log(x) * 1.44269504088896340736;
+}
+`,
+
+  'pow.c': `
+#include <math.h>
+
+double pow(double x, double y) {
+  if (y == 0) return 1;
+  if (isnan(x) || isnan(y)) return x + y;
+  // Integer powers by repeated squaring, exact while the result fits
+  if (fabs(y) < 9.0e18 && (long)y == y) {
+    long n = y;
+    unsigned long m = n < 0 ? -n : n;
+    double r = 1;
+    double b = x;
+    while (m) {
+      if (m & 1) r = r * b;
+      b = b * b;
+      m = m >> 1;
+    }
+    return n < 0 ? 1 / r : r;
+  }
+  if (x < 0) return NAN;
+  if (x == 0) return y > 0 ? 0 : HUGE_VAL;
+  return exp(y * log(x));
+}
+`,
+
+  // pi/2 split in two, as for ln 2 in exp.c
+  'sin.c': `
+#include <math.h>
+
+#define PIO2_HI 1.57079632673412561417e+00
+#define PIO2_LO 6.07710050650619224932e-11
+
+static double sin_series(double r) {
+  double r2 = r * r;
+  double term = r;
+  double sum = r;
+  for (int i = 2; i < 22; i = i + 2) {
+    term = -term * r2 / (i * (i + 1));
+    sum = sum + term;
+  }
+  return sum;
+}
+
+static double cos_series(double r) {
+  double r2 = r * r;
+  double term = 1;
+  double sum = 1;
+  for (int i = 2; i < 22; i = i + 2) {
+    term = -term * r2 / ((i - 1) * i);
+    sum = sum + term;
+  }
+  return sum;
+}
+
+// x = k pi/2 + r with |r| <= pi/4; returns k mod 4
+static int reduce(double x, double *r) {
+  double kf = x * 0.63661977236758134308;
+  long k = kf < 0 ? kf - 0.5 : kf + 0.5;
+  *r = (x - k * PIO2_HI) - k * PIO2_LO;
+  return k & 3;
+}
+
+double sin(double x) {
+  if (isnan(x) || isinf(x)) return x - x;
+  double r;
+  switch (reduce(x, &r)) {
+  case 0: return sin_series(r);
+  case 1: return cos_series(r);
+  case 2: return -sin_series(r);
+  default: return -cos_series(r);
+  }
+}
+
+double cos(double x) {
+  if (isnan(x) || isinf(x)) return x - x;
+  double r;
+  switch (reduce(x, &r)) {
+  case 0: return cos_series(r);
+  case 1: return -sin_series(r);
+  case 2: return -cos_series(r);
+  default: return sin_series(r);
+  }
+}
+
+double tan(double x) {
+  return sin(x) / cos(x);
+}
+`,
+
+  'atan.c': `
+#include <math.h>
+
+// Fold x into [0, tan(pi/12)] using atan(x) = pi/2 - atan(1/x) and
+// atan(x) = pi/6 + atan((x sqrt(3) - 1) / (sqrt(3) + x)), then sum
+// x - x^3/3 + x^5/5 - ...
+double atan(double x) {
+  if (isnan(x)) return x;
+  int neg = x < 0;
+  if (neg) x = -x;
+  int inv = x > 1;
+  if (inv) x = 1 / x;
+  int shift = x > 0.26794919243112270;
+  if (shift) x = (x * 1.73205080756887729353 - 1) / (1.73205080756887729353 + x);
+  double x2 = x * x;
+  double term = x;
+  double sum = x;
+  for (int i = 3; i < 40; i = i + 2) {
+    term = -term * x2;
+    sum = sum + term / i;
+  }
+  if (shift) sum = sum + M_PI / 6;
+  if (inv) sum = M_PI_2 - sum;
+  return neg ? -sum : sum;
+}
+
+double atan2(double y, double x) {
+  if (isnan(x) || isnan(y)) return x + y;
+  if (x > 0) return atan(y / x);
+  if (x < 0) return y < 0 ? atan(y / x) - M_PI : atan(y / x) + M_PI;
+  return y > 0 ? M_PI_2 : y < 0 ? -M_PI_2 : 0;
+}
+
+double asin(double x) {
+  return atan2(x, sqrt((1 - x) * (1 + x)));
+}
+
+double acos(double x) {
+  return atan2(sqrt((1 - x) * (1 + x)), x);
+}
+`,
+};
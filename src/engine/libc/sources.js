@@ -0,0 +1,30 @@
+/**
+ * sources.js — the bundled libc, as C and assembly sources
+ *
+ * Compiler.compileC links these into every C program the way `ld` pulls
+ * members out of libc.a: a file is only included when it defines a
+ * symbol the program still needs. Keep one public function (or a tight
+ * family) per file so user code can replace any of them.
+ *
+ * `.c` files are compiled by Chibicc with SYSTEM_HEADERS available,
+ * `.s` files are assembled as they are and `.h` files are private
+ * headers for the other sources (`#include "fmt.h"`).
+ */
+
+import { SYSCALL_SOURCES } from './syscalls.js';
+import { STRING_SOURCES } from './string.js';
+import { STDLIB_SOURCES } from './stdlib.js';
+import { STDIO_SOURCES } from './stdio.js';
+import { CTYPE_SOURCES } from './ctype.js';
+import { MATH_SOURCES } from './math.js';
+
+export const LIBC_DIR = '/usr/lib/libc';
+
+export const LIBC_SOURCES = {
+  ...SYSCALL_SOURCES,
+  ...STRING_SOURCES,
+  ...STDLIB_SOURCES,
+  ...STDIO_SOURCES,
+  ...CTYPE_SOURCES,
+  ...MATH_SOURCES,
+};
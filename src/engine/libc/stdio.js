@@ -0,0 +1,1076 @@
+/**
+ * stdio.js — <stdio.h> for the bundled libc
+ *
+ * stdin and stdout are buffered (stdout by line), stderr is not. exit
+ * flushes every open stream through the __stdio_exit hook rather than
+ * calling fflush, so exit alone doesn't pull stdio into a program.
+ */
+
+export const STDIO_SOURCES = {
+  // Private to the stdio members
+  'stdio_impl.h': `
+#ifndef __STDIO_IMPL_H
+#define __STDIO_IMPL_H
+#include <stdio.h>
+extern FILE *__stdio_files;
+extern void (*__stdio_exit)(void);
+void __stdio_flush_all(void);
+#endif
+`,
+
+  'stdio.c': `
+#include <string.h>
+#include <unistd.h>
+#include "stdio_impl.h"
+
+static char in_buf[BUFSIZ];
+static char out_buf[BUFSIZ];
+static FILE err_file = { 2, __F_WRITE | __F_UNBUF };
+static FILE out_file = { 1, __F_WRITE | __F_LINEBUF, out_buf, BUFSIZ, 0, 0, 0, 0, &err_file };
+static FILE in_file = { 0, __F_READ, in_buf, BUFSIZ, 0, 0, 0, 0, &out_file };
+
+FILE *stdin = &in_file;
+FILE *stdout = &out_file;
+FILE *stderr = &err_file;
+
+// Every open stream, most recently opened first
+FILE *__stdio_files = &in_file;
+
+static int flush_output(FILE *f) {
+  char *p = f->buf;
+  int n = f->wpos;
+  f->wpos = 0;
+  while (n > 0) {
+    long w = write(f->fd, p, n);
+    if (w <= 0) {
+      f->flags |= __F_ERR;
+      return EOF;
+    }
+    p += w;
+    n -= w;
+  }
+  return 0;
+}
+
+// Give back read-ahead so the file offset matches what was consumed
+static void drop_input(FILE *f) {
+  if (f->rend > f->rpos) lseek(f->fd, f->rpos - f->rend, SEEK_CUR);
+  f->rpos = f->rend = 0;
+  f->flags &= ~__F_UNGET;
+}
+
+int fflush(FILE *f) {
+  if (f) return f->wpos ? flush_output(f) : 0;
+  int r = 0;
+  for (FILE *p = __stdio_files; p; p = p->next)
+    if (fflush(p)) r = EOF;
+  return r;
+}
+
+void __stdio_flush_all(void) {
+  fflush(NULL);
+}
+
+size_t fwrite(const void *ptr, size_t size, size_t n, FILE *f) {
+  const char *s = ptr;
+  size_t total = size * n;
+  if (!total) return 0;
+  if (!(f->flags & __F_WRITE)) {
+    f->flags |= __F_ERR;
+    return 0;
+  }
+  if (f->rend) drop_input(f);
+  __stdio_exit = __stdio_flush_all;
+
+  if (f->flags & __F_UNBUF) {
+    size_t done = 0;
+    while (done < total) {
+      long w = write(f->fd, s + done, total - done);
+      if (w <= 0) {
+        f->flags |= __F_ERR;
+        break;
+      }
+      done += w;
+    }
+    return done / size;
+  }
+
+  for (size_t i = 0; i < total; i++) {
+    f->buf[f->wpos++] = s[i];
+    if (f->wpos == f->size || ((f->flags & __F_LINEBUF) && s[i] == '\\n'))
+      if (flush_output(f)) return i / size;
+  }
+  return n;
+}
+
+int fputc(int c, FILE *f) {
+  char ch = c;
+  return fwrite(&ch, 1, 1, f) == 1 ? (unsigned char)ch : EOF;
+}
+
+int fputs(const char *s, FILE *f) {
+  size_t len = strlen(s);
+  return fwrite(s, 1, len, f) == len ? 0 : EOF;
+}
+
+static int refill(FILE *f) {
+  if (f->wpos && flush_output(f)) return EOF;
+  // Show a pending prompt before waiting for the user
+  if (f == stdin) fflush(stdout);
+  long n = read(f->fd, f->buf, f->size);
+  if (n <= 0) {
+    f->flags |= n ? __F_ERR : __F_EOF;
+    return EOF;
+  }
+  f->rpos = 0;
+  f->rend = n;
+  return 0;
+}
+
+int fgetc(FILE *f) {
+  if (f->flags & __F_UNGET) {
+    f->flags &= ~__F_UNGET;
+    return f->unget;
+  }
+  if (!(f->flags & __F_READ)) {
+    f->flags |= __F_ERR;
+    return EOF;
+  }
+  if (f->rpos == f->rend && refill(f)) return EOF;
+  return (unsigned char)f->buf[f->rpos++];
+}
+
+int ungetc(int c, FILE *f) {
+  if (c == EOF) return EOF;
+  f->unget = (unsigned char)c;
+  f->flags = (f->flags | __F_UNGET) & ~__F_EOF;
+  return f->unget;
+}
+
+size_t fread(void *ptr, size_t size, size_t n, FILE *f) {
+  char *d = ptr;
+  size_t total = size * n, i = 0;
+  for (; i < total; i++) {
+    int c = fgetc(f);
+    if (c == EOF) break;
+    d[i] = c;
+  }
+  return size ? i / size : 0;
+}
+
+char *fgets(char *s, int n, FILE *f) {
+  int i = 0;
+  while (i < n - 1) {
+    int c = fgetc(f);
+    if (c == EOF) break;
+    s[i++] = c;
+    if (c == '\\n') break;
+  }
+  if (i == 0 && n > 1) return NULL;
+  s[i] = 0;
+  return s;
+}
+
+int fseek(FILE *f, long offset, int whence) {
+  if (f->wpos && flush_output(f)) return -1;
+  // The kernel's offset is ahead of the program's by the read-ahead
+  if (whence == SEEK_CUR) offset -= f->rend - f->rpos + ((f->flags & __F_UNGET) != 0);
+  f->rpos = f->rend = 0;
+  f->flags &= ~(__F_EOF | __F_UNGET);
+  return lseek(f->fd, offset, whence) < 0 ? -1 : 0;
+}
+
+long ftell(FILE *f) {
+  long pos = lseek(f->fd, 0, SEEK_CUR);
+  if (pos < 0) return -1;
+  return pos - (f->rend - f->rpos) + f->wpos - ((f->flags & __F_UNGET) != 0);
+}
+
+void rewind(FILE *f) {
+  fseek(f, 0, SEEK_SET);
+  clearerr(f);
+}
+
+int feof(FILE *f) {
+  return (f->flags & __F_EOF) != 0;
+}
+
+int ferror(FILE *f) {
+  return (f->flags & __F_ERR) != 0;
+}
+
+void clearerr(FILE *f) {
+  f->flags &= ~(__F_EOF | __F_ERR);
+}
+
+int fileno(FILE *f) {
+  return f->fd;
+}
+`,
+
+  'fopen.c': `
+#include <errno.h>
+#include <fcntl.h>
+#include <stdlib.h>
+#include <string.h>
+#include <unistd.h>
+#include "stdio_impl.h"
+
+FILE *fopen(const char *path, const char *mode) {
+  int oflags, flags;
+  switch (mode[0]) {
+  case 'r':
+    oflags = O_RDONLY;
+    flags = __F_READ;
+    break;
+  case 'w':
+    oflags = O_WRONLY | O_CREAT | O_TRUNC;
+    flags = __F_WRITE;
+    break;
+  case 'a':
+    oflags = O_WRONLY | O_CREAT | O_APPEND;
+    flags = __F_WRITE;
+    break;
+  default:
+    errno = EINVAL;
+    return NULL;
+  }
+  if (strchr(mode, '+')) {
+    oflags = (oflags & ~O_ACCMODE) | O_RDWR;
+    flags = __F_READ | __F_WRITE;
+  }
+
+  int fd = open(path, oflags, 0644);
+  if (fd < 0) return NULL;
+  // The buffer lives right after the FILE
+  FILE *f = calloc(1, sizeof(FILE) + BUFSIZ);
+  if (!f) {
+    close(fd);
+    return NULL;
+  }
+  f->fd = fd;
+  f->flags = flags;
+  f->buf = (char *)(f + 1);
+  f->size = BUFSIZ;
+  f->next = __stdio_files;
+  __stdio_files = f;
+  return f;
+}
+
+int fclose(FILE *f) {
+  int r = fflush(f);
+  if (close(f->fd) < 0) r = EOF;
+  FILE **p = &__stdio_files;
+  while (*p && *p != f) p = &(*p)->next;
+  if (*p) *p = f->next;
+  if (f != stdin && f != stdout && f != stderr) free(f);
+  return r;
+}
+`,
+
+  // The formatting engine behind the printf family. Output goes to a
+  // buffer; when it fills up it is handed to `flush` if there is one,
+  // otherwise characters past `cap` are dropped but still counted, as
+  // snprintf requires.
+  'fmt.h': `
+#ifndef __FMT_H
+#define __FMT_H
+#include <stdarg.h>
+struct __fmt_out {
+  char *buf;
+  long cap;
+  long pos;
+  long total;
+  void *ctx;
+  void (*flush)(struct __fmt_out *o);
+};
+int __vformat(struct __fmt_out *o, const char *fmt, va_list ap);
+#endif
+`,
+
+  'vformat.c': `
+#include <string.h>
+#include "fmt.h"
+
+static void out_char(struct __fmt_out *o, int c) {
+  if (o->pos == o->cap) {
+    if (!o->flush) {
+      o->total++;
+      return;
+    }
+    o->flush(o);
+    o->pos = 0;
+  }
+  o->buf[o->pos++] = c;
+  o->total++;
+}
+
+static void out_repeat(struct __fmt_out *o, int c, int n) {
+  for (int i = 0; i < n; i++) out_char(o, c);
+}
+
+static void out_str(struct __fmt_out *o, char *s, int n) {
+  for (int i = 0; i < n; i++) out_char(o, s[i]);
+}
+
+// Pad [prefix][zeros][body] out to the field width
+static void out_field(struct __fmt_out *o, char *prefix, int zeros, char *body, int len, int width, int left) {
+  int plen = 0;
+  while (prefix[plen]) plen++;
+  int pad = width - plen - zeros - len;
+  if (!left) out_repeat(o, ' ', pad);
+  out_str(o, prefix, plen);
+  out_repeat(o, '0', zeros);
+  out_str(o, body, len);
+  if (left) out_repeat(o, ' ', pad);
+}
+
+// Exact decimal expansion of a double. Every finite double is m * 2^e;
+// the digits of m * 2^e (e >= 0) or m * 5^-e (e < 0, then the decimal
+// point sits -e digits from the right) are computed in base 1e9. The
+// smallest subnormal has 767 significant digits.
+#define DIGITS_MAX 800
+#define FLOAT_PREC_MAX 500
+// 309 integer digits of DBL_MAX, the point and the fraction digits
+#define FLOAT_BUF (320 + FLOAT_PREC_MAX)
+
+static void big_mul(unsigned int *w, int *nw, unsigned long f) {
+  unsigned long carry = 0;
+  for (int i = 0; i < *nw; i++) {
+    unsigned long x = w[i] * f + carry;
+    w[i] = x % 1000000000;
+    carry = x / 1000000000;
+  }
+  while (carry) {
+    w[(*nw)++] = carry % 1000000000;
+    carry = carry / 1000000000;
+  }
+}
+
+// The value is 0.d[0]d[1]... * 10^*point; returns the number of digits,
+// without trailing zeros (none at all for zero)
+static int decimal(double v, char *d, int *point) {
+  unsigned long bits = *(unsigned long *)&v;
+  int e = (bits >> 52) & 0x7ff;
+  unsigned long m = bits & 0xfffffffffffff;
+  if (e) m = m | 0x10000000000000;
+  else e = 1;
+  e = e - 1075;
+  *point = 0;
+  if (!m) return 0;
+
+  unsigned int w[90];
+  int nw = 0;
+  while (m) {
+    w[nw++] = m % 1000000000;
+    m = m / 1000000000;
+  }
+  for (int k = e; k > 0; k = k - 29) big_mul(w, &nw, 1UL << (k < 29 ? k : 29));
+  for (int k = -e; k > 0; k = k - 12) {
+    unsigned long f = 1;
+    for (int i = 0; i < k && i < 12; i++) f = f * 5;
+    big_mul(w, &nw, f);
+  }
+
+  int n = 0;
+  char top[10];
+  int len = 0;
+  unsigned int x = w[nw - 1];
+  do {
+    top[len++] = '0' + x % 10;
+    x = x / 10;
+  } while (x);
+  while (len) d[n++] = top[--len];
+  for (int i = nw - 2; i >= 0; i--) {
+    x = w[i];
+    for (int j = 8; j >= 0; j--) {
+      d[n + j] = '0' + x % 10;
+      x = x / 10;
+    }
+    n = n + 9;
+  }
+  *point = e < 0 ? n + e : n;
+  while (d[n - 1] == '0') n--;
+  return n;
+}
+
+// Keep the first keep of n digits, rounding exact ties to even.
+// Returns the new digit count; *point moves up when 9.99 becomes 10.0.
+static int round_digits(char *d, int n, int keep, int *point) {
+  if (keep >= n) return n;
+  if (keep < 0) return 0;
+  // d has no trailing zeros, so anything after a 5 makes it more than half
+  int up = d[keep] > '5' || (d[keep] == '5' && (keep + 1 < n || (keep > 0 && d[keep - 1] % 2)));
+  if (!up) {
+    while (keep > 0 && d[keep - 1] == '0') keep--;
+    return keep;
+  }
+  int i = keep - 1;
+  while (i >= 0 && d[i] == '9') i--;
+  if (i < 0) {
+    d[0] = '1';
+    (*point)++;
+    return 1;
+  }
+  d[i]++;
+  return i + 1;
+}
+
+static int put_fixed(char *buf, char *d, int n, int point, int prec, int dot) {
+  int len = 0;
+  if (point <= 0) buf[len++] = '0';
+  for (int i = 0; i < point; i++) buf[len++] = i < n ? d[i] : '0';
+  if (prec || dot) buf[len++] = '.';
+  for (int i = point; i < point + prec; i++) buf[len++] = i >= 0 && i < n ? d[i] : '0';
+  return len;
+}
+
+static int put_expo(char *buf, char *d, int n, int exp, int prec, int dot, int upper) {
+  int len = 0;
+  buf[len++] = n ? d[0] : '0';
+  if (prec || dot) buf[len++] = '.';
+  for (int i = 1; i <= prec; i++) buf[len++] = i < n ? d[i] : '0';
+  buf[len++] = upper ? 'E' : 'e';
+  buf[len++] = exp < 0 ? '-' : '+';
+  if (exp < 0) exp = -exp;
+  if (exp >= 100) buf[len++] = '0' + exp / 100;
+  buf[len++] = '0' + exp / 10 % 10;
+  buf[len++] = '0' + exp % 10;
+  return len;
+}
+
+// %f, %e and %g of a non-negative, finite value
+static int format_double(char *buf, double v, char conv, int prec, int alt) {
+  char d[DIGITS_MAX];
+  int point;
+  int n = decimal(v, d, &point);
+  int upper = conv == 'E' || conv == 'G';
+  if (prec > FLOAT_PREC_MAX) prec = FLOAT_PREC_MAX;
+
+  if (conv == 'f' || conv == 'F') {
+    n = round_digits(d, n, point + prec, &point);
+    return put_fixed(buf, d, n, point, prec, alt);
+  }
+  if (conv == 'e' || conv == 'E') {
+    n = round_digits(d, n, prec + 1, &point);
+    return put_expo(buf, d, n, n ? point - 1 : 0, prec, alt, upper);
+  }
+
+  // %g: prec significant digits, in %e style for exponents below -4 or
+  // from the precision up, otherwise in %f style. Trailing zeros are
+  // dropped unless '#' is given.
+  if (prec == 0) prec = 1;
+  n = round_digits(d, n, prec, &point);
+  int exp = n ? point - 1 : 0;
+  int digits = alt ? prec : n;
+  if (exp < -4 || exp >= prec) return put_expo(buf, d, n, exp, digits > 1 ? digits - 1 : 0, alt, upper);
+  int frac = digits - 1 - exp;
+  return put_fixed(buf, d, n, point, frac > 0 ? frac : 0, alt);
+}
+
+int __vformat(struct __fmt_out *o, const char *fmt, va_list ap) {
+  char digits[24];
+  char prefix[3];
+
+  for (; *fmt; fmt++) {
+    if (*fmt != '%') {
+      out_char(o, *fmt);
+      continue;
+    }
+    fmt++;
+
+    // Flags
+    int left = 0, zero = 0, plus = 0, space = 0, alt = 0;
+    for (;; fmt++) {
+      if (*fmt == '-') left = 1;
+      else if (*fmt == '0') zero = 1;
+      else if (*fmt == '+') plus = 1;
+      else if (*fmt == ' ') space = 1;
+      else if (*fmt == '#') alt = 1;
+      else break;
+    }
+
+    // Field width and precision, either of which may be *
+    int width = 0;
+    if (*fmt == '*') {
+      width = va_arg(ap, int);
+      if (width < 0) {
+        left = 1;
+        width = -width;
+      }
+      fmt++;
+    } else {
+      while (*fmt >= '0' && *fmt <= '9') width = width * 10 + (*fmt++ - '0');
+    }
+    int prec = -1;
+    if (*fmt == '.') {
+      fmt++;
+      prec = 0;
+      if (*fmt == '*') {
+        prec = va_arg(ap, int);
+        fmt++;
+      } else {
+        while (*fmt >= '0' && *fmt <= '9') prec = prec * 10 + (*fmt++ - '0');
+      }
+    }
+
+    // Length modifier: the size in bytes of the integer argument
+    int size = 4;
+    if (*fmt == 'h') {
+      size = 2;
+      if (*++fmt == 'h') {
+        size = 1;
+        fmt++;
+      }
+    } else if (*fmt == 'l' || *fmt == 'z' || *fmt == 'j' || *fmt == 't') {
+      size = 8;
+      if (*++fmt == 'l') fmt++;
+    } else if (*fmt == 'L') {
+      // long double is a double
+      fmt++;
+    }
+
+    char conv = *fmt;
+    if (!conv) break;
+    prefix[0] = 0;
+
+    if (conv == 'c') {
+      digits[0] = va_arg(ap, int);
+      out_field(o, prefix, 0, digits, 1, width, left);
+      continue;
+    }
+    if (conv == 's') {
+      char *s = va_arg(ap, char *);
+      if (!s) s = "(null)";
+      int len = 0;
+      while (s[len] && (prec < 0 || len < prec)) len++;
+      out_field(o, prefix, 0, s, len, width, left);
+      continue;
+    }
+    if (conv == '%') {
+      out_char(o, '%');
+      continue;
+    }
+
+    // Floating conversions
+    if (conv == 'f' || conv == 'F' || conv == 'e' || conv == 'E' || conv == 'g' || conv == 'G') {
+      double v = va_arg(ap, double);
+      unsigned long bits = *(unsigned long *)&v;
+      int upper = conv == 'F' || conv == 'E' || conv == 'G';
+      if (bits >> 63) {
+        v = -v;
+        prefix[0] = '-';
+      } else if (plus) {
+        prefix[0] = '+';
+      } else if (space) {
+        prefix[0] = ' ';
+      }
+      prefix[1] = 0;
+
+      char buf[FLOAT_BUF];
+      int len;
+      int finite = v == v && v - v == 0;
+      if (v != v) {
+        len = 3;
+        memcpy(buf, upper ? "NAN" : "nan", 3);
+      } else if (!finite) {
+        len = 3;
+        memcpy(buf, upper ? "INF" : "inf", 3);
+      } else {
+        len = format_double(buf, v, conv, prec < 0 ? 6 : prec, alt);
+      }
+      int plen = prefix[0] != 0;
+      int zeros = zero && !left && finite && width > plen + len ? width - plen - len : 0;
+      out_field(o, prefix, zeros, buf, len, width, left);
+      continue;
+    }
+
+    // Integer conversions
+    unsigned long val;
+    int base = 10;
+    if (conv == 'd' || conv == 'i') {
+      long v = size == 8 ? va_arg(ap, long) : va_arg(ap, int);
+      if (size == 2) v = (short)v;
+      if (size == 1) v = (char)v;
+      val = v;
+      if (v < 0) {
+        val = -val;
+        prefix[0] = '-';
+      } else if (plus) {
+        prefix[0] = '+';
+      } else if (space) {
+        prefix[0] = ' ';
+      }
+      prefix[1] = 0;
+    } else if (conv == 'u' || conv == 'x' || conv == 'X' || conv == 'o') {
+      val = size == 8 ? va_arg(ap, unsigned long) : va_arg(ap, unsigned int);
+      if (size == 2) val = (unsigned short)val;
+      if (size == 1) val = (unsigned char)val;
+      if (conv == 'o') base = 8;
+      else if (conv != 'u') base = 16;
+    } else if (conv == 'p') {
+      val = (unsigned long)va_arg(ap, void *);
+      base = 16;
+      alt = 1;
+    } else {
+      // Unknown conversion: print it as written
+      out_char(o, '%');
+      out_char(o, conv);
+      continue;
+    }
+
+    char *hex = conv == 'X' ? "0123456789ABCDEF" : "0123456789abcdef";
+    char *end = digits + sizeof(digits);
+    char *p = end;
+    // A precision of zero prints nothing at all for the value zero
+    if (val || prec != 0) {
+      do {
+        *--p = hex[val % base];
+        val = val / base;
+      } while (val);
+    }
+    int len = end - p;
+
+    if (alt && base == 16 && (len > 1 || *p != '0')) {
+      prefix[0] = '0';
+      prefix[1] = conv == 'X' ? 'X' : 'x';
+      prefix[2] = 0;
+    } else if (alt && base == 8 && (len == 0 || *p != '0')) {
+      prefix[0] = '0';
+      prefix[1] = 0;
+    }
+
+    int plen = 0;
+    while (prefix[plen]) plen++;
+    int zeros = prec > len ? prec - len : 0;
+    // The 0 flag is ignored when a precision is given
+    if (zero && !left && prec < 0 && width > plen + len) zeros = width - plen - len;
+    out_field(o, prefix, zeros, p, len, width, left);
+  }
+  return o->total;
+}
+`,
+
+  'printf.c': `
+#include <stdio.h>
+
+int vprintf(const char *fmt, va_list ap) {
+  return vfprintf(stdout, fmt, ap);
+}
+
+int printf(const char *fmt, ...) {
+  va_list ap;
+  va_start(ap, fmt);
+  int n = vprintf(fmt, ap);
+  va_end(ap);
+  return n;
+}
+`,
+
+  'sprintf.c': `
+#include <stdio.h>
+#include "fmt.h"
+
+int vsnprintf(char *buf, size_t size, const char *fmt, va_list ap) {
+  // Leave room for the terminating NUL
+  struct __fmt_out o = { buf, size ? size - 1 : 0, 0, 0, NULL, NULL };
+  __vformat(&o, fmt, ap);
+  if (size) buf[o.pos] = 0;
+  return o.total;
+}
+
+int vsprintf(char *buf, const char *fmt, va_list ap) {
+  return vsnprintf(buf, 0x7fffffff, fmt, ap);
+}
+
+int snprintf(char *buf, size_t size, const char *fmt, ...) {
+  va_list ap;
+  va_start(ap, fmt);
+  int n = vsnprintf(buf, size, fmt, ap);
+  va_end(ap);
+  return n;
+}
+
+int sprintf(char *buf, const char *fmt, ...) {
+  va_list ap;
+  va_start(ap, fmt);
+  int n = vsnprintf(buf, 0x7fffffff, fmt, ap);
+  va_end(ap);
+  return n;
+}
+`,
+
+  'fprintf.c': `
+#include <stdio.h>
+#include "fmt.h"
+
+static void to_file(struct __fmt_out *o) {
+  fwrite(o->buf, 1, o->pos, o->ctx);
+}
+
+int vfprintf(FILE *f, const char *fmt, va_list ap) {
+  char buf[256];
+  struct __fmt_out o = { buf, sizeof(buf), 0, 0, f, to_file };
+  __vformat(&o, fmt, ap);
+  if (o.pos) to_file(&o);
+  return ferror(f) ? -1 : o.total;
+}
+
+int fprintf(FILE *f, const char *fmt, ...) {
+  va_list ap;
+  va_start(ap, fmt);
+  int n = vfprintf(f, fmt, ap);
+  va_end(ap);
+  return n;
+}
+`,
+
+  'puts.c': `
+#include <stdio.h>
+
+int puts(const char *s) {
+  if (fputs(s, stdout) == EOF || fputc('\\n', stdout) == EOF) return EOF;
+  return 0;
+}
+`,
+
+  'putchar.c': `
+#include <stdio.h>
+
+int putchar(int c) {
+  return fputc(c, stdout);
+}
+`,
+
+  'getchar.c': `
+#include <stdio.h>
+
+int getchar(void) {
+  return fgetc(stdin);
+}
+`,
+
+  // The conversion engine behind the scanf family. Characters come one at
+  // a time from `get`; a conversion that reads one past its end hands it
+  // back through `unget`, so a stream needs only ungetc's one character of
+  // push-back.
+  'scan.h': `
+#ifndef __SCAN_H
+#define __SCAN_H
+#include <stdarg.h>
+struct __scan_in {
+  int (*get)(void *ctx);
+  void (*unget)(int c, void *ctx);
+  void *ctx;
+  long pos;
+};
+int __vscan(struct __scan_in *in, const char *fmt, va_list ap);
+#endif
+`,
+
+  'vscan.c': `
+#include <ctype.h>
+#include <stdio.h>
+#include <stdlib.h>
+#include "scan.h"
+
+static int next(struct __scan_in *in) {
+  int c = in->get(in->ctx);
+  if (c != EOF) in->pos++;
+  return c;
+}
+
+static void back(struct __scan_in *in, int c) {
+  if (c == EOF) return;
+  in->unget(c, in->ctx);
+  in->pos--;
+}
+
+static void skip_space(struct __scan_in *in) {
+  int c = next(in);
+  while (isspace(c)) c = next(in);
+  back(in, c);
+}
+
+static int is_digit(int c, int base) {
+  int d = isdigit(c) ? c - '0' : isalpha(c) ? tolower(c) - 'a' + 10 : base;
+  return d < base;
+}
+
+// Copy the longest prefix of the input that looks like a number, at most
+// width characters, into buf: an integer in base (0: by its C prefix) or a
+// decimal floating constant. -1 at end of input.
+static int scan_number(struct __scan_in *in, char *buf, int width, int base, int fp) {
+  int n = 0;
+  int c = next(in);
+  if (c == EOF) return -1;
+  if (n < width && (c == '+' || c == '-')) {
+    buf[n++] = c;
+    c = next(in);
+  }
+  if (fp) {
+    int digits = 0;
+    for (; n < width && isdigit(c); digits++, c = next(in)) buf[n++] = c;
+    if (n < width && c == '.') {
+      buf[n++] = c;
+      c = next(in);
+      for (; n < width && isdigit(c); digits++, c = next(in)) buf[n++] = c;
+    }
+    if (digits && n < width && (c == 'e' || c == 'E')) {
+      buf[n++] = c;
+      c = next(in);
+      if (n < width && (c == '+' || c == '-')) {
+        buf[n++] = c;
+        c = next(in);
+      }
+      for (; n < width && isdigit(c); c = next(in)) buf[n++] = c;
+    }
+  } else {
+    if ((base == 0 || base == 16) && n < width && c == '0') {
+      buf[n++] = c;
+      c = next(in);
+      if (n < width && (c == 'x' || c == 'X')) {
+        buf[n++] = c;
+        c = next(in);
+        base = 16;
+      } else if (base == 0) {
+        base = 8;
+      }
+    }
+    if (base == 0) base = 10;
+    for (; n < width && is_digit(c, base); c = next(in)) buf[n++] = c;
+  }
+  back(in, c);
+  buf[n] = 0;
+  return n;
+}
+
+// Whether c is in the scanset [set, end), where a-z is a range
+static int in_set(const char *set, const char *end, int c) {
+  for (const char *p = set; p < end; p++) {
+    if (p + 2 < end && p[1] == '-') {
+      if (c >= (unsigned char)p[0] && c <= (unsigned char)p[2]) return 1;
+      p += 2;
+    } else if (c == (unsigned char)*p) {
+      return 1;
+    }
+  }
+  return 0;
+}
+
+static void store_int(void *p, unsigned long v, int size) {
+  if (size == 1) *(char *)p = v;
+  else if (size == 2) *(short *)p = v;
+  else if (size == 4) *(int *)p = v;
+  else *(long *)p = v;
+}
+
+// The number of arguments assigned, or EOF if the input ended before the
+// first conversion
+int __vscan(struct __scan_in *in, const char *fmt, va_list ap) {
+  int assigned = 0;
+  int converted = 0;
+
+  for (; *fmt; fmt++) {
+    // White space matches any amount of it, other characters themselves
+    if (isspace(*fmt)) {
+      skip_space(in);
+      continue;
+    }
+    if (*fmt != '%' || fmt[1] == '%') {
+      if (*fmt == '%') {
+        fmt++;
+        skip_space(in);
+      }
+      int c = next(in);
+      if (c != *fmt) {
+        back(in, c);
+        return c == EOF && !converted ? EOF : assigned;
+      }
+      continue;
+    }
+    fmt++;
+
+    // * reads a field without assigning it
+    int store = 1;
+    if (*fmt == '*') {
+      store = 0;
+      fmt++;
+    }
+    int width = 0;
+    while (*fmt >= '0' && *fmt <= '9') width = width * 10 + (*fmt++ - '0');
+
+    // Length modifier: the size in bytes of the integer stored, or a
+    // double rather than a float
+    int size = 4;
+    if (*fmt == 'h') {
+      size = 2;
+      if (*++fmt == 'h') {
+        size = 1;
+        fmt++;
+      }
+    } else if (*fmt == 'l' || *fmt == 'z' || *fmt == 'j' || *fmt == 't') {
+      size = 8;
+      if (*++fmt == 'l') fmt++;
+    } else if (*fmt == 'L') {
+      // long double is a double
+      size = 8;
+      fmt++;
+    }
+
+    char conv = *fmt;
+    if (!conv) break;
+
+    if (conv == 'n') {
+      if (store) store_int(va_arg(ap, void *), in->pos, size);
+      continue;
+    }
+
+    if (conv == 'c') {
+      char *d = store ? va_arg(ap, char *) : NULL;
+      if (!width) width = 1;
+      for (int i = 0; i < width; i++) {
+        int c = next(in);
+        if (c == EOF) return converted ? assigned : EOF;
+        if (d) d[i] = c;
+      }
+    } else if (conv == 's' || conv == '[') {
+      // %s reads up to white space, %[...] while the characters are in
+      // the set; ] first is a member, and ^ first takes the complement
+      const char *set = NULL, *end = NULL;
+      int negate = 0;
+      if (conv == '[') {
+        set = ++fmt;
+        if (*set == '^') {
+          negate = 1;
+          set = ++fmt;
+        }
+        if (*fmt == ']') fmt++;
+        while (*fmt && *fmt != ']') fmt++;
+        if (!*fmt) return assigned;
+        end = fmt;
+      } else {
+        skip_space(in);
+      }
+      char *d = store ? va_arg(ap, char *) : NULL;
+      int i = 0;
+      int c = next(in);
+      if (c == EOF) return converted ? assigned : EOF;
+      for (; c != EOF && (!width || i < width); c = next(in)) {
+        if (set ? in_set(set, end, c) == negate : isspace(c)) break;
+        if (d) d[i] = c;
+        i++;
+      }
+      back(in, c);
+      if (!i) return assigned;
+      if (d) d[i] = 0;
+    } else {
+      int base = conv == 'd' || conv == 'u' ? 10 : conv == 'i' ? 0 : conv == 'o' ? 8 : conv == 'x' || conv == 'X' || conv == 'p' ? 16 : -1;
+      int fp = conv == 'f' || conv == 'F' || conv == 'e' || conv == 'E' || conv == 'g' || conv == 'G';
+      if (base < 0 && !fp) return assigned;
+      char buf[64];
+      skip_space(in);
+      int n = scan_number(in, buf, width && width < sizeof(buf) ? width : sizeof(buf) - 1, base, fp);
+      if (n < 0) return converted ? assigned : EOF;
+      char *end;
+      if (fp) {
+        double v = strtod(buf, &end);
+        if (end == buf) return assigned;
+        if (store && size == 8) *va_arg(ap, double *) = v;
+        else if (store) *va_arg(ap, float *) = v;
+      } else {
+        unsigned long v = conv == 'd' || conv == 'i' ? strtol(buf, &end, base) : strtoul(buf, &end, base);
+        if (end == buf) return assigned;
+        if (store) store_int(va_arg(ap, void *), v, conv == 'p' ? 8 : size);
+      }
+    }
+    converted = 1;
+    if (store) assigned++;
+  }
+  return assigned;
+}
+`,
+
+  'scanf.c': `
+#include <stdio.h>
+
+int vscanf(const char *fmt, va_list ap) {
+  return vfscanf(stdin, fmt, ap);
+}
+
+int scanf(const char *fmt, ...) {
+  va_list ap;
+  va_start(ap, fmt);
+  int n = vscanf(fmt, ap);
+  va_end(ap);
+  return n;
+}
+`,
+
+  'fscanf.c': `
+#include <stdio.h>
+#include "scan.h"
+
+static int file_get(void *f) {
+  return fgetc(f);
+}
+
+static void file_unget(int c, void *f) {
+  ungetc(c, f);
+}
+
+int vfscanf(FILE *f, const char *fmt, va_list ap) {
+  struct __scan_in in = { file_get, file_unget, f, 0 };
+  return __vscan(&in, fmt, ap);
+}
+
+int fscanf(FILE *f, const char *fmt, ...) {
+  va_list ap;
+  va_start(ap, fmt);
+  int n = vfscanf(f, fmt, ap);
+  va_end(ap);
+  return n;
+}
+`,
+
+  'sscanf.c': `
+#include <stdio.h>
+#include "scan.h"
+
+// ctx points at the rest of the string
+static int string_get(void *ctx) {
+  const char **s = ctx;
+  return **s ? (unsigned char)*(*s)++ : EOF;
+}
+
+static void string_unget(int c, void *ctx) {
+  const char **s = ctx;
+  (*s)--;
+}
+
+int vsscanf(const char *s, const char *fmt, va_list ap) {
+  const char *rest = s;
+  struct __scan_in in = { string_get, string_unget, &rest, 0 };
+  return __vscan(&in, fmt, ap);
+}
+
+int sscanf(const char *s, const char *fmt, ...) {
+  va_list ap;
+  va_start(ap, fmt);
+  int n = vsscanf(s, fmt, ap);
+  va_end(ap);
+  return n;
+}
+`,
+
+  'perror.c': `
+#include <errno.h>
+#include <stdio.h>
+#include <string.h>
+
+void perror(const char *s) {
+  if (s && *s) fprintf(stderr, "%s: %s\\n", s, strerror(errno));
+  else fprintf(stderr, "%s\\n", strerror(errno));
+}
+`,
+};
@@ -0,0 +1,415 @@
+/**
+ * stdlib.js — <stdlib.h> and the program break for the bundled libc
+ */
+
+export const STDLIB_SOURCES = {
+  'sbrk.c': `
+#include <errno.h>
+#include <unistd.h>
+
+void *__brk(void *addr);
+
+static char *cur;
+
+int brk(void *addr) {
+  cur = __brk(addr);
+  if (cur != addr) {
+    errno = ENOMEM;
+    return -1;
+  }
+  return 0;
+}
+
+void *sbrk(long incr) {
+  if (!cur) cur = __brk(0);
+  char *old = cur;
+  if (incr && brk(old + incr) < 0) return (void *)-1;
+  return old;
+}
+`,
+
+  // A first-fit allocator. Every block starts with a 16-byte header; free
+  // blocks sit on a list sorted by address so neighbours merge back
+  // together. The heap grows with sbrk, large requests get a mapping of
+  // their own that free hands straight back.
+  'malloc.c': `
+#include <errno.h>
+#include <stdlib.h>
+#include <string.h>
+#include <unistd.h>
+#include <sys/mman.h>
+
+struct header {
+  size_t size;          // including the header; MMAPPED marks mmap blocks
+  struct header *next;  // next free block, by address
+};
+
+#define HDR sizeof(struct header)
+#define MMAPPED 1
+#define MMAP_THRESHOLD (128 * 1024)
+#define MIN_GROW (64 * 1024)
+
+static struct header *free_list;
+
+void free(void *p) {
+  if (!p) return;
+  struct header *h = (struct header *)p - 1;
+  if (h->size & MMAPPED) {
+    munmap(h, h->size & ~MMAPPED);
+    return;
+  }
+
+  struct header *prev = NULL, *cur = free_list;
+  while (cur && cur < h) {
+    prev = cur;
+    cur = cur->next;
+  }
+  h->next = cur;
+  if (cur && (char *)h + h->size == (char *)cur) {
+    h->size += cur->size;
+    h->next = cur->next;
+  }
+  if (!prev) {
+    free_list = h;
+  } else {
+    prev->next = h;
+    if ((char *)prev + prev->size == (char *)h) {
+      prev->size += h->size;
+      prev->next = h->next;
+    }
+  }
+}
+
+static int grow(size_t size) {
+  // Keep blocks 16-byte aligned whatever the initial break was
+  unsigned long misalign = (unsigned long)sbrk(0) % 16;
+  if (misalign && sbrk(16 - misalign) == (void *)-1) return -1;
+  if (size < MIN_GROW) size = MIN_GROW;
+  struct header *h = sbrk(size);
+  if (h == (void *)-1) return -1;
+  h->size = size;
+  free(h + 1);
+  return 0;
+}
+
+void *malloc(size_t n) {
+  if (n > (size_t)-1 / 2) {
+    errno = ENOMEM;
+    return NULL;
+  }
+  size_t size = (n + HDR + 15) / 16 * 16;
+
+  if (size >= MMAP_THRESHOLD) {
+    struct header *h = mmap(NULL, size, PROT_READ | PROT_WRITE, MAP_PRIVATE | MAP_ANONYMOUS, -1, 0);
+    if (h == MAP_FAILED) return NULL;
+    h->size = size | MMAPPED;
+    return h + 1;
+  }
+
+  for (;;) {
+    struct header **link = &free_list;
+    for (struct header *h = free_list; h; h = h->next) {
+      if (h->size >= size) {
+        // Split off the tail when it is big enough to be useful
+        if (h->size - size >= 2 * HDR) {
+          struct header *rest = (struct header *)((char *)h + size);
+          rest->size = h->size - size;
+          rest->next = h->next;
+          *link = rest;
+          h->size = size;
+        } else {
+          *link = h->next;
+        }
+        return h + 1;
+      }
+      link = &h->next;
+    }
+    if (grow(size) < 0) {
+      errno = ENOMEM;
+      return NULL;
+    }
+  }
+}
+
+void *calloc(size_t n, size_t size) {
+  if (size && n > (size_t)-1 / size) {
+    errno = ENOMEM;
+    return NULL;
+  }
+  void *p = malloc(n * size);
+  if (p) memset(p, 0, n * size);
+  return p;
+}
+
+void *realloc(void *p, size_t n) {
+  if (!p) return malloc(n);
+  struct header *h = (struct header *)p - 1;
+  size_t old = (h->size & ~MMAPPED) - HDR;
+  if (n <= old) return p;
+  void *q = malloc(n);
+  if (!q) return NULL;
+  memcpy(q, p, old);
+  free(p);
+  return q;
+}
+`,
+
+  'exit.c': `
+#include <stdlib.h>
+#include <unistd.h>
+
+#define ATEXIT_MAX 32
+
+static void (*handlers[ATEXIT_MAX])(void);
+static int count;
+
+// Set by stdio once a stream has buffered output, so exit can flush it
+void (*__stdio_exit)(void);
+
+int atexit(void (*fn)(void)) {
+  if (count == ATEXIT_MAX) return -1;
+  handlers[count++] = fn;
+  return 0;
+}
+
+// Handlers run in reverse order of registration, then stdio is flushed
+void exit(int status) {
+  while (count) handlers[--count]();
+  if (__stdio_exit) __stdio_exit();
+  _exit(status);
+}
+`,
+
+  // Set by _start to main's envp
+  'environ.c': `
+char **environ;
+`,
+
+  'getenv.c': `
+#include <stdlib.h>
+#include <string.h>
+#include <unistd.h>
+
+char *getenv(const char *name) {
+  size_t len = strlen(name);
+  for (char **p = environ; p && *p; p++)
+    if (!strncmp(*p, name, len) && (*p)[len] == '=') return *p + len + 1;
+  return NULL;
+}
+`,
+
+  // No signals: report what a shell shows for SIGABRT
+  'abort.c': `
+#include <stdlib.h>
+#include <unistd.h>
+
+void abort(void) {
+  _exit(134);
+}
+`,
+
+  'strtol.c': `
+#include <ctype.h>
+#include <errno.h>
+#include <limits.h>
+#include <stdlib.h>
+
+// Parse the magnitude; *neg reports a leading minus sign
+static unsigned long parse(const char *s, char **end, int base, int *neg) {
+  const char *start = s;
+  while (isspace(*s)) s++;
+  *neg = 0;
+  if (*s == '-' || *s == '+') *neg = *s++ == '-';
+  if ((base == 0 || base == 16) && s[0] == '0' && (s[1] | 32) == 'x' && isxdigit(s[2])) {
+    s += 2;
+    base = 16;
+  } else if (base == 0) {
+    base = *s == '0' ? 8 : 10;
+  }
+
+  unsigned long val = 0;
+  int any = 0, overflow = 0;
+  for (;; s++) {
+    int d;
+    if (isdigit(*s)) d = *s - '0';
+    else if (isalpha(*s)) d = (*s | 32) - 'a' + 10;
+    else break;
+    if (d >= base) break;
+    if (val > (ULONG_MAX - d) / base) overflow = 1;
+    val = val * base + d;
+    any = 1;
+  }
+  if (end) *end = (char *)(any ? s : start);
+  if (overflow) {
+    errno = ERANGE;
+    return ULONG_MAX;
+  }
+  return val;
+}
+
+long strtol(const char *s, char **end, int base) {
+  int neg;
+  unsigned long val = parse(s, end, base, &neg);
+  if (val > (unsigned long)LONG_MAX + neg) {
+    errno = ERANGE;
+    return neg ? LONG_MIN : LONG_MAX;
+  }
+  return neg ? -val : val;
+}
+
+unsigned long strtoul(const char *s, char **end, int base) {
+  int neg;
+  unsigned long val = parse(s, end, base, &neg);
+  return neg ? -val : val;
+}
+`,
+
+  // Up to 19 significant digits are kept and then scaled by a power of
+  // ten, which is exact (so correctly rounded) for the short decimal
+  // constants programs usually read
+  'strtod.c': `
+#include <ctype.h>
+#include <errno.h>
+#include <math.h>
+#include <stdlib.h>
+
+// Case-insensitive prefix match
+static int word(const char *s, const char *w) {
+  while (*w) {
+    if ((*s++ | 32) != *w++) return 0;
+  }
+  return 1;
+}
+
+double strtod(const char *s, char **end) {
+  const char *p = s;
+  while (isspace(*p)) p++;
+  int neg = 0;
+  if (*p == '-' || *p == '+') neg = *p++ == '-';
+
+  double v;
+  if (word(p, "inf")) {
+    p = p + (word(p, "infinity") ? 8 : 3);
+    v = HUGE_VAL;
+  } else if (word(p, "nan")) {
+    p = p + 3;
+    v = NAN;
+  } else {
+    unsigned long mant = 0;
+    int digits = 0, exp10 = 0, any = 0;
+    for (; isdigit(*p); p++) {
+      any = 1;
+      if (digits < 19) {
+        mant = mant * 10 + (*p - '0');
+        if (mant) digits++;
+      } else {
+        exp10++;
+      }
+    }
+    if (*p == '.') {
+      for (p++; isdigit(*p); p++) {
+        any = 1;
+        if (digits < 19) {
+          mant = mant * 10 + (*p - '0');
+          if (mant) digits++;
+          exp10--;
+        }
+      }
+    }
+    if (!any) {
+      if (end) *end = (char *)s;
+      return 0;
+    }
+    if ((*p | 32) == 'e') {
+      const char *q = p + 1;
+      int eneg = 0;
+      if (*q == '-' || *q == '+') eneg = *q++ == '-';
+      if (isdigit(*q)) {
+        int e = 0;
+        for (; isdigit(*q); q++) {
+          if (e < 10000) e = e * 10 + (*q - '0');
+        }
+        exp10 = exp10 + (eneg ? -e : e);
+        p = q;
+      }
+    }
+
+    v = mant;
+    for (; exp10 > 22 && v != 0 && !isinf(v); exp10 = exp10 - 22) v = v * 1e22;
+    for (; exp10 < -22 && v != 0; exp10 = exp10 + 22) v = v / 1e22;
+    double scale = 1;
+    for (int i = 0; i < exp10 || i < -exp10; i++) scale = scale * 10;
+    v = exp10 < 0 ? v / scale : v * scale;
+    if (isinf(v) || (v == 0 && mant)) errno = ERANGE;
+  }
+  if (end) *end = (char *)p;
+  return neg ? -v : v;
+}
+
+double atof(const char *s) {
+  return strtod(s, NULL);
+}
+`,
+
+  'atoi.c': `
+#include <stdlib.h>
+
+int atoi(const char *s) {
+  return strtol(s, NULL, 10);
+}
+
+long atol(const char *s) {
+  return strtol(s, NULL, 10);
+}
+`,
+
+  'abs.c': `
+#include <stdlib.h>
+
+int abs(int n) {
+  return n < 0 ? -n : n;
+}
+
+long labs(long n) {
+  return n < 0 ? -n : n;
+}
+`,
+
+  'rand.c': `
+#include <stdlib.h>
+
+static unsigned long next = 1;
+
+int rand(void) {
+  next = next * 1103515245 + 12345;
+  return (next >> 16) & RAND_MAX;
+}
+
+void srand(unsigned int seed) {
+  next = seed;
+}
+`,
+
+  // Shell sort: in place, no recursion and short enough to step through
+  'qsort.c': `
+#include <stdlib.h>
+
+static void swap(char *a, char *b, size_t size) {
+  for (size_t i = 0; i < size; i++) {
+    char t = a[i];
+    a[i] = b[i];
+    b[i] = t;
+  }
+}
+
+void qsort(void *base, size_t n, size_t size, int (*cmp)(const void *, const void *)) {
+  char *a = base;
+  for (size_t gap = n / 2; gap > 0; gap /= 2) {
+    for (size_t i = gap; i < n; i++) {
+      for (size_t j = i; j >= gap && cmp(a + (j - gap) * size, a + j * size) > 0; j -= gap)
+        swap(a + (j - gap) * size, a + j * size, size);
+    }
+  }
+}
+`,
+};
@@ -0,0 +1,220 @@
+/**
+ * string.js — <string.h> for the bundled libc
+ *
+ * Straightforward byte loops: the point is readable disassembly, not speed.
+ */
+
+export const STRING_SOURCES = {
+  'memcpy.c': `
+#include <string.h>
+
+void *memcpy(void *dst, const void *src, size_t n) {
+  char *d = dst;
+  const char *s = src;
+  for (size_t i = 0; i < n; i++) d[i] = s[i];
+  return dst;
+}
+`,
+
+  'memmove.c': `
+#include <string.h>
+
+void *memmove(void *dst, const void *src, size_t n) {
+  char *d = dst;
+  const char *s = src;
+  // Copy backwards when the destination overlaps the end of the source
+  if (d > s && d < s + n) {
+    while (n--) d[n] = s[n];
+  } else {
+    for (size_t i = 0; i < n; i++) d[i] = s[i];
+  }
+  return dst;
+}
+`,
+
+  'memset.c': `
+#include <string.h>
+
+void *memset(void *dst, int c, size_t n) {
+  char *d = dst;
+  for (size_t i = 0; i < n; i++) d[i] = c;
+  return dst;
+}
+`,
+
+  'memcmp.c': `
+#include <string.h>
+
+int memcmp(const void *a, const void *b, size_t n) {
+  const unsigned char *p = a, *q = b;
+  for (size_t i = 0; i < n; i++)
+    if (p[i] != q[i]) return p[i] - q[i];
+  return 0;
+}
+`,
+
+  'memchr.c': `
+#include <string.h>
+
+void *memchr(const void *s, int c, size_t n) {
+  const unsigned char *p = s;
+  for (size_t i = 0; i < n; i++)
+    if (p[i] == (unsigned char)c) return (void *)(p + i);
+  return NULL;
+}
+`,
+
+  'strlen.c': `
+#include <string.h>
+
+size_t strlen(const char *s) {
+  size_t n = 0;
+  while (s[n]) n++;
+  return n;
+}
+`,
+
+  'strcpy.c': `
+#include <string.h>
+
+char *strcpy(char *dst, const char *src) {
+  char *d = dst;
+  while ((*d++ = *src++));
+  return dst;
+}
+`,
+
+  'strncpy.c': `
+#include <string.h>
+
+char *strncpy(char *dst, const char *src, size_t n) {
+  size_t i = 0;
+  for (; i < n && src[i]; i++) dst[i] = src[i];
+  for (; i < n; i++) dst[i] = 0;
+  return dst;
+}
+`,
+
+  'strcat.c': `
+#include <string.h>
+
+char *strcat(char *dst, const char *src) {
+  strcpy(dst + strlen(dst), src);
+  return dst;
+}
+`,
+
+  'strncat.c': `
+#include <string.h>
+
+char *strncat(char *dst, const char *src, size_t n) {
+  char *d = dst + strlen(dst);
+  size_t i = 0;
+  for (; i < n && src[i]; i++) d[i] = src[i];
+  d[i] = 0;
+  return dst;
+}
+`,
+
+  'strcmp.c': `
+#include <string.h>
+
+int strcmp(const char *a, const char *b) {
+  while (*a && *a == *b) {
+    a++;
+    b++;
+  }
+  return (unsigned char)*a - (unsigned char)*b;
+}
+`,
+
+  'strncmp.c': `
+#include <string.h>
+
+int strncmp(const char *a, const char *b, size_t n) {
+  for (size_t i = 0; i < n; i++) {
+    if (a[i] != b[i] || !a[i]) return (unsigned char)a[i] - (unsigned char)b[i];
+  }
+  return 0;
+}
+`,
+
+  'strchr.c': `
+#include <string.h>
+
+char *strchr(const char *s, int c) {
+  for (;; s++) {
+    if (*s == (char)c) return (char *)s;
+    if (!*s) return NULL;
+  }
+}
+`,
+
+  'strrchr.c': `
+#include <string.h>
+
+char *strrchr(const char *s, int c) {
+  const char *last = NULL;
+  for (;; s++) {
+    if (*s == (char)c) last = s;
+    if (!*s) return (char *)last;
+  }
+}
+`,
+
+  'strstr.c': `
+#include <string.h>
+
+char *strstr(const char *s, const char *needle) {
+  size_t n = strlen(needle);
+  for (; *s; s++)
+    if (!strncmp(s, needle, n)) return (char *)s;
+  return n ? NULL : (char *)s;
+}
+`,
+
+  'strdup.c': `
+#include <stdlib.h>
+#include <string.h>
+
+char *strdup(const char *s) {
+  size_t n = strlen(s) + 1;
+  char *p = malloc(n);
+  if (p) memcpy(p, s, n);
+  return p;
+}
+`,
+
+  'strerror.c': `
+#include <errno.h>
+#include <string.h>
+
+char *strerror(int err) {
+  switch (err) {
+  case 0: return "Success";
+  case EPERM: return "Operation not permitted";
+  case ENOENT: return "No such file or directory";
+  case EINTR: return "Interrupted system call";
+  case EIO: return "Input/output error";
+  case EBADF: return "Bad file descriptor";
+  case EAGAIN: return "Resource temporarily unavailable";
+  case ENOMEM: return "Cannot allocate memory";
+  case EACCES: return "Permission denied";
+  case EFAULT: return "Bad address";
+  case EEXIST: return "File exists";
+  case ENOTDIR: return "Not a directory";
+  case EISDIR: return "Is a directory";
+  case EINVAL: return "Invalid argument";
+  case EMFILE: return "Too many open files";
+  case ENOSPC: return "No space left on device";
+  case ESPIPE: return "Illegal seek";
+  case EROFS: return "Read-only file system";
+  case EPIPE: return "Broken pipe";
+  case EDOM: return "Numerical argument out of domain";
+  case ERANGE: return "Numerical result out of range";
+  case ENOSYS: return "Function not implemented";
+  }
+  return "Unknown error";
+}
+`,
+};
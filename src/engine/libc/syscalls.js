@@ -0,0 +1,91 @@
+/**
+ * syscalls.js — libc system call wrappers
+ *
+ * One assembly member per system call, so a program that defines its own
+ * `read` still gets libc's `write`. Failures come back from the kernel as
+ * -errno; __syscall_ret turns them into -1 with `errno` set.
+ */
+
+// name → Linux x86-64 system call number
+const SYSCALLS = {
+  read: 0,
+  write: 1,
+  open: 2,
+  close: 3,
+  stat: 4,
+  fstat: 5,
+  lseek: 8,
+  mmap: 9,
+  munmap: 11,
+  chdir: 80,
+};
+
+export const SYSCALL_SOURCES = {
+  '__syscall_ret.s': `
+.text
+.global __syscall_ret
+__syscall_ret:
+  cmpq $-4095, %rax
+  jae .L.error
+  ret
+.L.error:
+  negq %rax
+  movl %eax, errno(%rip)
+  movq $-1, %rax
+  ret
+`,
+
+  'errno.c': `
+int errno;
+`,
+
+  // The raw break: returns the new break, or the old one if it can't move
+  '__brk.s': `
+.text
+.global __brk
+__brk:
+  movq $12, %rax
+  syscall
+  ret
+`,
+
+  // The kernel returns the length of the path; getcwd returns buf, or
+  // NULL on failure. %r8 survives both the syscall and __syscall_ret
+  'getcwd.s': `
+.text
+.global getcwd
+getcwd:
+  movq %rdi, %r8
+  movq $79, %rax
+  syscall
+  call __syscall_ret
+  testq %rax, %rax
+  js .L.fail
+  movq %r8, %rax
+  ret
+.L.fail:
+  xorl %eax, %eax
+  ret
+`,
+
+  '_exit.s': `
+.text
+.global _exit
+_exit:
+  movq $60, %rax
+  syscall
+`,
+};
+
+// The kernel takes the fourth argument in %r10 where the C ABI uses %rcx
+for (const [name, num] of Object.entries(SYSCALLS)) {
+  SYSCALL_SOURCES[`${name}.s`] = `
+.text
+.global ${name}
+${name}:
+  movq %rcx, %r10
+  movq $${num}, %rax
+  syscall
+  jmp __syscall_ret
+`;
+}
@@ -0,0 +1,267 @@
+/**
+ * linuxSyscalls.js — the system calls AxRuntime implements
+ *
+ * Entries for SyscallTable (see syscallTable.js), on the Linux x86-64
+ * numbers:
+ *
+ *   0   read(fd, buf, count)    — fd 0 → stdin (a StdinBuffer), waiting for input
+ *   1   write(fd, buf, count)   — fd 1 → onStdout, fd 2 → onStderr
+ *   2   open(path, flags, mode) — VirtualFS files, relative to the cwd
+ *   3   close(fd)
+ *   4   stat(path, statbuf)     — size and a regular-file mode only
+ *   5   fstat(fd, statbuf)
+ *   8   lseek(fd, offset, whence)
+ *   9   mmap(…)                 — anonymous mappings only
+ *   12  brk(addr)               — a heap of up to 16 MB at 0x800000
+ *   60  exit(code)              — stop execution, record exit code
+ *   79  getcwd(buf, size)       — the working directory given to run()
+ *   80  chdir(path)             — change it
+ *   231 exit_group(code)        — same as exit for our purposes
+ *
+ * Anything else returns ENOSYS.
+ */
+
+export const O_ACCMODE = 0x3;
+export const O_CREAT   = 0x40;
+export const O_EXCL    = 0x80;
+export const O_TRUNC   = 0x200;
+export const O_APPEND  = 0x400;
+
+export const MAP_ANONYMOUS = 0x20;
+
+// The fields of struct stat (x86-64, see <sys/stat.h>) that are filled in
+export const STAT_LAYOUT = {
+  st_nlink: { offset: 16, size: 8 },
+  st_mode:  { offset: 24, size: 4 },
+  st_size:  { offset: 48, size: 8 },
+};
+
+const S_IFREG_755 = 0o100755; // -rwxr-xr-x regular file
+
+const HEAP_LIMIT = 16n * 1024n * 1024n;
+
+// The file behind a descriptor the program opened, or null
+const fileOf = (sys, fd) => (sys.vfs ? sys.fds.get(fd) ?? null : null);
+
+export const LINUX_SYSCALLS = [
+  {
+    num: 0,
+    name: 'read',
+    args: { fd: 'fd', buf: 'outbuf', count: 'size' },
+    ret: 'size',
+    impl(sys, { fd, buf, count }) {
+      if (fd === 0) {
+        const { stdin } = sys.runtime;
+        const data = stdin ? stdin.read(count) : new Uint8Array(0);
+        if (data !== null) {
+          sys.writeBytes(buf, data);
+          return data.length;
+        }
+        // Nothing typed yet: the program waits for input
+        return sys.runtime.waitForStdin(count).then(input => {
+          sys.writeBytes(buf, input);
+          return input.length;
+        });
+      }
+
+      const file = fileOf(sys, fd);
+      if (!file) return sys.errno('EBADF');
+      const data = sys.vfs.readSync(file.path);
+      if (!data) return sys.errno('EIO');
+
+      const chunk = data.subarray(file.offset, file.offset + count);
+      sys.writeBytes(buf, chunk.slice());
+      file.offset += chunk.length;
+      return chunk.length;
+    },
+  },
+
+  {
+    num: 1,
+    name: 'write',
+    args: { fd: 'fd', buf: 'buf', count: 'size' },
+    ret: 'size',
+    impl(sys, { fd, buf, count }) {
+      const bytes = sys.readBytes(buf, count);
+      if (fd === 1 || fd === 2) {
+        sys.runtime.writeOutput(fd, new TextDecoder().decode(bytes));
+        return count;
+      }
+
+      const file = fileOf(sys, fd);
+      if (!file) return sys.errno('EBADF');
+      let offset = file.offset;
+      if (file.append) {
+        const size = sys.vfs.getSizeSync(file.path);
+        offset = size < 0 ? 0 : size;
+      }
+      const written = sys.vfs.writeAtSync(file.path, bytes, offset);
+      file.offset = offset + written;
+      return written;
+    },
+  },
+
+  {
+    num: 2,
+    name: 'open',
+    args: { path: 'str', flags: 'oflags', mode: 'mode' },
+    ret: 'fd',
+    impl(sys, { path, flags }) {
+      if (!sys.vfs) return sys.errno('EIO');
+      path = sys.resolvePath(path);
+
+      if (sys.vfs.readSync(path) === null) {
+        if (!(flags & O_CREAT)) return sys.errno('ENOENT');
+        sys.vfs.writeSync(path, new Uint8Array(0));
+      }
+      if ((flags & O_TRUNC) && !(flags & O_APPEND)) sys.vfs.truncateSync(path, 0);
+
+      const fd = sys.nextFd++;
+      sys.fds.set(fd, {
+        path,
+        offset: (flags & O_APPEND) ? Math.max(0, sys.vfs.getSizeSync(path)) : 0,
+        append: Boolean(flags & O_APPEND),
+      });
+      return fd;
+    },
+  },
+
+  {
+    num: 3,
+    name: 'close',
+    args: { fd: 'fd' },
+    impl(sys, { fd }) {
+      if (!sys.fds.delete(fd)) return sys.errno('EBADF');
+      return 0;
+    },
+  },
+
+  {
+    num: 4,
+    name: 'stat',
+    args: { path: 'str', statbuf: 'ptr' },
+    impl(sys, { path, statbuf }) {
+      if (!sys.vfs) return sys.errno('EIO');
+      const size = sys.vfs.getSizeSync(sys.resolvePath(path));
+      if (size === -1) return sys.errno('ENOENT');
+      sys.writeStruct(statbuf, STAT_LAYOUT, { st_nlink: 1, st_mode: S_IFREG_755, st_size: size });
+      return 0;
+    },
+  },
+
+  {
+    num: 5,
+    name: 'fstat',
+    args: { fd: 'fd', statbuf: 'ptr' },
+    impl(sys, { fd, statbuf }) {
+      const file = fileOf(sys, fd);
+      if (!file) return sys.errno('EBADF');
+      const size = sys.vfs.getSizeSync(file.path);
+      sys.writeStruct(statbuf, STAT_LAYOUT, { st_nlink: 1, st_mode: S_IFREG_755, st_size: size });
+      return 0;
+    },
+  },
+
+  {
+    num: 8,
+    name: 'lseek',
+    args: { fd: 'fd', offset: 'int', whence: 'whence' },
+    ret: 'size',
+    impl(sys, { fd, offset, whence }) {
+      const file = fileOf(sys, fd);
+      // The standard streams are not seekable
+      if (!file) return sys.errno(fd >= 0 && fd <= 2 ? 'ESPIPE' : 'EBADF');
+
+      const base = whence === 0 ? 0 : whence === 1 ? file.offset : whence === 2 ? sys.vfs.getSizeSync(file.path) : -1;
+      const pos = base + offset;
+      if (base < 0 || pos < 0) return sys.errno('EINVAL');
+      file.offset = pos;
+      return pos;
+    },
+  },
+
+  {
+    num: 9,
+    name: 'mmap',
+    args: { addr: 'ptr', length: 'size', prot: 'prot', flags: 'mapflags', fd: 'fd', offset: 'int' },
+    ret: 'ptr',
+    impl(sys, { length, prot, flags }) {
+      // Simplistic: only anonymous mappings for now
+      if (!(flags & MAP_ANONYMOUS)) return sys.errno('EINVAL');
+      const addr = sys.instance.mem_init_zero_anywhere(BigInt(length));
+      sys.instance.mem_prot(addr, prot);
+      return addr;
+    },
+  },
+
+  // The raw break: the new one, or the old one when it cannot move
+  {
+    num: 12,
+    name: 'brk',
+    args: { addr: 'ptr' },
+    ret: 'ptr',
+    impl(sys, { addr }) {
+      if (addr < sys.heapStart || addr >= sys.heapStart + HEAP_LIMIT) return sys.brk;
+
+      if (!sys.heapMapped) {
+        // Lazy-init the first page
+        sys.instance.mem_init_zero_named(sys.heapStart, 4096n, 'heap');
+        sys.heapMapped = true;
+      }
+      if (addr > sys.brk) {
+        // ax-x86 can resize a section; grow it a page at a time
+        const size = (addr - sys.heapStart + 4095n) & ~4095n;
+        if (size > sys.brk - sys.heapStart) sys.instance.mem_resize_section(sys.heapStart, size);
+      }
+      sys.brk = addr;
+      return sys.brk;
+    },
+  },
+
+  {
+    num: 60,
+    name: 'exit',
+    args: { status: 'int' },
+    ret: 'void',
+    impl(sys, { status }) {
+      sys.exit(status);
+    },
+  },
+
+  {
+    num: 79,
+    name: 'getcwd',
+    args: { buf: 'outbuf', size: 'size' },
+    ret: 'size',
+    impl(sys, { buf, size }) {
+      const path = new TextEncoder().encode(sys.cwd + '\0');
+      if (path.length > size) return sys.errno('ERANGE');
+      sys.writeBytes(buf, path);
+      return path.length;
+    },
+  },
+
+  {
+    num: 80,
+    name: 'chdir',
+    args: { path: 'str' },
+    impl(sys, { path }) {
+      path = sys.resolvePath(path);
+      // Directories only exist through the files in them, so any path
+      // that is not a file will do
+      if (sys.vfs?.readSync(path)) return sys.errno('ENOTDIR');
+      sys.cwd = path;
+      return 0;
+    },
+  },
+
+  {
+    num: 231,
+    name: 'exit_group',
+    args: { status: 'int' },
+    ret: 'void',
+    impl(sys, { status }) {
+      sys.exit(status);
+    },
+  },
+];
@@ -0,0 +1,536 @@
+/**
+ * objfile.js — relocatable objects: from defasm, and to and from ELF
+ *
+ * The linker (see Linker.js) works on one in-memory form of an object,
+ * whether it was just assembled or uploaded as a `.o` built elsewhere:
+ *
+ *   {
+ *     path,                 file it came from, for diagnostics
+ *     sections: [{ name, type, flags, align, size, bytes }]
+ *                           bytes is null for SHT_NOBITS (.bss)
+ *     symbols: [{ name, bind, type, section, value, size }]
+ *                           bind 'local' | 'global' | 'weak'; section is an
+ *                           index into sections, or 'UND', 'ABS' or 'COM'
+ *                           (value is then the alignment); value is a BigInt
+ *     relocations: [{ section, offset, type, symbol, addend }]
+ *                           type is an R_X86_64_* number, symbol an index
+ *                           into symbols, addend a BigInt
+ *     sourceMap: [{ section, offset, size, asmLine, line, col }]
+ *                           compiled C only: the bytes of each instruction
+ *                           and the assembly and source line it came from,
+ *                           by section name
+ *   }
+ *
+ * writeObject() stores one as an ELF64 ET_REL file with .symtab, .strtab
+ * and a .rela section for each section with relocations; readObject()
+ * reads such a file back, from HelixCore or from gcc/clang. readArchive()
+ * and writeArchive() handle `ar` archives (.a) of them. readSymbols()
+ * lists the sections and symbols of any ELF file, executables included.
+ */
+
+import { CompileError, diagnosticAt } from './diagnostics.js';
+
+// ELF constants used below
+export const SHT_PROGBITS = 1, SHT_SYMTAB = 2, SHT_STRTAB = 3, SHT_RELA = 4, SHT_NOBITS = 8, SHT_REL = 9;
+export const SHF_WRITE = 0x1, SHF_ALLOC = 0x2, SHF_EXECINSTR = 0x4;
+const SHF_INFO_LINK = 0x40;
+export const SHN_UNDEF = 0, SHN_ABS = 0xfff1, SHN_COMMON = 0xfff2;
+export const STT_OBJECT = 1, STT_SECTION = 3, STT_FILE = 4;
+const BINDS = ['local', 'global', 'weak'];
+
+export const R_X86_64 = {
+  64: 1, PC32: 2, GOT32: 3, PLT32: 4, GOTPCREL: 9, 32: 10, '32S': 11, 16: 12, PC16: 13, 8: 14, PC8: 15,
+  PC64: 24, GOTPCRELX: 41, REX_GOTPCRELX: 42,
+};
+
+const EHDR_SIZE = 64, RELA_SIZE = 24;
+export const SHDR_SIZE = 64, SYM_SIZE = 24;
+const AR_MAGIC = '!<arch>\n';
+
+function objectError(path, message) {
+  return new CompileError([diagnosticAt({ file: path }, message)]);
+}
+
+/* ── From defasm ── */
+
+// The R_X86_64 type of one of defasm's relocations
+function relocationType({ size, signed, pcRelative, functionAddr }) {
+  if (pcRelative) return size === 32 ? (functionAddr ? R_X86_64.PLT32 : R_X86_64.PC32) : R_X86_64[`PC${size}`];
+  if (size === 32 && signed) return R_X86_64['32S'];
+  return R_X86_64[size];
+}
+
+/**
+ * The object an AssemblyState assembled. Labels starting with .L stay
+ * out of the symbol table, as with gas, unless keepLocals is set (gas
+ * --keep-locals). `.local` common symbols are given space in the
+ * object's own .bss, since ELF has no local commons.
+ *
+ * @param {AssemblyState} state
+ * @param {string|null} [path]
+ * @param {object} [opts]
+ * @param {boolean} [opts.keepLocals] list .L labels as local symbols
+ */
+export function objectFromAssembly(state, path = null, { keepLocals = false } = {}) {
+  const sections = [];
+  const sectionIndex = new Map(); // name → index
+  for (const sec of state.sections) {
+    const bytes = new Uint8Array(sec.head.dump());
+    sectionIndex.set(sec.name, sections.length);
+    sections.push({
+      name: sec.name,
+      type: sec.type,
+      flags: sec.flags,
+      align: 16,
+      size: bytes.length,
+      bytes: sec.type === SHT_NOBITS ? null : bytes,
+    });
+  }
+
+  // A section symbol for each section, then every other symbol worth keeping
+  const symbols = sections.map((sec, i) => ({ name: sec.name, bind: 'local', type: STT_SECTION, section: i, value: 0n, size: 0 }));
+  const symbolIndex = new Map(); // defasm symbol → index
+  const bss = sections[sectionIndex.get('.bss')];
+  for (const [name, sym] of state.symbols ?? []) {
+    if (sym.type === STT_SECTION) continue;
+    const where = sym.value?.section?.name;
+    const referenced = sym.references?.length > 0;
+    let entry = { name, bind: BINDS[sym.bind ?? 0], type: sym.type ?? 0, size: Number(sym.size ?? 0) };
+    if (where === '*UND*') {
+      if (!referenced && !sym.bind) continue;
+      entry = { ...entry, bind: sym.bind === 2 ? 'weak' : 'global', section: 'UND', value: 0n };
+    } else if (where === '*COM*') {
+      const align = Number(sym.value.addend);
+      entry.type = sym.type ?? STT_OBJECT;
+      if (sym.bind === 0) {
+        // .local + .comm: allocate it here
+        bss.size = Math.ceil(bss.size / align) * align;
+        entry = { ...entry, section: sectionIndex.get('.bss'), value: BigInt(bss.size) };
+        bss.size += entry.size;
+      } else {
+        entry = { ...entry, bind: 'global', section: 'COM', value: BigInt(align) };
+      }
+    } else if (where === '*ABS*') {
+      entry = { ...entry, section: 'ABS', value: sym.value.addend };
+    } else if (sectionIndex.has(where)) {
+      if (name.startsWith('.L') && !sym.bind && !keepLocals) continue;
+      entry = { ...entry, section: sectionIndex.get(where), value: sym.value.addend };
+    } else {
+      continue;
+    }
+    symbolIndex.set(sym, symbols.length);
+    symbols.push(entry);
+  }
+
+  const relocations = [];
+  for (const sec of state.sections) {
+    for (const reloc of sec.getRelocations()) {
+      const { symbol } = reloc;
+      const index = symbol.type === STT_SECTION ? sectionIndex.get(symbol.value.section.name) : symbolIndex.get(symbol);
+      if (index === undefined) throw objectError(path, `Relocation against unknown symbol '${symbol.name}'`);
+      const type = relocationType(reloc);
+      if (!type) throw objectError(path, `Unsupported ${reloc.size}-bit relocation against '${symbol.name}'`);
+      relocations.push({ section: sectionIndex.get(sec.name), offset: reloc.offset, type, symbol: index, addend: reloc.addend });
+    }
+  }
+
+  return { path, sections, symbols, relocations, sourceMap: [] };
+}
+
+/* ── Symbol queries ── */
+
+// Names an object makes visible to the others, commons included
+export function definedSymbols(object) {
+  const names = new Set();
+  for (const sym of object.symbols) {
+    if (sym.bind !== 'local' && sym.section !== 'UND') names.add(sym.name);
+  }
+  return names;
+}
+
+// Names an object uses but leaves to another
+export function undefinedSymbols(object) {
+  const used = new Set(object.relocations.map(reloc => reloc.symbol));
+  return object.symbols.filter((sym, i) => sym.section === 'UND' && used.has(i)).map(sym => sym.name);
+}
+
+/* ── ELF tables, shared with the linker ── */
+
+// A string table (.strtab, .shstrtab): names by offset, starting with ""
+export class StringTable {
+  constructor() {
+    this.bytes = [0];
+    this.offsets = new Map([['', 0]]);
+  }
+
+  add(name) {
+    if (!this.offsets.has(name)) {
+      this.offsets.set(name, this.bytes.length);
+      this.bytes.push(...new TextEncoder().encode(name), 0);
+    }
+    return this.offsets.get(name);
+  }
+}
+
+/**
+ * Encode .symtab entries, after the null symbol. Symbols are
+ * { name, bind, type, shndx, value, size }; section symbols are nameless.
+ * @returns {Uint8Array}
+ */
+export function encodeSymbols(symbols, strtab) {
+  const symtab = new DataView(new ArrayBuffer(SYM_SIZE * (symbols.length + 1)));
+  symbols.forEach((sym, i) => {
+    const at = SYM_SIZE * (i + 1);
+    symtab.setUint32(at, sym.type === STT_SECTION ? 0 : strtab.add(sym.name), true);
+    symtab.setUint8(at + 4, (BINDS.indexOf(sym.bind) << 4) | sym.type);
+    symtab.setUint16(at + 6, sym.shndx, true);
+    symtab.setBigUint64(at + 8, BigInt.asUintN(64, sym.value), true);
+    symtab.setBigUint64(at + 16, BigInt(sym.size), true);
+  });
+  return new Uint8Array(symtab.buffer);
+}
+
+/**
+ * Write a section header table at `at`: the null header, then one per
+ * { nameOffset, type, flags, addr, offset, size, link, info, align, entsize }.
+ */
+export function writeSectionHeaders(dv, at, headers) {
+  headers.forEach((header, i) => {
+    const p = at + SHDR_SIZE * (i + 1);
+    dv.setUint32(p, header.nameOffset, true);
+    dv.setUint32(p + 4, header.type, true);
+    dv.setBigUint64(p + 8, BigInt(header.flags ?? 0), true);
+    dv.setBigUint64(p + 16, BigInt(header.addr ?? 0), true);
+    dv.setBigUint64(p + 24, BigInt(header.offset), true);
+    dv.setBigUint64(p + 32, BigInt(header.size), true);
+    dv.setUint32(p + 40, header.link ?? 0, true);
+    dv.setUint32(p + 44, header.info ?? 0, true);
+    dv.setBigUint64(p + 48, BigInt(header.align), true);
+    dv.setBigUint64(p + 56, BigInt(header.entsize ?? 0), true);
+  });
+}
+
+/* ── ELF ET_REL ── */
+
+/**
+ * Serialise an object as an ELF64 relocatable file.
+ * @returns {Uint8Array}
+ */
+export function writeObject(object) {
+  // Local symbols must come first; sh_info of .symtab is the first global
+  const order = object.symbols.map((sym, i) => i);
+  order.sort((a, b) => (object.symbols[a].bind !== 'local') - (object.symbols[b].bind !== 'local') || a - b);
+  const newIndex = new Map(order.map((old, i) => [old, i + 1]));
+  const firstGlobal = 1 + order.filter(i => object.symbols[i].bind === 'local').length;
+
+  const strtab = new StringTable();
+  const shstrtab = new StringTable();
+  const symtab = encodeSymbols(order.map(old => {
+    const sym = object.symbols[old];
+    return { ...sym, shndx: { UND: SHN_UNDEF, ABS: SHN_ABS, COM: SHN_COMMON }[sym.section] ?? sym.section + 1 };
+  }), strtab);
+
+  // Section headers: null, the object's sections, their .rela sections,
+  // then .symtab, .strtab and .shstrtab
+  const headers = [null];
+  const contents = [];
+  for (const sec of object.sections) {
+    headers.push({ name: sec.name, type: sec.type, flags: sec.flags, size: sec.size, align: sec.align });
+    contents.push(sec.bytes);
+  }
+  const symtabIndex = headers.length + new Set(object.relocations.map(r => r.section)).size;
+  object.sections.forEach((sec, i) => {
+    const relocs = object.relocations.filter(r => r.section === i);
+    if (!relocs.length) return;
+    const rela = new DataView(new ArrayBuffer(RELA_SIZE * relocs.length));
+    relocs.forEach((r, j) => {
+      rela.setBigUint64(RELA_SIZE * j, BigInt(r.offset), true);
+      rela.setBigUint64(RELA_SIZE * j + 8, (BigInt(newIndex.get(r.symbol)) << 32n) | BigInt(r.type), true);
+      rela.setBigInt64(RELA_SIZE * j + 16, r.addend, true);
+    });
+    headers.push({ name: `.rela${sec.name}`, type: SHT_RELA, flags: SHF_INFO_LINK, size: rela.byteLength, align: 8, link: symtabIndex, info: i + 1, entsize: RELA_SIZE });
+    contents.push(new Uint8Array(rela.buffer));
+  });
+  headers.push({ name: '.symtab', type: SHT_SYMTAB, size: symtab.byteLength, align: 8, link: symtabIndex + 1, info: firstGlobal, entsize: SYM_SIZE });
+  contents.push(symtab);
+  headers.push({ name: '.strtab', type: SHT_STRTAB, size: strtab.bytes.length, align: 1 });
+  contents.push(new Uint8Array(strtab.bytes));
+  headers.push({ name: '.shstrtab', type: SHT_STRTAB, align: 1 });
+  for (const header of headers.slice(1)) header.nameOffset = shstrtab.add(header.name);
+  headers.at(-1).size = shstrtab.bytes.length;
+  contents.push(new Uint8Array(shstrtab.bytes));
+
+  // Contents follow the ELF header, each aligned; the header table is last
+  let offset = EHDR_SIZE;
+  headers.slice(1).forEach((header, i) => {
+    offset = Math.ceil(offset / Math.max(header.align, 1)) * Math.max(header.align, 1);
+    header.offset = offset;
+    if (contents[i]) offset += contents[i].length;
+  });
+  const shoff = Math.ceil(offset / 8) * 8;
+  const out = new Uint8Array(shoff + SHDR_SIZE * headers.length);
+  const dv = new DataView(out.buffer);
+  headers.slice(1).forEach((header, i) => {
+    if (contents[i]) out.set(contents[i], header.offset);
+  });
+
+  out.set([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1]); // \x7fELF, 64-bit, little-endian, version 1
+  dv.setUint16(16, 1, true);                  // e_type = ET_REL
+  dv.setUint16(18, 0x3e, true);               // e_machine = EM_X86_64
+  dv.setUint32(20, 1, true);                  // e_version
+  dv.setBigUint64(40, BigInt(shoff), true);   // e_shoff
+  dv.setUint16(52, EHDR_SIZE, true);          // e_ehsize
+  dv.setUint16(58, SHDR_SIZE, true);          // e_shentsize
+  dv.setUint16(60, headers.length, true);     // e_shnum
+  dv.setUint16(62, headers.length - 1, true); // e_shstrndx
+
+  writeSectionHeaders(dv, shoff, headers.slice(1));
+  return out;
+}
+
+export function isObjectFile(bytes) {
+  return bytes.length >= EHDR_SIZE && bytes[0] === 0x7f && bytes[1] === 0x45 && bytes[2] === 0x4c && bytes[3] === 0x46 && bytes[16] === 1;
+}
+
+// An ELF file's section headers, named, and a reader for its string tables
+function readSectionHeaders(bytes, dv) {
+  const shoff = Number(dv.getBigUint64(40, true));
+  const shnum = dv.getUint16(60, true);
+  const headers = [];
+  for (let i = 0; i < shnum; i++) {
+    const at = shoff + SHDR_SIZE * i;
+    headers.push({
+      nameOffset: dv.getUint32(at, true),
+      type: dv.getUint32(at + 4, true),
+      flags: Number(dv.getBigUint64(at + 8, true)),
+      addr: dv.getBigUint64(at + 16, true),
+      offset: Number(dv.getBigUint64(at + 24, true)),
+      size: Number(dv.getBigUint64(at + 32, true)),
+      link: dv.getUint32(at + 40, true),
+      info: dv.getUint32(at + 44, true),
+      align: Number(dv.getBigUint64(at + 48, true)),
+    });
+  }
+  const cString = (table, offset) => {
+    const start = headers[table].offset + offset;
+    const end = bytes.indexOf(0, start);
+    return new TextDecoder().decode(bytes.subarray(start, end));
+  };
+  const shstrndx = dv.getUint16(62, true);
+  for (const header of headers) header.name = shnum ? cString(shstrndx, header.nameOffset) : '';
+  return { headers, cString };
+}
+
+/**
+ * Read an ELF64 x86-64 relocatable file.
+ * @param {Uint8Array} bytes
+ * @param {string|null} [path]
+ */
+export function readObject(bytes, path = null) {
+  if (!isObjectFile(bytes)) throw objectError(path, 'Not an ELF relocatable object');
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes[4] !== 2 || bytes[5] !== 1 || dv.getUint16(18, true) !== 0x3e) {
+    throw objectError(path, 'Not a 64-bit little-endian x86-64 object');
+  }
+
+  const { headers, cString } = readSectionHeaders(bytes, dv);
+
+  // Every section with contents or space is kept; the tables describing
+  // them are read below
+  const sections = [];
+  const sectionIndex = new Map(); // ELF index → index
+  headers.forEach((header, i) => {
+    if (i === 0 || [SHT_SYMTAB, SHT_STRTAB, SHT_RELA, SHT_REL].includes(header.type) || header.type === 17 /* SHT_GROUP */) return;
+    sectionIndex.set(i, sections.length);
+    sections.push({
+      name: header.name,
+      type: header.type,
+      flags: header.flags,
+      align: Math.max(header.align, 1),
+      size: header.size,
+      bytes: header.type === SHT_NOBITS ? null : bytes.slice(header.offset, header.offset + header.size),
+    });
+  });
+
+  const symtab = headers.findIndex(header => header.type === SHT_SYMTAB);
+  const symbols = [];
+  const symbolIndex = new Map(); // ELF index → index
+  if (symtab >= 0) {
+    const { offset, size, link } = headers[symtab];
+    for (let i = 1; i < size / SYM_SIZE; i++) {
+      const at = offset + SYM_SIZE * i;
+      const info = dv.getUint8(at + 4);
+      const type = info & 0xf;
+      const shndx = dv.getUint16(at + 6, true);
+      if (type === STT_FILE) continue;
+      const section = shndx === SHN_UNDEF ? 'UND' : shndx === SHN_ABS ? 'ABS' : shndx === SHN_COMMON ? 'COM' : sectionIndex.get(shndx);
+      if (section === undefined) continue;
+      symbolIndex.set(i, symbols.length);
+      symbols.push({
+        name: type === STT_SECTION ? headers[shndx].name : cString(link, dv.getUint32(at, true)),
+        bind: BINDS[info >> 4] ?? 'global',
+        type,
+        section,
+        value: dv.getBigUint64(at + 8, true),
+        size: Number(dv.getBigUint64(at + 16, true)),
+      });
+    }
+  }
+
+  const relocations = [];
+  headers.forEach((header, i) => {
+    if (header.type === SHT_REL) throw objectError(path, `${header.name}: SHT_REL relocations are not used on x86-64`);
+    if (header.type !== SHT_RELA || !sectionIndex.has(header.info)) return;
+    for (let at = header.offset; at < header.offset + header.size; at += RELA_SIZE) {
+      const info = dv.getBigUint64(at + 8, true);
+      const symbol = symbolIndex.get(Number(info >> 32n));
+      if (symbol === undefined) throw objectError(path, `${header.name}: relocation against a missing symbol`);
+      relocations.push({
+        section: sectionIndex.get(header.info),
+        offset: Number(dv.getBigUint64(at, true)),
+        type: Number(info & 0xffffffffn),
+        symbol,
+        addend: dv.getBigInt64(at + 16, true),
+      });
+    }
+  });
+
+  return { path, sections, symbols, relocations, sourceMap: [] };
+}
+
+/**
+ * The sections and symbols of any ELF64 file (an executable too), from its
+ * section headers and .symtab: empty lists for a stripped file.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {object} { sections: [{ name, type, flags, addr, offset, size }],
+ *   symbols: [{ name, bind, type, section, value, size }] }, section being
+ *   a section name, or 'UND' / 'ABS' / 'COM'
+ */
+export function readSymbols(bytes) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < EHDR_SIZE || bytes[4] !== 2) return { sections: [], symbols: [] };
+  const { headers, cString } = readSectionHeaders(bytes, dv);
+  const sections = headers.slice(1).map(({ name, type, flags, addr, offset, size }) => ({ name, type, flags, addr, offset, size }));
+
+  const symbols = [];
+  for (const { type, offset, size, link } of headers) {
+    if (type !== SHT_SYMTAB) continue;
+    for (let at = offset + SYM_SIZE; at < offset + size; at += SYM_SIZE) {
+      const info = dv.getUint8(at + 4);
+      const type = info & 0xf;
+      const shndx = dv.getUint16(at + 6, true);
+      const section = shndx === SHN_UNDEF ? 'UND' : shndx === SHN_ABS ? 'ABS' : shndx === SHN_COMMON ? 'COM' : headers[shndx]?.name;
+      symbols.push({
+        name: type === STT_SECTION ? section : cString(link, dv.getUint32(at, true)),
+        bind: BINDS[info >> 4] ?? 'global',
+        type,
+        section,
+        value: dv.getBigUint64(at + 8, true),
+        size: Number(dv.getBigUint64(at + 16, true)),
+      });
+    }
+  }
+  return { sections, symbols };
+}
+
+/* ── ar archives ── */
+
+export function isArchive(bytes) {
+  return bytes.length >= AR_MAGIC.length && new TextDecoder().decode(bytes.subarray(0, AR_MAGIC.length)) === AR_MAGIC;
+}
+
+/**
+ * Read the objects in an `ar` archive (GNU or BSD names). The archive's
+ * own symbol index is not needed: each member's symbols are read instead.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string|null} [path]
+ * @returns {object} { path, members: [{ name, object, defines }] }
+ */
+export function readArchive(bytes, path = null) {
+  if (!isArchive(bytes)) throw objectError(path, 'Not an ar archive');
+  const text = (start, length) => new TextDecoder().decode(bytes.subarray(start, start + length));
+  const members = [];
+  let longNames = '';
+  let at = AR_MAGIC.length;
+  while (at + 60 <= bytes.length) {
+    let name = text(at, 16).trimEnd();
+    let size = parseInt(text(at + 48, 10), 10);
+    let data = at + 60;
+    if (text(at + 58, 2) !== '`\n' || Number.isNaN(size)) throw objectError(path, `Corrupt archive member header at offset ${at}`);
+    at = data + size + (size & 1);
+
+    if (name === '/' || name === '/SYM64/' || name.startsWith('__.SYMDEF')) continue; // symbol index
+    if (name === '//') {
+      longNames = text(data, size);
+      continue;
+    }
+    if (/^\/\d+$/.test(name)) {
+      // GNU: offset into the long name table, ended by "/\n"
+      const start = Number(name.slice(1));
+      name = longNames.slice(start, longNames.indexOf('\n', start));
+    } else if (name.startsWith('#1/')) {
+      // BSD: the name leads the member's data
+      const length = Number(name.slice(3));
+      name = text(data, length).replace(/\0+$/, '');
+      data += length;
+      size -= length;
+    }
+    name = name.replace(/\/$/, '');
+    const object = readObject(bytes.subarray(data, data + size), `${path ?? ''}(${name})`);
+    members.push({ name, object, defines: definedSymbols(object) });
+  }
+  return { path, members };
+}
+
+/**
+ * Pack objects into a GNU `ar` archive with a symbol index, as `ar rcs`.
+ * @param {Array<{ name: string, object: object }>} members
+ * @returns {Uint8Array}
+ */
+export function writeArchive(members) {
+  const encoder = new TextEncoder();
+  const files = members.map(({ name, object }) => ({ name, bytes: writeObject(object), defines: [...definedSymbols(object)] }));
+  const parts = [encoder.encode(AR_MAGIC)];
+  // Each member is a 60-byte header and its data, padded to an even length
+  const add = (name, data) => {
+    parts.push(encoder.encode(
+      `${name.padEnd(16)}${'0'.padEnd(12)}${'0'.padEnd(6)}${'0'.padEnd(6)}${'644'.padEnd(8)}${String(data.length).padEnd(10)}\`\n`));
+    parts.push(data);
+    if (data.length & 1) parts.push(encoder.encode('\n'));
+  };
+
+  // Names longer than 15 characters go in the "//" table
+  let longNames = '';
+  const memberNames = files.map(({ name }) => {
+    if (name.length < 16) return `${name}/`;
+    const offset = longNames.length;
+    longNames += `${name}/\n`;
+    return `/${offset}`;
+  });
+
+  // The "/" index: count, member offsets and names, big-endian
+  const symbols = files.flatMap((file, i) => file.defines.map(name => ({ name, member: i })));
+  const names = encoder.encode(symbols.map(s => `${s.name}\0`).join(''));
+  const indexSize = 4 + 4 * symbols.length + names.length;
+  let offset = AR_MAGIC.length + 60 + indexSize + (indexSize & 1);
+  if (longNames) offset += 60 + longNames.length + (longNames.length & 1);
+  const memberOffsets = files.map(file => {
+    const at = offset;
+    offset += 60 + file.bytes.length + (file.bytes.length & 1);
+    return at;
+  });
+  const index = new DataView(new ArrayBuffer(indexSize));
+  index.setUint32(0, symbols.length);
+  symbols.forEach((s, i) => index.setUint32(4 + 4 * i, memberOffsets[s.member]));
+  new Uint8Array(index.buffer).set(names, 4 + 4 * symbols.length);
+
+  add('/', new Uint8Array(index.buffer));
+  if (longNames) add('//', encoder.encode(longNames));
+  files.forEach((file, i) => add(memberNames[i], file.bytes));
+
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  parts.reduce((at, part) => (out.set(part, at), at + part.length), 0);
+  return out;
+}
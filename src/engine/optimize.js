@@ -0,0 +1,261 @@
+/**
+ * optimize.js — the -O1 passes Chibicc runs between parsing and lowering to IR
+ *
+ *   foldConstants       replaces constant subexpressions with their value
+ *   eliminateDeadCode   drops statements that can never run or have no effect
+ *   allocateRegisters   linear scan over scalar locals, for callee-saved registers
+ *
+ * Each pass works on one function's AST in place. Lowering and the code
+ * generator do the rest at -O1: loops are tested at the bottom, comparisons
+ * branch on the flags and simple operands skip the temporaries' slots (see
+ * ir.js and codegen.js).
+ */
+
+import { isInteger, isFlonum, isNumeric } from './ctypes.js';
+
+// Fields that hold sub-statements and operands
+const CHILD_KEYS = ['init', 'cond', 'inc', 'then', 'els', 'body', 'stmts', 'left', 'right', 'operand', 'target', 'val', 'expr', 'fn', 'ap', 'args'];
+
+const STATEMENTS = new Set(['if', 'for', 'do', 'switch', 'goto', 'label', 'block', 'return', 'expr', 'memzero', 'nop']);
+
+// Expressions _eval can compute once their operands are constants
+const FOLDABLE = new Set(['binary', 'cast', 'not', 'bitnot', 'logand', 'logor', 'cond', 'comma']);
+
+// Expressions without side effects. Division and dereference stay, as
+// they can trap at run time.
+const PURE = new Set(['num', 'var', 'str', 'member', 'addr', 'funcaddr', 'binary', 'cast', 'not', 'bitnot', 'logand', 'logor', 'cond', 'comma']);
+
+// Replace each child node with fn(child)
+function mapChildren(node, fn) {
+  for (const key of CHILD_KEYS) {
+    const child = node[key];
+    if (Array.isArray(child)) node[key] = child.map(fn);
+    else if (child?.type) node[key] = fn(child);
+  }
+  return node;
+}
+
+function some(node, pred) {
+  if (pred(node)) return true;
+  return CHILD_KEYS.some(key => {
+    const child = node[key];
+    if (Array.isArray(child)) return child.some(c => some(c, pred));
+    return Boolean(child?.type) && some(child, pred);
+  });
+}
+
+// A statement holding a label can be jumped into, so it is never dropped
+const hasLabel = node => some(node, n => n.type === 'label');
+
+const isPure = node => !some(node, n => !PURE.has(n.type) || (n.type === 'binary' && (n.op === '/' || n.op === '%')));
+
+// Constants that convert to the same value at run time: integers are
+// Numbers or, past 2^53, BigInts (see Chibicc's intConst)
+const isConst = node => node.type === 'num' && (isFlonum(node.ty) || typeof node.val === 'bigint' || Number.isSafeInteger(node.val));
+
+const num = (val, node) => ({ type: 'num', val, ty: node.ty, line: node.line, col: node.col });
+
+/**
+ * Fold every expression in `node` whose operands are constants.
+ * `evaluate` is Chibicc's constant evaluator; it throws on anything it
+ * cannot compute (a division by zero, say), which is then left for run time.
+ */
+export function foldConstants(node, evaluate) {
+  mapChildren(node, child => foldConstants(child, evaluate));
+  if (!FOLDABLE.has(node.type) || !isNumeric(node.ty)) return node;
+
+  // A constant left operand may decide && and || on its own
+  if (node.type === 'logand' && isConst(node.left) && node.left.val === 0) return num(0, node);
+  if (node.type === 'logor' && isConst(node.left) && node.left.val !== 0) return num(1, node);
+  if (node.type === 'cond' && isConst(node.cond)) return node.cond.val !== 0 ? node.then : node.els;
+  if (node.type === 'comma' && isConst(node.left)) return node.right;
+
+  const operands = [node.left, node.right, node.operand, node.expr].filter(Boolean);
+  if (!operands.every(isConst)) return node;
+  // Shift counts past the width and out-of-range float to integer
+  // conversions behave differently on the CPU
+  if (node.type === 'binary' && (node.op === '<<' || node.op === '>>')) {
+    if (node.right.val < 0 || node.right.val >= node.ty.size * 8) return node;
+  }
+
+  let val;
+  try {
+    val = evaluate(node);
+  } catch {
+    return node;
+  }
+  if (node.type === 'cast' && isFlonum(node.expr.ty) && isInteger(node.ty) && val !== Math.trunc(node.expr.val)) return node;
+  // The CPU's default NaN has its sign bit set, unlike JavaScript's
+  if (isFlonum(node.ty) ? Number.isNaN(val) : typeof val !== 'bigint' && !Number.isSafeInteger(val)) return node;
+  return num(val, node);
+}
+
+/**
+ * Drop statements that cannot run (after a return or jump, behind a
+ * constant condition) and expression statements with no side effects.
+ * Returns the replacement for `node`.
+ */
+export function eliminateDeadCode(node) {
+  switch (node.type) {
+    case 'block': {
+      const stmts = [];
+      let reachable = true;
+      for (const stmt of node.stmts) {
+        if (!reachable && !hasLabel(stmt)) continue;
+        const kept = eliminateDeadCode(stmt);
+        if (kept.type !== 'nop') stmts.push(kept);
+        reachable = kept.type !== 'return' && kept.type !== 'goto';
+      }
+      node.stmts = stmts;
+      return node;
+    }
+    case 'if':
+      if (isConst(node.cond)) {
+        const [taken, skipped] = node.cond.val !== 0 ? [node.then, node.els] : [node.els, node.then];
+        if (!skipped || !hasLabel(skipped)) return taken ? eliminateDeadCode(taken) : nop(node);
+      }
+      node.then = eliminateDeadCode(node.then);
+      if (node.els) node.els = eliminateDeadCode(node.els);
+      return node;
+    case 'for':
+      if (node.cond && isConst(node.cond)) {
+        if (node.cond.val === 0 && !hasLabel(node.body)) return node.init ? eliminateDeadCode(node.init) : nop(node);
+        node.cond = null;
+      }
+      if (node.init) node.init = eliminateDeadCode(node.init);
+      if (node.inc) node.inc = discard(node.inc);
+      node.body = eliminateDeadCode(node.body);
+      return node;
+    case 'do':
+    case 'switch':
+    case 'label':
+      node.body = eliminateDeadCode(node.body);
+      return node;
+    case 'expr': {
+      const expr = discard(node.expr);
+      if (!expr) return nop(node);
+      node.expr = expr;
+      return node;
+    }
+  }
+  return node;
+}
+
+const nop = node => ({ type: 'nop', line: node.line, col: node.col });
+
+// The part of an expression worth evaluating when its value is unused,
+// or null. `i++` is `(i = i + 1) - 1`, for example, and only the
+// assignment is kept.
+function discard(node) {
+  if (isPure(node)) return null;
+  switch (node.type) {
+    case 'cast':
+      return discard(node.expr);
+    case 'binary':
+      if (node.op === '/' || node.op === '%') return node;
+      if (isPure(node.right)) return discard(node.left);
+      if (isPure(node.left)) return discard(node.right);
+      return node;
+    case 'comma': {
+      const left = discard(node.left);
+      const right = discard(node.right);
+      if (!left || !right) return left ?? right;
+      return { ...node, left, right, ty: right.ty };
+    }
+  }
+  return node;
+}
+
+// Locals that can live in a register: scalar integers and pointers
+// whose address is never taken
+function registerCandidates(fn) {
+  const addressTaken = new Set();
+  some(fn.body, n => {
+    if (n.type === 'addr' && n.operand.type === 'var') addressTaken.add(n.operand.obj);
+    return false;
+  });
+  return fn.locals.filter(obj =>
+    (isInteger(obj.ty) || obj.ty.kind === 'ptr') && !addressTaken.has(obj) && obj !== fn.vaArea);
+}
+
+/**
+ * Assign locals to `registers` by linear scan (Poletto & Sarkar). Each
+ * local's live interval runs from the first to the last statement that
+ * mentions it; intervals touching a loop are stretched over the whole
+ * loop, since the value may be needed again on the next iteration. A user
+ * `goto` can jump backwards anywhere, so it makes every interval span the
+ * function. When registers run out, the interval ending last is spilled.
+ *
+ * Sets `reg` on the chosen locals and returns the registers used.
+ */
+export function allocateRegisters(fn, registers) {
+  const candidates = new Set(registerCandidates(fn));
+  const intervals = new Map(); // local → { obj, start, end }
+  const loops = [];
+  let pos = 0;
+  let userGoto = false;
+
+  const use = obj => {
+    if (!candidates.has(obj)) return;
+    const interval = intervals.get(obj);
+    if (interval) interval.end = pos;
+    else intervals.set(obj, { obj, start: pos, end: pos });
+  };
+  // Positions count statements: operands of one statement all overlap
+  const visit = node => {
+    if (STATEMENTS.has(node.type)) pos++;
+    const start = pos;
+    if (node.type === 'var') use(node.obj);
+    if (node.type === 'goto' && node.label.startsWith('.L.label.')) userGoto = true;
+    mapChildren(node, child => (visit(child), child));
+    if (node.type === 'for' || node.type === 'do') loops.push({ start, end: pos });
+  };
+  // Parameters arrive before the first statement
+  for (const param of fn.params) use(param);
+  visit(fn.body);
+
+  const all = [...intervals.values()];
+  if (userGoto) {
+    for (const interval of all) Object.assign(interval, { start: 0, end: pos });
+  }
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const loop of loops) {
+      for (const interval of all) {
+        if (interval.end < loop.start || interval.start > loop.end) continue;
+        if (interval.start <= loop.start && interval.end >= loop.end) continue;
+        interval.start = Math.min(interval.start, loop.start);
+        interval.end = Math.max(interval.end, loop.end);
+        changed = true;
+      }
+    }
+  }
+
+  const free = [...registers];
+  let active = []; // by increasing end
+  const activate = interval => {
+    active.push(interval);
+    active.sort((a, b) => a.end - b.end);
+  };
+  for (const interval of all.sort((a, b) => a.start - b.start || a.end - b.end)) {
+    for (const done of active.filter(a => a.end < interval.start)) free.push(done.reg);
+    active = active.filter(a => a.end >= interval.start);
+    if (free.length) {
+      interval.reg = free.shift();
+      activate(interval);
+      continue;
+    }
+    const last = active[active.length - 1];
+    if (last && last.end > interval.end) {
+      interval.reg = last.reg;
+      delete last.reg;
+      active.pop();
+      activate(interval);
+    }
+  }
+
+  for (const interval of all) {
+    if (interval.reg) interval.obj.reg = interval.reg;
+  }
+  return registers.filter(reg => all.some(interval => interval.reg === reg));
+}
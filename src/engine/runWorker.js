@@ -0,0 +1,102 @@
+/**
+ * runWorker.js — Web Worker that runs programs off the main thread
+ *
+ * Hosts an AxRuntime on a copy of the workspace filesystem. WorkerRuntime
+ * (main thread) posts
+ *
+ *   { type: 'load', syscalls }                 syscalls: URLs of modules whose
+ *                                              default export is a syscall entry
+ *                                              or an array of them
+ *   { type: 'run', elf, sourceMap, files, options }
+ *     files:   VirtualFS snapshot ([path, bytes] pairs)
+ *     options: { registerBaseline, trace, argv, env, cwd, maxInstructions,
+ *                timeLimitMs, stdin }, stdin being the program's whole
+ *                input, or null to read it from the Terminal as it is typed
+ *   { type: 'stdin', data }                    input typed in the Terminal
+ *   { type: 'stdin-eof' }                      Ctrl+D
+ *
+ * and the worker answers with
+ *
+ *   { type: 'loaded', version }
+ *   { type: 'stdout' | 'stderr', text }        while the program runs
+ *   { type: 'stdin-wait', waiting }            a read of stdin started /
+ *                                              stopped waiting for input
+ *   { type: 'syscalls', records }              the syscalls made since the
+ *                                              last batch (see strace.js)
+ *   { type: 'exit', result, written, deleted } when it ends: the result of
+ *                                              AxRuntime.run and the files
+ *                                              it wrote ([path, bytes]) or
+ *                                              deleted (paths)
+ *   { type: 'error', message }                 when loading or running fails
+ *
+ * A run cannot be interrupted from here: the step loop only yields to the
+ * worker's message queue while it waits for input, so WorkerRuntime stops
+ * a program by terminating the worker.
+ */
+
+import { AxRuntime } from './AxRuntime.js';
+import { VirtualFS } from './VirtualFS.js';
+import { StdinBuffer } from './StdinBuffer.js';
+
+const runtime = new AxRuntime();
+runtime.vfs = new VirtualFS();
+runtime.onStdout = text => self.postMessage({ type: 'stdout', text });
+runtime.onStderr = text => self.postMessage({ type: 'stderr', text });
+runtime.onStdinWait = waiting => {
+  flushSyscalls();
+  self.postMessage({ type: 'stdin-wait', waiting });
+};
+
+// Syscall records go out in batches, so a program that is stopped keeps
+// the log up to its last batch
+const SYSCALL_BATCH = 256;
+const SYSCALL_FLUSH_MS = 50;
+let syscalls = [];
+let flushedAt = 0;
+function flushSyscalls() {
+  if (syscalls.length) self.postMessage({ type: 'syscalls', records: syscalls });
+  syscalls = [];
+  flushedAt = performance.now();
+}
+runtime.onSyscall = record => {
+  syscalls.push(record);
+  if (syscalls.length >= SYSCALL_BATCH || performance.now() - flushedAt >= SYSCALL_FLUSH_MS) flushSyscalls();
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === 'load') {
+      for (const url of data.syscalls ?? []) {
+        const { default: entries } = await import(/* @vite-ignore */ url);
+        for (const entry of [].concat(entries)) runtime.registerSyscall(entry);
+      }
+      self.postMessage({ type: 'loaded', version: await runtime.load() });
+    } else if (data.type === 'run') {
+      const { elf, sourceMap, files, options } = data;
+      runtime.vfs.restore(files);
+      runtime.stdin = new StdinBuffer();
+      if (options.stdin) {
+        runtime.stdin.push(options.stdin);
+        runtime.stdin.close();
+      }
+      runtime.setRegisterBaseline(options.registerBaseline);
+      runtime.setTraceLogging(options.trace);
+      flushedAt = performance.now();
+      const result = await runtime.run(elf, sourceMap, options);
+      flushSyscalls();
+
+      // Files replaced by new bytes were written; the rest are unchanged
+      const before = new Map(files);
+      const after = runtime.vfs.snapshot();
+      const written = after.filter(([path, bytes]) => before.get(path) !== bytes);
+      const deleted = [...before.keys()].filter(path => runtime.vfs.readSync(path) === null);
+      self.postMessage({ type: 'exit', result, written, deleted });
+    } else if (data.type === 'stdin') {
+      runtime.stdin?.push(data.data);
+    } else if (data.type === 'stdin-eof') {
+      runtime.stdin?.eof();
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message ?? String(err) });
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * runconfig.js — how a program is started
+ *
+ * A run configuration holds what a shell would give a program: its
+ * arguments, environment, working directory and standard input, and which
+ * other workspace files a C program is linked with. The sidebar edits one
+ * per workspace file, as text:
+ *
+ *   { args:  'file.txt -n "two words"',       split like a shell, see splitArgs
+ *     env:   'TERM=xterm-256color\nLANG=C',   one NAME=value per line
+ *     cwd:   '/home/user',
+ *     stdin: { source, text, file },         'terminal' | 'text' | 'file'
+ *     link:  ['util.c', 'libm.a'] }          .c, .o and .a files
+ *
+ * and runOptions turns it into the argv / env / cwd of AxRuntime.run.
+ */
+
+import { WORKSPACE_DIR } from './Preprocessor.js';
+
+// argv[0] of every program
+export const PROGRAM_NAME = '/bin/program';
+
+export const DEFAULT_ENV = ['TERM=xterm-256color', 'PATH=/usr/bin:/bin', 'HOME=/root'];
+
+export const DEFAULT_RUN_CONFIG = Object.freeze({
+  args: '',
+  env: DEFAULT_ENV.join('\n'),
+  cwd: WORKSPACE_DIR,
+  stdin: Object.freeze({ source: 'terminal', text: '', file: '' }),
+  link: Object.freeze([]),
+});
+
+/**
+ * A run configuration with the defaults filled in where one is missing.
+ * @param {object} [config]
+ */
+export function runConfig(config = {}) {
+  return {
+    ...DEFAULT_RUN_CONFIG,
+    ...config,
+    stdin: { ...DEFAULT_RUN_CONFIG.stdin, ...config.stdin },
+    link: [...(config.link ?? DEFAULT_RUN_CONFIG.link)],
+  };
+}
+
+/**
+ * Split an argument string the way sh does, without expansions: words are
+ * separated by blanks, '…' quotes everything, "…" lets \ escape " and \,
+ * and a bare \ escapes the next character.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitArgs(text) {
+  const args = [];
+  let word = null; // null between words, so "" still makes an argument
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === ' ' || c === '\t' || c === '\n') {
+      if (word !== null) args.push(word);
+      word = null;
+    } else if (c === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end < 0) throw new Error('Unterminated \' in arguments');
+      word = (word ?? '') + text.slice(i + 1, end);
+      i = end;
+    } else if (c === '"') {
+      word ??= '';
+      for (i++; text[i] !== '"'; i++) {
+        if (i >= text.length) throw new Error('Unterminated " in arguments');
+        if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) i++;
+        word += text[i];
+      }
+    } else if (c === '\\' && i + 1 < text.length) {
+      word = (word ?? '') + text[++i];
+    } else {
+      word = (word ?? '') + c;
+    }
+  }
+  if (word !== null) args.push(word);
+  return args;
+}
+
+/**
+ * Environment lines as NAME=value strings. Blank lines and # comments are
+ * skipped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseEnv(text) {
+  const env = [];
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    if (!/^[A-Za-z_][A-Za-z0-9_]*=/.test(line)) throw new Error(`Bad environment variable: ${line}`);
+    env.push(line);
+  }
+  return env;
+}
+
+/**
+ * Resolve a path against a directory, folding . and .. components.
+ * @param {string} path
+ * @param {string} [cwd]
+ */
+export function resolvePath(path, cwd = WORKSPACE_DIR) {
+  const parts = [];
+  for (const part of (path.startsWith('/') ? path : `${cwd}/${path}`).split('/')) {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  }
+  return '/' + parts.join('/');
+}
+
+/**
+ * The argv / env / cwd options of AxRuntime.run for a run configuration.
+ * Throws when the arguments or environment cannot be parsed.
+ * @param {object} config
+ * @returns {{ argv: string[], env: string[], cwd: string }}
+ */
+export function runOptions(config) {
+  const { args, env, cwd } = runConfig(config);
+  return {
+    argv: [PROGRAM_NAME, ...splitArgs(args)],
+    env: parseEnv(env),
+    cwd: resolvePath(cwd.trim() || WORKSPACE_DIR),
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * strace.js — the syscall log of a run
+ *
+ * AxRuntime records every system call a program makes, as strace(1)
+ * prints it:
+ *
+ *   open("in.txt", O_RDONLY, 0) = -1 ENOENT (No such file or directory)
+ *   read(3, "42\n", 4096) = 3
+ *   mmap(NULL, 131072, PROT_READ|PROT_WRITE, MAP_PRIVATE|MAP_ANONYMOUS, -1, 0) = 0x7f0000000000
+ *
+ * Arguments are decoded by the types in their syscall's signature (see
+ * syscallTable.js). Buffers are previewed: what a call reads from memory
+ * for the length it is given, what it fills in for the length it returns.
+ * The log keeps the last SYSCALL_LOG_SIZE calls.
+ */
+
+import { errnoName, strerror } from './errno.js';
+import { O_ACCMODE, O_CREAT, O_EXCL, O_TRUNC, O_APPEND, MAP_ANONYMOUS } from './linuxSyscalls.js';
+
+export const SYSCALL_LOG_SIZE = 10_000;
+
+// Bytes of a buffer shown, and characters of a string
+const PREVIEW_BYTES = 32;
+const STRING_CHARS = 64;
+
+const OPEN_FLAGS = [
+  [O_CREAT, 'O_CREAT'], [O_EXCL, 'O_EXCL'], [0x100, 'O_NOCTTY'], [O_TRUNC, 'O_TRUNC'],
+  [O_APPEND, 'O_APPEND'], [0x800, 'O_NONBLOCK'], [0x10000, 'O_DIRECTORY'], [0x80000, 'O_CLOEXEC'],
+];
+const PROT_FLAGS = [[1, 'PROT_READ'], [2, 'PROT_WRITE'], [4, 'PROT_EXEC']];
+const MAP_FLAGS = [[0x1, 'MAP_SHARED'], [0x2, 'MAP_PRIVATE'], [0x10, 'MAP_FIXED'], [MAP_ANONYMOUS, 'MAP_ANONYMOUS']];
+const WHENCE = ['SEEK_SET', 'SEEK_CUR', 'SEEK_END'];
+
+const ARG_REGISTERS = ['RDI', 'RSI', 'RDX', 'R10', 'R8', 'R9'];
+
+/**
+ * The last `capacity` calls of a run, oldest first. A record is
+ *   { seq, num, name, args: string[], result: string, errno: string | null,
+ *     text }
+ * where seq counts every call of the run, dropped ones included.
+ */
+export class SyscallLog {
+  constructor(capacity = SYSCALL_LOG_SIZE) {
+    this._capacity = capacity;
+    this._records = [];
+    this._start = 0; // index of the oldest record once the buffer is full
+    this.total = 0;
+  }
+
+  push(record) {
+    record.seq = this.total++;
+    if (this._records.length < this._capacity) {
+      this._records.push(record);
+    } else {
+      this._records[this._start] = record;
+      this._start = (this._start + 1) % this._capacity;
+    }
+  }
+
+  // Calls that no longer fit
+  get dropped() {
+    return this.total - this._records.length;
+  }
+
+  entries() {
+    return [...this._records.slice(this._start), ...this._records.slice(0, this._start)];
+  }
+}
+
+/**
+ * The log record of a call.
+ * @param {import('./syscallTable.js').SyscallContext} sys
+ * @param {{ num: number, entry: object | null, args: object | null }} call
+ *   as SyscallTable.dispatch returns it
+ * @param {bigint | number | undefined} ret its result; undefined when it
+ *   does not return, as exit
+ */
+export function describeSyscall(sys, { num, entry, args }, ret) {
+  const value = ret === undefined ? null : BigInt.asIntN(64, BigInt(ret));
+  const name = entry?.name ?? `syscall_${num}`;
+  // Arguments that could not be read (EFAULT) show as raw registers
+  const argText = entry && args
+    ? Object.keys(entry.args).map(arg => formatArg(sys, arg, entry, args, value))
+    : ARG_REGISTERS.slice(0, entry ? Object.keys(entry.args).length : 3).map(reg => hex(sys.reg(reg)));
+
+  let result;
+  let errno = null;
+  if (value === null) {
+    result = '?';
+  } else if (value < 0n && value >= -4095n) {
+    errno = errnoName(Number(-value)) ?? `E${-value}`;
+    result = `-1 ${errno} (${strerror(errno)})`;
+  } else {
+    result = entry?.ret === 'ptr' ? hex(value) : String(value);
+  }
+  return { num, name, args: argText, result, errno, text: `${name}(${argText.join(', ')}) = ${result}` };
+}
+
+/**
+ * The log record of a call whose implementation threw.
+ * @param {import('./syscallTable.js').SyscallContext} sys
+ * @param {{ entry: object | null } | null} call
+ * @param {Error} err
+ */
+export function describeFailure(sys, call, err) {
+  let num = -1;
+  try {
+    num = Number(sys.reg('RAX'));
+  } catch {
+  }
+  const name = call?.entry?.name ?? `syscall_${num}`;
+  const message = err?.message ?? String(err);
+  return { num, name, args: [], result: '?', errno: null, error: message, text: `${name}(…) = ? <${message}>` };
+}
+
+function formatArg(sys, arg, entry, args, ret) {
+  const value = args[arg];
+  switch (entry.args[arg]) {
+    case 'str':
+      return quote(value, STRING_CHARS);
+    case 'buf': {
+      // The length is the size argument after it, as for write(fd, buf, count)
+      const names = Object.keys(entry.args);
+      const size = names.slice(names.indexOf(arg) + 1).find(name => entry.args[name] === 'size');
+      return preview(sys, value, size === undefined ? 0 : args[size]);
+    }
+    case 'outbuf':
+      // What the call filled in, for the length it returned
+      return ret !== null && ret > 0n ? preview(sys, value, Number(ret)) : hex(value);
+    case 'ptr':
+      return value === 0n ? 'NULL' : hex(value);
+    case 'oflags': {
+      const names = [['O_RDONLY', 'O_WRONLY', 'O_RDWR', 'O_ACCMODE'][value & O_ACCMODE]];
+      return flags(value & ~O_ACCMODE, OPEN_FLAGS, names);
+    }
+    case 'prot':
+      return value ? flags(value, PROT_FLAGS) : 'PROT_NONE';
+    case 'mapflags':
+      return flags(value, MAP_FLAGS);
+    case 'whence':
+      return WHENCE[value] ?? String(value);
+    case 'mode':
+      return value ? '0' + value.toString(8) : '0';
+    default:
+      return String(value);
+  }
+}
+
+// Names of the set bits, then any bits left over in hex: O_WRONLY|O_CREAT|O_TRUNC
+function flags(value, known, names = []) {
+  let rest = value;
+  for (const [bit, name] of known) {
+    if (rest & bit) {
+      names.push(name);
+      rest &= ~bit;
+    }
+  }
+  if (rest || !names.length) names.push(hex(BigInt(rest >>> 0)));
+  return names.join('|');
+}
+
+function preview(sys, addr, len) {
+  let bytes;
+  try {
+    bytes = sys.readBytes(addr, Math.min(len, PREVIEW_BYTES));
+  } catch {
+    return hex(addr);
+  }
+  const text = quote(new TextDecoder('latin1').decode(bytes), PREVIEW_BYTES);
+  return len > PREVIEW_BYTES ? text + '...' : text;
+}
+
+// A C string literal, cut at max characters
+function quote(text, max) {
+  const escaped = [...text.slice(0, max)].map(c => {
+    if (c === '\n') return '\\n';
+    if (c === '\t') return '\\t';
+    if (c === '\r') return '\\r';
+    if (c === '"' || c === '\\') return '\\' + c;
+    const code = c.charCodeAt(0);
+    return code < 0x20 || code === 0x7f ? `\\x${code.toString(16).padStart(2, '0')}` : c;
+  }).join('');
+  return `"${escaped}"${text.length > max ? '...' : ''}`;
+}
+
+function hex(value) {
+  return '0x' + BigInt.asUintN(64, BigInt(value)).toString(16);
+}
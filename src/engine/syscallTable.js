@@ -0,0 +1,266 @@
+/**
+ * syscallTable.js — system call registry for AxRuntime
+ *
+ * Each system call is an entry
+ *
+ *   {
+ *     num:  39,                         Linux x86-64 number (RAX)
+ *     name: 'getpid',
+ *     args: { fd: 'fd', buf: 'buf' },   argument names and types, in register
+ *                                       order (RDI, RSI, RDX, R10, R8, R9)
+ *     ret:  'int',                      optional: 'int' (default), 'fd',
+ *                                       'ptr', 'size' or 'void'
+ *     impl(sys, args) { … },
+ *   }
+ *
+ * impl gets the run's SyscallContext and the arguments decoded by type
+ * (ARG_TYPES): strings are read from memory, numbers come as Numbers and
+ * pointers as BigInts. It returns the result for RAX — a Number or BigInt,
+ * negative for -errno as the kernel does (sys.errno('ENOENT')) — or nothing
+ * to leave RAX alone. A Promise makes the program wait for it, as a read of
+ * stdin waits for input: the step loop resumes once it settles, and time
+ * spent waiting does not count towards the run's time limit.
+ *
+ * A pointer the program has not mapped, whether read for a string argument
+ * or by impl through the context's memory helpers, fails the call with
+ * EFAULT rather than the program.
+ *
+ * AxRuntime starts from LINUX_SYSCALLS (linuxSyscalls.js); embedders add or
+ * replace entries with AxRuntime.registerSyscall, or in the app with a
+ * module given to WorkerRuntime.useSyscalls.
+ */
+
+import { Register } from './AxBridge.js';
+import { resolvePath } from './runconfig.js';
+import { ERRNO } from './errno.js';
+
+export { ERRNO, errnoName } from './errno.js';
+
+const ARG_REGISTERS = ['RDI', 'RSI', 'RDX', 'R10', 'R8', 'R9'];
+
+// A system call touched memory the program has not mapped. dispatch turns
+// it into -EFAULT.
+export class SyscallFault extends Error {
+  constructor(addr) {
+    super(`Bad address 0x${BigInt.asUintN(64, BigInt(addr)).toString(16)}`);
+    this.name = 'SyscallFault';
+    this.addr = addr;
+  }
+}
+
+const EFAULT = BigInt(-ERRNO.EFAULT);
+const faultToErrno = err => {
+  if (err instanceof SyscallFault) return EFAULT;
+  throw err;
+};
+
+const signed = bits => (sys, raw) => Number(BigInt.asIntN(bits, raw));
+const unsigned = (sys, raw) => Number(raw);
+const pointer = (sys, raw) => raw;
+
+// How each argument type is decoded from its register for impl
+export const ARG_TYPES = {
+  int:      signed(64),
+  fd:       signed(32),
+  size:     unsigned,
+  ptr:      pointer,
+  buf:      pointer,          // bytes the program passes in
+  outbuf:   pointer,          // bytes the call fills in
+  str:      (sys, raw) => sys.readString(raw),
+  oflags:   signed(32),       // open flags, O_*
+  mode:     unsigned,
+  whence:   signed(32),
+  prot:     signed(32),       // PROT_*
+  mapflags: signed(32),       // MAP_*
+};
+
+export class SyscallTable {
+  /**
+   * @param {Iterable<object>} [entries]
+   */
+  constructor(entries = []) {
+    this._byNum = new Map();
+    for (const entry of entries) this.register(entry);
+  }
+
+  /**
+   * Add a system call, replacing any entry with its number.
+   * @param {{ num: number, name: string, args?: object, ret?: string, impl: Function }} entry
+   */
+  register(entry) {
+    const { num, name, args = {}, impl } = entry;
+    if (!Number.isInteger(num) || num < 0) throw new Error(`Bad syscall number: ${num}`);
+    if (!name) throw new Error(`Syscall ${num} has no name`);
+    if (typeof impl !== 'function') throw new Error(`Syscall ${name} has no impl`);
+    const names = Object.keys(args);
+    if (names.length > ARG_REGISTERS.length) throw new Error(`Syscall ${name} takes at most ${ARG_REGISTERS.length} arguments`);
+    for (const arg of names) {
+      if (!ARG_TYPES[args[arg]]) throw new Error(`Syscall ${name}: unknown type '${args[arg]}' for ${arg}`);
+    }
+    this._byNum.set(num, { ret: 'int', ...entry, args });
+  }
+
+  /**
+   * Remove a system call by number or name; the program then gets ENOSYS.
+   * @param {number | string} numOrName
+   */
+  unregister(numOrName) {
+    const entry = typeof numOrName === 'number' ? this._byNum.get(numOrName) : this.byName(numOrName);
+    if (entry) this._byNum.delete(entry.num);
+  }
+
+  get(num) {
+    return this._byNum.get(num) ?? null;
+  }
+
+  byName(name) {
+    for (const entry of this._byNum.values()) if (entry.name === name) return entry;
+    return null;
+  }
+
+  [Symbol.iterator]() {
+    return [...this._byNum.values()].sort((a, b) => a.num - b.num)[Symbol.iterator]();
+  }
+
+  /**
+   * Run the system call the program is making.
+   * @param {SyscallContext} sys with sys.instance at the syscall
+   * @returns {{ num: number, entry: object | null, args: object | null, ret: bigint | Promise | undefined }}
+   *   args is null when the call has no entry or its arguments could not
+   *   be read
+   */
+  dispatch(sys) {
+    const num = Number(sys.reg('RAX'));
+    const entry = this.get(num);
+    if (!entry) return { num, entry: null, args: null, ret: BigInt(-ERRNO.ENOSYS) };
+
+    const args = {};
+    try {
+      Object.entries(entry.args).forEach(([name, type], i) => {
+        args[name] = ARG_TYPES[type](sys, sys.reg(ARG_REGISTERS[i]));
+      });
+    } catch (err) {
+      return { num, entry, args: null, ret: faultToErrno(err) };
+    }
+    let ret;
+    try {
+      ret = entry.impl(sys, args);
+    } catch (err) {
+      return { num, entry, args, ret: faultToErrno(err) };
+    }
+    if (typeof ret?.then === 'function') ret = ret.catch(faultToErrno);
+    return { num, entry, args, ret: typeof ret === 'number' ? BigInt(ret) : ret };
+  }
+}
+
+/**
+ * What system calls see of the process: its registers and memory, its
+ * files, directory and program break, and the run it belongs to. AxRuntime
+ * makes one per run.
+ */
+export class SyscallContext {
+  /**
+   * @param {import('./AxRuntime.js').AxRuntime} runtime
+   * @param {{ cwd: string, heapStart: bigint }} process
+   */
+  constructor(runtime, { cwd, heapStart }) {
+    this.runtime = runtime;
+    this.instance = null; // the Axecutor, set at each syscall
+
+    // File descriptor table: { fd: { path, offset, append } }
+    this.fds = new Map();
+    this.nextFd = 3;
+    this.cwd = cwd;
+
+    // Heap management (brk)
+    this.heapStart = heapStart;
+    this.brk = heapStart;
+    this.heapMapped = false;
+
+    this.exitCode = 0;
+    this.stopReason = 'unknown';
+  }
+
+  get vfs() {
+    return this.runtime.vfs;
+  }
+
+  // Raw 64-bit value of a register, by name ('RAX', 'RDI', …)
+  reg(name) {
+    return this.instance.reg_read_64(Register[name]);
+  }
+
+  // -errno as a syscall returns it: return sys.errno('EBADF')
+  errno(name) {
+    if (!ERRNO[name]) throw new Error(`Unknown errno: ${name}`);
+    return -ERRNO[name];
+  }
+
+  // End the program, as exit(2) does
+  exit(code) {
+    this.exitCode = code;
+    this.stopReason = `exit(${code})`;
+  }
+
+  get exited() {
+    return this.stopReason !== 'unknown';
+  }
+
+  // A path the program gave, made absolute against its working directory
+  resolvePath(path) {
+    return resolvePath(path, this.cwd);
+  }
+
+  /* ── Memory ───────────────────────────────────────────────────────────── */
+
+  // These throw a SyscallFault for memory the program has not mapped
+
+  /**
+   * A NUL-terminated string from the program's memory.
+   * @param {bigint} addr
+   * @param {number} [maxLen] bytes to read at most
+   */
+  readString(addr, maxLen = 4096) {
+    const bytes = [];
+    for (let p = addr; bytes.length < maxLen; p++) {
+      const b = this._access(p, () => this.instance.mem_read_bytes(p, 1n))[0];
+      if (!b) break;
+      bytes.push(b);
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes));
+  }
+
+  readBytes(addr, len) {
+    return this._access(addr, () => this.instance.mem_read_bytes(addr, BigInt(len)));
+  }
+
+  writeBytes(addr, bytes) {
+    if (bytes.length) this._access(addr, () => this.instance.mem_write_bytes(addr, bytes));
+  }
+
+  /**
+   * Fill in fields of a struct in the program's memory, little-endian.
+   * @param {bigint} addr
+   * @param {{ [field: string]: { offset: number, size: number } }} layout
+   * @param {{ [field: string]: number | bigint }} values fields to write;
+   *   the rest are left as they are
+   */
+  writeStruct(addr, layout, values) {
+    for (const [field, value] of Object.entries(values)) {
+      const { offset, size } = layout[field] ?? {};
+      if (size === undefined) throw new Error(`No field ${field} in struct`);
+      const bytes = new Uint8Array(size);
+      let v = BigInt.asUintN(size * 8, BigInt(value));
+      for (let i = 0; i < size; i++, v >>= 8n) bytes[i] = Number(v & 0xffn);
+      this.writeBytes(addr + BigInt(offset), bytes);
+    }
+  }
+
+  _access(addr, access) {
+    try {
+      return access();
+    } catch {
+      throw new SyscallFault(addr);
+    }
+  }
+}
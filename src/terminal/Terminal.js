@@ -1,14 +1,29 @@
 /**
  * Terminal — Output display component
- * Renders stdout/stderr/system messages from the Blink engine.
+ * Renders stdout/stderr/system messages from the Blink engine, and takes
+ * a running program's input: emits "stdin" ({ text }) and "stdineof".
  */
 
-export class Terminal {
+import { formatIR } from '../engine/ir.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// Rows the Syscalls view shows at most, the last of those that match
+const MAX_SYSCALL_ROWS = 2000;
+
+export class Terminal extends EventEmitter {
   constructor(containerEl) {
+    super();
     this.container = containerEl;
     this._output   = null;
     this._cursor   = null;
     this._activeView = 'editor';
+    this._disasmRows = [];
+    this._disasmSyntax = 'att'; // or 'intel'
+    this._stdinMode = 'line';   // or 'raw'
+    this._stdinShown = false;
+    this._syscalls = null;        // the last run's syscall log
+    this._syscallsDropped = 0;
+    this._syscallFilter = 'all';  // 'all', 'failed' or a syscall name
   }
 
   mount() {
@@ -21,14 +36,25 @@ export class Terminal {
         </div>
       </div>
       <div id="terminal-output"></div>
+      <div id="stdin-bar">
+        <span class="stdin-prompt">stdin ›</span>
+        <input id="stdin-input" spellcheck="false" autocomplete="off" />
+        <button class="terminal-btn" id="stdin-mode" title="LINE: Enter sends the line. RAW: every key is sent as it is typed">LINE</button>
+        <button class="terminal-btn" id="stdin-eof" title="End of input (Ctrl+D)">^D</button>
+      </div>
       <div id="process-info"></div>
       <div id="registers"></div>
       <div id="disassembly"></div>
       <div id="memory"></div>
+      <div id="ir-view"></div>
+      <div id="syscalls"></div>
     `;
     this._output = this.container.querySelector('#terminal-output');
     this.container.querySelector('#term-clear').onclick  = () => this.clear();
     this.container.querySelector('#term-bottom').onclick = () => this.scrollToBottom();
+    this.container.querySelector('#stdin-input').onkeydown = e => this._onStdinKey(e);
+    this.container.querySelector('#stdin-mode').onclick = () => this.setStdinMode(this._stdinMode === 'line' ? 'raw' : 'line');
+    this.container.querySelector('#stdin-eof').onclick = () => this._sendEof();
     this._appendCursor();
     this.setView('editor');
     return this;
@@ -53,25 +79,108 @@ export class Terminal {
   success(text) { this.write(text, 'success'); }
   info(text)    { this.write(text, 'info');    }
 
+  // gcc-style compiler output: location lines coloured by severity, the
+  // quoted source plain and the caret line under it highlighted
+  diagnostics(text) {
+    for (const line of text.split('\n')) {
+      const severity = line.match(/(?:^|: )(error|warning|note): /)?.[1];
+      if (severity) this.write(line, severity === 'error' ? 'stderr' : severity === 'warning' ? 'warning' : 'info');
+      else this.write(line, /^\s*\|/.test(line) ? 'caret' : 'stdout');
+    }
+  }
+
   clear() {
     this._output.innerHTML = '';
     const dis = this.container.querySelector('#disassembly');
     const mem = this.container.querySelector('#memory');
+    const ir = this.container.querySelector('#ir-view');
+    const sys = this.container.querySelector('#syscalls');
     if (dis) dis.innerHTML = '';
     if (mem) mem.innerHTML = '';
+    if (ir) ir.innerHTML = '';
+    if (sys) sys.innerHTML = '';
+    this._disasmRows = [];
+    this._syscalls = null;
     this._cursor = null;
     this._appendCursor();
   }
 
   scrollToBottom() { this._output.scrollTop = this._output.scrollHeight; }
 
+  /* ── Program input ───────────────────────────────────────────────────── */
+
+  // The input line, shown while a program waits for input and until it ends
+  showStdin() {
+    this._stdinShown = true;
+    this.setView(this._activeView);
+    this.container.querySelector('#stdin-input')?.focus();
+  }
+
+  hideStdin() {
+    this._stdinShown = false;
+    const input = this.container.querySelector('#stdin-input');
+    if (input) input.value = '';
+    this.setView(this._activeView);
+  }
+
+  // 'line': the line is edited here and sent, echoed, on Enter.
+  // 'raw': every key goes to the program as it is typed, without echo.
+  setStdinMode(mode) {
+    this._stdinMode = mode;
+    const btn = this.container.querySelector('#stdin-mode');
+    if (btn) btn.textContent = mode.toUpperCase();
+    const input = this.container.querySelector('#stdin-input');
+    if (input) input.value = '';
+  }
+
+  _onStdinKey(e) {
+    const input = e.target;
+    if (e.ctrlKey && e.key.toLowerCase() === 'd') {
+      e.preventDefault();
+      // As in a terminal, Ctrl+D sends what is typed, or ends the input
+      if (this._stdinMode === 'line' && input.value) this._sendLine(input, '');
+      else this._sendEof();
+      return;
+    }
+
+    if (this._stdinMode === 'line') {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this._sendLine(input, '\n');
+      }
+      return;
+    }
+
+    const text = e.key === 'Enter' ? '\n'
+      : e.key === 'Backspace' ? '\x7f'
+      : e.key === 'Tab' ? '\t'
+      : e.key === 'Escape' ? '\x1b'
+      : e.ctrlKey && /^[a-z]$/i.test(e.key) ? String.fromCharCode(e.key.toUpperCase().charCodeAt(0) - 64)
+      : e.key.length === 1 && !e.metaKey && !e.altKey ? e.key
+      : null;
+    if (text === null) return;
+    e.preventDefault();
+    this.emit('stdin', { text });
+  }
+
+  _sendLine(input, end) {
+    this.write(input.value, 'stdin');
+    this.emit('stdin', { text: input.value + end });
+    input.value = '';
+  }
+
+  _sendEof() {
+    this.write('^D', 'stdin');
+    this.emit('stdineof');
+  }
+
   updateProcessInfo({ exitCode, runtime, instrCount }) {
     const el = this.container.querySelector('#process-info');
     if (!el) return;
     el.innerHTML = `
       <div class="proc-row"><span class="proc-label">EXIT CODE</span><span class="proc-value">${exitCode}</span></div>
       <div class="proc-row"><span class="proc-label">RUNTIME</span><span class="proc-value">${runtime}ms</span></div>
-      <div class="proc-row"><span class="proc-label">INSTRUCTIONS</span><span class="proc-value">${instrCount.toLocaleString()}</span></div>
+      <div class="proc-row"><span class="proc-label">INSTRUCTIONS</span><span class="proc-value">${instrCount?.toLocaleString() ?? '—'}</span></div>
     `;
   }
 
@@ -87,29 +196,48 @@ export class Terminal {
     `).join('');
   }
 
+  // One row per instruction, under a label for each symbol, in AT&T or
+  // Intel syntax as chosen with the buttons in the title
   updateDisassembly(rows = []) {
     const el = this.container.querySelector('#disassembly');
     if (!el) return;
+    this._disasmRows = rows;
 
     if (!rows.length) {
       el.innerHTML = `<div class="section-title">DISASSEMBLY</div><div class="empty-state">No disassembly available.</div>`;
       return;
     }
 
+    const intel = this._disasmSyntax === 'intel';
     el.innerHTML = `
-      <div class="section-title">DISASSEMBLY</div>
+      <div class="section-title disasm-title">
+        <span>DISASSEMBLY</span>
+        <span class="disasm-syntax">
+          <button class="terminal-btn${intel ? '' : ' active'}" data-syntax="att">AT&amp;T</button>
+          <button class="terminal-btn${intel ? ' active' : ''}" data-syntax="intel">INTEL</button>
+        </span>
+      </div>
       <div class="disasm-table">
         ${rows.map(r => `
+          ${r.label ? `<div class="disasm-label">${escapeHtml(`<${r.label}>:`)}</div>` : ''}
           <div class="disasm-row">
             <span class="disasm-mark">${r.marker ?? ' '}</span>
             <span class="disasm-va">${r.va}</span>
             <span class="disasm-bytes">${r.bytes}</span>
-            <span class="disasm-text">${r.text}</span>
-            <span class="disasm-src">${r.source ?? ''}</span>
+            <span class="disasm-text">${escapeHtml((intel ? r.intel : null) ?? r.text)}</span>
+            <span class="disasm-src">${escapeHtml(r.source ?? '')}</span>
           </div>
         `).join('')}
       </div>
     `;
+    el.querySelectorAll('[data-syntax]').forEach(btn => {
+      btn.onclick = () => this.setDisassemblySyntax(btn.dataset.syntax);
+    });
+  }
+
+  setDisassemblySyntax(syntax) {
+    this._disasmSyntax = syntax;
+    this.updateDisassembly(this._disasmRows);
   }
 
   updateMemory(snapshot = {}) {
@@ -144,23 +272,111 @@ export class Terminal {
     `;
   }
 
+  // The compiler's intermediate stages for the last C build: the IR as
+  // text (see engine/ir.js) and the AST as JSON
+  updateIR({ ast, ir } = {}) {
+    const el = this.container.querySelector('#ir-view');
+    if (!el) return;
+
+    if (!ast || !ir) {
+      el.innerHTML = `<div class="section-title">AST / IR</div><div class="empty-state">Compile a C program to see its AST and IR.</div>`;
+      return;
+    }
+
+    el.innerHTML = `
+      <div class="section-title">IR (THREE-ADDRESS CODE)</div>
+      <pre class="ir-code" id="ir-text"></pre>
+      <div class="section-title">AST</div>
+      <pre class="ir-code" id="ast-json"></pre>
+    `;
+    el.querySelector('#ir-text').textContent = formatIR(ir);
+    el.querySelector('#ast-json').textContent = JSON.stringify(ast, null, 2);
+  }
+
+  // The last run's system calls as strace prints them (engine/strace.js),
+  // all of them, the failed ones or those of one syscall
+  updateSyscalls(calls, dropped = 0) {
+    this._syscalls = calls;
+    this._syscallsDropped = dropped;
+    this._renderSyscalls();
+  }
+
+  setSyscallFilter(filter) {
+    this._syscallFilter = filter;
+    this._renderSyscalls();
+  }
+
+  _renderSyscalls() {
+    const el = this.container.querySelector('#syscalls');
+    if (!el) return;
+    const calls = this._syscalls;
+
+    if (!calls?.length) {
+      const message = calls ? 'The program made no system calls.' : 'Run a program to see its system calls.';
+      el.innerHTML = `<div class="section-title">SYSCALLS</div><div class="empty-state">${message}</div>`;
+      return;
+    }
+
+    const counts = new Map();
+    for (const call of calls) counts.set(call.name, (counts.get(call.name) ?? 0) + 1);
+    const failed = call => Boolean(call.errno || call.error);
+    // A filter for a syscall this run did not make shows them all
+    const filter = this._syscallFilter === 'failed' || counts.has(this._syscallFilter) ? this._syscallFilter : 'all';
+    const shown = calls.filter(call => filter === 'all' || (filter === 'failed' ? failed(call) : call.name === filter));
+    const rows = shown.slice(-MAX_SYSCALL_ROWS);
+    const notes = [];
+    if (this._syscallsDropped) notes.push(`${this._syscallsDropped.toLocaleString()} earlier calls were dropped from the log`);
+    if (rows.length < shown.length) notes.push(`${(shown.length - rows.length).toLocaleString()} earlier calls not shown`);
+
+    el.innerHTML = `
+      <div class="section-title strace-title">
+        <span>SYSCALLS</span>
+        <select class="strace-filter" title="Show">
+          <option value="all">all (${calls.length})</option>
+          <option value="failed">failed (${calls.filter(failed).length})</option>
+          ${[...counts].sort(([a], [b]) => a.localeCompare(b)).map(([name, count]) =>
+            `<option value="${escapeHtml(name)}">${escapeHtml(name)} (${count})</option>`).join('')}
+        </select>
+      </div>
+      ${notes.map(note => `<div class="strace-note">${note}</div>`).join('')}
+      ${rows.map(call => `
+        <div class="strace-row${failed(call) ? ' failed' : ''}">
+          <span class="strace-seq">${call.seq}</span>
+          <span class="strace-call">${escapeHtml(call.text)}</span>
+        </div>
+      `).join('')}
+      ${rows.length ? '' : '<div class="empty-state">No matching calls.</div>'}
+    `;
+    const select = el.querySelector('.strace-filter');
+    select.value = filter;
+    select.onchange = () => this.setSyscallFilter(select.value);
+  }
+
   setView(tab) {
     this._activeView = tab;
     const showEditor = tab === 'editor';
     const showDisasm = tab === 'disasm';
     const showMemory = tab === 'memory';
+    const showIR = tab === 'ir';
+    const showSyscalls = tab === 'syscalls';
 
     const out = this.container.querySelector('#terminal-output');
     const p = this.container.querySelector('#process-info');
     const r = this.container.querySelector('#registers');
     const d = this.container.querySelector('#disassembly');
     const m = this.container.querySelector('#memory');
+    const ir = this.container.querySelector('#ir-view');
+    const sys = this.container.querySelector('#syscalls');
+    const stdin = this.container.querySelector('#stdin-bar');
 
     if (out) out.style.display = showEditor ? 'block' : 'none';
+    if (stdin) stdin.style.display = showEditor && this._stdinShown ? 'flex' : 'none';
     if (p) p.style.display = showEditor ? 'block' : 'none';
     if (r) r.style.display = showEditor ? 'block' : 'none';
     if (d) d.style.display = showDisasm ? 'block' : 'none';
     if (m) m.style.display = showMemory ? 'block' : 'none';
+    if (ir) ir.style.display = showIR ? 'block' : 'none';
+    if (sys) sys.style.display = showSyscalls ? 'block' : 'none';
   }
 
   _appendCursor() {
@@ -171,4 +387,8 @@ export class Terminal {
 
   _removeCursor() { this._cursor?.remove(); this._cursor = null; }
   _stripAnsi(s)   { return s.replace(/\x1b\[[0-9;]*m/g, ''); }
-}
\ No newline at end of file
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -3,8 +3,11 @@
  * Instantiates and connects: BlinkEngine, VirtualFS, Editor, Terminal, UI components
  */
 
-import { AxRuntime }   from '../engine/AxRuntime.js';
+import { WorkerRuntime, DEFAULT_LIMITS } from '../engine/WorkerRuntime.js';
 import { Compiler }    from '../engine/Compiler.js';
+import { CompileError, formatDiagnostics } from '../engine/diagnostics.js';
+import { isArchive, isObjectFile } from '../engine/objfile.js';
+import { runConfig, runOptions } from '../engine/runconfig.js';
 import { VirtualFS }   from '../engine/VirtualFS.js';
 import { Editor }      from '../editor/Editor.js';
 import { DEMO_FILES }  from '../editor/demoFiles.js';
@@ -14,14 +17,25 @@ import { Sidebar }     from './Sidebar.js';
 import { StatusBar }   from './StatusBar.js';
 import { Diagnostics } from '../utils/Diagnostics.js';
 
+// Uploaded relocatable objects and static archives
+const BINARY_OBJECT = /\.(o|a)$/;
+
+// Run configurations of the workspace files, by file name
+const RUN_CONFIG_PATH = '/home/user/.helixcore/run.json';
+
 export class App {
   constructor(rootEl) {
     this.root     = rootEl;
-    this.engine   = new AxRuntime();
+    this.engine   = new WorkerRuntime(); // runs programs in a Web Worker
     this.compiler = new Compiler();
     this.vfs      = new VirtualFS();
+    this.compiler.vfs = this.vfs; // #include "..." reads from the workspace
     this.diag     = new Diagnostics();
     this._running = false;
+    this._optLevel = 0; // C optimisation level, set from the sidebar
+    this._limits = { ...DEFAULT_LIMITS }; // instruction and time limits of a run
+    this._runConfigs = {}; // argv, env, cwd and stdin of each file's runs, by name
+    this._stdinOpen = false; // the Terminal's input line is showing
   }
 
   async boot() {
@@ -54,10 +68,19 @@ export class App {
 
   _wireEvents() {
     this.titlebar.on('tabchange', ({ tab }) => this.terminal.setView(tab));
-    this.sidebar.on('fileselect', ({ name }) => this.editor.loadFile(name));
+    this.sidebar.on('fileselect', ({ name }) => {
+      this.editor.loadFile(name);
+      this.sidebar.setRunConfig(this._runConfig(name));
+    });
     this.sidebar.on('run',   () => this.runProgram());
+    this.sidebar.on('stop',  () => this.engine.stop());
     this.sidebar.on('clear', () => this.terminal.clear());
     this.sidebar.on('registerbaseline', ({ enabled }) => this.engine.setRegisterBaseline(enabled));
+    this.sidebar.on('optimize', ({ enabled }) => { this._optLevel = enabled ? 1 : 0; });
+    this.sidebar.on('limits', limits => { this._limits = limits; });
+    this.sidebar.on('runconfig', config => this._setRunConfig(this.editor.getFile(), config));
+    this.terminal.on('stdin', ({ text }) => this.engine.writeStdin(text));
+    this.terminal.on('stdineof', () => this.engine.endStdin());
     this.sidebar.on('elfupload', ({ file }) => this._handleElfUpload(file));
     this.sidebar.on('filecreate', ({ name }) => this._createFile(name));
     this.sidebar.on('filerename', ({ oldName, newName }) => this._renameFile(oldName, newName));
@@ -73,6 +96,11 @@ export class App {
 
     this.engine.onStdout = chunk => this.terminal.write(chunk, 'stdout');
     this.engine.onStderr = chunk => this.terminal.error(chunk);
+    this.engine.onStdinWait = waiting => {
+      if (!waiting || this._stdinOpen) return;
+      this._stdinOpen = true;
+      this.terminal.showStdin();
+    };
   }
 
   _wireResizers() {
@@ -142,7 +170,10 @@ export class App {
     this.terminal.system('Press ▶ RUN or Ctrl+Enter to execute.');
     this.sidebar.enableRun();
     this.sidebar.setRegisterBaseline(Boolean(this.engine?._registerBaselineEnabled));
+    this.sidebar.setOptimize(this._optLevel > 0);
+    this.sidebar.setLimits(this._limits);
     await this.vfs.open();
+    await this._loadRunConfigs();
     await this._initialiseWorkspaceFiles();
   }
 
@@ -155,17 +186,22 @@ export class App {
     const lang = this.sidebar.getLang();
     const code = this.editor.getCode();
     const file = this.editor.getFile();
+    const config = this._runConfig(file);
+    const project = lang === 'c' ? this._projectFiles(file, config) : [file];
+    const binaries = lang === 'c' ? this._projectBinaries(config) : [];
 
     this.terminal.clear();
     this.terminal.system(`[HelixCore] Executing: ${file}`);
 
     const cmdMap = {
-      c:   `chibicc ${file} -> defasm -> ax ./program`,
+      c:   `chibicc${this._optLevel ? ` -O${this._optLevel}` : ''} ${[...project, ...binaries].join(' ')} -> defasm -> ax ./program`,
       asm: `defasm ${file} -> ax ./program`,
       sh:  `sh ./${file}`,
       elf: `ax ./${file}`,
     };
-    const command = cmdMap[lang] ?? `ax ./${file}`;
+    const args = config.args.trim() ? ` ${config.args.trim()}` : '';
+    const redirect = config.stdin.source === 'file' && config.stdin.file ? ` < ${config.stdin.file}` : '';
+    const command = (cmdMap[lang] ?? `ax ./${file}`) + args + redirect;
     const preRunSnapshot = {
       language: lang,
       file,
@@ -174,24 +210,38 @@ export class App {
       codeLength: code.length,
       engineInitialized: Boolean(this.engine?._initialized),
       registerBaselineEnabled: Boolean(this.engine?._registerBaselineEnabled),
+      optLevel: this._optLevel,
+      runConfig: config,
       activeView: this.terminal?._activeView ?? 'editor',
     };
     this.terminal.cmd(command);
 
     try {
+      const options = runOptions(config);
       let elfBytes = null;
       let sourceMap = [];
       if (lang === 'asm') {
         this.terminal.system('[HelixCore] Assembling...');
-        const result = this.compiler.assembleGas(code);
+        const result = this.compiler.assembleGas(code, { path: this._vfsPath(file) });
         elfBytes = result.elf;
         const kb = (elfBytes.length / 1024).toFixed(1);
         this.terminal.success(`[HelixCore] Assembled — ${kb} KB ELF`);
       } else if (lang === 'c') {
-        this.terminal.system('[HelixCore] Compiling C...');
-        const result = await this.compiler.compileC(code);
+        this.terminal.system(`[HelixCore] Compiling C${project.length > 1 ? ` (${project.length} files)` : ''}...`);
+        const sources = project.map(name => ({
+          path: this._vfsPath(name),
+          source: name === file ? code : this.editor.getFileContent(name),
+        }));
+        const objects = await Promise.all(binaries.map(async name => ({
+          path: this._vfsPath(name),
+          bytes: await this.vfs.read(this._vfsPath(name)),
+        })));
+        const result = await this.compiler.compileProject(sources, { optLevel: this._optLevel, binaries: objects });
+        const readSource = p => sources.find(f => f.path === p)?.source ?? null;
+        if (result.diagnostics.length) this.terminal.diagnostics(formatDiagnostics(result.diagnostics, readSource));
         elfBytes = result.elf;
         sourceMap = result.sourceMap;
+        this.terminal.updateIR(result.units[0]);
         const kb = (elfBytes.length / 1024).toFixed(1);
         this.terminal.success(`[HelixCore] Compiled — ${kb} KB ELF`);
       } else if (lang === 'sh') {
@@ -208,17 +258,29 @@ export class App {
 
       let result;
       if (elfBytes) {
-        result = await this.engine.run(elfBytes, sourceMap);
+        const stdin = await this._stdinBytes(config.stdin);
+        result = await this.engine.run(elfBytes, sourceMap, { ...this._limits, ...options, stdin });
       } else {
         throw new Error(`No executable payload produced for ${file}`);
       }
 
       this.terminal.success('─────────────────────────────────────────');
-      this.terminal.system(`[HelixCore] Exit: ${result.exitCode} | ${result.runtime}ms | ${result.instrCount.toLocaleString()} instructions`);
+      if (result.stopReason === 'time limit exceeded') {
+        const limit = result.limit === 'instructions'
+          ? `${this._limits.maxInstructions.toLocaleString()} instructions`
+          : `${this._limits.timeLimitMs / 1000} s`;
+        this.terminal.error(`[HelixCore] Time limit exceeded (${limit})`);
+      } else if (result.stopReason === 'stopped') {
+        this.terminal.error('[HelixCore] Stopped');
+      }
+      // A stopped worker cannot say how far the program got
+      const instructions = result.instrCount === null ? '' : ` | ${result.instrCount.toLocaleString()} instructions`;
+      this.terminal.system(`[HelixCore] Exit: ${result.exitCode} | ${result.runtime}ms${instructions}`);
       this.terminal.updateProcessInfo(result);
       if (result.registers) this.terminal.updateRegisters(result.registers);
       if (result.disassembly) this.terminal.updateDisassembly(result.disassembly);
       if (result.memory) this.terminal.updateMemory(result.memory);
+      if (result.syscalls) this.terminal.updateSyscalls(result.syscalls, result.syscallsDropped);
       this.statusbar.setLastExit(result.exitCode);
 
       await this.diag.logExecution({
@@ -231,9 +293,9 @@ export class App {
           registers: result.registers,
           trace: {
             enabled: Boolean(result.trace?.enabled),
-            stopReason: result.trace?.stopReason ?? 'unknown',
+            stopReason: result.stopReason ?? result.trace?.stopReason ?? 'unknown',
             steps: (result.trace?.steps ?? []).slice(0, 20),
-            syscalls: (result.trace?.syscalls ?? []).slice(0, 20),
+            syscalls: (result.syscalls ?? []).slice(0, 20).map(call => call.text),
           },
           disassemblyPreview: (result.disassembly ?? []).slice(0, 8),
           memoryPreview: {
@@ -244,7 +306,13 @@ export class App {
         },
       });
     } catch (err) {
-      this.terminal.error(`[Error] ${err.message}`);
+      if (err instanceof CompileError) {
+        this.terminal.diagnostics(err.message);
+        const count = err.diagnostics.filter(d => d.severity === 'error').length;
+        this.terminal.error(`[Error] ${count} error${count === 1 ? '' : 's'} generated`);
+      } else {
+        this.terminal.error(`[Error] ${err.message}`);
+      }
       this.statusbar.setLastExit(1);
 
       await this.diag.logExecution({
@@ -258,6 +326,10 @@ export class App {
       });
     }
 
+    if (this._stdinOpen) {
+      this._stdinOpen = false;
+      this.terminal.hideStdin();
+    }
     this._running = false;
     this.sidebar.enableRun();
     this.titlebar.setEngineStatus('ready');
@@ -265,19 +337,77 @@ export class App {
 
   async _handleElfUpload(file) {
     const bytes = new Uint8Array(await file.arrayBuffer());
-    if (!Compiler.isValidElf(bytes)) {
+    if (isArchive(bytes)) {
+      this.terminal.success(`[HelixCore] Archive loaded: ${file.name}`);
+      this.terminal.info('It is linked into C programs that need its members.');
+    } else if (!Compiler.isValidElf(bytes)) {
       this.terminal.error(`[Error] ${file.name} is not a valid ELF binary`);
       return;
+    } else if (isObjectFile(bytes)) {
+      const info = Compiler.parseElfHeader(bytes);
+      this.terminal.success(`[HelixCore] Object loaded: ${file.name} | ${info.arch} | ${info.type}`);
+      this.terminal.info('It is linked into C programs in the workspace.');
+    } else {
+      const info = Compiler.parseElfHeader(bytes);
+      this.terminal.success(`[HelixCore] ELF loaded: ${file.name} | ${info.arch} | ${info.type} | entry: ${info.entryPoint}`);
+      this.terminal.info('Press ▶ RUN to execute.');
     }
-    const info = Compiler.parseElfHeader(bytes);
-    this.terminal.success(`[HelixCore] ELF loaded: ${file.name} | ${info.arch} | ${info.type} | entry: ${info.entryPoint}`);
-    this.terminal.info('Press ▶ RUN to execute.');
     await this.vfs.write(`/home/user/${file.name}`, bytes);
     this.editor.addFile(file.name, '');
     this.sidebar.setFiles(this.editor.listFiles(), file.name);
     this.sidebar.selectFile(file.name, true);
   }
 
+  // The input a run starts with, from its run configuration: a text or a
+  // workspace file, or null to read it from the Terminal as it is typed
+  async _stdinBytes({ source, text, file }) {
+    if (source === 'text') return new TextEncoder().encode(text);
+    if (source !== 'file') return null;
+    const bytes = file ? await this.vfs.read(this._vfsPath(file)) : null;
+    if (!bytes) throw new Error(`No such file for stdin: ${file || '(none chosen)'}`);
+    return bytes;
+  }
+
+  // The files of a C program: the one being run, then the .c files its run
+  // configuration links with it, compiled separately and linked together
+  _projectFiles(file, config) {
+    return [file, ...this._linkedFiles(config).filter(name => name.endsWith('.c') && name !== file)];
+  }
+
+  // Prebuilt objects and archives the run configuration links, after the C files
+  _projectBinaries(config) {
+    return this._linkedFiles(config).filter(name => BINARY_OBJECT.test(name));
+  }
+
+  // Files named in config.link that are still in the workspace
+  _linkedFiles(config) {
+    const files = new Set(this.editor.listFiles());
+    return config.link.filter(name => files.has(name));
+  }
+
+  /* ── Run configurations ─────────────────────────────────────────────── */
+
+  _runConfig(name) {
+    return runConfig(this._runConfigs[name]);
+  }
+
+  _setRunConfig(name, config) {
+    if (!name) return;
+    if (config) this._runConfigs[name] = config;
+    else delete this._runConfigs[name];
+    this.vfs.write(RUN_CONFIG_PATH, JSON.stringify(this._runConfigs, null, 2)).catch(() => {});
+  }
+
+  async _loadRunConfigs() {
+    const bytes = await this.vfs.read(RUN_CONFIG_PATH);
+    if (!bytes) return;
+    try {
+      this._runConfigs = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+      this._runConfigs = {}; // unreadable: start again from the defaults
+    }
+  }
+
   _vfsPath(name) {
     return `/home/user/${name}`;
   }
@@ -300,7 +430,7 @@ export class App {
       const bytes = await this.vfs.read(this._vfsPath(entry.name));
       if (!bytes) continue;
 
-      if (entry.name.endsWith('.elf') || entry.name.endsWith('.bin') || entry.name.endsWith('.com')) {
+      if (entry.name.endsWith('.elf') || entry.name.endsWith('.bin') || entry.name.endsWith('.com') || BINARY_OBJECT.test(entry.name)) {
         fileMap[entry.name] = '';
       } else {
         fileMap[entry.name] = new TextDecoder().decode(bytes);
@@ -361,6 +491,13 @@ export class App {
     this.editor.renameFile(from, to);
     await this.vfs.write(this._vfsPath(to), content);
     await this.vfs.delete(this._vfsPath(from));
+    if (this._runConfigs[from]) {
+      this._setRunConfig(to, this._runConfigs[from]);
+      this._setRunConfig(from, null);
+    }
+    for (const [name, config] of Object.entries(this._runConfigs)) {
+      if (config.link?.includes(from)) this._setRunConfig(name, { ...config, link: config.link.map(n => (n === from ? to : n)) });
+    }
 
     this.sidebar.setFiles(this.editor.listFiles(), to);
     this.sidebar.selectFile(to, true);
@@ -379,6 +516,7 @@ export class App {
     const wasActive = this.editor.getFile() === target;
     this.editor.deleteFile(target);
     await this.vfs.delete(this._vfsPath(target));
+    if (this._runConfigs[target]) this._setRunConfig(target, null);
 
     const next = this.editor.listFiles()[0];
     this.sidebar.setFiles(this.editor.listFiles(), wasActive ? next : this.sidebar.getActiveFile());
@@ -34,15 +34,43 @@ export class Sidebar extends EventEmitter {
         <input type="checkbox" id="register-baseline-toggle" />
         <span>Deterministic Regs</span>
       </label>
+      <label class="sidebar-toggle" for="optimize-toggle">
+        <input type="checkbox" id="optimize-toggle" />
+        <span>Optimize (-O1)</span>
+      </label>
+
+      <div class="sidebar-section">Run</div>
+      <input class="sidebar-text" id="run-args" spellcheck="false" placeholder="Arguments, e.g. file.txt" title="Arguments, split as sh does" />
+      <input class="sidebar-text" id="run-cwd" spellcheck="false" placeholder="Working directory" title="Working directory" />
+      <textarea class="sidebar-text" id="run-env" rows="3" spellcheck="false" placeholder="Environment, NAME=value per line" title="Environment"></textarea>
+      <select class="lang-select" id="stdin-source" title="Stdin">
+        <option value="terminal">Terminal (interactive)</option>
+        <option value="text">Text</option>
+        <option value="file">Workspace file</option>
+      </select>
+      <textarea class="sidebar-text" id="stdin-text" rows="3" spellcheck="false" placeholder="Input for the program" style="display:none"></textarea>
+      <select class="lang-select" id="stdin-file" style="display:none"></select>
+      <select class="lang-select" id="run-link" multiple size="3" title="Other files linked with a C program (.c, .o, .a)" style="display:none"></select>
+
+      <div class="sidebar-section">Limits</div>
+      <label class="sidebar-field" for="instr-limit">
+        <span>Instructions (M)</span>
+        <input type="number" id="instr-limit" min="1" step="1" />
+      </label>
+      <label class="sidebar-field" for="time-limit">
+        <span>Time (s)</span>
+        <input type="number" id="time-limit" min="1" step="1" />
+      </label>
 
       <div class="sidebar-actions">
         <button class="btn btn-run" id="run-btn" disabled>▶ RUN</button>
+        <button class="btn btn-stop" id="stop-btn" disabled>■ STOP</button>
       </div>
       <div class="sidebar-actions" style="padding-top:0">
         <button class="btn btn-secondary" id="clear-btn" style="flex:1">CLR</button>
         <button class="btn btn-secondary" id="upload-btn" style="flex:1">ELF ↑</button>
       </div>
-      <input type="file" id="elf-upload" accept=".elf,.bin,.com" style="display:none" />
+      <input type="file" id="elf-upload" accept=".elf,.bin,.com,.o,.a" style="display:none" />
     `;
 
         this._renderTree();
@@ -50,10 +78,28 @@ export class Sidebar extends EventEmitter {
         document.getElementById('file-ren-btn').onclick = () => this._promptRename();
         document.getElementById('file-del-btn').onclick = () => this._promptDelete();
         document.getElementById('run-btn').onclick    = () => this.emit('run');
+        document.getElementById('stop-btn').onclick   = () => this.emit('stop');
         document.getElementById('clear-btn').onclick  = () => this.emit('clear');
         document.getElementById('register-baseline-toggle').onchange = e => {
           this.emit('registerbaseline', { enabled: Boolean(e.target.checked) });
         };
+        document.getElementById('optimize-toggle').onchange = e => {
+          this.emit('optimize', { enabled: Boolean(e.target.checked) });
+        };
+        const onLimits = () => {
+          const instructions = Number(document.getElementById('instr-limit').value);
+          const seconds = Number(document.getElementById('time-limit').value);
+          if (!(instructions > 0) || !(seconds > 0)) return;
+          this.emit('limits', { maxInstructions: Math.round(instructions * 1e6), timeLimitMs: Math.round(seconds * 1000) });
+        };
+        document.getElementById('instr-limit').onchange = onLimits;
+        document.getElementById('time-limit').onchange = onLimits;
+        for (const id of ['run-args', 'run-cwd', 'run-env', 'stdin-text']) {
+          document.getElementById(id).oninput = () => this._onRunConfigChange();
+        }
+        document.getElementById('stdin-source').onchange = () => this._onRunConfigChange();
+        document.getElementById('stdin-file').onchange = () => this._onRunConfigChange();
+        document.getElementById('run-link').onchange = () => this._onRunConfigChange();
         document.getElementById('upload-btn').onclick = () => document.getElementById('elf-upload').click();
         document.getElementById('elf-upload').onchange = e => {
             const file = e.target.files[0];
@@ -92,13 +138,87 @@ export class Sidebar extends EventEmitter {
 
     getLang()    { return document.getElementById('lang-select')?.value ?? 'c'; }
     setLang(lang) { const s = document.getElementById('lang-select'); if (s) s.value = lang; }
-    enableRun()  { const b = document.getElementById('run-btn'); if (b) b.disabled = false; }
-    disableRun() { const b = document.getElementById('run-btn'); if (b) b.disabled = true; }
+    // STOP is enabled exactly while RUN is not, i.e. while a program runs
+    enableRun()  { this._setRunning(false); }
+    disableRun() { this._setRunning(true); }
+    _setRunning(running) {
+      const run = document.getElementById('run-btn');
+      const stop = document.getElementById('stop-btn');
+      if (run) run.disabled = running;
+      if (stop) stop.disabled = !running;
+    }
     getActiveFile() { return this._active; }
     setRegisterBaseline(enabled) {
       const t = document.getElementById('register-baseline-toggle');
       if (t) t.checked = Boolean(enabled);
     }
+    setOptimize(enabled) {
+      const t = document.getElementById('optimize-toggle');
+      if (t) t.checked = Boolean(enabled);
+    }
+    // The active file's run configuration (see engine/runconfig.js):
+    // { args, env, cwd, stdin: { source: 'terminal' | 'text' | 'file', text, file }, link }
+    setRunConfig({ args, env, cwd, stdin, link }) {
+      const sel = document.getElementById('stdin-source');
+      if (!sel) return;
+      document.getElementById('run-args').value = args;
+      document.getElementById('run-cwd').value = cwd;
+      document.getElementById('run-env').value = env;
+      sel.value = stdin.source;
+      document.getElementById('stdin-text').value = stdin.text;
+      this._renderStdinFiles(stdin.file);
+      this._showStdinSource(stdin.source);
+      this._renderLinkFiles(link);
+    }
+
+    getRunConfig() {
+      const value = (id, fallback = '') => document.getElementById(id)?.value ?? fallback;
+      return {
+        args: value('run-args'),
+        env: value('run-env'),
+        cwd: value('run-cwd'),
+        stdin: {
+          source: value('stdin-source', 'terminal'),
+          text: value('stdin-text'),
+          file: value('stdin-file'),
+        },
+        link: [...(document.getElementById('run-link')?.selectedOptions ?? [])].map(option => option.value),
+      };
+    }
+
+    _onRunConfigChange() {
+      const config = this.getRunConfig();
+      this._showStdinSource(config.stdin.source);
+      this.emit('runconfig', config);
+    }
+
+    _showStdinSource(source) {
+      document.getElementById('stdin-text').style.display = source === 'text' ? 'block' : 'none';
+      document.getElementById('stdin-file').style.display = source === 'file' ? 'block' : 'none';
+    }
+
+    _renderStdinFiles(selected = document.getElementById('stdin-file')?.value) {
+      const sel = document.getElementById('stdin-file');
+      if (!sel) return;
+      sel.innerHTML = this._files.map(name => `<option value="${name}">${name}</option>`).join('');
+      if (this._files.includes(selected)) sel.value = selected;
+    }
+
+    // The files the active one can be linked with; hidden when there are none
+    _renderLinkFiles(selected = this.getRunConfig().link) {
+      const sel = document.getElementById('run-link');
+      if (!sel) return;
+      const files = this._files.filter(name => /\.(c|o|a)$/.test(name) && name !== this._active);
+      sel.innerHTML = files.map(name => `<option value="${name}"${selected.includes(name) ? ' selected' : ''}>${name}</option>`).join('');
+      sel.style.display = files.length ? 'block' : 'none';
+    }
+
+    setLimits({ maxInstructions, timeLimitMs }) {
+      const instr = document.getElementById('instr-limit');
+      const time = document.getElementById('time-limit');
+      if (instr) instr.value = String(maxInstructions / 1e6);
+      if (time) time.value = String(timeLimitMs / 1000);
+    }
 
     setFiles(names, active = null) {
       this._files = [...new Set((names ?? []).filter(Boolean))].sort((a, b) => a.localeCompare(b));
@@ -110,6 +230,8 @@ export class Sidebar extends EventEmitter {
         this._active = this._files[0];
       }
       this._renderTree();
+      this._renderStdinFiles();
+      this._renderLinkFiles();
     }
 
     selectFile(name, emit = false) {
@@ -14,6 +14,8 @@ export class Titlebar extends EventEmitter {
         <button class="nav-tab active" data-tab="editor">Editor</button>
         <button class="nav-tab" data-tab="disasm">Disassembly</button>
         <button class="nav-tab" data-tab="memory">Memory</button>
+        <button class="nav-tab" data-tab="ir">AST / IR</button>
+        <button class="nav-tab" data-tab="syscalls">Syscalls</button>
       </nav>
       <div class="header-controls">
         <div class="engine-status">
@@ -1,8 +1,9 @@
 import { beforeAll, describe, it, expect, vi } from 'vitest';
 
-vi.mock('../src/engine/AxRuntime.js', () => {
+vi.mock('../src/engine/WorkerRuntime.js', () => {
   return {
-    AxRuntime: class AxRuntime {
+    DEFAULT_LIMITS: { maxInstructions: 100_000_000, timeLimitMs: 10_000 },
+    WorkerRuntime: class WorkerRuntime {
       constructor() {
         this.onStdout = null;
         this.onStderr = null;
@@ -118,6 +119,23 @@ describe('App file lifecycle handlers', () => {
     expect(app.sidebar.selectFile).toHaveBeenCalledWith('app.c', true);
   });
 
+  it('keeps a file\'s run configuration across a rename and drops it on delete', async () => {
+    const app = makeApp({ 'wc.c': '', 'cat.c': '' }, 'wc.c');
+    const config = { args: 'notes.txt', env: '', cwd: '/home/user', stdin: { source: 'terminal', text: '', file: '' }, link: [] };
+    app._setRunConfig('wc.c', config);
+    app._setRunConfig('cat.c', { link: ['wc.c'] });
+
+    await app._renameFile('wc.c', 'count.c');
+    expect(app._runConfig('count.c')).toEqual(config);
+    expect(app._runConfig('wc.c').args).toBe('');
+    expect(app._runConfig('cat.c').link).toEqual(['count.c']);
+    app._setRunConfig('cat.c', null);
+
+    await app._deleteFile('count.c');
+    expect(app._runConfigs).toEqual({});
+    expect(app.vfs.write).toHaveBeenLastCalledWith('/home/user/.helixcore/run.json', '{}');
+  });
+
   it('deletes active file, persists delete, and selects next file', async () => {
     const app = makeApp({ 'a.c': 'a', 'b.c': 'b' }, 'a.c');
 
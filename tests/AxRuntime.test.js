@@ -1,5 +1,9 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { AxRuntime } from '../src/engine/AxRuntime.js';
+import { StdinBuffer } from '../src/engine/StdinBuffer.js';
+import { SyscallTable, SyscallContext, errnoName } from '../src/engine/syscallTable.js';
+import { STAT_LAYOUT, LINUX_SYSCALLS } from '../src/engine/linuxSyscalls.js';
+import { SyscallLog, describeSyscall } from '../src/engine/strace.js';
 
 const { Mnemonic, Register, MockAxecutor } = vi.hoisted(() => {
   const Mnemonic = { Syscall: 746 };
@@ -15,6 +19,7 @@ const { Mnemonic, Register, MockAxecutor } = vi.hoisted(() => {
     reg_read_64 = vi.fn(() => 0n);
     reg_write_64 = vi.fn();
     mem_read_bytes = vi.fn(() => new Uint8Array());
+    mem_write_bytes = vi.fn();
     commit = vi.fn(() => ({ type: 'commit' }));
     stop = vi.fn(() => ({ type: 'stop' }));
   }
@@ -142,4 +147,326 @@ describe('AxRuntime', () => {
     expect(stepCalls).toBe(3);
     expect(result.instrCount).toBe(3);
   });
+
+  it('stops a program that outruns its instruction limit', async () => {
+    await runtime.load();
+    const mockAx = new MockAxecutor();
+    vi.mocked(MockAxecutor.from_binary).mockReturnValue(mockAx);
+
+    const result = await runtime.run(new Uint8Array([1, 2, 3]), [], { maxInstructions: 1000 });
+
+    expect(mockAx.step).toHaveBeenCalledTimes(1000);
+    expect(result).toMatchObject({ instrCount: 1000, exitCode: 124, stopReason: 'time limit exceeded', limit: 'instructions' });
+  });
+
+  it('stops a program that outruns its time limit', async () => {
+    await runtime.load();
+    const mockAx = new MockAxecutor();
+    vi.mocked(MockAxecutor.from_binary).mockReturnValue(mockAx);
+
+    const result = await runtime.run(new Uint8Array([1, 2, 3]), [], { timeLimitMs: 0 });
+
+    expect(result).toMatchObject({ exitCode: 124, stopReason: 'time limit exceeded', limit: 'time' });
+    expect(result.instrCount).toBe(4096); // the clock is read every 4096 instructions
+  });
+
+  // A mock whose first instruction is read(0, 0x1000, 16) and second exit(0)
+  const readThenExit = () => {
+    const mockAx = new MockAxecutor();
+    vi.mocked(MockAxecutor.from_binary).mockReturnValue(mockAx);
+    let syscallHook;
+    mockAx.hook_before_mnemonic.mockImplementation((mnemonic, cb) => { syscallHook = cb; });
+    const calls = [
+      { [Register.RAX]: 0n, [Register.RDI]: 0n, [Register.RSI]: 0x1000n, [Register.RDX]: 16n },
+      { [Register.RAX]: 60n, [Register.RDI]: 0n },
+    ];
+    mockAx.step.mockImplementation(async () => {
+      const regs = calls.shift();
+      mockAx.reg_read_64.mockImplementation(reg => regs?.[reg] ?? 0n);
+      syscallHook(mockAx);
+      return true;
+    });
+    return mockAx;
+  };
+
+  it('reads stdin as empty without a StdinBuffer', async () => {
+    await runtime.load();
+    const mockAx = readThenExit();
+    await runtime.run(new Uint8Array([1, 2, 3]));
+    expect(mockAx.reg_write_64).toHaveBeenCalledWith(Register.RAX, 0n);
+    expect(mockAx.mem_write_bytes).not.toHaveBeenCalled();
+  });
+
+  it('waits for input when a read of stdin finds none', async () => {
+    await runtime.load();
+    const mockAx = readThenExit();
+    runtime.stdin = new StdinBuffer();
+    const waits = [];
+    runtime.onStdinWait = waiting => waits.push(waiting);
+
+    const running = runtime.run(new Uint8Array([1, 2, 3]));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(waits).toEqual([true]);
+    expect(mockAx.step).toHaveBeenCalledTimes(1);
+
+    const line = new TextEncoder().encode('42\n');
+    runtime.stdin.push(line);
+    const result = await running;
+
+    expect(waits).toEqual([true, false]);
+    expect(mockAx.mem_write_bytes).toHaveBeenCalledWith(0x1000n, line);
+    expect(mockAx.reg_write_64).toHaveBeenCalledWith(Register.RAX, 3n);
+    expect(result).toMatchObject({ exitCode: 0, instrCount: 2 });
+  });
+
+  it('starts the program with its argv and env and resolves paths against its cwd', async () => {
+    await runtime.load();
+    const mockAx = new MockAxecutor();
+    vi.mocked(MockAxecutor.from_binary).mockReturnValue(mockAx);
+    runtime.vfs = { readSync: vi.fn(path => (path === '/home/user/data/in.txt' ? new Uint8Array(1) : null)), getSizeSync: () => 1 };
+    const strings = { 0x2000: 'data', 0x3000: 'in.txt' };
+    mockAx.mem_read_bytes.mockImplementation((addr, len) => {
+      const base = Object.keys(strings).map(Number).find(b => addr >= b && addr <= b + strings[b].length);
+      const bytes = new TextEncoder().encode(strings[base] + '\0').subarray(Number(addr) - base);
+      return bytes.subarray(0, Number(len));
+    });
+    let syscallHook;
+    mockAx.hook_before_mnemonic.mockImplementation((mnemonic, cb) => { syscallHook = cb; });
+    const calls = [
+      { [Register.RAX]: 80n, [Register.RDI]: 0x2000n },                    // chdir("data")
+      { [Register.RAX]: 2n, [Register.RDI]: 0x3000n, [Register.RSI]: 0n },  // open("in.txt", O_RDONLY)
+      { [Register.RAX]: 79n, [Register.RDI]: 0x4000n, [Register.RSI]: 64n }, // getcwd(buf, 64)
+      { [Register.RAX]: 60n, [Register.RDI]: 0n },
+    ];
+    mockAx.step.mockImplementation(async () => {
+      const regs = calls.shift();
+      mockAx.reg_read_64.mockImplementation(reg => regs?.[reg] ?? 0n);
+      syscallHook(mockAx);
+      return true;
+    });
+
+    await runtime.run(new Uint8Array([1, 2, 3]), [], { argv: ['/bin/program', 'in.txt'], env: ['LANG=C'], cwd: '/home/user' });
+
+    expect(mockAx.init_stack_program_start).toHaveBeenCalledWith(128n * 1024n, ['/bin/program', 'in.txt'], ['LANG=C']);
+    expect(runtime.vfs.readSync).toHaveBeenCalledWith('/home/user/data/in.txt');
+    expect(mockAx.reg_write_64).toHaveBeenCalledWith(Register.RAX, 3n); // the first fd after stdio
+    expect(mockAx.mem_write_bytes).toHaveBeenCalledWith(0x4000n, new TextEncoder().encode('/home/user/data\0'));
+    expect(mockAx.reg_write_64).toHaveBeenCalledWith(Register.RAX, 16n);
+  });
+});
+
+// A mock whose instructions are the given syscalls, then exit(0)
+const syscalls = (...calls) => {
+  const mockAx = new MockAxecutor();
+  vi.mocked(MockAxecutor.from_binary).mockReturnValue(mockAx);
+  let syscallHook;
+  mockAx.hook_before_mnemonic.mockImplementation((mnemonic, cb) => { syscallHook = cb; });
+  calls.push({ [Register.RAX]: 60n, [Register.RDI]: 0n });
+  mockAx.step.mockImplementation(async () => {
+    const regs = calls.shift();
+    mockAx.reg_read_64.mockImplementation(reg => regs?.[reg] ?? 0n);
+    syscallHook(mockAx);
+    return true;
+  });
+  return mockAx;
+};
+
+describe('Syscall registry', () => {
+  let runtime;
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    runtime = new AxRuntime();
+    await runtime.load();
+  });
+
+  it('runs a registered syscall with its arguments decoded', async () => {
+    const mockAx = syscalls({ [Register.RAX]: 500n, [Register.RDI]: 0xffffffffn, [Register.RSI]: 0x2000n });
+    mockAx.mem_read_bytes.mockImplementation(addr => new TextEncoder().encode('hi\0').subarray(Number(addr - 0x2000n)));
+    const impl = vi.fn(() => 42);
+    runtime.registerSyscall({ num: 500, name: 'course_greet', args: { fd: 'fd', name: 'str' }, impl });
+
+    await runtime.run(new Uint8Array([1, 2, 3]));
+
+    expect(impl).toHaveBeenCalledWith(expect.any(SyscallContext), { fd: -1, name: 'hi' });
+    expect(mockAx.reg_write_64).toHaveBeenCalledWith(Register.RAX, 42n);
+  });
+
+  it('lets an embedder replace or remove a built-in syscall', async () => {
+    const mockAx = syscalls(
+      { [Register.RAX]: 1n, [Register.RDI]: 1n, [Register.RSI]: 0x1000n, [Register.RDX]: 3n },
+      { [Register.RAX]: 39n },
+    );
+    runtime.registerSyscall({ num: 1, name: 'write', args: { fd: 'fd' }, impl: (sys, { fd }) => sys.errno(fd === 1 ? 'EPIPE' : 'EBADF') });
+    runtime.onStdout = vi.fn();
+
+    await runtime.run(new Uint8Array([1, 2, 3]));
+    expect(runtime.onStdout).not.toHaveBeenCalled();
+    expect(mockAx.reg_write_64).toHaveBeenCalledWith(Register.RAX, BigInt.asUintN(64, -32n)); // EPIPE
+    expect(mockAx.reg_write_64).toHaveBeenCalledWith(Register.RAX, BigInt.asUintN(64, -38n)); // getpid: ENOSYS
+
+    runtime.unregisterSyscall('write');
+    expect(runtime.syscalls.get(1)).toBeNull();
+    expect(runtime.syscalls.byName('read').num).toBe(0);
+  });
+
+  it('waits for a syscall that returns a Promise, outside the time limit', async () => {
+    const mockAx = syscalls({ [Register.RAX]: 501n });
+    let wake;
+    runtime.registerSyscall({ num: 501, name: 'course_sleep', impl: () => new Promise(resolve => { wake = resolve; }) });
+
+    const running = runtime.run(new Uint8Array([1, 2, 3]), [], { timeLimitMs: 0 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(mockAx.step).toHaveBeenCalledTimes(1);
+    wake(7);
+    const result = await running;
+
+    expect(mockAx.reg_write_64).toHaveBeenCalledWith(Register.RAX, 7n);
+    expect(result).toMatchObject({ exitCode: 0, stopReason: 'exit(0)' });
+  });
+
+  it('fails a syscall given a bad pointer with EFAULT', async () => {
+    const mockAx = syscalls(
+      { [Register.RAX]: 2n, [Register.RDI]: 0xdead0000n, [Register.RSI]: 0n, [Register.RDX]: 0n },
+      { [Register.RAX]: 1n, [Register.RDI]: 1n, [Register.RSI]: 0xdead0000n, [Register.RDX]: 4n },
+    );
+    mockAx.mem_read_bytes.mockImplementation(() => { throw new Error('unmapped memory'); });
+    runtime.onStdout = vi.fn();
+
+    const result = await runtime.run(new Uint8Array([1, 2, 3]));
+
+    const efault = BigInt.asUintN(64, -14n);
+    expect(mockAx.reg_write_64.mock.calls.filter(([, value]) => value === efault)).toHaveLength(2);
+    expect(runtime.onStdout).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ exitCode: 0, stopReason: 'exit(0)' });
+    expect(result.syscalls.map(call => call.text).slice(0, 2)).toEqual([
+      'open(0xdead0000, 0x0, 0x0) = -1 EFAULT (Bad address)',
+      'write(1, 0xdead0000, 4) = -1 EFAULT (Bad address)',
+    ]);
+  });
+
+  it('rejects malformed entries', () => {
+    const table = new SyscallTable();
+    expect(() => table.register({ num: -1, name: 'x', impl() {} })).toThrow('Bad syscall number: -1');
+    expect(() => table.register({ num: 1, name: 'x' })).toThrow('Syscall x has no impl');
+    expect(() => table.register({ num: 1, name: 'x', args: { a: 'float' }, impl() {} })).toThrow("unknown type 'float' for a");
+  });
+
+  it('writes structs little-endian and names errno values', () => {
+    const sys = new SyscallContext(runtime, { cwd: '/home/user', heapStart: 0x800000n });
+    sys.instance = { mem_write_bytes: vi.fn() };
+    sys.writeStruct(0x1000n, STAT_LAYOUT, { st_mode: 0o100644, st_size: 258 });
+    expect(sys.instance.mem_write_bytes.mock.calls).toEqual([
+      [0x1018n, new Uint8Array([0xa4, 0x81, 0, 0])],
+      [0x1030n, new Uint8Array([2, 1, 0, 0, 0, 0, 0, 0])],
+    ]);
+    expect(() => sys.writeStruct(0x1000n, STAT_LAYOUT, { st_uid: 0 })).toThrow('No field st_uid in struct');
+    expect(sys.errno('ENOENT')).toBe(-2);
+    expect(errnoName(2)).toBe('ENOENT');
+    expect(errnoName(999)).toBeNull();
+  });
+});
+
+describe('Syscall log', () => {
+  const bytes = text => new TextEncoder().encode(text);
+  // Program memory holding strings at the given addresses
+  const memory = strings => (addr, len) => {
+    const base = Object.keys(strings).map(BigInt).find(start => addr >= start && addr < start + 0x1000n);
+    if (base === undefined) return new Uint8Array(Number(len));
+    return bytes(strings[base]).subarray(Number(addr - base), Number(addr - base + BigInt(len)));
+  };
+
+  let runtime;
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    runtime = new AxRuntime();
+    await runtime.load();
+  });
+
+  it('records each call with its arguments, result and errno', async () => {
+    const mockAx = syscalls(
+      { [Register.RAX]: 2n, [Register.RDI]: 0x2000n, [Register.RSI]: 0n },
+      { [Register.RAX]: 2n, [Register.RDI]: 0x2000n, [Register.RSI]: 0x241n, [Register.RDX]: 0o644n },
+      { [Register.RAX]: 1n, [Register.RDI]: 1n, [Register.RSI]: 0x3000n, [Register.RDX]: 7n },
+      { [Register.RAX]: 999n },
+    );
+    mockAx.mem_read_bytes.mockImplementation(memory({ 0x2000: 'out.txt\0', 0x3000: 'hi "x"\n' }));
+    mockAx.mem_init_zero_anywhere = vi.fn(() => 0x7f0000000000n);
+    runtime.vfs = { readSync: vi.fn(() => null), writeSync: vi.fn(), truncateSync: vi.fn(), getSizeSync: vi.fn(() => 0) };
+    runtime.onStdout = vi.fn();
+    const logged = [];
+    runtime.onSyscall = record => logged.push(record.name);
+
+    const result = await runtime.run(new Uint8Array([1, 2, 3]));
+
+    expect(result.syscalls.map(call => call.text)).toEqual([
+      'open("out.txt", O_RDONLY, 0) = -1 ENOENT (No such file or directory)',
+      'open("out.txt", O_WRONLY|O_CREAT|O_TRUNC, 0644) = 3',
+      'write(1, "hi \\"x\\"\\n", 7) = 7',
+      'syscall_999(0x0, 0x0, 0x0) = -1 ENOSYS (Function not implemented)',
+      'exit(0) = ?',
+    ]);
+    expect(result.syscalls[0]).toMatchObject({ seq: 0, num: 2, name: 'open', errno: 'ENOENT' });
+    expect(result.syscallsDropped).toBe(0);
+    expect(logged).toEqual(['open', 'open', 'write', 'syscall_999', 'exit']);
+  });
+
+  it('previews the buffer a call fills in, and decodes mmap flags', () => {
+    const entry = name => LINUX_SYSCALLS.find(e => e.name === name);
+    const sys = new SyscallContext(runtime, { cwd: '/home/user', heapStart: 0x800000n });
+    sys.instance = { mem_read_bytes: memory({ 0x4000: '42\n'.padEnd(40, 'x') }) };
+
+    const read = describeSyscall(sys, { num: 0, entry: entry('read'), args: { fd: 3, buf: 0x4000n, count: 4096 } }, 3n);
+    expect(read.text).toBe('read(3, "42\\n", 4096) = 3');
+    const long = describeSyscall(sys, { num: 0, entry: entry('read'), args: { fd: 3, buf: 0x4000n, count: 4096 } }, 40n);
+    expect(long.args[1]).toBe(`"42\\n${'x'.repeat(29)}"...`);
+    const eof = describeSyscall(sys, { num: 0, entry: entry('read'), args: { fd: 0, buf: 0x4000n, count: 4096 } }, 0n);
+    expect(eof.text).toBe('read(0, 0x4000, 4096) = 0');
+
+    const mmap = describeSyscall(sys, {
+      num: 9,
+      entry: entry('mmap'),
+      args: { addr: 0n, length: 131072, prot: 3, flags: 0x22, fd: -1, offset: 0 },
+    }, 0x7f0000000000n);
+    expect(mmap.text).toBe('mmap(NULL, 131072, PROT_READ|PROT_WRITE, MAP_PRIVATE|MAP_ANONYMOUS, -1, 0) = 0x7f0000000000');
+  });
+
+  it('keeps the last calls once the log is full', () => {
+    const log = new SyscallLog(3);
+    for (let i = 0; i < 5; i++) log.push({ name: `call${i}` });
+    expect(log.entries().map(call => [call.seq, call.name])).toEqual([[2, 'call2'], [3, 'call3'], [4, 'call4']]);
+    expect(log.dropped).toBe(2);
+    expect(log.total).toBe(5);
+  });
+});
+
+describe('StdinBuffer', () => {
+  const bytes = text => new TextEncoder().encode(text);
+  const text = data => (data === null ? null : new TextDecoder().decode(data));
+
+  it('returns one chunk at most per read, in pieces if need be', () => {
+    const stdin = new StdinBuffer();
+    expect(stdin.read(8)).toBeNull();
+    stdin.push(bytes('hello\n'));
+    stdin.push(bytes('world\n'));
+    expect(text(stdin.read(4))).toBe('hell');
+    expect(text(stdin.read(100))).toBe('o\n');
+    expect(text(stdin.read(100))).toBe('world\n');
+    expect(stdin.read(100)).toBeNull();
+  });
+
+  it('reads 0 once at Ctrl+D and for good once closed', async () => {
+    const stdin = new StdinBuffer();
+    const woken = stdin.wait();
+    stdin.eof();
+    await woken;
+    expect(stdin.read(8)).toHaveLength(0);
+    expect(stdin.read(8)).toBeNull();
+
+    stdin.push(bytes('x'));
+    stdin.close();
+    expect(text(stdin.read(8))).toBe('x');
+    expect(stdin.read(8)).toHaveLength(0);
+    expect(stdin.read(8)).toHaveLength(0);
+  });
 });
+
@@ -0,0 +1,1470 @@
+import { describe, it, expect } from 'vitest';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Chibicc } from '../src/engine/Chibicc.js';
+import { Compiler } from '../src/engine/Compiler.js';
+import { LIBC_SOURCES } from '../src/engine/libc/sources.js';
+import { StdinBuffer } from '../src/engine/StdinBuffer.js';
+import { CompileError, formatDiagnostics } from '../src/engine/diagnostics.js';
+import { formatIR } from '../src/engine/ir.js';
+import { CodeGenerator } from '../src/engine/codegen.js';
+import { Linker, BASE_VA } from '../src/engine/Linker.js';
+import { readLineTable } from '../src/engine/dwarf.js';
+import { decode, formatInstruction, disassemble } from '../src/engine/disasm.js';
+import {
+  R_X86_64, SHT_PROGBITS, SHF_ALLOC, SHF_EXECINSTR,
+  objectFromAssembly, undefinedSymbols, writeObject, readObject, writeArchive, readArchive, readSymbols,
+} from '../src/engine/objfile.js';
+
+function compileToAsm(source) {
+  return new Chibicc().compile(source).assembly;
+}
+
+// The executables are static x86-64 Linux programs, so such a host runs
+// them as they are. stdin gets the chunks of a StdinBuffer in turn, up to
+// its end of file, as AxRuntime hands them to read(0, …).
+const native = process.platform === 'linux' && process.arch === 'x64';
+async function runNative(source, { stdin = new StdinBuffer(), optLevel = 0 } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'helixcore-'));
+  const path = join(dir, 'program');
+  writeFileSync(path, (await new Compiler().compileC(source, { optLevel })).elf, { mode: 0o755 });
+  const child = spawn(path, [], { timeout: 10000 });
+  let stdout = '';
+  child.stdout.on('data', data => { stdout += data; });
+  for (let chunk; (chunk = stdin.read(4096))?.length;) child.stdin.write(chunk);
+  child.stdin.end();
+  const status = await new Promise(resolve => child.on('close', resolve));
+  rmSync(dir, { recursive: true });
+  return { stdout, status };
+}
+
+describe('Chibicc', () => {
+  it('emits a crt0 _start that passes the return value of main to exit', () => {
+    const asm = compileToAsm('int main() { return 7; }');
+
+    expect(asm).toMatch(/_start:\n(?:.*\n)*?\s+call main\n\s+movq %rax, %rdi\n\s+call exit/);
+    expect(asm).toContain('main:');
+    expect(asm).toContain('.L.return.main:');
+  });
+
+  it('compiles multiple functions with parameters and recursion into one ELF', () => {
+    const source = `
+      int fib(int n) {
+        if (n < 2) return n;
+        return fib(n - 1) + fib(n - 2);
+      }
+      int gcd(int a, int b);
+      int main() { return fib(10) + gcd(12, 18); }
+      int gcd(int a, int b) {
+        while (b != 0) { int t = b; b = a - (a / b) * b; a = t; }
+        return a;
+      }
+    `;
+
+    const asm = compileToAsm(source);
+    expect(asm).toContain('fib:');
+    expect(asm).toContain('gcd:');
+    expect(asm).toContain('  call fib');
+    expect(asm).toContain('  mov %edi, -4(%rbp)');
+    expect(asm).toContain('  mov %esi, -8(%rbp)');
+
+    const { elf } = new Compiler().assembleGas(asm);
+    expect(Compiler.isValidElf(elf)).toBe(true);
+  });
+
+  it('passes arguments beyond the sixth on the stack', () => {
+    const asm = compileToAsm(`
+      int last(int a, int b, int c, int d, int e, int f, int g, int h) { return h; }
+      int main() { return last(1, 2, 3, 4, 5, 6, 7, 8); }
+    `);
+
+    // h is the 8th parameter: second stack slot above the return address
+    expect(asm).toContain('  movslq 24(%rbp), %rax');
+    expect(asm).toMatch(/subq \$16, %rsp\n(?:.*\n)*?\s+movq %rax, 8\(%rsp\)\n(?:.*\n)*?\s+call last\n\s+addq \$16, %rsp/);
+  });
+
+  it('rejects references to undeclared variables', () => {
+    expect(() => compileToAsm('int main() { return x; }')).toThrow(/Undefined variable 'x'/);
+  });
+
+  it('puts a local in scope before its initializer', async () => {
+    const source = `
+      int main() {
+        long x = sizeof x;
+        void *p = &p;
+        static void *q = &q;
+        int a[] = { 1, 2, 3 };
+        return x + (p == &p) + (q == &q) + sizeof a;
+      }
+    `;
+    const asm = compileToAsm(source);
+
+    expect(asm).toMatch(/(q\.\d+):\n\s+\.quad \1\n/);
+    expect(asm).toMatch(/leaq (-\d+)\(%rbp\), %rax\n\s+movq %rax, \1\(%rbp\)/);
+    // x, p and a, then two slots for temporaries
+    expect(asm).toContain('  subq $48, %rsp');
+    if (native) expect((await runNative(source)).status).toBe(8 + 1 + 1 + 12);
+  });
+});
+
+describe('Chibicc types', () => {
+  it('scales pointer arithmetic by the element size', () => {
+    const asm = compileToAsm(`
+      int second(int *p) { return *(p + 1); }
+      long third(long *p) { return p[2]; }
+      int main() { return 0; }
+    `);
+
+    expect(asm).toMatch(/movq \$4, %rdi\n\s+imulq %rdi, %rax/);
+    expect(asm).toMatch(/movq \$8, %rdi\n\s+imulq %rdi, %rax/);
+    expect(asm).toContain('  movslq (%rax), %rax');
+  });
+
+  it('lays out char and int arrays with their natural sizes', () => {
+    const asm = compileToAsm(`
+      int main() {
+        char buf[64];
+        int a[10];
+        buf[0] = 'x';
+        return sizeof(buf) + sizeof a + sizeof(char *);
+      }
+    `);
+
+    // 104 bytes of arrays, then two slots for temporaries
+    expect(asm).toContain('  subq $128, %rsp');
+    expect(asm).toContain('  movb %al, (%rdi)');
+    expect(asm).toContain('  movq $64, %rax');
+    expect(asm).toContain('  movq $40, %rdi');
+    expect(asm).toContain('  movq $8, %rdi');
+  });
+
+  it('stores string literals with their escapes resolved', () => {
+    const asm = compileToAsm('int main() { char *s = "a\\tb\\n"; return s[1]; }');
+
+    expect(asm).toContain('.L.str.0: .ascii "a\\011b\\012\\0"');
+  });
+
+  it('rejects dereferencing a non-pointer', () => {
+    expect(() => compileToAsm('int main() { int x = 1; return *x; }')).toThrow(/Invalid pointer dereference/);
+  });
+});
+
+describe('Chibicc preprocessor', () => {
+  it('expands object-like and function-like macros', () => {
+    const asm = compileToAsm(`
+      #define N 6
+      #define SQ(x) ((x) * (x))
+      #define CAT(a, b) a ## b
+      #define STR(x) #x
+      int value7() { return 7; }
+      int main() { char *s = STR(a  "b"); return SQ(N + 1) + CAT(val, ue7)(); }
+    `);
+
+    expect(asm).toContain('  movq $6, %rax');
+    expect(asm).toContain('  call value7');
+    expect(asm).toContain('.L.str.0: .ascii "a \\"b\\"\\0"');
+  });
+
+  it('keeps only the taken branch of conditional directives', () => {
+    const asm = compileToAsm(`
+      #define LEVEL 2
+      int main() {
+      #if LEVEL > 2 || defined(NOPE)
+        return 11;
+      #elif LEVEL == 2
+      # ifdef LEVEL
+        return 22;
+      # else
+        return 33;
+      # endif
+      #else
+        return 44;
+      #endif
+      }
+    `);
+
+    expect(asm).toContain('  movq $22, %rax');
+    expect(asm).not.toMatch(/\$(11|33|44),/);
+  });
+
+  it('does not expand a macro inside its own expansion', () => {
+    // v expands once to (v + 1); the inner v is left for the local variable
+    const asm = compileToAsm('int main() { int v = 41;\n#define v (v + 1)\nreturn v; }');
+
+    expect(asm).toMatch(/movq \$1, %rdi\n\s+addl %edi, %eax/);
+  });
+
+  it('includes workspace files relative to the including file', () => {
+    const files = {
+      '/home/user/lib/util.h': '#pragma once\n#include "defs.h"\nint twice(int n) { return n * FACTOR; }\n',
+      '/home/user/lib/defs.h': '#define FACTOR 2\n',
+    };
+    const asm = new Chibicc().compile(
+      '#include "lib/util.h"\n#include "lib/util.h"\nint main() { return twice(21); }',
+      { path: '/home/user/main.c', readFile: path => files[path] ?? null },
+    ).assembly;
+
+    expect(asm.match(/^twice:/gm)).toHaveLength(1);
+    expect(asm).toMatch(/movq \$2, %rdi\n\s+imull %edi, %eax/);
+  });
+
+  it('serves <...> includes from the bundled system headers', () => {
+    const asm = compileToAsm('#include <stdio.h>\n#include <limits.h>\nint main() { printf("%d", CHAR_BIT); return EOF; }');
+
+    expect(asm).toMatch(/movq \$8, %rsi\n(?:.*\n)*?\s+call printf/);
+    expect(() => compileToAsm('#include <nope.h>\nint main() { return 0; }')).toThrow(/'nope.h' file not found/);
+  });
+
+  it('defines offsetof in <stddef.h> as a constant expression', () => {
+    const asm = compileToAsm(`
+      #include <stddef.h>
+      struct s { char c; long l; struct { int x, y; } in; };
+      size_t off = offsetof(struct s, in.y);
+      char pad[offsetof(struct s, l)];
+      int main() { return offsetof(struct s, l); }
+    `);
+
+    expect(asm).toMatch(/off:\n\s+\.byte 20, 0, 0, 0, 0, 0, 0, 0\n/);
+    expect(asm).toContain('.comm pad, 8, 1');
+  });
+
+  it('reports #error with its location', () => {
+    expect(() => compileToAsm('#ifndef OK\n#error OK must be defined\n#endif\n')).toThrow(/\/home\/user\/main.c:2:2: error: #error OK must be defined/);
+  });
+});
+
+describe('Chibicc operators', () => {
+  it('short-circuits && and || without evaluating the right operand', () => {
+    const asm = compileToAsm('int f(); int main() { int a = 0; return a && f() || !a; }');
+
+    // a false skips f() for the right operand of ||, a true f() skips !a
+    expect(asm).toMatch(/cmpl \$0, %eax\n\s+je (\.L\.right\.\d+)\n(?:.*\n)*?\s+call f\n(?:.*\n)*?\s+jne (\.L\.then\.\d+)\n\1:\n(?:.*\n)*?\2:/);
+  });
+
+  it('emits modulo, bitwise and shift instructions', () => {
+    const asm = compileToAsm('int main() { int a = 29; long b = 3; return (a % 8) & (a | 2) ^ (b << 4) >> ~a; }');
+
+    expect(asm).toMatch(/cltd\n\s+idivl %edi\n\s+movl %edx, %eax/);
+    expect(asm).toContain('  orl %edi, %eax');
+    expect(asm).toContain('  andl %edi, %eax');
+    expect(asm).toContain('  xorq %rdi, %rax');
+    expect(asm).toMatch(/movq \$4, %rcx\n\s+shlq %cl, %rax/);
+    expect(asm).toMatch(/%ecx\n\s+sarq %cl, %rax/);
+    expect(asm).toContain('  notl %eax');
+  });
+
+  it('evaluates the target of a compound assignment once', () => {
+    const asm = compileToAsm('int next(); int main() { int a[4]; a[next()] += 2; return a[0]; }');
+
+    expect(asm.match(/call next/g)).toHaveLength(1);
+  });
+
+  it('folds the full operator set in constant expressions', () => {
+    const asm = compileToAsm('int main() { char buf[(1 << 3 | 1) % 5 ? 7 && 0 ? 1 : ~-3 : 9]; return sizeof(buf); }');
+
+    expect(asm).toContain('  movq $2, %rax');
+  });
+
+  it('rejects ++ on an rvalue and % on pointers', () => {
+    expect(() => compileToAsm('int main() { return 1++; }')).toThrow(/must be an lvalue/);
+    expect(() => compileToAsm('int main() { int *p = 0; return p % 2; }')).toThrow(/Invalid operands to '%'/);
+  });
+});
+
+describe('Chibicc control flow', () => {
+  it('jumps to the innermost loop on break and continue', () => {
+    const asm = compileToAsm(`
+      int main() {
+        int n = 0;
+        for (int i = 0; i < 4; i++) {
+          while (1) { if (n > 2) break; n++; }
+          if (i == 1) continue;
+        }
+        return n;
+      }
+    `);
+
+    const [, forId] = asm.match(/\.L\.continue\.(\d+):\n\s+movslq -\d+\(%rbp\), %rax\n\s+movq \$1, %rdi\n\s+addl/) ?? [];
+    const [, whileId] = asm.match(/je \.L\.break\.(\d+)\n(?:.*\n)*?\s+jmp \.L\.break\.\1\n/) ?? [];
+    expect(forId).toBeDefined();
+    expect(whileId).toBeDefined();
+    expect(whileId).not.toBe(forId);
+    expect(asm).toContain(`  jmp .L.continue.${forId}`);
+  });
+
+  it('dispatches switch cases and falls through to the next label', () => {
+    const asm = compileToAsm(`
+      int f(int n) {
+        switch (n) {
+        case 1: n = 10;
+        case 2: return n;
+        default: return 0;
+        }
+      }
+      int main() { return f(1); }
+    `);
+
+    expect(asm).toMatch(/cmpl \$1, %eax\n\s+je (\.L\.case\.\d+)\n\s+cmpl \$2, %eax\n\s+je \.L\.case\.\d+\n\s+jmp \.L\.default\.\d+/);
+    // No jump between the end of case 1 and the case 2 label
+    expect(asm).toMatch(/movl %eax, -4\(%rbp\)\n\.L\.case\.\d+:/);
+  });
+
+  it('compiles do-while and goto', () => {
+    const asm = compileToAsm('int main() { int i = 0; do i++; while (i < 3); retry: if (i < 5) { i++; goto retry; } return i; }');
+
+    expect(asm).toMatch(/\.L\.continue\.\d+:\n(?:.*\n)*?\s+jne \.L\.begin\.\d+/);
+    expect(asm).toContain('.L.label.main.retry:');
+    expect(asm).toContain('  jmp .L.label.main.retry');
+  });
+
+  it('rejects misplaced jumps and undefined labels', () => {
+    expect(() => compileToAsm('int main() { break; }')).toThrow(/'break' outside of a loop or switch/);
+    expect(() => compileToAsm('int main() { switch (1) { case 1: continue; } }')).toThrow(/'continue' outside of a loop/);
+    expect(() => compileToAsm('int main() { goto out; }')).toThrow(/Label 'out' used but not defined/);
+    expect(() => compileToAsm('int main() { switch (1) { case 1: case 1: ; } }')).toThrow(/Duplicate case value 1/);
+  });
+});
+
+describe('Chibicc structs, unions, enums and typedef', () => {
+  it('lays out struct members at aligned offsets', () => {
+    const asm = compileToAsm(`
+      struct mixed { char c; long l; short s; };
+      int main() { struct mixed m; m.s = 1; return sizeof(struct mixed); }
+    `);
+
+    // s lives after c (padded to 8) and l
+    expect(asm).toMatch(/movq \$16, %rdi\n\s+addq %rdi, %rax/);
+    expect(asm).toContain('  movq $24, %rax');
+  });
+
+  it('accesses members through . and -> and copies whole structs', () => {
+    const asm = compileToAsm(`
+      typedef struct { int x; int y; } Point;
+      int main() {
+        Point a = {1, 2};
+        Point *p = &a;
+        Point b;
+        b = a;
+        return p->y + b.x;
+      }
+    `);
+
+    expect(asm).toMatch(/movq \$4, %rdi\n\s+addq %rdi, %rax/);
+    expect(asm).toMatch(/movb 7\(%rax\), %r8b\n\s+movb %r8b, 7\(%rdi\)/);
+  });
+
+  it('overlaps union members and sizes the union by its largest member', () => {
+    const asm = compileToAsm('union u { char c; long l; int i[3]; }; int main() { union u v; v.i[2] = 1; return sizeof v; }');
+
+    expect(asm).toContain('  movq $16, %rax');
+  });
+
+  it('numbers enum constants and resolves typedef names by scope', () => {
+    const asm = compileToAsm(`
+      enum color { RED, GREEN = 5, BLUE };
+      typedef int T;
+      int main() {
+        T a = BLUE;
+        { typedef long T; T b; return sizeof(b); }
+      }
+    `);
+
+    expect(asm).toContain('  movq $6, %rax');
+    expect(asm).toContain('  movq $8, %rax');
+  });
+
+  it('completes forward-declared structs for self-referential types', () => {
+    const asm = compileToAsm(`
+      struct node;
+      struct list { struct node *head; };
+      struct node { int val; struct node *next; };
+      int second(struct list *l) { return l->head->next->val; }
+      int main() { return 0; }
+    `);
+
+    expect(asm).toMatch(/movq \$8, %rdi\n\s+addq %rdi, %rax/);
+  });
+
+  it('matches the kernel layout of struct stat', () => {
+    const asm = compileToAsm('#include <sys/stat.h>\nint main() { struct stat st; st.st_size = 0; return sizeof(st) + S_ISREG(st.st_mode); }');
+
+    expect(asm).toMatch(/movq \$48, %rdi\n\s+addq %rdi, %rax/);
+    expect(asm).toMatch(/movq \$24, %rdi\n\s+addq %rdi, %rax/);
+    expect(asm).toContain('  movq $144, %rdi');
+  });
+
+  it('reports unknown members and incomplete types', () => {
+    expect(() => compileToAsm('struct s { int a; }; int main() { struct s v; return v.b; }')).toThrow(/'struct s' has no member named 'b'/);
+    expect(() => compileToAsm('struct s; int main() { struct s v; return 0; }')).toThrow(/incomplete type 'struct s'/);
+    expect(() => compileToAsm('int main() { int x; return x.a; }')).toThrow(/not a struct or union/);
+  });
+});
+
+describe('Chibicc global variables', () => {
+  it('emits initialised globals into .data and the rest as .comm', () => {
+    const asm = compileToAsm(`
+      int counter;
+      char small = 300;
+      int table[4] = {1, 2};
+      int *second = &table[1];
+      static int hidden = 9;
+      int main() { return counter + hidden; }
+    `);
+
+    expect(asm).toContain('.comm counter, 4, 4');
+    expect(asm).toMatch(/\.global small\n\.type small, @object\n\.size small, 1\nsmall:\n\s+\.byte 44\n/);
+    expect(asm).toMatch(/table:\n\s+\.byte 1, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0\n/);
+    expect(asm).toMatch(/second:\n\s+\.quad table\+4\n/);
+    expect(asm).not.toContain('.global hidden');
+    expect(asm).toContain('  leaq counter(%rip), %rax');
+  });
+
+  it('gives static locals a unique label that keeps its value between calls', () => {
+    const asm = compileToAsm(`
+      int a() { static int n; return ++n; }
+      int b() { static int n = 5; return n; }
+      int main() { return a() + b(); }
+    `);
+
+    expect(asm).toMatch(/\.local n\.\d+\n\.comm n\.\d+, 4, 4/);
+    expect(asm).toMatch(/n\.\d+:\n\s+\.byte 5, 0, 0, 0/);
+  });
+
+  it('resolves relocations to globals at nonzero offsets in the ELF', async () => {
+    const { elf } = await new Compiler().compileC(`
+      char *msg = "hi";
+      int init = 42;
+      long big = 1L << 40;
+      int main() { return init + (big >> 40); }
+    `);
+    const text = new TextDecoder().decode(elf);
+
+    expect(text).toContain('hi\0');
+    expect(elf.length).toBeGreaterThan(0x78);
+  });
+
+  it('references globals and functions named like registers', async () => {
+    const source = `
+      int gs;
+      int *p = &gs;
+      int rax(void) { return gs; }
+      int (*fp)(void) = rax;
+      int main() { gs = 1; return rax() + fp() + *p; }
+    `;
+    const asm = compileToAsm(source);
+    expect(asm).toContain('  leaq (gs)(%rip), %rax');
+    expect(asm).toContain('  call (rax)');
+    expect(asm).toMatch(/p:\n\s+\.quad \(gs\)\n/);
+    expect(asm).toMatch(/fp:\n\s+\.quad \(rax\)\n/);
+
+    for (const optLevel of [0, 1]) {
+      const { elf } = await new Compiler().compileC(source, { optLevel });
+      const { symbols } = readSymbols(elf);
+      const gs = symbols.find(sym => sym.name === 'gs');
+      const rax = symbols.find(sym => sym.name === 'rax');
+      expect(gs).toMatchObject({ type: 1, section: '.bss' });
+      expect(rax).toMatchObject({ type: 2, section: '.text' });
+      const listing = disassemble(elf).map(row => row.text);
+      expect(listing).toContain(`call   ${rax.value.toString(16)} <rax>`);
+    }
+  });
+
+  it('puts a global in scope before its initializer', () => {
+    const asm = compileToAsm(`
+      void *self = &self;
+      struct node { struct node *next; int v; } head = { &head, 1 };
+      long x = sizeof x;
+      int main() { return head.next->v + (self == &self) + x; }
+    `);
+
+    expect(asm).toMatch(/self:\n\s+\.quad self\n/);
+    expect(asm).toMatch(/head:\n\s+\.quad head\n\s+\.byte 1, 0, 0, 0, 0, 0, 0, 0\n/);
+    expect(asm).toMatch(/x:\n\s+\.byte 8, 0, 0, 0, 0, 0, 0, 0\n/);
+  });
+
+  it('rejects conflicting global definitions', () => {
+    expect(() => compileToAsm('int x = 1; int x = 2; int main() { return x; }')).toThrow(/[Rr]edefinition of 'x'/);
+    expect(() => compileToAsm('int x; long x; int main() { return 0; }')).toThrow(/[Cc]onflicting types for 'x'/);
+    expect(() => compileToAsm('int f(); int f; int main() { return 0; }')).toThrow(/'f'/);
+  });
+});
+
+describe('Chibicc unsigned types and varargs', () => {
+  it('uses unsigned loads, division, shifts and comparisons', () => {
+    const asm = compileToAsm(`
+      int main() {
+        unsigned char c = 200;
+        unsigned int u = 4000000000u;
+        return c + (u / 3 > 1) + (u >> 1);
+      }
+    `);
+
+    expect(asm).toContain('  movzbl -1(%rbp), %eax');
+    expect(asm).toContain('  movl -8(%rbp), %eax');
+    expect(asm).toMatch(/xorl %edx, %edx\n\s+divl %edi/);
+    expect(asm).toContain('  seta %al');
+    expect(asm).toContain('  shrl %cl, %eax');
+  });
+
+  it('types integer constants by value and suffix', () => {
+    const asm = compileToAsm(`
+      int main() {
+        return sizeof(1) + sizeof(1L) * 10 + sizeof(2147483648) * 100 + sizeof(0xffffffff) * 1000 + (-1 < 0u);
+      }
+    `);
+
+    // 4 + 80 + 800 + 4000 + 0, folded by sizeof into constants
+    expect(asm).toContain('  movq $4, %rdi');
+    expect(asm).toContain('  movq $8, %rdi');
+    expect(asm).toContain('  setb %al');
+  });
+
+  it('keeps integer constants past 2^53 exact', () => {
+    const source = `
+      unsigned long mul = 6364136223846793005UL * 3 + 1;
+      long max = 9223372036854775807;
+      unsigned long next(unsigned long x) { return x * 6364136223846793005UL + 1442695040888963407UL; }
+      long f(void) { return 9223372036854775807; }
+      unsigned long g(void) { return 0xffffffffffffffff; }
+      int main(void) { return 0; }
+    `;
+    const bytes = val => Array.from({ length: 8 }, (_, i) => Number((val >> BigInt(8 * i)) & 0xffn)).join(', ');
+    for (const optLevel of [0, 1]) {
+      const asm = new Chibicc().compile(source, { optLevel }).assembly;
+      expect(asm).toContain(`mul:\n  .byte ${bytes(BigInt.asUintN(64, 6364136223846793005n * 3n + 1n))}`);
+      expect(asm).toContain(`max:\n  .byte ${bytes(9223372036854775807n)}`);
+      expect(asm).toContain('$6364136223846793005, ');
+      expect(asm).toContain('$1442695040888963407, ');
+      expect(asm).toContain('  movq $9223372036854775807, %rax');
+      expect(asm).toContain('  movq $-1, %rax');
+    }
+
+    const { elf } = new Compiler().assembleGas(compileToAsm(source));
+    const text = disassemble(elf).map(row => row.text);
+    expect(text).toContain('movabs $0x5851f42d4c957f2d,%rdi');
+    expect(text).toContain('movabs $0x7fffffffffffffff,%rax');
+    expect(() => compileToAsm('long x = 18446744073709551616;')).toThrow("Integer constant '18446744073709551616' is too large");
+  });
+
+  it('spills argument registers into __va_area__ in variadic functions', () => {
+    const asm = compileToAsm(`
+      #include <stdarg.h>
+      long sum(int n, ...) {
+        va_list ap;
+        va_start(ap, n);
+        long total = 0;
+        for (int i = 0; i < n; i++) total += va_arg(ap, long);
+        va_end(ap);
+        return total;
+      }
+    `);
+
+    expect(asm).toMatch(/movl \$8, -\d+\(%rbp\)\n\s+movl \$48, -\d+\(%rbp\)/);
+    expect(asm).toMatch(/movq %r9, -\d+\(%rbp\)/);
+    expect(asm).toMatch(/cmpl \$48, %edx\n\s+jae /);
+    // No main, so no crt0 either
+    expect(asm).not.toContain('_start:');
+  });
+
+  it('calls through function pointers', () => {
+    const asm = compileToAsm(`
+      int twice(int (*f)(int), int x) { return f(f(x)); }
+      int inc(int x) { return x + 1; }
+      int main() { int (*p)(int) = &inc; return twice(p, 1) + (*p)(0); }
+    `);
+
+    expect(asm).toContain('  leaq inc(%rip), %rax');
+    expect(asm).toMatch(/movq -\d+\(%rbp\), %r10\n\s+xorq %rax, %rax\n\s+call \*%r10/);
+    expect(() => compileToAsm('int main() { int x = 1; return x(); }')).toThrow(/Called object is not a function/);
+  });
+
+  it('rejects va_arg on something that is not a va_list', () => {
+    expect(() => compileToAsm('int f(int n, ...) { return __builtin_va_arg(n, int); }')).toThrow(/va_arg expects a va_list/);
+  });
+});
+
+describe('Chibicc floating point', () => {
+  it('computes float and double in SSE registers with conversions', () => {
+    const asm = compileToAsm(`
+      int main() {
+        double d = 1;
+        float f = 2.5f;
+        d = d * f + 3;
+        return d < f ? (char)d : (int)-f;
+      }
+    `);
+
+    expect(asm).toContain('  movss -12(%rbp), %xmm0');
+    expect(asm).toContain('  cvtss2sd %xmm0, %xmm0');
+    expect(asm).toMatch(/movsd -\d+\(%rbp\), %xmm1\n\s+mulsd %xmm1, %xmm0/);
+    expect(asm).toContain('  cvtsi2sdl %eax, %xmm0');
+    expect(asm).toContain('  cvttsd2sil %xmm0, %eax');
+    expect(asm).toContain('  cvttss2sil %xmm0, %eax');
+    expect(asm).toContain('  movsd %xmm0, -8(%rbp)');
+    // a < b is tested as b > a so that NaN compares false
+    expect(asm).toMatch(/ucomisd %xmm0, %xmm1\n\s+seta %al/);
+  });
+
+  it('passes float arguments in XMM registers and counts them in %al', () => {
+    const asm = compileToAsm(`
+      double f(int a, double b, float c) { return a + b * c; }
+      int main() { return f(1, 2.0, 3.0f); }
+    `);
+
+    expect(asm).toMatch(/mov %edi, -\d+\(%rbp\)\n\s+movsd %xmm0, -\d+\(%rbp\)\n\s+movss %xmm1, -\d+\(%rbp\)/);
+    // 2.0 and 3.0f as bit patterns
+    expect(asm).toMatch(/movq \$1, %rdi\n\s+movq \$4611686018427387904, %rax\n\s+movq %rax, %xmm0\n\s+movl \$1077936128, %eax\n\s+movd %eax, %xmm1\n\s+movl \$2, %eax\n\s+call f/);
+  });
+
+  it('promotes float through ... and reads doubles with va_arg', () => {
+    const asm = compileToAsm(`
+      #include <stdarg.h>
+      int printf(const char *fmt, ...);
+      double sum(int n, ...) {
+        va_list ap;
+        va_start(ap, n);
+        double s = 0;
+        while (n--) s += va_arg(ap, double);
+        return s;
+      }
+      int main() { printf("%f", 1.5f); return sum(1, 2.0); }
+    `);
+
+    expect(asm).toMatch(/cvtss2sd %xmm0, %xmm0\n(?:.*\n)*?\s+movsd -\d+\(%rbp\), %xmm0\n\s+movl \$1, %eax\n\s+call printf/);
+    expect(asm).toMatch(/movsd %xmm7, -\d+\(%rbp\)/);
+    expect(asm).toMatch(/movl 4\(%rcx\), %edx\n\s+cmpl \$176, %edx/);
+    expect(asm).toContain('  addl $16, 4(%rcx)');
+  });
+
+  it('types floating constants and folds them into initialisers', () => {
+    const asm = compileToAsm(`
+      double d = 1.5;
+      float f = 0.1f;
+      int n = 7.9;
+      int sizes = sizeof(1.0f) + sizeof(1.0) * 10 + sizeof(1e3L) * 100;
+    `);
+
+    expect(asm).toMatch(/d:\n\s+\.byte 0, 0, 0, 0, 0, 0, 248, 63/);
+    expect(asm).toMatch(/f:\n\s+\.byte 205, 204, 204, 61/);
+    expect(asm).toMatch(/n:\n\s+\.byte 7, 0, 0, 0/);
+    expect(asm).toMatch(/sizes:\n\s+\.byte 116, 3, 0, 0/);
+  });
+
+  it('rejects integer-only operators and pointer conversions', () => {
+    expect(() => compileToAsm('int main() { return 1.5 % 2; }')).toThrow(/Invalid operands to '%'/);
+    expect(() => compileToAsm('int main() { double d = 1; return 1 << d; }')).toThrow(/Invalid operands to '<<'/);
+    expect(() => compileToAsm('int main() { int *p = 0; double d = p; return 0; }')).toThrow(/Cannot convert 'int \*' to 'double'/);
+  });
+
+  it.runIf(native)('counts NaN as true in every truth context', async () => {
+    const source = `
+      int printf(const char *fmt, ...);
+      int main() {
+        double n = 0.0 / 0.0;
+        float f = n;
+        int taken = 0, loops = 0;
+        if (n) taken++;
+        if (!f) taken += 10;
+        while (n && loops < 2) loops++;
+        printf("%d %d %d %d %d %d\\n", !n, n ? 7 : 3, n && 1, 0.0 || f, taken, loops);
+        return 0;
+      }
+    `;
+    for (const optLevel of [0, 1]) {
+      expect((await runNative(source, { optLevel })).stdout).toBe('0 7 1 1 1 2\n');
+    }
+  });
+});
+
+describe('Chibicc -O1', () => {
+  const compileO1 = source => new Chibicc().compile(source, { optLevel: 1 }).assembly;
+
+  it('folds constants and drops unreachable code', () => {
+    const source = `
+      int trace(int x);
+      int main() {
+        int x = (2 * 3 + 4) << 2;
+        if (0) trace(1);
+        while (0) trace(2);
+        x + 1;
+        return x;
+        trace(3);
+      }
+    `;
+    const asm = compileO1(source);
+
+    expect(asm).toContain('  movq $40, %rbx');
+    expect(asm).not.toContain('call trace');
+    expect(compileToAsm(source)).toContain('  call trace');
+  });
+
+  it('keeps scalar locals in callee-saved registers', () => {
+    const asm = compileO1(`
+      int touch(int *p);
+      int sum(int n) {
+        int s = 0;
+        int seen = 0;
+        for (int i = 0; i < n; i++) s += i;
+        touch(&seen);
+        return s + seen;
+      }
+    `);
+    const body = asm.slice(asm.indexOf('sum:'));
+
+    // n, s and i get registers, saved in the prologue and restored in the epilogue
+    expect(body).toMatch(/movq %rbx, -\d+\(%rbp\)\n\s+movq %r12, -\d+\(%rbp\)\n\s+movq %r13, -\d+\(%rbp\)/);
+    expect(body).toMatch(/\.L\.return\.sum:\n\s+movq -\d+\(%rbp\), %rbx/);
+    expect(body).toContain('  movq %rdi, %rbx');
+    expect(body).toMatch(/cmpl %ebx, %r13d\n\s+jl \.L\.begin/);
+    expect(body).toContain('  addl %r13d, %r12d');
+    // seen has its address taken, so it stays in memory
+    expect(body).toMatch(/leaq -\d+\(%rbp\), %rax\n\s+movq %rax, %rdi\n\s+xorq %rax, %rax\n\s+call touch/);
+  });
+
+  it('compares with setcc and branches on the flags', () => {
+    const asm = compileO1(`
+      int lt(unsigned a, unsigned b) { return a < b; }
+      int in_range(int x) {
+        if (x >= 10 && !(x > 20)) return 1;
+        return 0;
+      }
+    `);
+
+    expect(asm).toMatch(/cmpl %r12d, %ebx\n\s+setb %al\n\s+movzbl %al, %eax/);
+    expect(asm).toMatch(/cmpl \$10, %ebx\n\s+jl \.L\.end/);
+    expect(asm).toMatch(/cmpl \$20, %ebx\n\s+jg \.L\.end/);
+    expect(asm).not.toContain('.L.cmp.true');
+  });
+
+  it('passes simple operands without the stack', () => {
+    const asm = compileO1(`
+      int g;
+      int f(int a, int b, int c);
+      int main() { return f(g, 3, g * 8); }
+      int rem() { return g % 5; }
+    `);
+
+    // g * 8 is still in %rax when the call moves it into place
+    expect(asm).toMatch(/movslq g\(%rip\), %rax\n\s+shll \$3, %eax\n\s+movq %rax, %rdx\n\s+movl -\d+\(%rbp\), %edi\n\s+movq \$3, %rsi/);
+    expect(asm).toMatch(/movslq g\(%rip\), %rax\n\s+movq \$5, %rdi\n\s+cltd\n\s+idivl %edi/);
+    expect(asm).not.toContain('pushq %rax');
+  });
+
+  it('builds and links the libc at the same level', async () => {
+    const compiler = new Compiler();
+    const { elf } = await compiler.compileC('#include <stdio.h>\nint main() { printf("%d\\n", 42); return 0; }', { optLevel: 1 });
+
+    expect(Compiler.isValidElf(elf)).toBe(true);
+    expect(compiler._libcMembers(1).find(m => m.name === 'vformat.c')).toBeDefined();
+    expect(compiler._libc.has(0)).toBe(false);
+  });
+});
+
+describe('Chibicc AST and IR', () => {
+  const compile = (source, optLevel = 0) => new Chibicc().compile(source, { optLevel });
+  const blocks = (ir, name) => ir.functions.find(fn => fn.name === name).blocks;
+
+  it('returns the AST as plain JSON', () => {
+    const { ast } = compile(`
+      struct P { int x, y; };
+      double scale = 1e999;
+      int get(struct P *p) { return p->y; }
+    `);
+
+    expect(JSON.parse(JSON.stringify(ast))).toEqual(ast);
+    expect(ast.globals).toEqual([{ name: 'scale', label: 'scale', ty: 'double' }]);
+    const [get] = ast.functions;
+    expect(get).toMatchObject({ type: 'function', name: 'get', ty: 'int(struct P *)', params: ['p'] });
+    expect(get.body.stmts[0]).toMatchObject({
+      type: 'return',
+      val: { type: 'member', member: { name: 'y', offset: 4 }, ty: 'int', operand: { type: 'deref' } },
+    });
+  });
+
+  it('lowers each function to basic blocks of three-address code', () => {
+    const { ir } = compile(`
+      int count(char *s) {
+        int n = 0;
+        while (*s++ && n < 100) n++;
+        return n;
+      }
+    `);
+    const body = blocks(ir, 'count');
+
+    for (const block of body) expect(['jmp', 'br', 'ret']).toContain(block.instrs.at(-1).op);
+    const text = formatIR(ir);
+    expect(text).toContain('func count: int(char *)');
+    expect(text).toMatch(/t\d+ = load\.i8 t\d+/);
+    expect(text).toMatch(/t\d+ = lt\.i32 n, 100/);
+    expect(text).toMatch(/br t\d+, \.L\.right\.\d+, \.L\.break\.\d+/);
+    expect(text).toContain('  ret n');
+  });
+
+  it('names globals, string literals and calls with @', () => {
+    const { ir } = compile(`
+      int puts(char *s);
+      int calls;
+      int main() { calls = calls + 1; return puts("hi"); }
+    `);
+    const text = formatIR(ir);
+
+    expect(text).toContain('global @calls: int (.bss)');
+    expect(text).toContain('string @.L.str.0 = "hi"');
+    expect(text).toMatch(/t\d+ = load\.i32 @calls/);
+    expect(text).toMatch(/store\.i32 @calls, t\d+/);
+    expect(text).toMatch(/t\d+ = call\.i32 @puts, @\.L\.str\.0/);
+  });
+
+  it('generates the assembly from the IR alone', () => {
+    const { ir, assembly } = compile('int main() { return 6 * 7; }', 1);
+    // The IR survives a round trip through JSON, and edits to it show up
+    // in the code generated from it
+    const unit = JSON.parse(JSON.stringify(ir));
+    const generate = () => new CodeGenerator({ path: '/home/user/main.c', optimize: true, newLabel: kind => `.L.${kind}.0` }).generate(unit);
+
+    expect(generate().assembly).toBe(assembly);
+    const [ret] = blocks(unit, 'main')[0].instrs;
+    expect(ret).toMatchObject({ op: 'ret', args: [{ kind: 'const', val: 42 }] });
+    ret.args[0].val = 43;
+    expect(generate().assembly).toMatch(/movq \$43, %rax\n\.L\.return\.main:/);
+  });
+
+  it('shows the IR after the -O1 passes and where locals live', () => {
+    const source = 'int main() { int x = 6 * 7; if (0) x = 1; return x; }';
+    const o0 = formatIR(compile(source).ir);
+    const o1 = formatIR(compile(source, 1).ir);
+
+    expect(o0).toContain('mul.i32 6, 7');
+    expect(o0).toMatch(/local x: int {2}; -\d+\(%rbp\)/);
+    expect(o1).not.toContain('mul');
+    expect(o1).not.toContain('br ');
+    expect(o1).toContain('x = copy 42');
+    expect(o1).toContain('local x: int  ; %rbx');
+  });
+
+  it('returns the IR and the assembly generated from it at each level', async () => {
+    const source = 'int main() { int x = 6 * 7; if (0) x = 1; return x; }';
+    const o0 = await new Compiler().compileC(source);
+    const o1 = await new Compiler().compileC(source, { optLevel: 1 });
+
+    // The AST is the parsed tree; -O1 shows in the IR and the assembly
+    expect(o1.ast).toEqual(o0.ast);
+    expect(o0.ir).toEqual(compile(source).ir);
+    expect(o0.assembly).toBe(compileToAsm(source));
+    expect(o0.assembly).toContain('imul');
+    expect(o1.assembly).not.toContain('imul');
+    expect(o1.assembly).toContain('$42');
+  });
+});
+
+describe('Compiler libc linking', () => {
+  const hasBytes = (elf, text) => new TextDecoder('latin1').decode(elf).includes(text);
+
+  it('links the printf family from the bundled libc only when it is used', async () => {
+    const compiler = new Compiler();
+    const withPrintf = await compiler.compileC('#include <stdio.h>\nint main() { printf("%5.2x\\n", 255); return 0; }');
+    const without = await compiler.compileC('int main() { return 0; }');
+
+    expect(hasBytes(withPrintf.elf, '0123456789abcdef')).toBe(true);
+    expect(hasBytes(without.elf, '0123456789abcdef')).toBe(false);
+    expect(without.elf.length).toBeLessThan(withPrintf.elf.length);
+  });
+
+  it('prefers a user definition over the libc member', () => {
+    const compiler = new Compiler();
+    // The file strlen was linked from; the libc has no line information
+    const strlenFrom = source => {
+      const { elf, sourceMap } = compiler.link([compiler.compileObject(source).object]);
+      const strlen = readSymbols(elf).symbols.find(sym => sym.name === 'strlen');
+      return sourceMap.find(entry => BigInt(entry.va) === strlen.value)?.file ?? 'libc';
+    };
+
+    expect(strlenFrom('#include <string.h>\nint main() { return strlen("x"); }')).toBe('libc');
+    expect(strlenFrom('unsigned long strlen(const char *s) { return 1; }\nint main() { return strlen("x"); }')).toBe('/home/user/main.c');
+  });
+
+  it('reports undefined and duplicate symbols', () => {
+    const compiler = new Compiler();
+    expect(() => compiler.assembleGas('.text\n.global _start\n_start:\n  call nowhere\n')).toThrow(/Undefined reference to 'nowhere'/);
+    const f = objectFromAssembly(compiler._assemble('.text\n.global f\n.global _start\nf:\n_start:\n  ret\n'));
+    expect(() => compiler.link([f, f])).toThrow(/Duplicate symbol 'f'/);
+  });
+});
+
+describe('Compiler multi-file projects', () => {
+  const file = (name, source) => ({ path: `/home/user/${name}`, source });
+
+  it('links extern functions and variables across translation units', async () => {
+    const { elf, sourceMap, units } = await new Compiler().compileProject([
+      file('main.c', 'extern int total;\nint add(int n);\nstatic int helper(void) { return 1; }\nint main() { add(2); return total + helper(); }'),
+      file('add.c', 'int total;\nstatic int helper(void) { return 10; }\nint add(int n) { total += n * helper(); return total; }'),
+    ]);
+
+    expect(Compiler.isValidElf(elf)).toBe(true);
+    expect(units.map(unit => unit.path)).toEqual(['/home/user/main.c', '/home/user/add.c']);
+    expect(units[1].ir.functions.map(fn => fn.name)).toEqual(['helper', 'add']);
+    expect(units[1].assembly).toMatch(/^add:$/m);
+    // Source map entries say which file each address came from
+    const add = sourceMap.filter(entry => entry.file === '/home/user/add.c');
+    expect(add.length).toBeGreaterThan(0);
+    expect(add.every(entry => entry.va > sourceMap[0].va)).toBe(true);
+  });
+
+  it('maps every instruction to its assembly and C line', async () => {
+    const compiler = new Compiler();
+    compiler.vfs = { readSync: path => (path === '/home/user/twice.h'
+      ? new TextEncoder().encode('static int twice(int x) { return x * 2; }\n')
+      : null) };
+    const source = 'int one(void) { return 1; }\n#include "twice.h"\nint main() {\n  int n = one();\n  while (n < 100)\n    n = twice(n);\n  return n;\n}';
+    const { object } = compiler.compileObject(source);
+    const asm = new Chibicc().compile(source, { readFile: path => compiler._readText(path) }).assembly.split('\n');
+    const symbol = name => object.symbols.find(sym => sym.name === name);
+    const within = name => entry => entry.offset >= Number(symbol(name).value) && entry.offset < Number(symbol(name).value) + symbol(name).size;
+
+    // Every instruction of main, back to back, each from an instruction line
+    const main = object.sourceMap.filter(within('main'));
+    expect(main[0]).toMatchObject({ offset: Number(symbol('main').value), line: 3 });
+    expect(main.at(-1).offset + main.at(-1).size).toBe(Number(symbol('main').value) + symbol('main').size);
+    main.slice(1).forEach((entry, i) => expect(entry.offset).toBe(main[i].offset + main[i].size));
+    for (const entry of main) expect(asm[entry.asmLine - 1]).toMatch(/^\s+[a-z]/);
+    expect(main.find(entry => asm[entry.asmLine - 1].includes('call twice')).line).toBe(6);
+    expect(main.some(entry => entry.line === 5)).toBe(true);
+    // twice() comes from a header, so none of its code is mapped
+    expect(object.sourceMap.some(within('twice'))).toBe(false);
+
+    const { elf, sourceMap } = await compiler.compileC(source);
+    const twice = readSymbols(elf).symbols.find(sym => sym.name === 'twice');
+    expect(sourceMap.filter(row => BigInt(row.va) <= twice.value).at(-1)).toMatchObject({ line: 0 });
+  });
+
+  it('maps a for loop\'s condition and increment to their own lines', () => {
+    const source = 'int main() {\n  int s = 0;\n  for (int i = 0;\n       i < 10;\n       i++)\n    s += i;\n  return s;\n}';
+    for (const optLevel of [0, 1]) {
+      const compiler = new Compiler();
+      const { object } = compiler.compileObject(source, { optLevel });
+      const asm = new Chibicc().compile(source, { optLevel }).assembly.split('\n');
+      const text = object.sourceMap.filter(entry => entry.section === '.text' && entry.line);
+      const runs = text.map(entry => entry.line).filter((line, i, lines) => line !== lines[i - 1]);
+      const lineOf = pattern => text.filter(entry => pattern.test(asm[entry.asmLine - 1])).map(entry => entry.line);
+
+      // The increment and the comparison against 10 come after the body's
+      // code (all of it at -O1), but map to their lines in the header
+      expect(runs).toEqual(optLevel ? [1, 2, 3, 6, 5, 4, 7] : [1, 2, 3, 4, 6, 5, 7]);
+      expect(lineOf(/^\s+cmpl (%edi, %eax|\$10, %r12d)/)).toEqual([4]);
+      expect(lineOf(/^\s+jmp \.L\.(begin|cond)\./)).toEqual(optLevel ? [3] : [5]);
+    }
+  });
+
+  it('compiles each file into an object and links them', () => {
+    const compiler = new Compiler();
+    const { object } = compiler.compileObject('int seven(void) { return 7; }', { path: '/home/user/seven.c' });
+    const main = compiler.compileObject('int seven(void);\nint main() { return seven(); }').object;
+
+    expect(object.path).toBe('/home/user/seven.c');
+    expect(object.sourceMap[0]).toMatchObject({ section: '.text', offset: 0, line: 1 });
+    expect(undefinedSymbols(main)).toContain('seven');
+    expect(Compiler.isValidElf(compiler.link([main, object]).elf)).toBe(true);
+  });
+
+  it('reports duplicate and undefined symbols by file and line', async () => {
+    const err = await new Compiler().compileProject([
+      file('a.c', 'int shared = 1;\nint main() {\n  return missing();\n}'),
+      file('b.c', 'int shared = 2;\nint main() { return 0; }'),
+    ]).catch(e => e);
+
+    expect(err).toBeInstanceOf(CompileError);
+    expect(err.diagnostics.map(d => [d.severity, d.file, d.line, d.message])).toEqual([
+      ['error', '/home/user/b.c', 1, "Duplicate symbol 'shared'"],
+      ['note', '/home/user/a.c', 1, "'shared' was first defined here"],
+      ['error', '/home/user/b.c', 2, "Duplicate symbol 'main'"],
+      ['note', '/home/user/a.c', 2, "'main' was first defined here"],
+      ['error', '/home/user/a.c', 3, "Undefined reference to 'missing'"],
+    ]);
+    expect(err.message).toContain('    3 |   return missing();');
+  });
+
+  it('reports compile errors from every file before linking', async () => {
+    const err = await new Compiler().compileProject([
+      file('a.c', 'int main() { return y; }'),
+      file('b.c', 'int ok(void) { return 0; }'),
+      file('c.c', 'int z = ;'),
+    ]).catch(e => e);
+
+    expect(err.diagnostics.map(d => `${d.file}:${d.line}`)).toEqual(['/home/user/a.c:1', '/home/user/c.c:1']);
+    expect(err.message).toContain('/home/user/c.c:1:9: error:');
+    expect(err.message).toContain('    1 | int z = ;');
+  });
+});
+
+describe('Relocatable objects and the linker', () => {
+  const compiler = new Compiler();
+  const assemble = (source, path) => objectFromAssembly(compiler._assemble(source), path);
+
+  it('writes an ELF relocatable object and reads it back', () => {
+    const { object } = compiler.compileObject('int square(int);\nint main() { return square(3); }', { path: '/home/user/main.c' });
+    const bytes = writeObject(object);
+    const back = readObject(bytes, '/home/user/main.o');
+
+    expect(Compiler.parseElfHeader(bytes).type).toBe('REL');
+    expect(back.sections.map(sec => sec.name)).toEqual(object.sections.map(sec => sec.name));
+    expect(back.sections[0].bytes).toEqual(object.sections[0].bytes);
+    expect(back.symbols.find(sym => sym.name === 'main')).toMatchObject({ bind: 'global', section: 0 });
+    expect(back.relocations.map(reloc => [back.symbols[reloc.symbol].name, reloc.type])).toContainEqual(['square', R_X86_64.PLT32]);
+    expect(() => readObject(new Uint8Array(64), 'junk.o')).toThrow(/junk\.o.*Not an ELF relocatable object/);
+  });
+
+  it('links only the archive members that define a missing symbol', () => {
+    const archive = readArchive(writeArchive([
+      { name: 'cube.o', object: assemble('.text\n.global cube\ncube:\n  ret\n') },
+      { name: 'a_rather_long_member_name.o', object: assemble('.text\n.global unused\nunused:\n  call nowhere\n') },
+    ]), 'libm2.a');
+    const main = assemble('.text\n.global _start\n_start:\n  call cube\n');
+
+    expect(archive.members.map(m => m.name)).toEqual(['cube.o', 'a_rather_long_member_name.o']);
+    expect(new Linker().resolve([main], [archive.members]).map(object => object.path)).toEqual([null, 'libm2.a(cube.o)']);
+    expect(Compiler.isValidElf(new Linker().link([main], { archives: [archive.members] }).elf)).toBe(true);
+  });
+
+  it('relocates references into any section', () => {
+    const { elf } = compiler.assembleGas('.section .rodata\nmsg: .string "hi"\n.text\n.global _start\n_start:\n  lea msg(%rip), %rax\n');
+    const view = new DataView(elf.buffer);
+    const entry = Number(view.getBigUint64(24, true) - BASE_VA);
+    const target = entry + 7 + view.getInt32(entry + 3, true);
+
+    expect(new TextDecoder().decode(elf.subarray(target, target + 2))).toBe('hi');
+  });
+
+  it('puts code, read-only data and writable data in their own page-aligned segments', async () => {
+    const { elf } = await compiler.compileC('char *s = "hi";\nint n;\nint main() { n = 1; return s[0]; }');
+    const view = new DataView(elf.buffer);
+    const headers = Array.from({ length: view.getUint16(56, true) }, (_, i) => {
+      const p = view.getBigUint64(32, true) + BigInt(56 * i);
+      const field = offset => Number(view.getBigUint64(Number(p) + offset, true));
+      return { type: view.getUint32(Number(p), true), flags: view.getUint32(Number(p) + 4, true), offset: field(8), va: field(16), filesz: field(32), memsz: field(40) };
+    });
+
+    expect(headers.map(h => [h.type, h.flags])).toEqual([[1, 5], [1, 4], [1, 6], [0x6474e551, 6]]);
+    for (const h of headers.slice(0, 3)) {
+      expect(h.offset % 0x1000).toBe(0);
+      expect(h.va).toBe(Number(BASE_VA) + h.offset);
+    }
+    // The string literal is in the read-only segment, n in .bss
+    const [, rodata, data] = headers;
+    expect(new TextDecoder().decode(elf.subarray(rodata.offset, rodata.offset + rodata.filesz))).toContain('hi\0');
+    expect(data.memsz).toBeGreaterThan(data.filesz);
+    expect(compileToAsm('int main() { return "x"[0]; }')).toMatch(/\.section \.rodata\n\.L\.str\.0: \.ascii "x\\0"/);
+  });
+
+  it('names the sections and symbols of an executable', async () => {
+    const source = 'static int counter;\nint total = 5;\nstatic int bump(void) { return ++counter; }\nint main() { return bump() + total; }';
+    const { elf } = await compiler.compileC(source);
+    const { sections, symbols } = readSymbols(elf);
+    const symbol = name => symbols.find(sym => sym.name === name);
+
+    expect(sections.map(sec => sec.name)).toEqual([
+      '.text', '.data', '.bss', '.debug_abbrev', '.debug_info', '.debug_line', '.symtab', '.strtab', '.shstrtab',
+    ]);
+    expect(sections[0]).toMatchObject({ addr: BigInt(sections[0].offset) + BASE_VA, flags: SHF_ALLOC | SHF_EXECINSTR });
+    expect(symbol('/home/user/main.c')).toMatchObject({ type: 4, section: 'ABS' });
+    expect(symbol('main')).toMatchObject({ bind: 'global', type: 2, section: '.text' });
+    expect(symbol('main').size).toBeGreaterThan(0);
+    expect(symbol('bump')).toMatchObject({ bind: 'local', type: 2, section: '.text' });
+    expect(symbol('counter')).toMatchObject({ bind: 'local', type: 1, section: '.bss', size: 4 });
+    expect(symbol('total')).toMatchObject({ bind: 'global', type: 1, section: '.data', size: 4 });
+    expect(symbol('_start').value).toBe(new DataView(elf.buffer).getBigUint64(24, true));
+    // Locals come first
+    expect(symbols.findIndex(sym => sym.bind !== 'local')).toBeGreaterThan(symbols.findLastIndex(sym => sym.bind === 'local'));
+    expect(symbol('.L.return.main')).toBeUndefined();
+
+    const kept = readSymbols((await compiler.compileC(source, { keepLocals: true })).elf);
+    expect(kept.symbols.find(sym => sym.name === '.L.return.main')).toMatchObject({ bind: 'local', section: '.text' });
+  });
+
+  it('describes lines, functions and variables in DWARF', async () => {
+    const source = 'struct pt { int x; long y; };\nint seen;\nint get(struct pt *p) {\n  int v = p->x;\n  return v + seen;\n}\nint main() { struct pt a = { 3, 4 }; return get(&a); }';
+    const { elf, sourceMap } = await compiler.compileC(source);
+    expect(sourceMap).toEqual(readLineTable(elf));
+    const rows = sourceMap.filter(row => row.line);
+    expect(rows.every(row => row.file === '/home/user/main.c')).toBe(true);
+    expect(new Set(rows.map(row => row.line))).toEqual(new Set([3, 4, 5, 7]));
+    expect(sourceMap.at(-1)).toMatchObject({ file: null, line: 0 }); // the end of main.c's code
+
+    const { sections, symbols } = readSymbols(elf);
+    const get = symbols.find(sym => sym.name === 'get');
+    expect(sourceMap.find(row => BigInt(row.va) === get.value)).toMatchObject({ line: 3 });
+    for (const name of ['.debug_info', '.debug_line', '.debug_abbrev']) {
+      expect(sections.find(sec => sec.name === name)).toMatchObject({ addr: 0n, flags: 0 });
+    }
+
+    // The names in .debug_info
+    const info = sections.find(sec => sec.name === '.debug_info');
+    const text = new TextDecoder('latin1').decode(elf.subarray(info.offset, info.offset + info.size));
+    for (const name of ['/home/user/main.c', 'get', 'main', 'seen', 'pt', 'int', 'long']) {
+      expect(text).toContain(`${name}\0`);
+    }
+    expect(new DataView(elf.buffer).getUint32(info.offset, true)).toBe(info.size - 4); // one unit
+
+    // Objects keep the sections and relocations, so a linker can combine them
+    const { object } = compiler.compileObject(source);
+    const debugLine = object.sections.findIndex(sec => sec.name === '.debug_line');
+    expect(object.relocations.some(reloc => reloc.section === debugLine)).toBe(true);
+  });
+
+  it('fills GOT slots and leaves undefined weak symbols at zero', () => {
+    // movq value@GOTPCREL(%rip), %rax; ret; then .quad maybe (weak)
+    const code = {
+      path: 'code.o',
+      sections: [{ name: '.text', type: SHT_PROGBITS, flags: SHF_ALLOC | SHF_EXECINSTR, align: 16, size: 16,
+        bytes: new Uint8Array([0x48, 0x8b, 0x05, 0, 0, 0, 0, 0xc3, 1, 1, 1, 1, 1, 1, 1, 1]) }],
+      symbols: [
+        { name: '_start', bind: 'global', type: 2, section: 0, value: 0n, size: 0 },
+        { name: 'value', bind: 'global', type: 0, section: 'UND', value: 0n, size: 0 },
+        { name: 'maybe', bind: 'weak', type: 0, section: 'UND', value: 0n, size: 0 },
+      ],
+      relocations: [
+        { section: 0, offset: 3, type: R_X86_64.REX_GOTPCRELX, symbol: 1, addend: -4n },
+        { section: 0, offset: 8, type: R_X86_64[64], symbol: 2, addend: 0n },
+      ],
+      sourceMap: [],
+    };
+    const data = readObject(writeObject(assemble('.data\n.global value\nvalue: .quad 42\n', 'data.o')), 'data.o');
+    const { elf } = new Linker().link([code, data]);
+    const view = new DataView(elf.buffer);
+    const text = Number(view.getBigUint64(24, true) - BASE_VA);
+    const slot = text + 7 + view.getInt32(text + 3, true);
+    const value = Number(view.getBigUint64(slot, true) - BASE_VA);
+
+    expect(view.getBigUint64(value, true)).toBe(42n);
+    expect(view.getBigUint64(text + 8, true)).toBe(0n);
+  });
+
+  it('links uploaded objects and archives with a project', async () => {
+    const lib = writeArchive([{ name: 'seven.o', object: assemble('.text\n.global seven\nseven:\n  movl $7, %eax\n  ret\n') }]);
+    const { elf } = await compiler.compileProject(
+      [{ path: '/home/user/main.c', source: 'int seven(void);\nint main() { return seven(); }' }],
+      { binaries: [{ path: '/home/user/libseven.a', bytes: lib }] },
+    );
+    expect(Compiler.isValidElf(elf)).toBe(true);
+
+    const err = await compiler.compileProject(
+      [{ path: '/home/user/main.c', source: 'int main() { return 0; }' }],
+      { binaries: [{ path: '/home/user/notes.o', bytes: new TextEncoder().encode('not an object') }] },
+    ).catch(e => e);
+    expect(err.diagnostics[0]).toMatchObject({ file: '/home/user/notes.o', message: 'Not an ELF relocatable object' });
+  });
+});
+
+describe('Disassembler', () => {
+  const compiler = new Compiler();
+  const format = (hex, syntax, symbolize) => {
+    const bytes = Uint8Array.from(hex.split(' '), byte => parseInt(byte, 16));
+    const insn = decode(bytes, 0, 0x1000n);
+    expect(insn.length).toBe(bytes.length);
+    return formatInstruction(insn, { syntax, symbolize });
+  };
+
+  it('prints instructions the way objdump does, in AT&T and Intel syntax', () => {
+    const cases = [
+      ['55', 'push   %rbp', 'push   rbp'],
+      ['48 89 e5', 'mov    %rsp,%rbp', 'mov    rbp,rsp'],
+      ['c7 45 fc 00 00 00 00', 'movl   $0x0,-0x4(%rbp)', 'mov    DWORD PTR [rbp-0x4],0x0'],
+      ['0f b6 45 ff', 'movzbl -0x1(%rbp),%eax', 'movzx  eax,BYTE PTR [rbp-0x1]'],
+      ['f2 0f 58 c1', 'addsd  %xmm1,%xmm0', 'addsd  xmm0,xmm1'],
+      ['48 98', 'cltq', 'cdqe'],
+      ['ff d0', 'call   *%rax', 'call   rax'],
+      ['f3 48 ab', 'rep stos %rax,%es:(%rdi)', 'rep stos QWORD PTR es:[rdi],rax'],
+      ['66 0f 1f 44 00 00', 'nopw   0x0(%rax,%rax,1)', 'nop    WORD PTR [rax+rax*1+0x0]'],
+    ];
+    for (const [hex, att, intel] of cases) {
+      expect(format(hex, 'att')).toBe(att);
+      expect(format(hex, 'intel')).toBe(intel);
+    }
+  });
+
+  it('names branch targets and RIP-relative addresses', () => {
+    const symbolize = address => (address === 0x1000n ? 'f' : address === 0x1017n ? 'msg' : null);
+    expect(format('e8 fb ff ff ff', 'att', symbolize)).toBe('call   1000 <f>');
+    expect(format('48 8d 05 10 00 00 00', 'att', symbolize)).toBe('lea    0x10(%rip),%rax        # 1017 <msg>');
+    expect(format('48 8d 05 10 00 00 00', 'intel', symbolize)).toBe('lea    rax,[rip+0x10]        # 1017 <msg>');
+  });
+
+  it('decodes unknown opcodes as one (bad) byte', () => {
+    expect(format('d9', 'att')).toBe('(bad)'); // x87
+  });
+
+  it('lists every function of a program with its C lines', async () => {
+    const source = 'int twice(int x) {\n  return x * 2;\n}\nint main() {\n  return twice(21);\n}\n';
+    const { elf, sourceMap } = await compiler.compileC(source);
+    const rows = disassemble(elf, { sourceMap });
+    const { symbols } = readSymbols(elf);
+    const labels = rows.filter(row => row.label).map(row => row.label);
+    for (const name of ['_start', 'twice', 'main', 'exit']) expect(labels).toContain(name);
+
+    const start = rows.find(row => row.label === '_start');
+    expect(start.marker).toBe('▶');
+    expect(rows.filter(row => row.marker === '▶')).toHaveLength(1);
+    expect(rows.some(row => /^call +[0-9a-f]+ <main>$/.test(row.text))).toBe(true);
+    expect(rows.every(row => !/\(bad\)|^db /.test(row.text))).toBe(true);
+
+    const main = symbols.find(sym => sym.name === 'main');
+    const mainRow = rows.find(row => row.label === 'main');
+    expect(BigInt(mainRow.va)).toBe(main.value);
+    expect(mainRow.source).toBe('main.c:4');
+    expect(rows.find(row => row.label === 'twice').source).toBe('main.c:1');
+    expect(rows.some(row => row.source === 'main.c:2')).toBe(true);
+    expect(rows.some(row => /^call +[0-9a-f]+ <twice>$/.test(row.text))).toBe(true);
+    expect(rows.find(row => row.label === 'exit').source).toBe(''); // libc has no line info
+    expect(mainRow.intel).not.toContain('%');
+  });
+});
+
+describe('Bundled libc', () => {
+  const compiler = new Compiler();
+  // Names of the libc members a program pulls in: those defining a symbol
+  // of its executable
+  const members = source => {
+    const { elf } = compiler.link([compiler.compileObject(source).object]);
+    const defined = new Set(readSymbols(elf).symbols.filter(sym => sym.bind !== 'local' && sym.section !== 'UND').map(sym => sym.name));
+    return compiler._libcMembers().filter(member => [...member.defines].some(name => defined.has(name))).map(member => member.name);
+  };
+
+  it('compiles every member', () => {
+    const count = Object.keys(LIBC_SOURCES).filter(name => !name.endsWith('.h')).length;
+    expect(compiler._libcMembers()).toHaveLength(count);
+  });
+
+  it('returns from main through exit without dragging in stdio', () => {
+    const linked = members('int main() { return 0; }');
+
+    expect(linked).toContain('exit.c');
+    expect(linked).toContain('_exit.s');
+    expect(linked).not.toContain('stdio.c');
+  });
+
+  it('links stdio streams and their system calls on demand', () => {
+    const linked = members(`
+      #include <stdio.h>
+      int main() {
+        FILE *f = fopen("out.txt", "w");
+        fprintf(f, "%d\\n", 1);
+        return fclose(f);
+      }
+    `);
+
+    for (const name of ['fopen.c', 'stdio.c', 'fprintf.c', 'vformat.c', 'open.s', 'write.s', 'close.s', 'malloc.c', '__syscall_ret.s', 'errno.c'])
+      expect(linked).toContain(name);
+  });
+
+  it('builds malloc on the program break and mmap', () => {
+    const linked = members('#include <stdlib.h>\nint main() { free(malloc(10)); return 0; }');
+
+    expect(linked).toEqual(expect.arrayContaining(['malloc.c', 'sbrk.c', '__brk.s', 'mmap.s', 'munmap.s']));
+    expect(linked).not.toContain('stdio.c');
+  });
+
+  it('hands main\'s envp to environ for getenv, and wraps getcwd and chdir', () => {
+    const asm = compileToAsm('int main() { return 0; }');
+    expect(asm).toMatch(/leaq 8\(%rsi,%rdi,8\), %rdx\n\s+movq %rdx, environ\(%rip\)/);
+
+    const linked = members(`
+      #include <stdlib.h>
+      #include <unistd.h>
+      int main(int argc, char **argv) {
+        char buf[256];
+        if (argc > 1) chdir(argv[1]);
+        return getenv("HOME") && getcwd(buf, sizeof buf) ? 0 : 1;
+      }
+    `);
+    expect(linked).toEqual(expect.arrayContaining(['environ.c', 'getenv.c', 'getcwd.s', 'chdir.s']));
+  });
+
+  it('links <math.h> functions member by member', () => {
+    const linked = members('#include <math.h>\nint main() { return sqrt(4.0) + floor(1.5); }');
+
+    expect(linked).toEqual(expect.arrayContaining(['sqrt.s', 'floor.c', 'fabs.s']));
+    expect(linked).not.toContain('sin.c');
+    expect(LIBC_SOURCES['sqrt.s']).toContain('sqrtsd %xmm0, %xmm0');
+  });
+
+  it('links scanf over stdio, and sscanf without it', () => {
+    const scanf = members('#include <stdio.h>\nint main() { int n; return scanf("%d", &n); }');
+    expect(scanf).toEqual(expect.arrayContaining(['scanf.c', 'fscanf.c', 'vscan.c', 'stdio.c', 'strtol.c', 'strtod.c']));
+
+    const sscanf = members('#include <stdio.h>\nint main() { int n; return sscanf("1", "%d", &n); }');
+    expect(sscanf).toEqual(expect.arrayContaining(['sscanf.c', 'vscan.c']));
+    expect(sscanf).not.toContain('stdio.c');
+  });
+
+  it.runIf(native)('reads numbers, words and characters from stdin with scanf', async () => {
+    const stdin = new StdinBuffer();
+    for (const line of ['3 4\n', '  hello x\n', '2.5 0.25\n', '7 8 end']) stdin.push(new TextEncoder().encode(line));
+    stdin.eof();
+
+    const { stdout, status } = await runNative(`
+      #include <stdio.h>
+      int main() {
+        int a, b;
+        char word[16], c;
+        float f;
+        double d;
+        int n = scanf("%d %d %15s %c %f %lf", &a, &b, word, &c, &f, &d);
+        printf("%d: %d %s %c %g\\n", n, a + b, word, c, f + d);
+        int sum = 0, v;
+        while (scanf("%d", &v) == 1) sum += v;
+        char rest[8];
+        int words = scanf("%7s", rest);
+        printf("%d %d %s %d\\n", sum, words, rest, scanf("%d", &v));
+        return 0;
+      }
+    `, { stdin });
+
+    expect(status).toBe(0);
+    expect(stdout).toBe('6: 7 hello x 2.75\n15 1 end -1\n');
+  });
+
+  it.runIf(native)('parses strings with sscanf', async () => {
+    const { stdout } = await runNative(`
+      #include <stdio.h>
+      int main() {
+        int x, i, o, end;
+        unsigned u;
+        long l;
+        char key[16], value[16], s[4];
+        int n = sscanf("ff 0x1F 0755 4294967295 -12345678901", "%x %i %i %u %ld%n", &x, &i, &o, &u, &l, &end);
+        printf("%d %x %d %d %u %ld %d\\n", n, x, i, o, u, l, end);
+        n = sscanf("name=Ada Lovelace\\n", "%15[^=]=%15[^\\n]", key, value);
+        printf("%d [%s] [%s]\\n", n, key, value);
+        n = sscanf("abcdef", "%3s", s);
+        printf("%d [%s]\\n", n, s);
+        // EOF before the first conversion, then a matching failure after one
+        printf("%d %d\\n", sscanf("", "%d", &x), sscanf("12:x", "%d:%d", &x, &i));
+        return 0;
+      }
+    `);
+
+    expect(stdout).toBe('5 ff 31 493 4294967295 -12345678901 36\n2 [name] [Ada Lovelace]\n1 [abc]\n-1 1\n');
+  });
+
+  it('turns failed system calls into -1 and errno', () => {
+    const ret = compiler._libcMembers().find(m => m.name === '__syscall_ret.s');
+    expect(undefinedSymbols(ret.object)).toContain('errno');
+    expect(LIBC_SOURCES['read.s']).toMatch(/movq %rcx, %r10\n\s+movq \$0, %rax\n\s+syscall\n\s+jmp __syscall_ret/);
+  });
+});
+
+describe('Compiler diagnostics', () => {
+  const errorOf = fn => {
+    try {
+      fn();
+    } catch (err) {
+      return err;
+    }
+    throw new Error('expected an error');
+  };
+
+  it('locates parse errors by file, line and column', () => {
+    const err = errorOf(() => new Chibicc().compile('int main() {\n  int x = 1\n  return x;\n}\n'));
+
+    expect(err).toBeInstanceOf(CompileError);
+    expect(err.diagnostics).toEqual([{
+      severity: 'error',
+      message: "Expected ';' before 'return'",
+      file: '/home/user/main.c',
+      line: 2,
+      col: 12,
+      range: { start: { line: 2, col: 12 }, end: { line: 2, col: 13 } },
+    }]);
+  });
+
+  it('renders gcc-style output with the source line and a caret', () => {
+    const err = errorOf(() => new Chibicc().compile('int main() {\n  return a + bee;\n}\n'));
+
+    expect(err.message).toBe([
+      "/home/user/main.c:2:10: error: Undefined variable 'a'",
+      '    2 |   return a + bee;',
+      '      |          ^',
+    ].join('\n'));
+  });
+
+  it('recovers to report several errors in one compile', () => {
+    const err = errorOf(() => new Chibicc().compile([
+      'int f() { return x; }',
+      'int g() { int y = ; return 0; }',
+      'int h( { }',
+      'int main() { int *p = 0; p = p * 2; return 0; }',
+    ].join('\n')));
+
+    expect(err.diagnostics.map(d => [d.line, d.message])).toEqual([
+      [1, "Undefined variable 'x'"],
+      [2, "Expected expression before ';'"],
+      [3, "Expected a type name before '{'"],
+      [4, "Invalid operands to '*'"],
+    ]);
+  });
+
+  it('skips a broken initializer or call without ending the function', () => {
+    const err = errorOf(() => new Chibicc().compile([
+      'int f(int *p);',
+      'int g[] = {1,, 2};',
+      'int main() {',
+      '  int a[] = {1, 2,, 3};',
+      '  int v = 1 +* ;',
+      '  f((int[]){1});',
+      '  v = 2;',
+      '  return f(a) + f(g) + v;',
+      '}',
+    ].join('\n')));
+
+    expect(err.diagnostics.map(d => [d.line, d.message])).toEqual([
+      [2, "Expected expression before ','"],
+      [4, "Expected expression before ','"],
+      [5, "Expected expression before ';'"],
+      [6, "Expected expression before '{'"],
+    ]);
+  });
+
+  it('quotes included files and keeps tabs aligned', () => {
+    const headers = { '/home/user/bad.h': 'int f() {\n\treturn @;\n}\n' };
+    const err = errorOf(() => new Chibicc().compile('#include "bad.h"\nint main() { return 0; }', { readFile: p => headers[p] ?? null }));
+
+    expect(err.message).toContain('/home/user/bad.h:2:9: error: Invalid character');
+    expect(err.message).toContain('      | \t       ^');
+  });
+
+  it('returns #warning as a warning alongside the assembly', () => {
+    const { assembly, diagnostics } = new Chibicc().compile('#warning not finished\nint main() { return 0; }');
+
+    expect(assembly).toContain('main:');
+    expect(diagnostics).toMatchObject([{ severity: 'warning', message: '#warning not finished', line: 1 }]);
+    expect(formatDiagnostics(diagnostics)).toBe('/home/user/main.c:1:2: warning: #warning not finished');
+  });
+
+  it('maps assembler errors to lines and columns', () => {
+    const err = errorOf(() => new Compiler().assembleGas('.text\n  movq $1, %rax\n  movq %rax, %zz\n  bogus\n', { path: '/home/user/a.s' }));
+
+    expect(err.diagnostics.map(d => [d.file, d.line, d.col, d.message])).toEqual([
+      ['/home/user/a.s', 3, 15, 'Unknown register'],
+      ['/home/user/a.s', 4, 3, 'Unknown opcode'],
+    ]);
+    expect(err.message).toContain('    3 |   movq %rax, %zz\n      |               ^~');
+  });
+
+  it('locates and quotes assembler errors in source with no path', () => {
+    const err = errorOf(() => new Compiler().assembleGas('.text\n  bogus %rax\n'));
+
+    expect(err.message).toBe([
+      '2:3: error: Unknown opcode',
+      '    2 |   bogus %rax',
+      '      |   ^~~~~',
+    ].join('\n'));
+  });
+
+  it('reports link errors without a location', () => {
+    const err = errorOf(() => new Compiler().assembleGas('.text\n.global _start\n_start:\n  call nowhere\n'));
+
+    expect(err.diagnostics).toEqual([{ severity: 'error', message: "Undefined reference to 'nowhere'", file: null, line: null, col: null, range: null }]);
+    expect(err.message).toBe("error: Undefined reference to 'nowhere'");
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { runConfig, runOptions, splitArgs, parseEnv, resolvePath, DEFAULT_RUN_CONFIG } from '../src/engine/runconfig.js';
+
+describe('Run configuration', () => {
+  it('splits arguments the way sh does', () => {
+    expect(splitArgs('')).toEqual([]);
+    expect(splitArgs('  -l   file.txt ')).toEqual(['-l', 'file.txt']);
+    expect(splitArgs(`'two words' "say \\"hi\\"" a\\ b '' x"y"z`)).toEqual(['two words', 'say "hi"', 'a b', '', 'xyz']);
+    expect(() => splitArgs('"open')).toThrow('Unterminated " in arguments');
+    expect(() => splitArgs("it's")).toThrow("Unterminated ' in arguments");
+  });
+
+  it('reads one environment variable per line', () => {
+    expect(parseEnv('A=1\n\n# comment\n  B=two words  \nC=')).toEqual(['A=1', 'B=two words', 'C=']);
+    expect(() => parseEnv('not a variable')).toThrow('Bad environment variable: not a variable');
+  });
+
+  it('resolves paths against the working directory', () => {
+    expect(resolvePath('in.txt')).toBe('/home/user/in.txt');
+    expect(resolvePath('../data/./in.txt', '/home/user/src')).toBe('/home/user/data/in.txt');
+    expect(resolvePath('/tmp//out', '/home/user')).toBe('/tmp/out');
+    expect(resolvePath('../../..', '/home/user')).toBe('/');
+  });
+
+  it('fills in defaults and turns a configuration into run options', () => {
+    expect(runConfig({ args: 'x', stdin: { source: 'text' } })).toEqual({
+      ...DEFAULT_RUN_CONFIG,
+      args: 'x',
+      stdin: { source: 'text', text: '', file: '' },
+    });
+    expect(runOptions({ args: 'file.txt', env: 'LANG=C', cwd: ' ' })).toEqual({
+      argv: ['/bin/program', 'file.txt'],
+      env: ['LANG=C'],
+      cwd: '/home/user',
+    });
+    expect(runConfig({ link: ['util.c'] }).link).toEqual(['util.c']);
+    expect(runOptions({}).env).toEqual(['TERM=xterm-256color', 'PATH=/usr/bin:/bin', 'HOME=/root']);
+  });
+});
@@ -1,10 +1,12 @@
 import { beforeAll, describe, expect, it, vi } from 'vitest';
 import { Compiler } from '../src/engine/Compiler.js';
 import { Terminal } from '../src/terminal/Terminal.js';
+import { objectFromAssembly, writeArchive } from '../src/engine/objfile.js';
 
-vi.mock('../src/engine/AxRuntime.js', () => {
+vi.mock('../src/engine/WorkerRuntime.js', () => {
   return {
-    AxRuntime: class AxRuntime {
+    DEFAULT_LIMITS: { maxInstructions: 100_000_000, timeLimitMs: 10_000 },
+    WorkerRuntime: class WorkerRuntime {
       async run() {
         return {
           exitCode: 0,
@@ -67,6 +69,8 @@ _start:
           stack: [{ addr: '0x0000000000000000', hex: '00', ascii: '.' }],
           heap: [{ addr: '0x0000000000800000', hex: '00', ascii: '.' }],
         },
+        syscalls: [{ seq: 0, num: 60, name: 'exit', args: ['0'], result: '?', errno: null, text: 'exit(0) = ?' }],
+        syscallsDropped: 0,
       })),
     };
 
@@ -90,6 +94,7 @@ _start:
       updateRegisters: vi.fn(),
       updateDisassembly: vi.fn(),
       updateMemory: vi.fn(),
+      updateSyscalls: vi.fn(),
       error: vi.fn(),
     };
 
@@ -100,9 +105,310 @@ _start:
 
     expect(app.terminal.updateDisassembly).toHaveBeenCalledTimes(1);
     expect(app.terminal.updateMemory).toHaveBeenCalledTimes(1);
+    expect(app.terminal.updateSyscalls).toHaveBeenCalledWith([expect.objectContaining({ text: 'exit(0) = ?' })], 0);
     expect(app.statusbar.setLastExit).toHaveBeenCalledWith(0);
   });
 
+  it('compiles C at -O1 once the sidebar enables it', async () => {
+    const app = new App({});
+    const handlers = {};
+    const component = () => ({ on: vi.fn((name, fn) => { handlers[name] = fn; }) });
+    app.titlebar = { ...component(), setEngineStatus: vi.fn() };
+    app.sidebar = { ...component(), disableRun: vi.fn(), enableRun: vi.fn(), getLang: vi.fn(() => 'c') };
+    app.editor = {
+      ...component(),
+      getCode: vi.fn(() => 'int main() { return 0; }'),
+      getFile: vi.fn(() => 'main.c'),
+      listFiles: vi.fn(() => ['main.c']),
+    };
+    app.engine = { run: vi.fn(async () => ({ exitCode: 0, runtime: 1, instrCount: 3, registers: {} })) };
+    app.compiler = {
+      compileProject: vi.fn(async () => ({ elf: new Uint8Array([0x7f, 0x45, 0x4c, 0x46]), sourceMap: [], diagnostics: [], units: [{}] })),
+    };
+    app.terminal = {
+      ...component(),
+      clear: vi.fn(), system: vi.fn(), cmd: vi.fn(), success: vi.fn(), error: vi.fn(),
+      updateProcessInfo: vi.fn(), updateRegisters: vi.fn(), updateDisassembly: vi.fn(), updateMemory: vi.fn(),
+      updateIR: vi.fn(),
+    };
+    app.statusbar = { setLastExit: vi.fn() };
+    app._wireEvents();
+
+    handlers.optimize({ enabled: true });
+    await app.runProgram();
+
+    expect(app.compiler.compileProject).toHaveBeenCalledWith(
+      [{ path: '/home/user/main.c', source: 'int main() { return 0; }' }],
+      { optLevel: 1, binaries: [] },
+    );
+    expect(app.terminal.cmd).toHaveBeenCalledWith('chibicc -O1 main.c -> defasm -> ax ./program');
+  });
+
+  it('runs under the sidebar limits and stops on STOP', async () => {
+    const app = new App({});
+    const handlers = {};
+    const component = () => ({ on: vi.fn((name, fn) => { handlers[name] = fn; }) });
+    app.titlebar = { ...component(), setEngineStatus: vi.fn() };
+    app.sidebar = { ...component(), disableRun: vi.fn(), enableRun: vi.fn(), getLang: vi.fn(() => 'asm') };
+    app.editor = { ...component(), getCode: vi.fn(() => 'spin: jmp spin\n'), getFile: vi.fn(() => 'spin.s') };
+    app.engine = {
+      run: vi.fn(async () => ({ exitCode: 124, runtime: 1, instrCount: 5_000_000, stopReason: 'time limit exceeded', limit: 'instructions' })),
+      stop: vi.fn(),
+    };
+    app.compiler = { assembleGas: vi.fn(() => ({ elf: new Uint8Array([0x7f, 0x45, 0x4c, 0x46]) })) };
+    app.terminal = {
+      ...component(),
+      clear: vi.fn(), system: vi.fn(), cmd: vi.fn(), success: vi.fn(), error: vi.fn(),
+      updateProcessInfo: vi.fn(), updateRegisters: vi.fn(), updateDisassembly: vi.fn(), updateMemory: vi.fn(),
+    };
+    app.statusbar = { setLastExit: vi.fn() };
+    app._wireEvents();
+
+    handlers.limits({ maxInstructions: 5_000_000, timeLimitMs: 2000 });
+    await app.runProgram();
+
+    expect(app.engine.run.mock.calls[0][2]).toEqual({
+      maxInstructions: 5_000_000,
+      timeLimitMs: 2000,
+      argv: ['/bin/program'],
+      env: ['TERM=xterm-256color', 'PATH=/usr/bin:/bin', 'HOME=/root'],
+      cwd: '/home/user',
+      stdin: null,
+    });
+    expect(app.terminal.error).toHaveBeenCalledWith('[HelixCore] Time limit exceeded (5,000,000 instructions)');
+    expect(app.statusbar.setLastExit).toHaveBeenCalledWith(124);
+
+    handlers.stop();
+    expect(app.engine.stop).toHaveBeenCalledTimes(1);
+  });
+
+  it('feeds stdin from a workspace file or from the Terminal', async () => {
+    const app = new App({});
+    const handlers = {};
+    const component = () => ({ on: vi.fn((name, fn) => { handlers[name] = fn; }) });
+    const input = new TextEncoder().encode('3 4\n');
+    app.titlebar = { ...component(), setEngineStatus: vi.fn() };
+    app.sidebar = { ...component(), disableRun: vi.fn(), enableRun: vi.fn(), getLang: vi.fn(() => 'asm') };
+    app.editor = { ...component(), getCode: vi.fn(() => 'nop\n'), getFile: vi.fn(() => 'sum.s') };
+    app.vfs = { read: vi.fn(async path => (path === '/home/user/in.txt' ? input : null)), write: vi.fn(async () => {}) };
+    app.engine = {
+      run: vi.fn(async () => {
+        app.engine.onStdinWait(true);
+        return { exitCode: 0, runtime: 1, instrCount: 3 };
+      }),
+      writeStdin: vi.fn(),
+      endStdin: vi.fn(),
+    };
+    app.compiler = { assembleGas: vi.fn(() => ({ elf: new Uint8Array([0x7f, 0x45, 0x4c, 0x46]) })) };
+    app.terminal = {
+      ...component(),
+      clear: vi.fn(), system: vi.fn(), cmd: vi.fn(), success: vi.fn(), error: vi.fn(),
+      updateProcessInfo: vi.fn(), updateRegisters: vi.fn(), updateDisassembly: vi.fn(), updateMemory: vi.fn(),
+      showStdin: vi.fn(), hideStdin: vi.fn(),
+    };
+    app.statusbar = { setLastExit: vi.fn() };
+    app._wireEvents();
+
+    handlers.runconfig({ stdin: { source: 'file', text: '', file: 'in.txt' } });
+    await app.runProgram();
+    expect(app.terminal.cmd).toHaveBeenCalledWith('defasm sum.s -> ax ./program < in.txt');
+    expect(app.engine.run.mock.calls[0][2].stdin).toBe(input);
+
+    // Typed input and Ctrl+D go to the engine; the input line shows while it waits
+    handlers.runconfig({ stdin: { source: 'terminal', text: '', file: '' } });
+    await app.runProgram();
+    expect(app.engine.run.mock.calls[1][2].stdin).toBeNull();
+    expect(app.terminal.showStdin).toHaveBeenCalled();
+    expect(app.terminal.hideStdin).toHaveBeenCalled();
+    handlers.stdin({ text: '5\n' });
+    handlers.stdineof();
+    expect(app.engine.writeStdin).toHaveBeenCalledWith('5\n');
+    expect(app.engine.endStdin).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs each file with its own saved arguments, environment and directory', async () => {
+    const app = new App({});
+    const handlers = {};
+    const component = () => ({ on: vi.fn((name, fn) => { handlers[name] = fn; }) });
+    let file = 'wc.s';
+    app.titlebar = { ...component(), setEngineStatus: vi.fn() };
+    app.sidebar = { ...component(), disableRun: vi.fn(), enableRun: vi.fn(), getLang: vi.fn(() => 'asm'), setRunConfig: vi.fn() };
+    app.editor = { ...component(), getCode: vi.fn(() => 'nop\n'), getFile: vi.fn(() => file), loadFile: vi.fn() };
+    app.vfs = { write: vi.fn(async () => {}) };
+    app.engine = { run: vi.fn(async () => ({ exitCode: 0, runtime: 1, instrCount: 3 })) };
+    app.compiler = { assembleGas: vi.fn(() => ({ elf: new Uint8Array([0x7f, 0x45, 0x4c, 0x46]) })) };
+    app.terminal = {
+      ...component(),
+      clear: vi.fn(), system: vi.fn(), cmd: vi.fn(), success: vi.fn(), error: vi.fn(),
+      updateProcessInfo: vi.fn(), updateRegisters: vi.fn(), updateDisassembly: vi.fn(), updateMemory: vi.fn(),
+    };
+    app.statusbar = { setLastExit: vi.fn() };
+    app._wireEvents();
+
+    const config = { args: '-l "my notes.txt"', env: 'LANG=C\n', cwd: 'docs', stdin: { source: 'terminal', text: '', file: '' } };
+    handlers.runconfig(config);
+    const [path, json] = app.vfs.write.mock.calls.at(-1);
+    expect(path).toBe('/home/user/.helixcore/run.json');
+    expect(JSON.parse(json)).toEqual({ 'wc.s': config });
+
+    await app.runProgram();
+    expect(app.terminal.cmd).toHaveBeenCalledWith('defasm wc.s -> ax ./program -l "my notes.txt"');
+    expect(app.engine.run.mock.calls[0][2]).toMatchObject({
+      argv: ['/bin/program', '-l', 'my notes.txt'],
+      env: ['LANG=C'],
+      cwd: '/home/user/docs',
+    });
+
+    // Another file has the defaults until it gets a configuration of its own
+    file = 'other.s';
+    handlers.fileselect({ name: 'other.s' });
+    expect(app.sidebar.setRunConfig).toHaveBeenLastCalledWith(expect.objectContaining({ args: '', cwd: '/home/user' }));
+    file = 'wc.s';
+    handlers.fileselect({ name: 'wc.s' });
+    expect(app.sidebar.setRunConfig).toHaveBeenLastCalledWith(expect.objectContaining({ args: '-l "my notes.txt"' }));
+
+    // Arguments that do not parse stop the run before it starts
+    handlers.runconfig({ ...config, args: "'open" });
+    await app.runProgram();
+    expect(app.terminal.error).toHaveBeenCalledWith("[Error] Unterminated ' in arguments");
+    expect(app.engine.run).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends a line on Enter and ends input on Ctrl+D', () => {
+    const terminal = new Terminal({ querySelector: () => null });
+    terminal.write = vi.fn();
+    const sent = [];
+    terminal.on('stdin', ({ text }) => sent.push(text));
+    terminal.on('stdineof', () => sent.push('EOF'));
+    const input = { value: '' };
+    const key = (key, extra = {}) => terminal._onStdinKey({ key, target: input, preventDefault: vi.fn(), ...extra });
+
+    input.value = 'hello';
+    key('Enter');
+    input.value = 'partial';
+    key('d', { ctrlKey: true });
+    key('d', { ctrlKey: true });
+    expect(sent).toEqual(['hello\n', 'partial', 'EOF']);
+    expect(terminal.write).toHaveBeenCalledWith('hello', 'stdin');
+
+    terminal.setStdinMode('raw');
+    key('x');
+    key('Enter');
+    key('Shift');
+    expect(sent.slice(3)).toEqual(['x', '\n']);
+  });
+
+  it('shows the AST and IR of a compiled C program', async () => {
+    const app = new App({});
+    const compiler = new Compiler();
+    app.compiler = { compileProject: vi.fn((files, opts) => compiler.compileProject(files, opts)) };
+    app.engine = { run: vi.fn(async () => ({ exitCode: 6, runtime: 1, instrCount: 3, registers: {} })) };
+    app.sidebar = { disableRun: vi.fn(), enableRun: vi.fn(), getLang: vi.fn(() => 'c') };
+    app.editor = {
+      getCode: vi.fn(() => 'int main() { int x = 2; return x * 3; }'),
+      getFile: vi.fn(() => 'main.c'),
+      listFiles: vi.fn(() => ['main.c']),
+    };
+    app.terminal = {
+      clear: vi.fn(), system: vi.fn(), cmd: vi.fn(), success: vi.fn(), error: vi.fn(),
+      updateProcessInfo: vi.fn(), updateRegisters: vi.fn(), updateIR: vi.fn(),
+    };
+    app.titlebar = { setEngineStatus: vi.fn() };
+    app.statusbar = { setLastExit: vi.fn() };
+
+    await app.runProgram();
+
+    expect(app.terminal.updateIR).toHaveBeenCalledTimes(1);
+    const { ast, ir } = app.terminal.updateIR.mock.calls[0][0];
+    expect(ast.functions[0].name).toBe('main');
+    expect(ir.functions[0].blocks[0].instrs.map(i => i.op)).toEqual(['copy', 'mul', 'ret']);
+  });
+
+  it('compiles and links the C files the run configuration names', async () => {
+    const app = new App({});
+    const files = {
+      'main.c': 'int twice(int x);\nint main() { return twice(21); }',
+      'twice.c': 'int twice(int x) { return x * 2; }',
+      'other.c': 'int main() { return 0; }',
+      'notes.txt': 'not C',
+    };
+    app._runConfigs = { 'main.c': { link: ['twice.c', 'gone.c'] }, 'other.c': {} };
+    const compiler = new Compiler();
+    app.compiler = { compileProject: vi.fn((sources, opts) => compiler.compileProject(sources, opts)) };
+    app.engine = { run: vi.fn(async () => ({ exitCode: 42, runtime: 1, instrCount: 3, registers: {} })) };
+    app.sidebar = { disableRun: vi.fn(), enableRun: vi.fn(), getLang: vi.fn(() => 'c') };
+    app.editor = {
+      getCode: vi.fn(() => files['main.c']),
+      getFile: vi.fn(() => 'main.c'),
+      listFiles: vi.fn(() => Object.keys(files).sort()),
+      getFileContent: vi.fn(name => files[name]),
+    };
+    app.terminal = {
+      clear: vi.fn(), system: vi.fn(), cmd: vi.fn(), success: vi.fn(), error: vi.fn(), diagnostics: vi.fn(),
+      updateProcessInfo: vi.fn(), updateRegisters: vi.fn(), updateIR: vi.fn(),
+    };
+    app.titlebar = { setEngineStatus: vi.fn() };
+    app.statusbar = { setLastExit: vi.fn() };
+
+    await app.runProgram();
+
+    expect(app.terminal.cmd).toHaveBeenCalledWith('chibicc main.c twice.c -> defasm -> ax ./program');
+    expect(app.compiler.compileProject.mock.calls[0][0].map(f => f.path)).toEqual(['/home/user/main.c', '/home/user/twice.c']);
+    expect(app.terminal.error).not.toHaveBeenCalled();
+    expect(app.engine.run).toHaveBeenCalledTimes(1);
+
+    // A second definition of main is reported against the file that has it
+    files['twice.c'] += '\nint main() { return 0; }';
+    await app.runProgram();
+
+    const reported = app.terminal.diagnostics.mock.calls[0][0];
+    expect(reported).toContain("/home/user/twice.c:2:5: error: Duplicate symbol 'main'");
+    expect(reported).toContain("/home/user/main.c:2:5: note: 'main' was first defined here");
+    expect(app.statusbar.setLastExit).toHaveBeenLastCalledWith(1);
+
+    // Another program in the workspace runs on its own
+    app.editor.getCode.mockReturnValue(files['other.c']);
+    app.editor.getFile.mockReturnValue('other.c');
+    await app.runProgram();
+
+    expect(app.terminal.cmd).toHaveBeenLastCalledWith('chibicc other.c -> defasm -> ax ./program');
+    expect(app.engine.run).toHaveBeenCalledTimes(2);
+  });
+
+  it('links uploaded objects and archives into C programs', async () => {
+    const app = new App({});
+    const compiler = new Compiler();
+    const seven = objectFromAssembly(compiler._assemble('.text\n.global seven\nseven:\n  movl $7, %eax\n  ret\n'));
+    const files = {
+      'main.c': 'int seven(void);\nint main() { return seven(); }',
+      'libseven.a': '',
+    };
+    app._runConfigs = { 'main.c': { link: ['libseven.a'] } };
+    const binaries = { '/home/user/libseven.a': writeArchive([{ name: 'seven.o', object: seven }]) };
+    app.compiler = { compileProject: vi.fn((sources, opts) => compiler.compileProject(sources, opts)) };
+    app.vfs = { read: vi.fn(async path => binaries[path] ?? null) };
+    app.engine = { run: vi.fn(async () => ({ exitCode: 7, runtime: 1, instrCount: 3, registers: {} })) };
+    app.sidebar = { disableRun: vi.fn(), enableRun: vi.fn(), getLang: vi.fn(() => 'c') };
+    app.editor = {
+      getCode: vi.fn(() => files['main.c']),
+      getFile: vi.fn(() => 'main.c'),
+      listFiles: vi.fn(() => Object.keys(files).sort()),
+    };
+    app.terminal = {
+      clear: vi.fn(), system: vi.fn(), cmd: vi.fn(), success: vi.fn(), error: vi.fn(), diagnostics: vi.fn(),
+      updateProcessInfo: vi.fn(), updateRegisters: vi.fn(), updateIR: vi.fn(),
+    };
+    app.titlebar = { setEngineStatus: vi.fn() };
+    app.statusbar = { setLastExit: vi.fn() };
+
+    await app.runProgram();
+
+    expect(app.terminal.cmd).toHaveBeenCalledWith('chibicc main.c libseven.a -> defasm -> ax ./program');
+    expect(app.compiler.compileProject.mock.calls[0][1].binaries.map(b => b.path)).toEqual(['/home/user/libseven.a']);
+    expect(app.terminal.error).not.toHaveBeenCalled();
+    expect(app.engine.run).toHaveBeenCalledTimes(1);
+  });
+
   it('toggles terminal sections when switching tabs', () => {
     const els = {
       '#terminal-output': { style: {} },
@@ -110,6 +416,8 @@ _start:
       '#registers': { style: {} },
       '#disassembly': { style: {} },
       '#memory': { style: {} },
+      '#ir-view': { style: {} },
+      '#syscalls': { style: {} },
     };
 
     const container = {
@@ -138,5 +446,70 @@ _start:
     expect(els['#registers'].style.display).toBe('none');
     expect(els['#disassembly'].style.display).toBe('none');
     expect(els['#memory'].style.display).toBe('block');
+    expect(els['#ir-view'].style.display).toBe('none');
+
+    terminal.setView('ir');
+    expect(els['#terminal-output'].style.display).toBe('none');
+    expect(els['#memory'].style.display).toBe('none');
+    expect(els['#ir-view'].style.display).toBe('block');
+    expect(els['#syscalls'].style.display).toBe('none');
+
+    terminal.setView('syscalls');
+    expect(els['#ir-view'].style.display).toBe('none');
+    expect(els['#syscalls'].style.display).toBe('block');
+  });
+
+  it('lists the syscall log, filtered by syscall or to the failed calls', () => {
+    const select = { value: '', onchange: null };
+    const sys = { innerHTML: '', querySelector: () => select };
+    const terminal = new Terminal({ querySelector: sel => (sel === '#syscalls' ? sys : null) });
+    const call = (seq, name, text, errno = null) => ({ seq, name, text, errno });
+
+    terminal.updateSyscalls([
+      call(4, 'open', 'open("in.txt", O_RDONLY, 0) = -1 ENOENT (No such file or directory)', 'ENOENT'),
+      call(5, 'write', 'write(1, "<b>hi</b>\\n", 10) = 10'),
+      call(6, 'exit_group', 'exit_group(1) = ?'),
+    ], 4);
+    expect(sys.innerHTML).toContain('4 earlier calls were dropped');
+    expect(sys.innerHTML).toContain('<option value="failed">failed (1)</option>');
+    expect(sys.innerHTML).toContain('<option value="write">write (1)</option>');
+    expect(sys.innerHTML).toContain('write(1, "&lt;b&gt;hi&lt;/b&gt;');
+    expect(sys.innerHTML).toContain('strace-row failed');
+
+    select.value = 'failed';
+    select.onchange();
+    expect(sys.innerHTML).toContain('ENOENT');
+    expect(sys.innerHTML).not.toContain('exit_group(1)');
+
+    select.value = 'write';
+    select.onchange();
+    expect(sys.innerHTML).toContain('write(1,');
+    expect(sys.innerHTML).not.toContain('ENOENT');
+
+    // The filter stays for the next run, unless it has no such calls
+    terminal.updateSyscalls([call(0, 'exit_group', 'exit_group(0) = ?')]);
+    expect(select.value).toBe('all');
+    expect(sys.innerHTML).toContain('exit_group(0) = ?');
+
+    terminal.updateSyscalls([]);
+    expect(sys.innerHTML).toContain('The program made no system calls.');
+  });
+
+  it('lists disassembly under symbol labels in either syntax', () => {
+    const dis = { innerHTML: '', querySelectorAll: () => [] };
+    const terminal = new Terminal({ querySelector: sel => (sel === '#disassembly' ? dis : null) });
+
+    terminal.updateDisassembly([
+      { va: '0x0000000000401000', marker: '▶', label: 'main', bytes: 'e8 0b 00 00 00', text: 'call   401010 <f>', intel: 'call   401010 <f>', source: 'main.c:3' },
+      { va: '0x0000000000401005', marker: ' ', label: null, bytes: '8b 45 fc', text: 'mov    -0x4(%rbp),%eax', intel: 'mov    eax,DWORD PTR [rbp-0x4]', source: '' },
+    ]);
+    expect(dis.innerHTML).toContain('&lt;main&gt;:');
+    expect(dis.innerHTML).toContain('call   401010 &lt;f&gt;');
+    expect(dis.innerHTML).toContain('mov    -0x4(%rbp),%eax');
+    expect(dis.innerHTML).toContain('main.c:3');
+
+    terminal.setDisassemblySyntax('intel');
+    expect(dis.innerHTML).toContain('mov    eax,DWORD PTR [rbp-0x4]');
+    expect(dis.innerHTML).not.toContain('%rbp');
   });
 });
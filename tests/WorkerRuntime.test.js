@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WorkerRuntime, DEFAULT_LIMITS } from '../src/engine/WorkerRuntime.js';
+
+// Stands in for runWorker.js: answers 'load' and records the rest, and the
+// test plays the worker's side of a run through reply()
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.onmessage = null;
+    this.onerror = null;
+    this.terminate = vi.fn();
+  }
+
+  postMessage(data) {
+    this.messages.push(data);
+    if (data.type === 'load') queueMicrotask(() => this.reply({ type: 'loaded', version: '0.6.0' }));
+  }
+
+  reply(data) {
+    this.onmessage?.({ data });
+  }
+}
+
+// Lets run() post its message before the test replies
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('WorkerRuntime', () => {
+  let workers;
+  let runtime;
+
+  beforeEach(() => {
+    workers = [];
+    runtime = new WorkerRuntime(() => {
+      const worker = new FakeWorker();
+      workers.push(worker);
+      return worker;
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('loads ax-x86 in the worker', async () => {
+    expect(await runtime.load()).toBe('0.6.0');
+    expect(runtime._initialized).toBe(true);
+    expect(workers).toHaveLength(1);
+  });
+
+  it('should throw error if run before load', async () => {
+    await expect(runtime.run(new Uint8Array())).rejects.toThrow('WorkerRuntime not loaded');
+  });
+
+  it('runs a program in the worker and copies the files it writes back', async () => {
+    const input = new TextEncoder().encode('42\n');
+    runtime.vfs = {
+      snapshot: () => [['/home/user/in.txt', input]],
+      write: vi.fn(async () => {}),
+      delete: vi.fn(async () => {}),
+    };
+    const stdout = vi.fn();
+    runtime.onStdout = stdout;
+    await runtime.load();
+
+    const running = runtime.run(new Uint8Array([1, 2, 3]), [], { timeLimitMs: 500 });
+    await tick();
+    const [worker] = workers;
+    const run = worker.messages.find(m => m.type === 'run');
+    expect(run.files).toEqual([['/home/user/in.txt', input]]);
+    expect(run.options).toMatchObject({ maxInstructions: DEFAULT_LIMITS.maxInstructions, timeLimitMs: 500 });
+    expect(runtime.running).toBe(true);
+
+    worker.reply({ type: 'stdout', text: 'hello' });
+    const out = new TextEncoder().encode('done');
+    worker.reply({ type: 'exit', result: { exitCode: 3, stopReason: 'exit(3)' }, written: [['/home/user/out.txt', out]], deleted: ['/home/user/in.txt'] });
+
+    expect(await running).toEqual({ exitCode: 3, stopReason: 'exit(3)' });
+    expect(stdout).toHaveBeenCalledWith('hello');
+    expect(runtime.vfs.write).toHaveBeenCalledWith('/home/user/out.txt', out);
+    expect(runtime.vfs.delete).toHaveBeenCalledWith('/home/user/in.txt');
+    expect(runtime.running).toBe(false);
+    expect(worker.terminate).not.toHaveBeenCalled();
+  });
+
+  it('rejects when the program fails in the worker', async () => {
+    await runtime.load();
+    const running = runtime.run(new Uint8Array([1, 2, 3]));
+    await tick();
+    workers[0].reply({ type: 'error', message: 'AX EXECUTION ERROR at RIP=0x0000000000401000: bad' });
+    await expect(running).rejects.toThrow('AX EXECUTION ERROR');
+  });
+
+  it('terminates the worker on stop and starts another for the next run', async () => {
+    await runtime.load();
+    const running = runtime.run(new Uint8Array([1, 2, 3]));
+    await tick();
+    workers[0].reply({ type: 'syscalls', records: [{ name: 'read', text: 'read(0, "y\\n", 1024) = 2' }] });
+
+    runtime.stop();
+    const result = await running;
+    expect(result).toMatchObject({ exitCode: 137, stopReason: 'stopped', instrCount: null, syscallsDropped: 0 });
+    // The calls the worker sent before it was terminated
+    expect(result.syscalls).toEqual([{ seq: 0, name: 'read', text: 'read(0, "y\\n", 1024) = 2' }]);
+    expect(workers[0].terminate).toHaveBeenCalledTimes(1);
+
+    const next = runtime.run(new Uint8Array([1, 2, 3]));
+    await tick();
+    expect(workers).toHaveLength(2);
+    workers[1].reply({ type: 'exit', result: { exitCode: 0 }, written: [], deleted: [] });
+    expect(await next).toEqual({ exitCode: 0 });
+  });
+
+  it('terminates a worker still running after its time limit', async () => {
+    await runtime.load();
+    vi.useFakeTimers();
+    const running = runtime.run(new Uint8Array([1, 2, 3]), [], { timeLimitMs: 2000 });
+    await vi.advanceTimersByTimeAsync(2999);
+    expect(workers[0].terminate).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(await running).toMatchObject({ exitCode: 124, stopReason: 'time limit exceeded', limit: 'time' });
+    expect(workers[0].terminate).toHaveBeenCalledTimes(1);
+    expect(runtime.running).toBe(false);
+  });
+
+  it('replaces the worker to load system calls added with useSyscalls', async () => {
+    await runtime.load();
+    expect(workers[0].messages[0]).toEqual({ type: 'load', syscalls: [] });
+
+    runtime.useSyscalls('/course/syscalls.js');
+    const running = runtime.run(new Uint8Array([1, 2, 3]));
+    await tick();
+    expect(workers[0].terminate).toHaveBeenCalledTimes(1);
+    expect(workers[1].messages[0]).toEqual({ type: 'load', syscalls: ['/course/syscalls.js'] });
+    workers[1].reply({ type: 'exit', result: { exitCode: 0 }, written: [], deleted: [] });
+    await running;
+
+    // Later runs keep the worker
+    const next = runtime.run(new Uint8Array([1, 2, 3]));
+    await tick();
+    workers[1].reply({ type: 'exit', result: { exitCode: 0 }, written: [], deleted: [] });
+    await next;
+    expect(workers).toHaveLength(2);
+  });
+
+  it('sends typed input to the program and pauses its time limit while it waits', async () => {
+    await runtime.load();
+    const waits = [];
+    runtime.onStdinWait = waiting => waits.push(waiting);
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'performance'] });
+    const running = runtime.run(new Uint8Array([1, 2, 3]), [], { timeLimitMs: 2000 });
+    await vi.advanceTimersByTimeAsync(1000);
+    const [worker] = workers;
+    expect(worker.messages.find(m => m.type === 'run').options.stdin).toBeNull();
+
+    worker.reply({ type: 'stdin-wait', waiting: true });
+    await vi.advanceTimersByTimeAsync(60_000); // the user takes their time
+    expect(worker.terminate).not.toHaveBeenCalled();
+
+    runtime.writeStdin('42\n');
+    runtime.endStdin();
+    expect(worker.messages.filter(m => m.type.startsWith('stdin'))).toEqual([
+      { type: 'stdin', data: new TextEncoder().encode('42\n') },
+      { type: 'stdin-eof' },
+    ]);
+    worker.reply({ type: 'stdin-wait', waiting: false });
+    expect(waits).toEqual([true, false]);
+
+    await vi.advanceTimersByTimeAsync(1999); // 1000 ms before the wait, the rest of the 3 s after
+    expect(worker.terminate).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(await running).toMatchObject({ stopReason: 'time limit exceeded' });
+  });
+});
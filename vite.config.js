@@ -19,6 +19,10 @@ export default defineConfig({
             'Cross-Origin-Embedder-Policy': 'require-corp',
         },
     },
+    worker: {
+        // runWorker.js is started as a module worker (see WorkerRuntime.js)
+        format: 'es',
+    },
     optimizeDeps: {
         exclude: ['ax-x86'],
     },